@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Local auth server runs in Node
+    files: ['server/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -0,0 +1,258 @@
+/**
+ * authServer.js
+ * Local stand-in auth server for the admin panel and customer accounts (development only). No dependencies: Node's http module.
+ *
+ *   npm run auth-server                              start on AUTH_PORT (default 4000)
+ *   npm run auth-server -- add-admin <user> <pass> [role]   add or replace an admin in server/admins.json (role defaults to owner)
+ *
+ * Vite proxies /api to this server (see vite.config.js).
+ * Endpoints (JSON):
+ *   POST /api/admin/login       { username, password } → { token, expiresAt, admin }
+ *   GET  /api/admin/session     Authorization: Bearer <token> → { token, expiresAt, admin }
+ *   POST /api/admin/logout      ends this session
+ *   POST /api/admin/logout-all  ends every session of this admin
+ *   GET  /api/admin/users                 owner only: [{ username, role }]
+ *   POST /api/admin/users                 owner only: { username, password, role } → add or replace
+ *   DELETE /api/admin/users/<username>    owner only
+ *
+ *   POST /api/customer/signup   { email, password, account } → creates the MockAPI account → { token, expiresAt, accountId, account }
+ *   POST /api/customer/login    { email, password } → { token, expiresAt, accountId, account }
+ *   GET  /api/customer/session  Authorization: Bearer <token> → { token, expiresAt, accountId, account }
+ *   POST /api/customer/logout   ends this session
+ * Customer credentials (scrypt hashes) are kept in server/customers.json; the account data stays on MockAPI.
+ */
+
+import http from 'node:http';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createAuthStore, ADMIN_ROLES } from './authStore.js';
+import { createCustomerStore, normalizeEmail, verifyLegacyPassword } from './customerStore.js';
+
+const ADMINS_FILE = fileURLToPath(new URL('./admins.json', import.meta.url));
+const CUSTOMERS_FILE = fileURLToPath(new URL('./customers.json', import.meta.url));
+const PORT = Number(process.env.AUTH_PORT) || 4000;
+const SESSION_TTL_HOURS = Number(process.env.AUTH_SESSION_TTL_HOURS) || 8;
+const CUSTOMER_SESSION_TTL_DAYS = Number(process.env.CUSTOMER_SESSION_TTL_DAYS) || 30;
+const USERS_URL =
+  process.env.MOCKAPI_USERS_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/users';
+
+function loadList(file) {
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : [];
+}
+
+function saveList(file, list) {
+  writeFileSync(file, `${JSON.stringify(list, null, 2)}\n`);
+}
+
+const admins = loadList(ADMINS_FILE);
+const saveAdmins = () => saveList(ADMINS_FILE, admins);
+const store = createAuthStore({ admins, ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000 });
+
+const customers = loadList(CUSTOMERS_FILE);
+const saveCustomers = () => saveList(CUSTOMERS_FILE, customers);
+const customerStore = createCustomerStore({ customers, ttlMs: CUSTOMER_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 });
+
+// CLI: add-admin <username> <password> [role]
+if (process.argv[2] === 'add-admin') {
+  const [username, password, role = 'owner'] = process.argv.slice(3);
+  try {
+    store.addAdmin({ username, password, role });
+  } catch (err) {
+    console.error(`${err.message}\nUsage: npm run auth-server -- add-admin <username> <password> [${ADMIN_ROLES.join('|')}]`);
+    process.exit(1);
+  }
+  saveAdmins();
+  console.log(`Admin "${username}" (${role}) saved in server/admins.json`);
+  process.exit(0);
+}
+
+if (admins.length === 0) {
+  console.warn('No admin yet. Create one with: npm run auth-server -- add-admin <username> <password>');
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Request body as an object: {} when it is empty, invalid or not a plain object ("null", "[]", "42"...)
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+        resolve(body && typeof body === 'object' && !Array.isArray(body) ? body : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+const getToken = (req) => (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+// Last segment of the path, or null when it is not valid percent-encoding
+function lastSegment(url) {
+  try {
+    return decodeURIComponent(url.split('?')[0].split('/').pop());
+  } catch {
+    return null;
+  }
+}
+
+// MockAPI users resource. Resolves null on 404 (MockAPI also answers 404 to a filter without results)
+async function usersApi(path = '', { method = 'GET', body } = {}) {
+  const res = await fetch(`${USERS_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Users API answered ${res.status}`);
+  return res.json();
+}
+
+// What the client gets back: never a password hash (accounts created before this server still have one)
+function toClientAccount(account) {
+  const copy = { ...account };
+  delete copy.passwordHash;
+  delete copy.salt;
+  return copy;
+}
+
+async function findAccountByEmail(email) {
+  const wanted = normalizeEmail(email);
+  const accounts = await usersApi(`?email=${encodeURIComponent(wanted)}`);
+  return (Array.isArray(accounts) ? accounts : []).find((a) => normalizeEmail(a.email) === wanted) || null;
+}
+
+// Accounts created before this server kept a SHA-256 hash on MockAPI: move them here on their first login
+async function migrateLegacyAccount(email, password) {
+  const account = await findAccountByEmail(email);
+  if (!account || !verifyLegacyPassword(password, account)) return null;
+  const session = customerStore.register({ email, password, accountId: account.id });
+  saveCustomers();
+  await usersApi(`/${account.id}`, { method: 'PUT', body: { passwordHash: null, salt: null } });
+  return session;
+}
+
+// Session with the account it belongs to, or null (and the session ended) when the account is gone
+async function withAccount(session) {
+  const account = await usersApi(`/${session.accountId}`);
+  if (!account) {
+    customerStore.logout(session.token);
+    return null;
+  }
+  return { ...session, account: toClientAccount(account) };
+}
+
+async function handleCustomerRequest(route, req, res) {
+  if (route === 'POST /api/customer/signup') {
+    const { email, password, account } = await readJson(req);
+    if (typeof email !== 'string' || !normalizeEmail(email) || typeof password !== 'string' || password.length < 6) {
+      return send(res, 400, { message: 'An email and a password of at least 6 characters are required' });
+    }
+    if (customerStore.hasEmail(email) || (await findAccountByEmail(email))) {
+      return send(res, 409, { message: 'An account already exists with this email' });
+    }
+    const fields = account && typeof account === 'object' && !Array.isArray(account) ? toClientAccount(account) : {};
+    const created = await usersApi('', { method: 'POST', body: { ...fields, email: normalizeEmail(email) } });
+    const session = customerStore.register({ email, password, accountId: created.id });
+    saveCustomers();
+    return send(res, 201, { ...session, account: toClientAccount(created) });
+  }
+
+  if (route === 'POST /api/customer/login') {
+    const { email, password } = await readJson(req);
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return send(res, 400, { message: 'Email and password are required' });
+    }
+    let session = customerStore.login(email, password);
+    if (!session && !customerStore.hasEmail(email)) session = await migrateLegacyAccount(email, password);
+    const result = session && (await withAccount(session));
+    return result ? send(res, 200, result) : send(res, 401, { message: 'Incorrect email or password' });
+  }
+
+  // Every other customer route needs a valid session
+  const session = customerStore.verify(getToken(req));
+  if (!session) return send(res, 401, { message: 'Session expired' });
+
+  if (route === 'GET /api/customer/session') {
+    const result = await withAccount(session);
+    return result ? send(res, 200, result) : send(res, 401, { message: 'Account not found' });
+  }
+  if (route === 'POST /api/customer/logout') {
+    customerStore.logout(session.token);
+    return send(res, 204);
+  }
+  return send(res, 404, { message: 'Not found' });
+}
+
+async function handleRequest(req, res) {
+  const route = `${req.method} ${req.url.split('?')[0]}`;
+
+  if (req.url.startsWith('/api/customer/')) return handleCustomerRequest(route, req, res);
+
+  if (route === 'POST /api/admin/login') {
+    const { username, password } = await readJson(req);
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return send(res, 400, { message: 'Username and password are required' });
+    }
+    const session = store.login(username, password);
+    return session ? send(res, 200, session) : send(res, 401, { message: 'Incorrect username or password' });
+  }
+
+  // Every other route needs a valid session
+  const session = store.verify(getToken(req));
+  if (!session) return send(res, 401, { message: 'Session expired' });
+
+  if (route === 'GET /api/admin/session') return send(res, 200, session);
+  if (route === 'POST /api/admin/logout') {
+    store.logout(session.token);
+    return send(res, 204);
+  }
+  if (route === 'POST /api/admin/logout-all') {
+    store.logoutAll(session.admin.username);
+    return send(res, 204);
+  }
+
+  // Admin accounts: owner only
+  if (req.url.startsWith('/api/admin/users')) {
+    if (session.admin.role !== 'owner') return send(res, 403, { message: 'Only the owner can manage admins' });
+    if (route === 'GET /api/admin/users') return send(res, 200, store.listAdmins());
+    if (route === 'POST /api/admin/users') {
+      try {
+        const admin = store.addAdmin(await readJson(req));
+        saveAdmins();
+        return send(res, 201, admin);
+      } catch (err) {
+        return send(res, 400, { message: err.message });
+      }
+    }
+    if (req.method === 'DELETE') {
+      const username = lastSegment(req.url);
+      if (username === null) return send(res, 400, { message: 'Invalid username' });
+      if (username === session.admin.username) return send(res, 400, { message: 'You cannot remove your own account' });
+      store.removeAdmin(username);
+      saveAdmins();
+      return send(res, 204);
+    }
+  }
+  return send(res, 404, { message: 'Not found' });
+}
+
+// A failing request must not take the server down
+const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (err) {
+    console.error(`${req.method} ${req.url} failed`, err);
+    if (!res.headersSent) send(res, 500, { message: 'Server error' });
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => console.log(`Admin auth server on http://localhost:${PORT}`));
@@ -0,0 +1,113 @@
+/**
+ * authStore.js
+ * Admin credentials and sessions for the local auth server.
+ * Passwords are stored as "salt:scryptHash". Sessions are random tokens kept in memory with an expiry;
+ * logoutAll removes every session of an admin ("log out everywhere").
+ * Each admin has a role (owner, catalog, fulfilment, viewer); the app maps roles to permissions (src/utils/adminRoles.js).
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+
+export const ADMIN_ROLES = ['owner', 'catalog', 'fulfilment', 'viewer'];
+
+// Admins saved before roles existed were the only (all-powerful) admin
+const getRole = (admin) => (ADMIN_ROLES.includes(admin.role) ? admin.role : 'owner');
+
+/**
+ * @param {string} password
+ * @param {string} [salt]
+ * @returns {string} "salt:hash" (hex)
+ */
+export function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return `${salt}:${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - value from hashPassword
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+/**
+ * @param {Object} options
+ * @param {Array<{ username: string, passwordHash: string, role?: string }>} options.admins - edited in place by addAdmin / removeAdmin
+ * @param {number} options.ttlMs - session lifetime
+ * @param {() => number} [options.now]
+ */
+export function createAuthStore({ admins, ttlMs, now = Date.now }) {
+  const sessions = new Map();
+
+  // What the client gets back: never the password hash
+  const toSession = (token, session) => ({
+    token,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    admin: { username: session.username, role: session.role },
+  });
+
+  /*Remove every session of this admin (all devices).*/
+  function logoutAll(username) {
+    for (const [token, session] of sessions) {
+      if (session.username === username) sessions.delete(token);
+    }
+  }
+
+  return {
+    /*Check credentials and open a session. Returns null on wrong username/password.*/
+    login(username, password) {
+      const admin = admins.find((a) => a.username === username);
+      if (!admin || !verifyPassword(password || '', admin.passwordHash)) return null;
+      const token = randomBytes(32).toString('hex');
+      const session = { username: admin.username, role: getRole(admin), expiresAt: now() + ttlMs };
+      sessions.set(token, session);
+      return toSession(token, session);
+    },
+
+    /*Session for a token, or null when unknown or expired.*/
+    verify(token) {
+      const session = sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt <= now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return toSession(token, session);
+    },
+
+    logout(token) {
+      sessions.delete(token);
+    },
+
+    logoutAll,
+
+    /*Admins without their password hash.*/
+    listAdmins() {
+      return admins.map((a) => ({ username: a.username, role: getRole(a) }));
+    },
+
+    /*Add an admin, or replace the password/role of an existing one. Their open sessions are ended.*/
+    addAdmin({ username, password, role }) {
+      if (!username || !password) throw new Error('Username and password are required');
+      if (!ADMIN_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+      const index = admins.findIndex((a) => a.username === username);
+      const admin = { username, role, passwordHash: hashPassword(password) };
+      if (index === -1) admins.push(admin);
+      else admins[index] = admin;
+      logoutAll(username);
+      return { username, role };
+    },
+
+    /*Remove an admin and end their sessions.*/
+    removeAdmin(username) {
+      const index = admins.findIndex((a) => a.username === username);
+      if (index !== -1) admins.splice(index, 1);
+      logoutAll(username);
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Tests for the auth server store: password hashing and token sessions (expiry, logout everywhere), admin roles.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createAuthStore, hashPassword, verifyPassword } from './authStore';
+
+describe('password hashing', () => {
+  test('verifies the right password only', () => {
+    const stored = hashPassword('s3cret');
+    expect(stored).not.toContain('s3cret');
+    expect(verifyPassword('s3cret', stored)).toBe(true);
+    expect(verifyPassword('wrong', stored)).toBe(false);
+  });
+});
+
+describe('createAuthStore', () => {
+  const admins = [{ username: 'sara', passwordHash: hashPassword('s3cret') }];
+
+  test('issues a token that expires after the ttl', () => {
+    let now = 1000;
+    const store = createAuthStore({ admins, ttlMs: 500, now: () => now });
+    expect(store.login('sara', 'wrong')).toBeNull();
+    const session = store.login('sara', 's3cret');
+    expect(store.verify(session.token)?.admin).toEqual({ username: 'sara', role: 'owner' });
+    now = 1500;
+    expect(store.verify(session.token)).toBeNull();
+  });
+
+  test('logoutAll ends every session of the admin', () => {
+    const store = createAuthStore({ admins, ttlMs: 60000 });
+    const a = store.login('sara', 's3cret');
+    const b = store.login('sara', 's3cret');
+    store.logoutAll('sara');
+    expect(store.verify(a.token)).toBeNull();
+    expect(store.verify(b.token)).toBeNull();
+  });
+
+  test('addAdmin validates the role and ends the sessions of a replaced admin', () => {
+    const store = createAuthStore({ admins: [...admins], ttlMs: 60000 });
+    expect(() => store.addAdmin({ username: 'intern', password: 'pw', role: 'superuser' })).toThrow('Unknown role');
+    store.addAdmin({ username: 'intern', password: 'pw', role: 'viewer' });
+    const session = store.login('intern', 'pw');
+    expect(session.admin.role).toBe('viewer');
+    store.addAdmin({ username: 'intern', password: 'pw2', role: 'catalog' });
+    expect(store.verify(session.token)).toBeNull();
+    expect(store.listAdmins()).toEqual([{ username: 'sara', role: 'owner' }, { username: 'intern', role: 'catalog' }]);
+  });
+});
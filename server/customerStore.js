@@ -0,0 +1,80 @@
+/**
+ * customerStore.js
+ * Customer credentials and sessions for the local auth server.
+ * The account itself (profile, addresses, quiz...) lives in the MockAPI users resource; this store only keeps
+ * { email, accountId, passwordHash } (scrypt, see authStore) so password hashes never reach the public API.
+ * Sessions are random tokens kept in memory with an expiry: the app restores a session from its token, never from an account id.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { hashPassword, verifyPassword } from './authStore.js';
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Check a password against the SHA-256 hash that accounts created before this server kept on MockAPI
+ * (see migrateLegacyAccount in authServer.js).
+ * @param {string} password
+ * @param {{ passwordHash?: string, salt?: string }} account
+ * @returns {boolean}
+ */
+export function verifyLegacyPassword(password, account) {
+  if (!account?.passwordHash || !account?.salt) return false;
+  const actual = createHash('sha256').update(`${account.salt}:${password}`).digest();
+  const expected = Buffer.from(account.passwordHash, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * @param {Object} options
+ * @param {Array<{ email: string, accountId: string, passwordHash: string }>} options.customers - edited in place by register
+ * @param {number} options.ttlMs - session lifetime
+ * @param {() => number} [options.now]
+ */
+export function createCustomerStore({ customers, ttlMs, now = Date.now }) {
+  const sessions = new Map();
+
+  const find = (email) => customers.find((c) => c.email === normalizeEmail(email));
+
+  function openSession(customer) {
+    const token = randomBytes(32).toString('hex');
+    const session = { accountId: customer.accountId, expiresAt: now() + ttlMs };
+    sessions.set(token, session);
+    return { token, expiresAt: new Date(session.expiresAt).toISOString(), accountId: session.accountId };
+  }
+
+  return {
+    hasEmail: (email) => !!find(email),
+
+    /*Save the credentials of a new account and open a session.*/
+    register({ email, password, accountId }) {
+      if (!normalizeEmail(email) || !password || !accountId) throw new Error('Email, password and account are required');
+      if (find(email)) throw new Error('An account already exists with this email');
+      const customer = { email: normalizeEmail(email), accountId: String(accountId), passwordHash: hashPassword(password) };
+      customers.push(customer);
+      return openSession(customer);
+    },
+
+    /*Check credentials and open a session. Returns null on wrong email/password.*/
+    login(email, password) {
+      const customer = find(email);
+      if (!customer || !verifyPassword(password || '', customer.passwordHash)) return null;
+      return openSession(customer);
+    },
+
+    /*Session for a token ({ token, expiresAt, accountId }), or null when unknown or expired.*/
+    verify(token) {
+      const session = sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt <= now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return { token, expiresAt: new Date(session.expiresAt).toISOString(), accountId: session.accountId };
+    },
+
+    logout(token) {
+      sessions.delete(token);
+    },
+  };
+}
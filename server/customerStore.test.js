@@ -0,0 +1,48 @@
+/**
+ * Tests for the customer credentials store: sign-up, login, token sessions and the legacy SHA-256 check.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { createCustomerStore, verifyLegacyPassword } from './customerStore';
+
+describe('createCustomerStore', () => {
+  test('registers once per email and keeps only a scrypt hash', () => {
+    const customers = [];
+    const store = createCustomerStore({ customers, ttlMs: 60000 });
+    const session = store.register({ email: ' Jane@Mail.com ', password: 's3cret', accountId: 7 });
+    expect(store.verify(session.token)?.accountId).toBe('7');
+    expect(customers[0]).toMatchObject({ email: 'jane@mail.com', accountId: '7' });
+    expect(customers[0].passwordHash).not.toContain('s3cret');
+    expect(() => store.register({ email: 'jane@mail.com', password: 'other1', accountId: 8 })).toThrow('already exists');
+  });
+
+  test('logs in with the right password only and expires sessions', () => {
+    let now = 1000;
+    const store = createCustomerStore({ customers: [], ttlMs: 500, now: () => now });
+    store.register({ email: 'jane@mail.com', password: 's3cret', accountId: '7' });
+    expect(store.login('jane@mail.com', 'wrong')).toBeNull();
+    expect(store.login('nobody@mail.com', 's3cret')).toBeNull();
+    const session = store.login('JANE@mail.com', 's3cret');
+    expect(store.verify(session.token)?.accountId).toBe('7');
+    expect(store.verify('7')).toBeNull();
+    now = 1500;
+    expect(store.verify(session.token)).toBeNull();
+  });
+
+  test('logout ends the session', () => {
+    const store = createCustomerStore({ customers: [], ttlMs: 60000 });
+    const session = store.register({ email: 'jane@mail.com', password: 's3cret', accountId: '7' });
+    store.logout(session.token);
+    expect(store.verify(session.token)).toBeNull();
+  });
+});
+
+describe('verifyLegacyPassword', () => {
+  test('checks the salted SHA-256 hash of accounts created before the auth server', () => {
+    const account = { salt: 'abc', passwordHash: createHash('sha256').update('abc:s3cret').digest('hex') };
+    expect(verifyLegacyPassword('s3cret', account)).toBe(true);
+    expect(verifyLegacyPassword('wrong', account)).toBe(false);
+    expect(verifyLegacyPassword('s3cret', { passwordHash: null, salt: null })).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * uploadServer.js
+ * Local stand-in for Cloudinary (development only). No dependencies: Node's http module.
+ * Used by the "local" image uploader (VITE_IMAGE_UPLOADER=local, see src/services/imageUploader.js).
+ *
+ *   npm run upload-server          start on UPLOAD_PORT (default 4001), files kept in server/uploads/
+ *
+ * Vite proxies /api/uploads and /uploads to this server (see vite.config.js).
+ * Endpoints:
+ *   POST /api/uploads       body = the image, Content-Type image/*, X-File-Name header → 201 { url: "/uploads/<name>" }
+ *   GET  /uploads/<name>    the stored image
+ */
+
+import http from 'node:http';
+import { createReadStream, existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { extname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const UPLOAD_DIR = fileURLToPath(new URL('./uploads/', import.meta.url));
+const PORT = Number(process.env.UPLOAD_PORT) || 4001;
+const MAX_BYTES = 5 * 1024 * 1024;
+
+const EXTENSIONS = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp', 'image/gif': '.gif', 'image/avif': '.avif' };
+const TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+mkdirSync(UPLOAD_DIR, { recursive: true });
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Whole body as a Buffer, or null once it goes over MAX_BYTES
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > MAX_BYTES ? null : Buffer.concat(chunks)));
+  });
+}
+
+// File name asked for in /uploads/<name>, or null when it is not valid percent-encoding.
+// basename() keeps requests inside UPLOAD_DIR
+function uploadName(path) {
+  try {
+    return basename(decodeURIComponent(path));
+  } catch {
+    return null;
+  }
+}
+
+async function handleRequest(req, res) {
+  const path = req.url.split('?')[0];
+
+  if (req.method === 'POST' && path === '/api/uploads') {
+    const ext = EXTENSIONS[req.headers['content-type']];
+    if (!ext) return send(res, 415, { message: `Only ${Object.keys(EXTENSIONS).join(', ')} images are accepted` });
+    const body = await readBody(req);
+    if (!body) return send(res, 413, { message: 'Images must be 5MB or less' });
+    if (body.length === 0) return send(res, 400, { message: 'Empty file' });
+    const name = `${randomUUID()}${ext}`;
+    writeFileSync(`${UPLOAD_DIR}${name}`, body);
+    return send(res, 201, { url: `/uploads/${name}` });
+  }
+
+  if (req.method === 'GET' && path.startsWith('/uploads/')) {
+    const name = uploadName(path);
+    const type = name && TYPES[extname(name).toLowerCase()];
+    if (!type || !existsSync(`${UPLOAD_DIR}${name}`)) return send(res, 404, { message: 'Not found' });
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'public, max-age=31536000, immutable' });
+    return createReadStream(`${UPLOAD_DIR}${name}`).pipe(res);
+  }
+
+  return send(res, 404, { message: 'Not found' });
+}
+
+// A failing request must not take the server down
+const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (err) {
+    console.error(`${req.method} ${req.url} failed`, err);
+    if (!res.headersSent) send(res, 500, { message: 'Server error' });
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => console.log(`Image upload server on http://localhost:${PORT}`));
@@ -10,23 +10,38 @@ import Catalogue from './pages/User/Catalogue'
 import ProductDetails from './pages/User/ProductDetails'
 import SkinQuiz from './pages/User/SkinQuiz'
 import Checkout from './pages/User/Checkout'
+import Account from './pages/User/Account'
+import MyOrders from './pages/User/MyOrders'
+import MyOrderDetails from './pages/User/MyOrderDetails'
+import Wishlist from './pages/User/Wishlist'
 import UserRoutes from './routes/UserRoutes'
 
 // Admin pages
 import Dashboard from './pages/Admin/Dashboard'
 import ManageProducts from './pages/Admin/ManageProducts'
 import Orders from './pages/Admin/Orders'
+import OrderDetails from './pages/Admin/OrderDetails'
+import Coupons from './pages/Admin/Coupons'
+import Pricing from './pages/Admin/Pricing'
+import AdminUsers from './pages/Admin/AdminUsers'
+import Activity from './pages/Admin/Activity'
+import Reviews from './pages/Admin/Reviews'
 import AdminRoutes from './routes/AdminRoutes'
+import RequirePermission from './routes/RequirePermission'
 import AddProduct from './pages/Admin/addProduct'
 import AdminLogin from './pages/Admin/AdminLogin'
 
 // User thunk - load user data on app start
-import { loadUserFromStorage } from './features/user/userThunks'
+import { loadUserFromStorage, restoreSessionThunk } from './features/user/userThunks'
+// Shipping / COD / VAT settings used by cart and checkout totals
+import { fetchPricingSettings } from './features/pricing/pricingThunks'
 
 function App() {
   const dispatch = useDispatch();
   useEffect(() => {
     dispatch(loadUserFromStorage());
+    dispatch(restoreSessionThunk());
+    dispatch(fetchPricingSettings());
   }, [dispatch]);
 
   return (
@@ -42,14 +57,24 @@ function App() {
           <Route path='/products/:id' element={<ProductDetails/>} />
           <Route path='/skin-quiz' element={<SkinQuiz/>} />
           <Route path='/checkout' element={<Checkout/>} />
+          <Route path='/account' element={<Account/>} />
+          <Route path='/account/orders' element={<MyOrders/>} />
+          <Route path='/account/orders/:id' element={<MyOrderDetails/>} />
+          <Route path='/wishlist' element={<Wishlist/>} />
         </Route>
 
-        {/* Admin Routes - protected, requires admin login */}
+        {/* Admin Routes - protected, requires admin login; each page also checks the admin's role */}
         <Route element={<AdminRoutes/>}>
-          <Route path='/manage' element={<ManageProducts/>} />
-          <Route path='/Dashboard' element={<Dashboard/>} />
-          <Route path="/addProduct" element={<AddProduct />} />
-          <Route path='/orders' element={<Orders/>} />
+          <Route path='/manage' element={<RequirePermission permission='products.view'><ManageProducts/></RequirePermission>} />
+          <Route path='/Dashboard' element={<RequirePermission permission='dashboard'><Dashboard/></RequirePermission>} />
+          <Route path="/addProduct" element={<RequirePermission permission='products.edit'><AddProduct /></RequirePermission>} />
+          <Route path='/orders' element={<RequirePermission permission='orders.view'><Orders/></RequirePermission>} />
+          <Route path='/orders/:id' element={<RequirePermission permission='orders.view'><OrderDetails/></RequirePermission>} />
+          <Route path='/reviews' element={<RequirePermission permission='reviews'><Reviews/></RequirePermission>} />
+          <Route path='/coupons' element={<RequirePermission permission='coupons'><Coupons/></RequirePermission>} />
+          <Route path='/pricing' element={<RequirePermission permission='pricing'><Pricing/></RequirePermission>} />
+          <Route path='/admin-users' element={<RequirePermission permission='admins'><AdminUsers/></RequirePermission>} />
+          <Route path='/activity' element={<RequirePermission permission='activity'><Activity/></RequirePermission>} />
         </Route>
       </Routes>
     </BrowserRouter>
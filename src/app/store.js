@@ -2,11 +2,15 @@ import { configureStore } from '@reduxjs/toolkit';
 import productsReducer from '../features/products/productsSlice';
 import userReducer from '../features/user/userSlice';
 import cartReducer from '../features/cart/cartSlice';
+import pricingReducer from '../features/pricing/pricingSlice';
+import wishlistReducer from '../features/wishlist/wishlistSlice';
 
 export const store = configureStore({
   reducer: {
     products: productsReducer,
     user: userReducer,
     cart: cartReducer,
+    pricing: pricingReducer,
+    wishlist: wishlistReducer,
   },
 });
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**Reusable form field with label and error display (Checkout, Account).*/
+
+export default function FormField({ name, label, type = 'text', error, value, onChange, placeholder, required = true }) {
+  return (
+    <div>
+      <label htmlFor={name} className="block text-[10px] font-bold uppercase tracking-[0.4em] text-gray-900 ml-1">
+        {label} {required && <span className="text-[#9E3B3B] opacity-50">*</span>}
+      </label>
+      <input
+        type={type}
+        id={name}
+        name={name}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        className={`w-full py-4 px-5 rounded-2xl bg-white border transition-all duration-500 outline-none text-sm font-light placeholder:text-stone-300
+          ${error ? 'border-red-200 focus:border-[#9E3B3B]' : 'border-stone-300 focus:border-[#9E3B3B] focus:ring-4 focus:ring-[#9E3B3B]/5'}`}
+      />
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { X, AlertCircle, CheckCircle } from 'lucide-react';
+import { bulkUpdateProduct } from '../../features/products/productsThunks';
+import { BULK_ACTIONS, validateBulkValue } from '../../features/products/bulkActions';
+import { useToast } from '../Toast';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all';
+
+// Inputs for the chosen action (publish and archive need none)
+function BulkValueFields({ action, value, onChange }) {
+  const handleChange = (e) => onChange({ ...value, [e.target.name]: e.target.value });
+
+  if (action === 'price') return (
+    <div className="grid grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-1">Mode</label>
+        <select name="mode" value={value.mode} onChange={handleChange} className={inputClass}>
+          <option value="absolute">Set price ($)</option>
+          <option value="percent">Change by %</option>
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-1">{value.mode === 'percent' ? 'Percent (-10 = 10% off)' : 'New price ($)'}</label>
+        <input name="amount" type="number" step="0.01" value={value.amount} onChange={handleChange} className={inputClass} />
+      </div>
+    </div>
+  );
+  if (action === 'stock') return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-1">Units to add (negative to remove)</label>
+      <input name="amount" type="number" step="1" value={value.amount} onChange={handleChange} className={inputClass} />
+    </div>
+  );
+  if (action === 'tag') return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-1">Tag</label>
+      <input name="tag" value={value.tag} onChange={handleChange} placeholder="best-seller" className={inputClass} />
+    </div>
+  );
+  return null;
+}
+
+/**
+ * Runs one bulk action over the selected products, one MockAPI call at a time,
+ * with a progress bar and the list of products that failed (which can be retried).
+ */
+export default function BulkActionModal({ action, products, onClose, onDone }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [value, setValue] = useState({ mode: 'absolute', amount: '', tag: '' });
+  const [error, setError] = useState('');
+  // { total, done, failures: [{ id, name, error }] } once started
+  const [progress, setProgress] = useState(null);
+  const running = progress !== null && progress.done < progress.total;
+
+  const run = async (targets) => {
+    const failures = [];
+    const succeeded = [];
+    setProgress({ total: targets.length, done: 0, failures });
+    for (const product of targets) {
+      try {
+        await dispatch(bulkUpdateProduct({ id: product.id, action, value })).unwrap();
+        succeeded.push(product.id);
+      } catch (err) {
+        failures.push({ id: product.id, name: product.name, error: err || 'Failed' });
+      }
+      setProgress((prev) => ({ ...prev, done: prev.done + 1, failures: [...failures] }));
+    }
+    onDone(succeeded);
+    if (failures.length) showToast(`${succeeded.length} done, ${failures.length} failed.`, 'error');
+    else showToast(`${BULK_ACTIONS[action].label}: ${succeeded.length} products updated!`, 'success');
+  };
+
+  const handleStart = () => {
+    const message = validateBulkValue(action, value);
+    if (message) return setError(message);
+    setError('');
+    run(products);
+  };
+
+  const handleRetry = () => {
+    const failedIds = progress.failures.map((f) => f.id);
+    run(products.filter((p) => failedIds.includes(p.id)));
+  };
+
+  const finished = progress !== null && !running;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white w-full max-w-lg rounded-2xl shadow-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-[#9E3B3B] p-5 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">{BULK_ACTIONS[action].label}</h2>
+            <p className="text-white/70 text-sm">{products.length} products selected</p>
+          </div>
+          <button onClick={onClose} disabled={running} className="p-2 hover:bg-white/20 rounded-full transition-colors disabled:opacity-40">
+            <X size={22} className="text-white" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {progress === null ? (
+            <>
+              <BulkValueFields action={action} value={value} onChange={setValue} />
+              {action === 'publish' && <p className="text-sm text-gray-600">Drafts and archived products will be visible in the shop.</p>}
+              {action === 'archive' && <p className="text-sm text-gray-600">Archived products leave the shop but stay in past orders, and can be restored.</p>}
+              {error && <p className="flex items-center gap-2 text-sm text-red-600"><AlertCircle size={16} /> {error}</p>}
+            </>
+          ) : (
+            <>
+              <div>
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>{running ? 'Working...' : 'Finished'}</span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <div className="h-full bg-[#9E3B3B] transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+                </div>
+              </div>
+              {finished && progress.failures.length === 0 && (
+                <p className="flex items-center gap-2 text-sm text-green-700"><CheckCircle size={16} /> All products updated.</p>
+              )}
+              {progress.failures.length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {progress.failures.map((f) => (
+                    <li key={f.id} className="flex items-start gap-2 text-red-600">
+                      <AlertCircle size={14} className="mt-0.5 flex-shrink-0" />
+                      <span><span className="font-semibold">{f.name}</span>: {f.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex gap-3 p-6 border-t border-gray-100">
+          <button type="button" onClick={onClose} disabled={running} className="flex-1 py-3 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors disabled:opacity-40">
+            {finished ? 'Close' : 'Cancel'}
+          </button>
+          {progress === null && (
+            <button
+              onClick={handleStart}
+              className={`flex-1 py-3 rounded-xl text-white font-semibold transition-all ${action === 'archive' ? 'bg-[#f43f5e] hover:bg-[#e11d48]' : 'bg-[#9E3B3B] hover:bg-[#7d2f2f]'}`}
+            >
+              Apply to {products.length}
+            </button>
+          )}
+          {finished && progress.failures.length > 0 && (
+            <button onClick={handleRetry} className="flex-1 py-3 rounded-xl text-white font-semibold bg-[#9E3B3B] hover:bg-[#7d2f2f] transition-all">
+              Retry {progress.failures.length} failed
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Upload, Trash2, Star, GripVertical } from 'lucide-react';
+import { moveImage } from '../../features/products/productImages';
+import { uploadImage } from '../../services/imageUploader';
+import { useToast } from '../Toast';
+
+/**
+ * Gallery editor for the add / update product forms (see features/products/productImages).
+ * Upload several images, drag to reorder, make one primary (= first), edit alt text, delete.
+ * onChange receives an updater (images => images), so uploads finishing later never overwrite newer edits.
+ */
+export default function ImagesEditor({ images, onChange }) {
+  const { showToast } = useToast();
+  const [uploading, setUploading] = useState(0);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setUploading(files.length);
+    for (const file of files) {
+      try {
+        const url = await uploadImage(file);
+        onChange((prev) => [...prev, { url, alt: '' }]);
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+      setUploading((n) => n - 1);
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null) onChange((prev) => moveImage(prev, dragIndex, index));
+    setDragIndex(null);
+  };
+
+  const updateAlt = (index, alt) => onChange((prev) => prev.map((img, i) => (i === index ? { ...img, alt } : img)));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-semibold text-gray-700 uppercase tracking-wider">Product Images</label>
+        {images.length > 1 && <span className="text-xs text-gray-400">Drag to reorder; the first image is the primary one</span>}
+      </div>
+
+      {images.length > 0 && (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-3">
+          {images.map((image, index) => (
+            <li
+              key={image.url}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => setDragIndex(null)}
+              className={`rounded-xl border bg-white p-2 transition-all ${
+                dragIndex === index ? 'opacity-40' : ''
+              } ${index === 0 ? 'border-[#9E3B3B]' : 'border-gray-200'}`}
+            >
+              <div className="relative h-28 rounded-lg overflow-hidden bg-gray-50 cursor-move">
+                <img src={image.url} alt={image.alt} className="w-full h-full object-contain" />
+                <GripVertical size={16} className="absolute top-1 left-1 text-gray-400" />
+                {index === 0 && (
+                  <span className="absolute top-1 right-1 px-2 py-0.5 rounded-full bg-[#9E3B3B] text-white text-[10px] font-bold uppercase">Primary</span>
+                )}
+              </div>
+              <input
+                value={image.alt}
+                onChange={(e) => updateAlt(index, e.target.value)}
+                placeholder="Alt text"
+                className="mt-2 w-full border border-gray-200 rounded-lg p-1.5 text-xs focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none"
+              />
+              <div className="flex justify-between mt-1">
+                {index > 0 ? (
+                  <button type="button" onClick={() => onChange((prev) => moveImage(prev, index, 0))} className="flex items-center gap-1 text-[11px] font-semibold text-[#9E3B3B] hover:underline">
+                    <Star size={12} /> Make primary
+                  </button>
+                ) : <span />}
+                <button
+                  type="button"
+                  onClick={() => onChange((prev) => prev.filter((_, i) => i !== index))}
+                  className="p-1 hover:bg-red-50 rounded-lg transition-colors"
+                  aria-label="Delete image"
+                >
+                  <Trash2 size={14} color="gray" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-xl p-6 bg-gray-50 hover:border-[#9E3B3B] transition-colors cursor-pointer">
+        <Upload className="h-10 w-10 text-gray-400 mb-2" />
+        <span className="text-gray-600 font-medium text-sm">{uploading > 0 ? `Uploading ${uploading}...` : 'Click to upload images'}</span>
+        <span className="text-gray-400 text-xs mt-1">PNG, JPG or WebP (Max 5MB each)</span>
+        <input type="file" accept="image/*" multiple onChange={handleFiles} disabled={uploading > 0} className="hidden" />
+      </label>
+    </div>
+  );
+}
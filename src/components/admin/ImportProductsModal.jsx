@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { X, Upload, FileText, CheckCircle, AlertCircle } from 'lucide-react';
+import { importProducts } from '../../features/products/productsThunks';
+import { parseProductFile, planProductImport, PRODUCT_FIELDS } from '../../features/products/productImport';
+import { useToast } from '../Toast';
+
+// Bulk import: pick a CSV/JSON file → dry-run preview with per-row errors → import the valid rows.
+export default function ImportProductsModal({ onClose }) {
+  const dispatch = useDispatch();
+  const { productsData } = useSelector((state) => state.products);
+  const { showToast } = useToast();
+
+  const [fileName, setFileName] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [importing, setImporting] = useState(false);
+  // Thunk results by row once imported: { action, product } or { action, error }
+  const [results, setResults] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResults(null);
+    try {
+      const rows = parseProductFile(file.name, await file.text());
+      setPlan(planProductImport(rows, productsData));
+      setFileError('');
+    } catch (err) {
+      setPlan(null);
+      setFileError(err.message);
+    }
+  };
+
+  const validRows = plan ? plan.filter((r) => r.action) : [];
+  const createCount = validRows.filter((r) => r.action === 'create').length;
+  const errorCount = plan ? plan.length - validRows.length : 0;
+  const resultByRow = new Map((results || []).map((r) => [r.row, r]));
+
+  const handleImport = async () => {
+    setImporting(true);
+    const imported = await dispatch(importProducts(plan)).unwrap();
+    setResults(imported);
+    setImporting(false);
+    const failed = imported.filter((r) => r.error).length;
+    if (failed) showToast(`${imported.length - failed} products saved, ${failed} failed.`, 'error');
+    else showToast(`${imported.length} products saved!`, 'success');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white w-full max-w-4xl rounded-2xl shadow-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-[#9E3B3B] p-5 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">Import Products</h2>
+            <p className="text-white/70 text-sm">CSV or JSON. Rows matching an id or product name update it, others are created.</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full transition-colors">
+            <X size={22} className="text-white" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-xl p-6 bg-gray-50 hover:border-[#9E3B3B] transition-colors cursor-pointer">
+            <Upload className="h-10 w-10 text-gray-400 mb-2" />
+            <span className="text-gray-600 font-medium">{fileName || 'Choose a .csv or .json file'}</span>
+            <span className="text-gray-400 text-xs mt-1 text-center">Columns: id (optional), {PRODUCT_FIELDS.join(', ')}</span>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+          </label>
+
+          {fileError && (
+            <p className="flex items-center gap-2 text-sm text-red-600"><AlertCircle size={16} /> {fileError}</p>
+          )}
+
+          {plan && (
+            <>
+              <div className="flex flex-wrap gap-3 text-sm">
+                <span className="px-3 py-1 rounded-full bg-green-50 text-green-700 font-semibold">{createCount} new</span>
+                <span className="px-3 py-1 rounded-full bg-blue-50 text-blue-700 font-semibold">{validRows.length - createCount} updates</span>
+                <span className="px-3 py-1 rounded-full bg-red-50 text-red-700 font-semibold">{errorCount} with errors (skipped)</span>
+              </div>
+
+              <div className="border border-gray-100 rounded-xl overflow-hidden">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-[#FAF9F6] text-xs uppercase tracking-wider text-gray-500">
+                    <tr>
+                      <th className="px-4 py-2">Row</th>
+                      <th className="px-4 py-2">Name</th>
+                      <th className="px-4 py-2">Action</th>
+                      <th className="px-4 py-2">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-50">
+                    {plan.map((r) => {
+                      const result = resultByRow.get(r.row);
+                      return (
+                        <tr key={r.row} className={r.errors.length ? 'bg-red-50/40' : ''}>
+                          <td className="px-4 py-2 text-gray-400">{r.row}</td>
+                          <td className="px-4 py-2 font-medium text-gray-900">{r.name || '—'}</td>
+                          <td className="px-4 py-2 capitalize">{r.action || 'skip'}</td>
+                          <td className="px-4 py-2 text-xs">
+                            {r.errors.length > 0 && <span className="text-red-600">{r.errors.join('; ')}</span>}
+                            {result?.error && <span className="text-red-600">{result.error}</span>}
+                            {result?.product && <span className="inline-flex items-center gap-1 text-green-700"><CheckCircle size={14} /> Saved</span>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex gap-3 p-6 border-t border-gray-100">
+          <button type="button" onClick={onClose} className="flex-1 py-3 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors">
+            {results ? 'Close' : 'Cancel'}
+          </button>
+          {!results && (
+            <button
+              onClick={handleImport}
+              disabled={importing || validRows.length === 0}
+              className={`flex-1 flex items-center justify-center gap-2 py-3 rounded-xl text-white font-semibold transition-all ${
+                importing || validRows.length === 0 ? 'bg-gray-400 cursor-not-allowed' : 'bg-[#9E3B3B] hover:bg-[#7d2f2f]'
+              }`}
+            >
+              <FileText size={18} />
+              {importing ? 'Importing...' : `Import ${validRows.length} products`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
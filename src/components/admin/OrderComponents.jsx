@@ -0,0 +1,54 @@
+import { ArrowRight, XCircle, RotateCcw } from 'lucide-react';
+import { ORDER_STATUS_INFO, getOrderStatus, getNextStatus, canTransition } from '../../features/orders/orderStatus';
+
+/* ============ Order Status Badge ============ */
+export function StatusBadge({ status }) {
+  const info = ORDER_STATUS_INFO[status];
+  return (
+    <span className={`px-2.5 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest ${info.bg} ${info.color}`}>
+      {info.label}
+    </span>
+  );
+}
+
+/* ============ Order Status Actions (advance / cancel / return) ============ */
+export function StatusActions({ order, disabled, onChangeStatus }) {
+  const status = getOrderStatus(order);
+  const next = getNextStatus(status);
+  const btnClass = 'inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex flex-wrap justify-end gap-2">
+      {next && (
+        <button
+          onClick={() => onChangeStatus(order, next)}
+          disabled={disabled}
+          className={`${btnClass} bg-[#9E3B3B] text-white hover:bg-[#7d2f2f]`}
+        >
+          {ORDER_STATUS_INFO[next].label}
+          <ArrowRight className="w-3 h-3" />
+        </button>
+      )}
+      {canTransition(status, 'cancelled') && (
+        <button
+          onClick={() => onChangeStatus(order, 'cancelled')}
+          disabled={disabled}
+          className={`${btnClass} border border-gray-200 text-gray-500 hover:bg-red-50 hover:text-red-600`}
+        >
+          <XCircle className="w-3 h-3" />
+          Cancel
+        </button>
+      )}
+      {canTransition(status, 'returned') && (
+        <button
+          onClick={() => onChangeStatus(order, 'returned')}
+          disabled={disabled}
+          className={`${btnClass} border border-gray-200 text-gray-500 hover:bg-gray-100`}
+        >
+          <RotateCcw className="w-3 h-3" />
+          Returned
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { updateProduct } from '../../features/products/productsThunks';
-import { X, Upload, Package, DollarSign } from 'lucide-react';
+import { X, Package, DollarSign } from 'lucide-react';
 import { useToast } from '../Toast';
-import axios from 'axios';
+import VariantsEditor from './VariantsEditor';
+import ImagesEditor from './ImagesEditor';
+import { normalizeVariants, syncVariantTotals, validateVariants, variantsToForm } from '../../features/products/productVariants';
+import { PRODUCT_STATUSES, getProductStatus } from '../../features/products/productUtils';
+import { getProductImages, syncPrimaryImage } from '../../features/products/productImages';
 
 const emptyForm = {
-  name: '', subcategory: '', skinType: '', ingredients: '', price: '', stock: '', minStock: '', description: '', imageUrl: '',
+  name: '', subcategory: '', skinType: '', ingredients: '', price: '', stock: '', minStock: '', description: '', images: [], variants: [], status: 'published',
 };
 
 function productToForm(p) {
@@ -20,7 +24,9 @@ function productToForm(p) {
     stock: p.stock ?? '',
     minStock: p.minStock ?? '',
     description: p.description || '',
-    imageUrl: p.imageUrl || '',
+    images: getProductImages(p),
+    variants: variantsToForm(p.variants),
+    status: getProductStatus(p),
   };
 }
 
@@ -39,32 +45,24 @@ export default function PopUpUpdate({ isOpen, onClose, productToUpdate }) {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
-  const handleImageUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const data = new FormData();
-    data.append('file', file);
-    data.append('upload_preset', 'skinCareProducts');
-    try {
-      const uploadUrl = import.meta.env.VITE_CLOUDINARY_UPLOAD_URL;
-      if (!uploadUrl) throw new Error('VITE_CLOUDINARY_UPLOAD_URL is not set');
-      const res = await axios.post(uploadUrl, data);
-      setFormData((prev) => ({ ...prev, imageUrl: res.data.secure_url }));
-    } catch (err) {
-      // Image upload failed - user can try again
-    }
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const updatedProduct = {
-      id: productToUpdate.id,
+    const variantError = validateVariants(formData.variants);
+    if (variantError) {
+      showToast(variantError, 'error');
+      return;
+    }
+    // Keep fields the form does not edit (tags, quantityVendu...)
+    const updatedProduct = syncPrimaryImage(syncVariantTotals({
+      ...productToUpdate,
       ...formData,
+      id: productToUpdate.id,
       price: Number(formData.price),
       stock: Number(formData.stock),
       minStock: Number(formData.minStock),
       ingredients: formData.ingredients.split(',').map((i) => i.trim()),
-    };
+      variants: normalizeVariants(formData.variants),
+    }));
     await dispatch(updateProduct(updatedProduct));
     onClose();
     showToast('Product updated successfully!', 'success');
@@ -89,30 +87,10 @@ export default function PopUpUpdate({ isOpen, onClose, productToUpdate }) {
         </div>
         <form onSubmit={handleSubmit} className="p-6 overflow-y-auto max-h-[calc(90vh-140px)]">
           <div className="mb-6">
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Product Image
-            </label>
-            <div className="flex flex-col items-center border-2 border-dashed border-gray-300 rounded-xl p-4 bg-gray-50 hover:border-[#9E3B3B] transition-colors">
-              {formData.imageUrl ? (
-                <div className="relative w-full h-40">
-                  <img
-                    src={formData.imageUrl}
-                    alt="preview"
-                    className="w-full h-full object-contain rounded-lg"
-                  />
-                  <label className="absolute bottom-2 right-2 bg-white px-3 py-1 rounded-full shadow-md text-xs font-bold text-[#9E3B3B] cursor-pointer hover:bg-gray-100">
-                    Change
-                    <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-                  </label>
-                </div>
-              ) : (
-                <label className="flex flex-col items-center cursor-pointer py-4">
-                  <Upload className="h-10 w-10 text-gray-400 mb-2" />
-                  <span className="text-gray-600 font-medium text-sm">Click to upload</span>
-                  <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-                </label>
-              )}
-            </div>
+            <ImagesEditor
+              images={formData.images}
+              onChange={(update) => setFormData((prev) => ({ ...prev, images: update(prev.images) }))}
+            />
           </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <Input
@@ -147,6 +125,7 @@ export default function PopUpUpdate({ isOpen, onClose, productToUpdate }) {
               onChange={handleChange}
               placeholder="0.00"
               icon={<DollarSign size={16} />}
+              disabled={formData.variants.length > 0}
             />
             <Input
               label="Current Stock"
@@ -156,6 +135,7 @@ export default function PopUpUpdate({ isOpen, onClose, productToUpdate }) {
               value={formData.stock}
               onChange={handleChange}
               placeholder="100"
+              disabled={formData.variants.length > 0}
             />
             <Input
               label="Min Stock Warning"
@@ -166,6 +146,20 @@ export default function PopUpUpdate({ isOpen, onClose, productToUpdate }) {
               onChange={handleChange}
               placeholder="10"
             />
+            {/* Archiving goes through Delete (products.delete), so it is only listed for products already archived */}
+            <Select
+              label="Status"
+              name="status"
+              value={formData.status}
+              onChange={handleChange}
+              options={Object.keys(PRODUCT_STATUSES).filter((s) => s !== 'archived' || formData.status === 'archived')}
+            />
+            <div className="md:col-span-2">
+              <VariantsEditor
+                variants={formData.variants}
+                onChange={(variants) => setFormData((prev) => ({ ...prev, variants }))}
+              />
+            </div>
             <div className="md:col-span-2">
               <Input
                 label="Ingredients (comma separated)"
@@ -232,7 +226,7 @@ function Input({ label, icon, ...props }) {
         )}
         <input
           required
-          className={`w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all ${
+          className={`w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all disabled:bg-gray-100 ${
             icon ? 'pl-10' : 'pl-3'
           }`}
           {...props}
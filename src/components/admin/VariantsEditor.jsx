@@ -0,0 +1,57 @@
+import { Plus, Trash2 } from 'lucide-react';
+
+const emptyVariant = { sku: '', label: '', size: '', price: '', stock: '' };
+
+const inputClass = 'w-full border border-gray-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all';
+
+/**
+ * Variants table for the add / update product forms (see features/products/productVariants).
+ * With at least one variant, the product's price and stock come from its variants.
+ */
+export default function VariantsEditor({ variants, onChange }) {
+  const updateRow = (index, field, value) => {
+    onChange(variants.map((v, i) => (i === index ? { ...v, [field]: value } : v)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-semibold text-gray-700">Variants (sizes / shades)</label>
+        <button
+          type="button"
+          onClick={() => onChange([...variants, emptyVariant])}
+          className="flex items-center gap-1 text-xs font-semibold text-[#9E3B3B] hover:underline"
+        >
+          <Plus size={14} /> Add variant
+        </button>
+      </div>
+      {variants.length === 0 ? (
+        <p className="text-xs text-gray-400">No variants: the product is sold with the price and stock above.</p>
+      ) : (
+        <div className="space-y-2">
+          <div className="grid grid-cols-[1fr_1fr_1fr_1fr_1fr_auto] gap-2 text-[11px] font-semibold uppercase tracking-wider text-gray-400">
+            <span>SKU</span><span>Label</span><span>Size</span><span>Price ($)</span><span>Stock</span><span className="w-8" />
+          </div>
+          {variants.map((variant, index) => (
+            <div key={index} className="grid grid-cols-[1fr_1fr_1fr_1fr_1fr_auto] gap-2">
+              <input value={variant.sku} onChange={(e) => updateRow(index, 'sku', e.target.value)} placeholder="SER-30" className={inputClass} />
+              <input value={variant.label} onChange={(e) => updateRow(index, 'label', e.target.value)} placeholder="30ml" className={inputClass} />
+              <input value={variant.size} onChange={(e) => updateRow(index, 'size', e.target.value)} placeholder="30" className={inputClass} />
+              <input type="number" min="0" step="0.01" value={variant.price} onChange={(e) => updateRow(index, 'price', e.target.value)} className={inputClass} />
+              <input type="number" min="0" step="1" value={variant.stock} onChange={(e) => updateRow(index, 'stock', e.target.value)} className={inputClass} />
+              <button
+                type="button"
+                onClick={() => onChange(variants.filter((_, i) => i !== index))}
+                className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                aria-label="Remove variant"
+              >
+                <Trash2 size={16} color="gray" />
+              </button>
+            </div>
+          ))}
+          <p className="text-xs text-gray-400">Price and stock of the product = lowest variant price and total variant stock.</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -7,9 +7,13 @@ export default function PopUpDelete({ isOpen, onClose, productDelete }) {
   const { showToast } = useToast();
 
   const handleDelete = async () => {
-    await dispatch(deleteProduct(productDelete));
     onClose();
-    showToast('Product deleted successfully!', 'success');
+    try {
+      await dispatch(deleteProduct(productDelete)).unwrap();
+      showToast('Product archived!', 'success');
+    } catch (err) {
+      showToast(err || 'Failed to delete product', 'error');
+    }
   };
 
   if (!isOpen) return null;
@@ -20,7 +24,7 @@ export default function PopUpDelete({ isOpen, onClose, productDelete }) {
         <div className="p-8">
           <h2 className="text-xl font-bold text-[#0f172a] mb-3">Delete Product</h2>
           <p className="text-[#64748b] leading-relaxed">
-            Are you sure you want to delete this product? This action cannot be undone.
+            The product will be archived: hidden from the shop but kept in past orders. You can restore it from the Archived filter.
           </p>
           <div className="flex justify-end gap-3 mt-8">
             <button
@@ -1,15 +1,21 @@
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { X, ShoppingBag, Sparkles } from 'lucide-react';
+import { X, ShoppingBag, Sparkles, AlertTriangle } from 'lucide-react';
 import { closeCart, clearCart } from '../../features/cart/cartSlice';
 import { 
   selectCartItems, 
   selectCartTotal, 
   selectCartQuantity, 
   selectCartIsOpen,
-  selectCartIsEmpty 
+  selectCartIsEmpty,
+  selectCartStockIssues,
+  selectCartDiscount
 } from '../../features/cart/cartSelectors';
 import CartItem from '../../features/cart/CartItem';
+import CouponInput from './CouponInput';
+import { selectPricingSettings } from '../../features/pricing/pricingSlice';
+import { computeOrderTotals, amountUntilFreeShipping } from '../../features/pricing/pricingUtils';
+import { getLineKey } from '../../features/products/productVariants';
 
 export default function CartSidebar() {
   const dispatch = useDispatch();
@@ -20,6 +26,13 @@ export default function CartSidebar() {
   const totalPrice = useSelector(selectCartTotal);
   const totalQuantity = useSelector(selectCartQuantity);
   const isEmpty = useSelector(selectCartIsEmpty);
+  const stockIssues = useSelector(selectCartStockIssues);
+  const discount = useSelector(selectCartDiscount);
+  const pricingSettings = useSelector(selectPricingSettings);
+
+  // City is only known at checkout, so shipping is shown only when it is free
+  const totals = computeOrderTotals({ subtotal: totalPrice, discount }, pricingSettings);
+  const untilFreeShipping = amountUntilFreeShipping(totalPrice - discount, pricingSettings);
   
   // Handlers
   const handleClose = () => {
@@ -138,7 +151,7 @@ export default function CartSidebar() {
             /* ===== CART ITEMS LIST ===== */
             <div className="px-4 py-4 space-y-3">
               {items.map((item) => (
-                <CartItem key={item.id} item={item} />
+                <CartItem key={getLineKey(item.id, item.variantSku)} item={item} />
               ))}
               
               {/* Clear Cart Button */}
@@ -156,23 +169,62 @@ export default function CartSidebar() {
         {!isEmpty && (
           <footer className="border-t border-[#f5e6e0] bg-white px-6 py-5">
             
+            {/* Promo Code */}
+            <CouponInput />
+
+            {/* Discount */}
+            {discount > 0 && (
+              <div className="flex items-center justify-between mb-2 text-sm">
+                <span className="text-gray-500">Discount</span>
+                <span className="font-medium text-emerald-600">-${discount.toFixed(2)}</span>
+              </div>
+            )}
+
+            {/* Shipping */}
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span className="text-gray-500">Shipping</span>
+              {totals.freeShipping ? (
+                <span className="font-medium text-emerald-600">Free</span>
+              ) : (
+                <span className="text-gray-500">By city, at checkout</span>
+              )}
+            </div>
+
+            {/* Cash on delivery fee */}
+            {totals.codFee > 0 && (
+              <div className="flex items-center justify-between mb-2 text-sm">
+                <span className="text-gray-500">Cash on delivery fee</span>
+                <span className="font-medium text-gray-700">${totals.codFee.toFixed(2)}</span>
+              </div>
+            )}
+
             {/* Subtotal */}
             <div className="flex items-center justify-between mb-4">
               <span className="text-gray-600">Subtotal</span>
               <span className="text-lg font-bold text-gray-800">
-                ${`${totalPrice.toFixed(2)}`}
+                ${totals.total.toFixed(2)}
               </span>
             </div>
             
+            {/* Stock Warning */}
+            {stockIssues.length > 0 && (
+              <div className="flex items-center gap-2 p-3 mb-4 rounded-xl bg-red-50 text-red-700 text-xs font-medium">
+                <AlertTriangle size={16} className="flex-shrink-0" />
+                Some items don't have enough stock. Update your cart to continue.
+              </div>
+            )}
+
             {/* Info Text */}
             <p className="text-xs text-gray-500 mb-4 text-center">
-              Shipping and taxes calculated at checkout
+              {untilFreeShipping > 0 && `Add $${untilFreeShipping.toFixed(2)} more for free shipping · `}
+              {totals.vatRate > 0 ? `Includes VAT (${totals.vatRate}%): $${totals.vat.toFixed(2)}` : 'No VAT applied'}
             </p>
             
             {/* Checkout Button */}
             <button
               onClick={handleCheckout}
-              className="w-full py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-xl hover:shadow-lg hover:shadow-[#9E3B3B]/25 transition-all duration-300 hover:-translate-y-0.5 active:scale-[0.98] mb-3"
+              disabled={stockIssues.length > 0}
+              className="w-full py-4 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-xl hover:shadow-lg hover:shadow-[#9E3B3B]/25 transition-all duration-300 hover:-translate-y-0.5 active:scale-[0.98] mb-3"
             >
               Proceed to Checkout
             </button>
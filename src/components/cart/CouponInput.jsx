@@ -0,0 +1,102 @@
+/**
+ * CouponInput.jsx
+ *
+ * Promo code field used in the CartSidebar and on the Checkout page.
+ * Looks the code up in MockAPI, checks it against the cart, then stores it in the cart slice.
+ * Once applied, shows the code with a remove button (and the reason if it stopped being valid).
+ */
+
+import { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Tag, X } from 'lucide-react';
+import { applyCoupon, removeCoupon } from '../../features/cart/cartSlice';
+import { selectCartItems, selectCartCoupon, selectCouponValidation, selectCartDiscount } from '../../features/cart/cartSelectors';
+import { findCouponByCode } from '../../features/coupons/couponsAPI';
+import { validateCoupon } from '../../features/coupons/couponUtils';
+
+export default function CouponInput() {
+  const dispatch = useDispatch();
+  const items = useSelector(selectCartItems);
+  const coupon = useSelector(selectCartCoupon);
+  const validation = useSelector(selectCouponValidation);
+  const discount = useSelector(selectCartDiscount);
+
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setIsChecking(true);
+    setError('');
+    try {
+      const found = await findCouponByCode(code);
+      const result = validateCoupon(found, items);
+      if (!result.valid) {
+        setError(result.error);
+        return;
+      }
+      dispatch(applyCoupon(found));
+      setCode('');
+    } catch {
+      setError('Could not check this code. Please try again.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Applied coupon: show code + amount, or why it no longer applies
+  if (coupon) {
+    return (
+      <div className="mb-4">
+        <div className="flex items-center justify-between px-4 py-3 rounded-xl bg-[#9E3B3B]/5 border border-[#9E3B3B]/10">
+          <span className="flex items-center gap-2 text-sm font-semibold text-[#9E3B3B]">
+            <Tag size={14} />
+            {coupon.code}
+          </span>
+          <div className="flex items-center gap-2">
+            {validation?.valid && (
+              <span className="text-sm font-medium text-emerald-600">-${discount.toFixed(2)}</span>
+            )}
+            <button
+              onClick={() => dispatch(removeCoupon())}
+              className="p-1 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-colors"
+              aria-label="Remove promo code"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        </div>
+        {!validation?.valid && (
+          <p className="mt-1 text-xs text-red-600">{validation?.error}</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleApply} className="mb-4">
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Tag size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => { setCode(e.target.value); setError(''); }}
+            placeholder="Promo code"
+            className="w-full pl-9 pr-3 py-2.5 rounded-xl border border-gray-200 text-sm uppercase placeholder:normal-case focus:border-[#9E3B3B] focus:ring-2 focus:ring-[#9E3B3B]/10 outline-none transition-all"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isChecking || !code.trim()}
+          className="px-4 py-2.5 rounded-xl bg-gray-900 text-white text-sm font-medium hover:bg-[#9E3B3B] disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isChecking ? '...' : 'Apply'}
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </form>
+  );
+}
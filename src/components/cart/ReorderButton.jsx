@@ -0,0 +1,59 @@
+/**
+ * ReorderButton.jsx
+ * Puts the lines of a past order back in the cart (My Orders pages).
+ * Uses fresh products so the current price and stock apply (per variant); archived, removed or sold-out products are skipped.
+ */
+
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { RotateCcw } from 'lucide-react';
+import { addToCart, openCart } from '../../features/cart/cartSlice';
+import { fetchProducts } from '../../features/products/productsThunks';
+import { getPurchaseOption, toCartPayload } from '../../features/products/productVariants';
+import { isPublished } from '../../features/products/productUtils';
+import { useToast } from '../Toast';
+
+export default function ReorderButton({ order, className = '' }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleReorder = async () => {
+    setIsLoading(true);
+    try {
+      const products = await dispatch(fetchProducts()).unwrap();
+      const skipped = [];
+      (order.items || []).forEach((item) => {
+        const product = products.find((p) => p.id === item.id);
+        if (!product || !isPublished(product) || (product.stock != null && getPurchaseOption(product, item.variantSku).stock <= 0)) {
+          skipped.push(item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name);
+          return;
+        }
+        dispatch(addToCart(toCartPayload(product, item.variantSku, item.quantity)));
+      });
+
+      if (skipped.length === (order.items || []).length) {
+        showToast('None of these products are available anymore.', 'error');
+        return;
+      }
+      if (skipped.length > 0) showToast(`Not available anymore: ${skipped.join(', ')}`, 'error');
+      else showToast('Items added to your cart!', 'success');
+      dispatch(openCart());
+    } catch {
+      showToast('Could not load products. Please try again.', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleReorder}
+      disabled={isLoading}
+      className={`inline-flex items-center justify-center gap-2 px-4 py-2.5 rounded-xl bg-gray-900 text-white text-sm font-medium hover:bg-[#9E3B3B] disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${className}`}
+    >
+      <RotateCcw size={14} />
+      {isLoading ? 'Adding…' : 'Reorder'}
+    </button>
+  );
+}
@@ -8,22 +8,45 @@ import {
   Menu,
   X,
   LogOut,
-  Shield
+  Shield,
+  Tag,
+  Truck,
+  Users,
+  History,
+  MessageSquare
 } from "lucide-react";
-import { clearAdminSession } from '../../utils/adminAuth';
+import { useToast } from '../Toast';
+import { getAdminSession, logoutAdmin, logoutAdminEverywhere, canAdmin } from '../../utils/adminAuth';
+import { ROLE_INFO } from '../../utils/adminRoles';
 
 export default function AdminSidebar() {
   const navigate = useNavigate();
+  const { showToast } = useToast();
   const [isOpen, setIsOpen] = useState(false);
 
   const toggleSidebar = () => setIsOpen(!isOpen);
   const closeSidebar = () => setIsOpen(false);
 
-  const handleLogout = () => {
-    clearAdminSession();
+  const admin = getAdminSession()?.admin;
+  const adminName = admin?.username || 'Admin';
+
+  const handleLogout = async () => {
+    await logoutAdmin();
     navigate('/');
   };
 
+  // Ends the sessions on every device; this one is logged out even if the server call fails
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out on all devices?')) return;
+    try {
+      await logoutAdminEverywhere();
+      showToast('Logged out on all devices', 'success');
+    } catch {
+      showToast('Other devices could not be logged out. Try again after logging in.', 'error');
+    }
+    navigate('/admin-login');
+  };
+
   // Navigation link style function
   const linkClass = ({ isActive }) => `
     flex items-center gap-3 px-4 py-3 rounded-xl transition-all duration-200
@@ -93,23 +116,82 @@ export default function AdminSidebar() {
               <span className="font-medium">Dashboard</span>
             </NavLink>
 
-            <NavLink
-              to="/manage"
-              onClick={closeSidebar}
-              className={linkClass}
-            >
-              <Package size={20} />
-              <span className="font-medium">Products</span>
-            </NavLink>
+            {canAdmin('products.view') && (
+              <NavLink
+                to="/manage"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <Package size={20} />
+                <span className="font-medium">Products</span>
+              </NavLink>
+            )}
 
-            <NavLink
-              to="/orders"
-              onClick={closeSidebar}
-              className={linkClass}
-            >
-              <ShoppingCart size={20} />
-              <span className="font-medium">Orders</span>
-            </NavLink>
+            {canAdmin('orders.view') && (
+              <NavLink
+                to="/orders"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <ShoppingCart size={20} />
+                <span className="font-medium">Orders</span>
+              </NavLink>
+            )}
+
+            {canAdmin('reviews') && (
+              <NavLink
+                to="/reviews"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <MessageSquare size={20} />
+                <span className="font-medium">Reviews</span>
+              </NavLink>
+            )}
+
+            {canAdmin('coupons') && (
+              <NavLink
+                to="/coupons"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <Tag size={20} />
+                <span className="font-medium">Promo Codes</span>
+              </NavLink>
+            )}
+
+            {canAdmin('pricing') && (
+              <NavLink
+                to="/pricing"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <Truck size={20} />
+                <span className="font-medium">Shipping & Tax</span>
+              </NavLink>
+            )}
+
+            {canAdmin('admins') && (
+              <NavLink
+                to="/admin-users"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <Users size={20} />
+                <span className="font-medium">Admins</span>
+              </NavLink>
+            )}
+
+            {canAdmin('activity') && (
+              <NavLink
+                to="/activity"
+                onClick={closeSidebar}
+                className={linkClass}
+              >
+                <History size={20} />
+                <span className="font-medium">Activity</span>
+              </NavLink>
+            )}
           </nav>
         </div>
 
@@ -133,16 +215,22 @@ export default function AdminSidebar() {
             <LogOut size={20} />
             <span className="font-medium">Logout</span>
           </button>
+          <button
+            onClick={handleLogoutEverywhere}
+            className="w-full px-4 py-1 text-left text-xs text-gray-400 hover:text-red-600 transition-colors"
+          >
+            Logout on all devices
+          </button>
 
           {/* Admin info */}
           <div className="mt-4 px-4 py-3 bg-gray-50 rounded-xl">
             <div className="flex items-center gap-3">
               <div className="w-8 h-8 rounded-full bg-gradient-to-br from-[#9E3B3B] to-[#ea7b7b] flex items-center justify-center text-white font-bold text-sm">
-                A
+                {adminName.charAt(0).toUpperCase()}
               </div>
               <div>
-                <p className="text-sm font-medium text-gray-800">Admin</p>
-                <p className="text-xs text-gray-400">Administrator</p>
+                <p className="text-sm font-medium text-gray-800">{adminName}</p>
+                <p className="text-xs text-gray-400">{ROLE_INFO[admin?.role]?.label || 'Administrator'}</p>
               </div>
             </div>
           </div>
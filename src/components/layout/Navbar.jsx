@@ -8,16 +8,24 @@ import {
   Sparkles,
   Menu,
   X,
-  LayoutDashboard
+  LayoutDashboard,
+  User,
+  Heart
 } from 'lucide-react';
 import { openCart } from '../../features/cart/cartSlice';
 import { selectCartQuantity } from '../../features/cart/cartSelectors';
 import { isAdminLoggedIn } from '../../utils/adminAuth';
+import { selectAccount } from '../../features/user/userSlice';
+import { selectWishlistCount } from '../../features/wishlist/wishlistSelectors';
+import { CATALOGUE_CATEGORIES, CATALOGUE_SKIN_TYPES, catalogueLink } from '../../features/products/catalogueQuery';
+import NavbarSearch from './NavbarSearch';
 
 export default function Navbar() {
   // Redux
   const dispatch = useDispatch();
   const cartQuantity = useSelector(selectCartQuantity);
+  const account = useSelector(selectAccount);
+  const wishlistCount = useSelector(selectWishlistCount);
 
   // Local state
   const [isAdmin, setIsAdmin] = useState(false);
@@ -79,12 +87,35 @@ export default function Navbar() {
               Home
             </NavLink>
 
-            <NavLink 
-              to="/catalogue" 
-              className={({ isActive }) => `${navLinkClass({ isActive })} ${isActive ? activeIndicator : ''}`}
-            >
-              Shop
-            </NavLink>
+            {/* Shop + dropdown of pre-filtered catalogue links */}
+            <div className="relative group">
+              <NavLink 
+                to="/catalogue" 
+                className={({ isActive }) => `${navLinkClass({ isActive })} ${isActive ? activeIndicator : ''}`}
+              >
+                Shop
+              </NavLink>
+              <div className="absolute left-1/2 -translate-x-1/2 top-full pt-3 hidden group-hover:block group-focus-within:block">
+                <div className="grid grid-cols-2 gap-6 w-80 p-5 bg-white rounded-2xl border border-gray-100 shadow-xl animate-fadeIn">
+                  <div>
+                    <p className="text-[10px] font-bold uppercase tracking-widest text-[#9E3B3B] mb-2">Category</p>
+                    {CATALOGUE_CATEGORIES.map((category) => (
+                      <Link key={category.value} to={catalogueLink({ categories: [category.value] })} className="block py-1.5 text-sm text-gray-600 hover:text-[#9E3B3B]">
+                        {category.label}
+                      </Link>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="text-[10px] font-bold uppercase tracking-widest text-[#9E3B3B] mb-2">Skin Type</p>
+                    {CATALOGUE_SKIN_TYPES.map((type) => (
+                      <Link key={type.value} to={catalogueLink({ skinTypes: [type.value] })} className="block py-1.5 text-sm text-gray-600 hover:text-[#9E3B3B]">
+                        {type.label}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
 
             <NavLink 
               to="/skin-quiz" 
@@ -102,6 +133,33 @@ export default function Navbar() {
           {/* ===== RIGHT SECTION ===== */}
           <div className="hidden md:flex items-center gap-4">
             
+            {/* Search with suggestions */}
+            <NavbarSearch className="w-40 lg:w-56 xl:w-64" />
+
+            {/* Account Link */}
+            <NavLink
+              to="/account"
+              className={({ isActive }) => `flex items-center gap-2 p-2.5 rounded-xl text-sm font-medium transition-colors hover:bg-[#9E3B3B]/5 ${isActive ? 'text-[#9E3B3B]' : 'text-gray-600 hover:text-[#9E3B3B]'}`}
+              aria-label="My account"
+            >
+              <User size={20} />
+              {account && <span className="max-w-[120px] truncate">{account.name.split(' ')[0]}</span>}
+            </NavLink>
+
+            {/* Wishlist Link with Badge */}
+            <NavLink
+              to="/wishlist"
+              className={({ isActive }) => `relative p-2.5 rounded-xl transition-colors hover:bg-[#9E3B3B]/5 ${isActive ? 'text-[#9E3B3B]' : 'text-gray-600 hover:text-[#9E3B3B]'}`}
+              aria-label={`Wishlist with ${wishlistCount} items`}
+            >
+              <Heart size={20} />
+              {wishlistCount > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 min-w-[20px] h-5 flex items-center justify-center px-1.5 text-xs font-bold text-white bg-gradient-to-r from-[#9E3B3B] to-[#c45858] rounded-full shadow-md shadow-[#9E3B3B]/30 animate-scaleIn">
+                  {wishlistCount > 99 ? '99+' : wishlistCount}
+                </span>
+              )}
+            </NavLink>
+
             {/* Shopping Cart Button with Badge */}
             <button 
               onClick={handleOpenCart}
@@ -182,6 +240,8 @@ export default function Navbar() {
       {isMobileOpen && (
         <div className="md:hidden bg-white border-t border-gray-100 animate-slideDown">
           <div className="px-4 py-4 space-y-1">
+            <NavbarSearch onNavigate={closeMobile} className="mb-3" />
+
             {/* Navigation Links */}
             <NavLink 
               to="/" 
@@ -204,6 +264,18 @@ export default function Navbar() {
             >
               Shop
             </NavLink>
+            <div className="flex flex-wrap gap-2 px-3 pb-2">
+              {CATALOGUE_CATEGORIES.map((category) => (
+                <Link
+                  key={category.value}
+                  to={catalogueLink({ categories: [category.value] })}
+                  onClick={closeMobile}
+                  className="px-3 py-1.5 rounded-full bg-gray-50 text-xs font-medium text-gray-600 hover:bg-[#9E3B3B]/10 hover:text-[#9E3B3B]"
+                >
+                  {category.label}
+                </Link>
+              ))}
+            </div>
 
             <NavLink 
               to="/skin-quiz" 
@@ -217,6 +289,30 @@ export default function Navbar() {
               Skin Quiz
             </NavLink>
 
+            <NavLink 
+              to="/account" 
+              onClick={closeMobile}
+              className={({ isActive }) => `
+                flex items-center gap-2 px-3 py-3 rounded-xl font-medium transition-colors
+                ${isActive ? 'bg-[#9E3B3B]/10 text-[#9E3B3B]' : 'text-gray-700 hover:bg-gray-50'}
+              `}
+            >
+              <User size={18} />
+              {account ? 'My Account' : 'Login / Sign Up'}
+            </NavLink>
+
+            <NavLink 
+              to="/wishlist" 
+              onClick={closeMobile}
+              className={({ isActive }) => `
+                flex items-center gap-2 px-3 py-3 rounded-xl font-medium transition-colors
+                ${isActive ? 'bg-[#9E3B3B]/10 text-[#9E3B3B]' : 'text-gray-700 hover:bg-gray-50'}
+              `}
+            >
+              <Heart size={18} />
+              Wishlist{wishlistCount > 0 && ` (${wishlistCount})`}
+            </NavLink>
+
             {/* Admin Dashboard Link */}
             {isAdmin && (
               <NavLink 
@@ -0,0 +1,231 @@
+/**
+ * NavbarSearch.jsx
+ * Global search box: as you type (debounced), suggests products (thumbnail, price), categories and concerns;
+ * when empty, shows recent searches. Arrow keys + Enter pick a suggestion; Enter alone opens the catalogue
+ * with the query (/catalogue?q=...).
+ */
+
+import { useEffect, useId, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { Search, Clock, Tag, Sparkles, X } from 'lucide-react';
+import { fetchProducts } from '../../features/products/productsThunks';
+import { selectVisibleShopProducts, selectShopSearchIndex } from '../../features/products/productsSelectors';
+import { searchProducts, textMatchesQuery, foldText } from '../../features/products/productSearch';
+import { CATALOGUE_CATEGORIES, catalogueLink } from '../../features/products/catalogueQuery';
+import { getPriceRange } from '../../features/products/productVariants';
+import { getProductImages } from '../../features/products/productImages';
+import { getProductConcerns } from '../../features/products/productUtils';
+import { loadRecentSearches, addRecentSearch, clearRecentSearches } from '../../features/products/recentSearches';
+import Highlight from '../shop/Highlight';
+
+const DEBOUNCE_MS = 200;
+const MAX_PRODUCTS = 5;
+const MAX_CONCERNS = 3;
+
+// Distinct concerns of the shop products ("Acné" and "acne" count once)
+function listConcerns(products) {
+  const byKey = new Map();
+  products.forEach((p) => {
+    getProductConcerns(p).forEach((v) => {
+      if (!byKey.has(foldText(v))) byKey.set(foldText(v), v);
+    });
+  });
+  return [...byKey.values()];
+}
+
+export default function NavbarSearch({ onNavigate, className = '' }) {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const listId = useId();
+  const { productsData, loading } = useSelector((state) => state.products);
+  const shopProducts = useSelector(selectVisibleShopProducts);
+  const searchIndex = useSelector(selectShopSearchIndex);
+
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recent, setRecent] = useState(loadRecentSearches);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query.trim()), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const concerns = useMemo(() => listConcerns(shopProducts), [shopProducts]);
+
+  // One flat list, in display order, so the arrow keys can walk through every group
+  const options = useMemo(() => {
+    if (!debouncedQuery) {
+      return recent.map((q) => ({ type: 'recent', key: `recent-${q}`, label: q, search: q }));
+    }
+    const categoryOptions = CATALOGUE_CATEGORIES
+      .filter((c) => textMatchesQuery(`${c.label} ${c.value}`, debouncedQuery))
+      .map((c) => ({ type: 'category', key: `category-${c.value}`, label: c.label, to: catalogueLink({ categories: [c.value] }) }));
+    const concernOptions = concerns
+      .filter((c) => textMatchesQuery(c, debouncedQuery))
+      .slice(0, MAX_CONCERNS)
+      // Concern facet values are folded keys (see catalogueFacets)
+      .map((c) => ({ type: 'concern', key: `concern-${c}`, label: c, to: catalogueLink({ concerns: [foldText(c)] }) }));
+    const productOptions = searchProducts(searchIndex, debouncedQuery)
+      .slice(0, MAX_PRODUCTS)
+      .map(({ product }) => ({ type: 'product', key: `product-${product.id}`, label: product.name, product, to: `/products/${product.id}` }));
+    return [...categoryOptions, ...concernOptions, ...productOptions];
+  }, [debouncedQuery, recent, concerns, searchIndex]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const go = (to, search) => {
+    if (search) setRecent(addRecentSearch(search));
+    setQuery('');
+    setDebouncedQuery('');
+    close();
+    navigate(to);
+    onNavigate?.();
+  };
+
+  const choose = (option) => {
+    if (option.to) go(option.to, debouncedQuery);
+    else go(catalogueLink({ search: option.search }), option.search);
+  };
+
+  const handleFocus = () => {
+    setIsOpen(true);
+    if (!productsData?.length && !loading) dispatch(fetchProducts());
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (options.length === 0) return;
+      // Cycles through the options and back to the input (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = options.length + 1;
+      setActiveIndex((i) => ((i + 1 + step + count) % count) - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && options[activeIndex]) choose(options[activeIndex]);
+      else if (query.trim()) go(catalogueLink({ search: query.trim() }), query.trim());
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const optionId = (index) => `${listId}-option-${index}`;
+  const showList = isOpen && (options.length > 0 || debouncedQuery !== '');
+
+  const renderOption = (option, index) => {
+    const active = index === activeIndex;
+    const base = `flex items-center gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm ${active ? 'bg-[#9E3B3B]/10 text-[#9E3B3B]' : 'text-gray-700 hover:bg-gray-50'}`;
+    let content;
+    if (option.type === 'product') {
+      const image = getProductImages(option.product)[0];
+      const price = getPriceRange(option.product);
+      content = (
+        <>
+          <span className="w-10 h-10 flex-shrink-0 rounded-md overflow-hidden bg-[#fffaf5] flex items-center justify-center">
+            {image ? <img src={image.url} alt="" className="w-full h-full object-cover" /> : <Sparkles className="w-4 h-4 text-[#9E3B3B]/30" />}
+          </span>
+          <span className="flex-1 min-w-0 truncate"><Highlight text={option.label} query={debouncedQuery} /></span>
+          <span className="font-semibold text-[#9E3B3B]">{price.max > price.min && 'From '}${price.min.toFixed(2)}</span>
+        </>
+      );
+    } else {
+      const Icon = option.type === 'recent' ? Clock : option.type === 'category' ? Tag : Sparkles;
+      content = (
+        <>
+          <Icon className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          <span className="flex-1 truncate">
+            {option.type === 'recent' ? option.label : <Highlight text={option.label} query={debouncedQuery} />}
+          </span>
+          {option.type !== 'recent' && <span className="text-xs text-gray-400">{option.type === 'category' ? 'Category' : 'Concern'}</span>}
+        </>
+      );
+    }
+    // preventDefault on mousedown keeps the focus in the input, so the list doesn't close before the click
+    return (
+      <li
+        key={option.key}
+        id={optionId(index)}
+        role="option"
+        aria-selected={active}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => choose(option)}
+        onMouseEnter={() => setActiveIndex(index)}
+        className={base}
+      >
+        {content}
+      </li>
+    );
+  };
+
+  const groupTitle = (title) => <li role="presentation" className="px-3 pt-2 pb-1 text-[10px] font-bold uppercase tracking-widest text-gray-400">{title}</li>;
+  // Categories and concerns come first, then products
+  const productStart = options.some((o) => o.type === 'product') ? options.findIndex((o) => o.type === 'product') : options.length;
+
+  return (
+    <div className={`relative ${className}`}>
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[#9E3B3B] pointer-events-none" />
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setActiveIndex(-1); setIsOpen(true); }}
+        onFocus={handleFocus}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        placeholder="Search products..."
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        aria-label="Search products"
+        className="w-full pl-9 pr-3 py-2 rounded-xl border border-gray-200 bg-gray-50 text-sm text-gray-700 placeholder:text-gray-400 focus:bg-white focus:border-[#9E3B3B] focus:ring-4 focus:ring-[#9E3B3B]/10 outline-none transition-all"
+      />
+
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute right-0 top-full mt-2 w-full min-w-[320px] max-h-[70vh] overflow-y-auto p-2 bg-white rounded-2xl border border-gray-100 shadow-xl z-50 animate-fadeIn"
+        >
+          {!debouncedQuery ? (
+            <>
+              <li role="presentation" className="flex items-center justify-between px-3 pt-2 pb-1">
+                <span className="text-[10px] font-bold uppercase tracking-widest text-gray-400">Recent searches</span>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => { clearRecentSearches(); setRecent([]); }}
+                  className="flex items-center gap-1 text-xs text-gray-400 hover:text-[#9E3B3B]"
+                >
+                  <X className="w-3 h-3" /> Clear
+                </button>
+              </li>
+              {options.map(renderOption)}
+            </>
+          ) : options.length === 0 ? (
+            <li role="presentation" className="px-3 py-4 text-sm text-gray-500 text-center">
+              No products found for “{debouncedQuery}”
+            </li>
+          ) : (
+            <>
+              {productStart > 0 && groupTitle('Suggestions')}
+              {options.slice(0, productStart).map(renderOption)}
+              {productStart < options.length && groupTitle('Products')}
+              {options.slice(productStart).map((option, i) => renderOption(option, productStart + i))}
+              <li role="presentation" className="mt-1 pt-2 border-t border-gray-100 px-3 pb-1 text-xs text-gray-400">
+                Press Enter to see all results
+              </li>
+            </>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,28 +1,34 @@
 /**
  * RecommendedProductCard
  *
- * Displays one recommended product with Add to Cart button.
- * Used in the Results screen for each routine step.
+ * Displays one recommended product with Add to Cart and wishlist buttons.
+ * Used in the Results screen for each routine step. A product archived since the quiz was saved
+ * is shown as no longer available (it cannot be bought).
  */
 
 import { useSelector } from 'react-redux';
 import { Sparkles, ShoppingBag, Check } from 'lucide-react';
 import { addToCart } from '../../features/cart/cartSlice';
 import { selectIsInCart } from '../../features/cart/cartSelectors';
+import { getDefaultVariant, getPriceRange, toCartPayload } from '../../features/products/productVariants';
+import { isPublished } from '../../features/products/productUtils';
 import { useToast } from '../Toast';
+import WishlistButton from '../shop/WishlistButton';
 
 export default function RecommendedProductCard({ stepKey, stepInfo, recommendation, product, dispatch }) {
   const { showToast } = useToast();
-  const isInCart = useSelector((state) => selectIsInCart(state, product?.id));
+  const variantSku = getDefaultVariant(product)?.sku || null;
+  const isInCart = useSelector((state) => selectIsInCart(state, product?.id, variantSku));
+  const isOutOfStock = (product?.stock ?? 0) <= 0;
+  const isAvailable = !!product && isPublished(product);
 
   const handleAddToCart = () => {
-    if (product) {
+    if (isAvailable && !isOutOfStock) {
       dispatch(addToCart({
-        id: product.id,
+        ...toCartPayload(product, variantSku),
         name: product.name || recommendation.name,
-        price: product.price || 0,
         imageUrl: product.imageUrl || product.image || '',
-        category: stepKey
+        category: stepKey,
       }));
       showToast(`${product.name || recommendation.name} added to cart!`, 'success');
     }
@@ -30,7 +36,7 @@ export default function RecommendedProductCard({ stepKey, stepInfo, recommendati
 
   const productName = product?.name || recommendation.name;
   const productImage = product?.imageUrl || product?.image;
-  const productPrice = product?.price?.toFixed(2) || '0.00';
+  const productPrice = product ? getPriceRange(product).min.toFixed(2) : '0.00';
 
   return (
     <div className="group bg-white rounded-2xl border-2 border-gray-200 overflow-hidden hover:shadow-xl hover:shadow-[#9E3B3B]/10 transition-all duration-500">
@@ -79,35 +85,46 @@ export default function RecommendedProductCard({ stepKey, stepInfo, recommendati
           </div>
         </div>
 
+        {product && !isAvailable && (
+          <p className="mt-4 pt-4 border-t border-gray-100 text-sm font-medium text-gray-500">No longer available</p>
+        )}
+
         {/* Price & Add to Cart */}
-        {product && (
+        {isAvailable && (
           <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-100">
             <div>
               <p className="text-xs text-gray-400">Price</p>
               <p className="text-2xl font-bold text-[#9E3B3B]">${productPrice}</p>
             </div>
 
-            <button
-              onClick={handleAddToCart}
-              disabled={isInCart}
-              className={
-                isInCart
-                  ? 'flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-semibold bg-emerald-100 text-emerald-700 cursor-default transition-all duration-300'
-                  : 'flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-semibold bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white hover:shadow-lg hover:shadow-[#9E3B3B]/30 hover:scale-105 transition-all duration-300'
-              }
-            >
-              {isInCart ? (
-                <>
-                  <Check size={16} />
-                  In Cart
-                </>
-              ) : (
-                <>
-                  <ShoppingBag size={16} />
-                  Add to Cart
-                </>
-              )}
-            </button>
+            <div className="flex items-center gap-2">
+              <WishlistButton product={product} className="w-10 h-10 border border-gray-200" />
+              <button
+                onClick={handleAddToCart}
+                disabled={isInCart || isOutOfStock}
+                className={
+                  isInCart
+                    ? 'flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-semibold bg-emerald-100 text-emerald-700 cursor-default transition-all duration-300'
+                    : isOutOfStock
+                    ? 'flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-semibold bg-gray-100 text-gray-400 cursor-not-allowed'
+                    : 'flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-semibold bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white hover:shadow-lg hover:shadow-[#9E3B3B]/30 hover:scale-105 transition-all duration-300'
+                }
+              >
+                {isInCart ? (
+                  <>
+                    <Check size={16} />
+                    In Cart
+                  </>
+                ) : isOutOfStock ? (
+                  'Out of Stock'
+                ) : (
+                  <>
+                    <ShoppingBag size={16} />
+                    Add to Cart
+                  </>
+                )}
+              </button>
+            </div>
           </div>
         )}
       </div>
@@ -9,6 +9,7 @@ import { useNavigate } from 'react-router-dom';
 import { Sparkles, RotateCcw, ChevronRight } from 'lucide-react';
 import { getAIProvider } from '../../services/aiRecommendation';
 import { skinTypeInfo, routineSteps } from '../../data/skinQuizData';
+import { catalogueLink } from '../../features/products/catalogueQuery';
 import RecommendedProductCard from './RecommendedProductCard';
 
 export default function ResultsScreen({
@@ -22,7 +23,7 @@ export default function ResultsScreen({
   const skinInfo = skinTypeInfo[quizResult.skinType];
   const skinTypeBorderClass = skinInfo?.color?.replace('text-', 'border-')?.split(' ')[2] || 'border-gray-200';
 
-  // Find product by ID from Redux store
+  // Find product by ID from Redux store (archived ones too: the card shows them as no longer available)
   const getProductById = (id) => productsData?.find((p) => p.id === id) || null;
 
   return (
@@ -111,10 +112,10 @@ export default function ResultsScreen({
         </button>
 
         <button
-          onClick={() => navigate('/catalogue')}
+          onClick={() => navigate(catalogueLink({ skinTypes: [quizResult.skinType, 'all types'] }))}
           className="inline-flex items-center justify-center gap-2 px-8 py-3 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-xl shadow-lg shadow-[#9E3B3B]/30 hover:shadow-xl hover:scale-105 transition-all duration-300"
         >
-          Shop Products
+          Shop for {skinInfo?.title || 'Your Skin'}
           <ChevronRight size={18} />
         </button>
       </div>
@@ -0,0 +1,151 @@
+/**
+ * ProductReviews.jsx
+ * Reviews section of ProductDetails: average rating, histogram, reviews filtered by skin type
+ * (the shopper's own quiz skin type is marked), and the review form for logged in customers.
+ */
+
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { BadgeCheck, MessageSquare } from 'lucide-react';
+import { getReviews } from '../../features/reviews/reviewsAPI';
+import { getPublishedReviews, summarizeRatings } from '../../features/reviews/reviewUtils';
+import { selectAccount, selectQuizResult } from '../../features/user/userSlice';
+import { skinTypeInfo } from '../../data/skinQuizData';
+import StarRating from './StarRating';
+import ReviewForm from './ReviewForm';
+
+const formatDate = (dateStr) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+
+function RatingSummary({ summary }) {
+  return (
+    <div className="flex flex-col sm:flex-row gap-6 sm:items-center">
+      <div className="text-center sm:pr-6 sm:border-r border-gray-100">
+        <p className="text-5xl font-bold text-gray-900">{summary.average.toFixed(1)}</p>
+        <StarRating value={summary.average} size={18} className="justify-center my-2" />
+        <p className="text-sm text-gray-500">{summary.count} review{summary.count === 1 ? '' : 's'}</p>
+      </div>
+      <div className="flex-1 space-y-1.5">
+        {[5, 4, 3, 2, 1].map((star) => (
+          <div key={star} className="flex items-center gap-3 text-sm">
+            <span className="w-10 text-gray-600">{star} star</span>
+            <div className="flex-1 h-2 rounded-full bg-gray-100 overflow-hidden">
+              <div className="h-full bg-[#9E3B3B]" style={{ width: `${summary.count ? (summary.histogram[star] / summary.count) * 100 : 0}%` }} />
+            </div>
+            <span className="w-8 text-right text-gray-500">{summary.histogram[star]}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ReviewItem({ review }) {
+  return (
+    <li className="py-5">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-2">
+        <StarRating value={review.rating} size={14} />
+        <span className="font-semibold text-gray-900 text-sm">{review.author}</span>
+        {review.verified && (
+          <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+            <BadgeCheck size={14} /> Verified purchase
+          </span>
+        )}
+        {skinTypeInfo[review.skinType] && (
+          <span className="px-2 py-0.5 rounded-full bg-[#9E3B3B]/10 text-[#9E3B3B] text-xs font-medium">{skinTypeInfo[review.skinType].title}</span>
+        )}
+        <span className="text-xs text-gray-400 ml-auto">{formatDate(review.createdAt)}</span>
+      </div>
+      <p className="text-gray-700 text-sm leading-relaxed whitespace-pre-line">{review.text}</p>
+    </li>
+  );
+}
+
+export default function ProductReviews({ product }) {
+  const account = useSelector(selectAccount);
+  const quizSkinType = useSelector(selectQuizResult)?.skinType;
+  // null while loading
+  const [reviews, setReviews] = useState(null);
+  const [skinFilter, setSkinFilter] = useState('all');
+
+  useEffect(() => {
+    let cancelled = false;
+    getReviews()
+      .then((data) => { if (!cancelled) setReviews(data); })
+      .catch(() => { if (!cancelled) setReviews([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const published = getPublishedReviews(reviews, product.id);
+  const shown = getPublishedReviews(reviews, product.id, skinFilter);
+  const summary = summarizeRatings(published);
+  const ownReview = account && (reviews || []).find((r) => String(r.productId) === String(product.id) && r.accountId === account.id);
+
+  const chipClass = (active) =>
+    `px-3 py-1.5 rounded-full text-xs font-medium border transition-colors ${
+      active ? 'bg-[#9E3B3B] text-white border-[#9E3B3B]' : 'bg-white text-gray-600 border-gray-200 hover:border-[#9E3B3B]'
+    }`;
+
+  return (
+    <section id="reviews" className="mt-16 border-t border-gray-100 pt-10 scroll-mt-24">
+      <h2 className="flex items-center gap-2 text-2xl font-bold text-gray-900 mb-6" style={{ fontFamily: 'Playfair Display, serif' }}>
+        <MessageSquare className="w-6 h-6 text-[#9E3B3B]" /> Reviews
+      </h2>
+
+      {reviews === null ? (
+        <p className="text-sm text-gray-500">Loading reviews...</p>
+      ) : (
+        <div className="grid lg:grid-cols-[1fr_380px] gap-10">
+          <div>
+            {summary.count > 0 ? <RatingSummary summary={summary} /> : <p className="text-gray-500">No reviews yet. Be the first to share your experience.</p>}
+
+            {summary.count > 0 && (
+              <>
+                <div className="flex flex-wrap gap-2 mt-8">
+                  <button onClick={() => setSkinFilter('all')} className={chipClass(skinFilter === 'all')}>All skin types ({published.length})</button>
+                  {Object.entries(skinTypeInfo).map(([key, info]) => {
+                    const count = published.filter((r) => r.skinType === key).length;
+                    return (
+                      <button key={key} onClick={() => setSkinFilter(key)} className={chipClass(skinFilter === key)}>
+                        {info.title}{key === quizSkinType ? ' (yours)' : ''} ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+                {shown.length === 0 ? (
+                  <p className="mt-6 text-sm text-gray-500">No reviews from customers with this skin type yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 mt-2">
+                    {shown.map((review) => <ReviewItem key={review.id} review={review} />)}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="bg-[#fffaf5] rounded-2xl border border-[#9E3B3B]/10 p-6 self-start">
+            {!account ? (
+              <p className="text-sm text-gray-600">
+                <Link to="/account" className="font-semibold text-[#9E3B3B] hover:underline">Log in</Link> to write a review.
+              </p>
+            ) : ownReview ? (
+              <p className="text-sm text-gray-600">
+                {ownReview.status === 'pending'
+                  ? 'Thanks for your review! It will appear once our team has checked it.'
+                  : 'You have already reviewed this product.'}
+              </p>
+            ) : (
+              <ReviewForm
+                product={product}
+                account={account}
+                defaultSkinType={quizSkinType}
+                onSubmitted={(review) => setReviews((prev) => [review, ...(prev || [])])}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { submitReview } from '../../features/reviews/reviewsAPI';
+import { validateReview, REVIEW_TEXT_MAX } from '../../features/reviews/reviewUtils';
+import { skinTypeInfo } from '../../data/skinQuizData';
+import { useToast } from '../Toast';
+import StarRating from './StarRating';
+
+/**
+ * Review form of the product page (logged in customers). The skin type defaults to the quiz result.
+ * onSubmitted receives the saved (pending) review.
+ */
+export default function ReviewForm({ product, account, defaultSkinType, onSubmitted }) {
+  const { showToast } = useToast();
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [skinType, setSkinType] = useState(defaultSkinType || '');
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateReview({ rating, text });
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+    setSubmitting(true);
+    try {
+      const review = await submitReview({ product, account, rating, text, skinType });
+      showToast('Review sent! It will appear after moderation.', 'success');
+      onSubmitted(review);
+    } catch {
+      showToast('Your review could not be sent. Please try again.', 'error');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <h3 className="font-bold text-gray-900">Write a review</h3>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Your rating</p>
+        <StarRating value={rating} size={24} onChange={setRating} />
+        {errors.rating && <p className="text-xs text-red-600 mt-1">{errors.rating}</p>}
+      </div>
+
+      <div>
+        <label htmlFor="review-skin-type" className="block text-sm font-medium text-gray-700 mb-1">Your skin type</label>
+        <select
+          id="review-skin-type"
+          value={skinType}
+          onChange={(e) => setSkinType(e.target.value)}
+          className="w-full border border-gray-200 rounded-xl p-2.5 text-sm bg-white focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none"
+        >
+          <option value="">Prefer not to say</option>
+          {Object.entries(skinTypeInfo).map(([key, info]) => (
+            <option key={key} value={key}>{info.title}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="review-text" className="block text-sm font-medium text-gray-700 mb-1">Your review</label>
+        <textarea
+          id="review-text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={5}
+          maxLength={REVIEW_TEXT_MAX}
+          placeholder="How did it work for your skin?"
+          className="w-full border border-gray-200 rounded-xl p-2.5 text-sm focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none"
+        />
+        {errors.text && <p className="text-xs text-red-600 mt-1">{errors.text}</p>}
+      </div>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full py-3 rounded-xl bg-[#9E3B3B] text-white font-semibold hover:bg-[#8a3333] transition-colors disabled:opacity-50"
+      >
+        {submitting ? 'Sending...' : 'Submit review'}
+      </button>
+    </form>
+  );
+}
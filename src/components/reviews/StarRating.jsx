@@ -0,0 +1,29 @@
+import { Star } from 'lucide-react';
+
+/**
+ * Five stars. Read-only by default (a fractional value fills part of a star, e.g. 4.3);
+ * with onChange it becomes a 1-5 picker.
+ */
+export default function StarRating({ value = 0, size = 16, onChange, className = '' }) {
+  return (
+    <div className={`flex gap-0.5 text-[#9E3B3B] ${className}`} aria-label={`${value} out of 5 stars`}>
+      {[1, 2, 3, 4, 5].map((star) => {
+        const fill = Math.max(0, Math.min(1, value - star + 1));
+        const icon = (
+          <span className="relative inline-block" style={{ width: size, height: size }}>
+            <Star size={size} className="absolute inset-0 text-gray-300" />
+            <span className="absolute inset-0 overflow-hidden" style={{ width: `${fill * 100}%` }}>
+              <Star size={size} fill="currentColor" />
+            </span>
+          </span>
+        );
+        if (!onChange) return <span key={star}>{icon}</span>;
+        return (
+          <button key={star} type="button" onClick={() => onChange(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`} className="hover:scale-110 transition-transform">
+            {icon}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+/**
+ * AvoidListEditor.jsx
+ * Manage the ingredients the shopper avoids (see features/user/avoidList): remove with the chip's x,
+ * add by typing or from the suggestions, and choose between hiding or flagging matching products.
+ * Used on the Account page and in the Catalogue (guests too: the list is saved on the device).
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { X, Plus } from 'lucide-react';
+import { selectAvoidList, selectHideAvoided, selectQuizResult } from '../../features/user/userSlice';
+import { saveAvoidListThunk } from '../../features/user/userThunks';
+import { AVOID_SUGGESTIONS, SENSITIVE_SKIN_SUGGESTIONS, addAvoidItems } from '../../features/user/avoidList';
+
+export default function AvoidListEditor() {
+  const dispatch = useDispatch();
+  const avoidList = useSelector(selectAvoidList);
+  const hideAvoided = useSelector(selectHideAvoided);
+  const quizResult = useSelector(selectQuizResult);
+  const [input, setInput] = useState('');
+
+  const save = (changes) => dispatch(saveAvoidListThunk(changes));
+  const add = (items) => save({ avoidList: addAvoidItems(avoidList, items) });
+  const remove = (item) => save({ avoidList: avoidList.filter((v) => v !== item) });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!input.trim()) return;
+    add([input]);
+    setInput('');
+  };
+
+  // The quiz asks about sensitivity to fragrances and actives: suggest the usual suspects
+  const isSensitive = quizResult?.skinType === 'sensitive' || quizResult?.concerns?.includes('sensitivity');
+  const quizSuggestions = isSensitive ? SENSITIVE_SKIN_SUGGESTIONS.filter((v) => !avoidList.includes(v)) : [];
+  const suggestions = AVOID_SUGGESTIONS.filter((v) => !avoidList.includes(v));
+
+  return (
+    <div className="space-y-4">
+      {avoidList.length > 0 ? (
+        <ul className="flex flex-wrap gap-2">
+          {avoidList.map((item) => (
+            <li key={item} className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-[#9E3B3B]/10 text-[#9E3B3B] text-sm font-medium capitalize">
+              {item}
+              <button type="button" onClick={() => remove(item)} className="p-0.5 rounded-full hover:bg-[#9E3B3B]/15" aria-label={`Stop avoiding ${item}`}>
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No ingredients yet. Products with an ingredient you add here are flagged everywhere in the shop.</p>
+      )}
+
+      {quizSuggestions.length > 0 && (
+        <p className="text-sm text-amber-800 bg-amber-50 rounded-xl px-3 py-2">
+          Your skin quiz shows sensitive skin.{' '}
+          <button type="button" onClick={() => add(quizSuggestions)} className="font-semibold underline">
+            Avoid {quizSuggestions.join(' and ')}
+          </button>
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Add an ingredient (e.g. retinol)"
+          aria-label="Ingredient to avoid"
+          className="flex-1 min-w-0 px-3 py-2 rounded-xl border border-gray-200 text-sm focus:border-[#9E3B3B] focus:ring-4 focus:ring-[#9E3B3B]/10 outline-none"
+        />
+        <button type="submit" className="flex items-center gap-1 px-4 py-2 rounded-xl bg-gray-900 text-white text-sm font-medium hover:bg-[#9E3B3B] transition-colors">
+          <Plus className="w-4 h-4" /> Add
+        </button>
+      </form>
+
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {suggestions.map((item) => (
+            <button
+              key={item}
+              type="button"
+              onClick={() => add([item])}
+              className="px-2.5 py-1 rounded-full border border-gray-200 text-xs text-gray-600 capitalize hover:border-[#9E3B3B] hover:text-[#9E3B3B] transition-colors"
+            >
+              + {item}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={hideAvoided}
+          onChange={(e) => save({ hideAvoided: e.target.checked })}
+          className="w-4 h-4 accent-[#9E3B3B]"
+        />
+        Hide these products in the shop (otherwise they are only flagged)
+      </label>
+    </div>
+  );
+}
@@ -6,17 +6,20 @@
  * Features:
  * - Category filter (by subcategory field)
  * - Skin Type filter (by skinType field)
- * - Clean UX with no count numbers
+ * - Price range, concerns, ingredients (with / without), free-from, in stock and best sellers
+ * - Every option shows how many products it would give (facets, see catalogueFacets)
  * - Sticky positioning
  */
 
-import { SlidersHorizontal, RotateCcw, X } from 'lucide-react';
+import { SlidersHorizontal, RotateCcw, X, Plus, Minus } from 'lucide-react';
 
 /* ============ Checkbox Filter Item ============ */
-function CheckboxItem({ label, checked, onChange }) {
+function CheckboxItem({ label, count, checked, onChange }) {
+  // Options with no result stay visible but greyed out (unless checked, so they can be unchecked)
+  const empty = count === 0 && !checked;
   return (
     // The label wraps everything - clicking anywhere triggers the hidden input
-    <label className="flex items-center gap-3 py-2 cursor-pointer group">
+    <label className={`flex items-center gap-3 py-2 cursor-pointer group ${empty ? 'opacity-40' : ''}`}>
       {/* Hidden real checkbox for accessibility */}
       <input 
         type="checkbox"
@@ -44,10 +47,78 @@ function CheckboxItem({ label, checked, onChange }) {
       }`}>
         {label}
       </span>
+      {count !== undefined && <span className="ml-auto text-xs text-gray-400">{count}</span>}
     </label>
   );
 }
 
+/* ============ Ingredient Item (none -> with -> without) ============ */
+function IngredientItem({ option, state, onClick }) {
+  const count = state === 'exclude' ? option.excludedCount : option.count;
+  const styles = {
+    include: 'bg-[#9E3B3B] border-[#9E3B3B] text-white',
+    exclude: 'bg-gray-700 border-gray-700 text-white',
+    none: 'border-gray-300 text-transparent group-hover:border-[#9E3B3B]/50',
+  };
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={`${option.label}: ${state === 'include' ? 'with' : state === 'exclude' ? 'without' : 'any'}`}
+      className={`w-full flex items-center gap-3 py-2 text-left group ${count === 0 && state === 'none' ? 'opacity-40' : ''}`}
+    >
+      <span className={`w-5 h-5 rounded border-2 flex items-center justify-center transition-all duration-200 ${styles[state]}`}>
+        {state === 'exclude' ? <Minus className="w-3 h-3" strokeWidth={3} /> : <Plus className="w-3 h-3" strokeWidth={3} />}
+      </span>
+      <span className={`text-sm capitalize ${state === 'none' ? 'text-gray-600 group-hover:text-gray-800' : 'text-gray-900 font-medium'} ${state === 'exclude' ? 'line-through' : ''}`}>
+        {option.label}
+      </span>
+      <span className="ml-auto text-xs text-gray-400">{count}</span>
+    </button>
+  );
+}
+
+/* ============ Price Range (two sliders on one track) ============ */
+function PriceRange({ bounds, min, max, onChange }) {
+  const low = min ?? bounds.min;
+  const high = max ?? bounds.max;
+  // A handle back on its bound removes that side of the filter
+  const change = (nextLow, nextHigh) =>
+    onChange(nextLow <= bounds.min ? null : nextLow, nextHigh >= bounds.max ? null : nextHigh);
+  const thumbClass = 'absolute inset-0 w-full appearance-none bg-transparent pointer-events-none [&::-webkit-slider-thumb]:pointer-events-auto [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-4 [&::-webkit-slider-thumb]:h-4 [&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-[#9E3B3B] [&::-webkit-slider-thumb]:cursor-pointer [&::-moz-range-thumb]:pointer-events-auto [&::-moz-range-thumb]:w-4 [&::-moz-range-thumb]:h-4 [&::-moz-range-thumb]:rounded-full [&::-moz-range-thumb]:bg-[#9E3B3B] [&::-moz-range-thumb]:border-0';
+
+  if (bounds.max <= bounds.min) return null;
+  return (
+    <div>
+      <div className="relative h-4">
+        <div className="absolute top-1/2 -translate-y-1/2 inset-x-0 h-1 rounded-full bg-gray-200" />
+        <input
+          type="range"
+          min={bounds.min}
+          max={bounds.max}
+          value={low}
+          onChange={(e) => change(Math.min(Number(e.target.value), high), high)}
+          aria-label="Minimum price"
+          className={thumbClass}
+        />
+        <input
+          type="range"
+          min={bounds.min}
+          max={bounds.max}
+          value={high}
+          onChange={(e) => change(low, Math.max(Number(e.target.value), low))}
+          aria-label="Maximum price"
+          className={thumbClass}
+        />
+      </div>
+      <div className="flex justify-between mt-2 text-xs text-gray-600">
+        <span>${low}</span>
+        <span>${high}</span>
+      </div>
+    </div>
+  );
+}
+
 /* ============ Filter Section ============ */
 function FilterSection({ title, children }) {
   return (
@@ -65,48 +136,39 @@ function FilterSection({ title, children }) {
 /* ============ Main FiltersSidebar Component ============ */
 export default function FiltersSidebar({
   filters,
+  facets,
   setFilters,
   onClearFilters
 }) {
-  // Category options - these match the actual subcategory values in database
-  const categories = [
-    { value: 'cleanser', label: 'Cleansers' },
-    { value: 'serum', label: 'Serums' },
-    { value: 'moisturizer', label: 'Moisturizers' },
-    { value: 'sunscreen', label: 'Sunscreen' }
-  ];
-
-  // Skin type options - these match the actual skinType values in database
-  const skinTypes = [
-    { value: 'dry', label: 'Dry' },
-    { value: 'oily', label: 'Oily' },
-    { value: 'sensitive', label: 'Sensitive' },
-    { value: 'normal', label: 'Normal' },
-    { value: 'all types', label: 'All Types' }
-  ];
-
-  // Toggle a category filter on/off
-  const toggleCategory = (categoryValue) => {
-    const isSelected = filters.categories.includes(categoryValue);
-    const newCategories = isSelected
-      ? filters.categories.filter(c => c !== categoryValue)  // Remove if selected
-      : [...filters.categories, categoryValue];               // Add if not selected
-    
-    setFilters({ ...filters, categories: newCategories });
+  // Toggle a value of a list filter (categories, skinTypes, concerns, exclude) on/off
+  const toggleValue = (key, value) => {
+    const isSelected = filters[key].includes(value);
+    const newValues = isSelected
+      ? filters[key].filter(v => v !== value)  // Remove if selected
+      : [...filters[key], value];              // Add if not selected
+
+    setFilters({ ...filters, [key]: newValues });
   };
 
-  // Toggle a skin type filter on/off
-  const toggleSkinType = (skinTypeValue) => {
-    const isSelected = filters.skinTypes.includes(skinTypeValue);
-    const newSkinTypes = isSelected
-      ? filters.skinTypes.filter(s => s !== skinTypeValue)   // Remove if selected
-      : [...filters.skinTypes, skinTypeValue];                // Add if not selected
-    
-    setFilters({ ...filters, skinTypes: newSkinTypes });
+  // Ingredients cycle: any -> with -> without -> any
+  const ingredientState = (value) =>
+    filters.include.includes(value) ? 'include' : filters.exclude.includes(value) ? 'exclude' : 'none';
+  const cycleIngredient = (value) => {
+    const state = ingredientState(value);
+    const include = filters.include.filter(v => v !== value);
+    const exclude = filters.exclude.filter(v => v !== value);
+    if (state === 'none') include.push(value);
+    else if (state === 'include') exclude.push(value);
+    setFilters({ ...filters, include, exclude });
   };
 
+  // Dragging a slider replaces the history entry instead of adding one per step
+  const setPrice = (priceMin, priceMax) => setFilters({ ...filters, priceMin, priceMax }, { replace: true });
+
   // Check if any filters are active
-  const hasActiveFilters = filters.categories.length > 0 || filters.skinTypes.length > 0;
+  const hasActiveFilters = filters.categories.length > 0 || filters.skinTypes.length > 0 || filters.concerns.length > 0
+    || filters.include.length > 0 || filters.exclude.length > 0 || filters.priceMin != null || filters.priceMax != null
+    || filters.inStock || filters.bestSellers;
 
   return (
     <div className="bg-white rounded-xl p-5 border border-[#9E3B3B]/10 shadow-lg">
@@ -129,29 +191,97 @@ export default function FiltersSidebar({
         )}
       </div>
 
-      {/* Category Filter */}
-      <FilterSection title="Category" className="text-[#9E3B3B]">
-        {categories.map(category => (
+      {/* Availability */}
+      <FilterSection title="Show only">
+        <CheckboxItem
+          label="In stock"
+          count={facets.inStock}
+          checked={filters.inStock}
+          onChange={() => setFilters({ ...filters, inStock: !filters.inStock })}
+        />
+        <CheckboxItem
+          label="Best sellers"
+          count={facets.bestSellers}
+          checked={filters.bestSellers}
+          onChange={() => setFilters({ ...filters, bestSellers: !filters.bestSellers })}
+        />
+      </FilterSection>
+
+      {/* Price Filter */}
+      {facets.price.max > facets.price.min && (
+        <FilterSection title="Price">
+          <PriceRange bounds={facets.price} min={filters.priceMin} max={filters.priceMax} onChange={setPrice} />
+        </FilterSection>
+      )}
+
+      {/* Category Filter - options match the subcategory values in database (shared with the deep links) */}
+      <FilterSection title="Category">
+        {facets.categories.map(category => (
           <CheckboxItem
             key={category.value}
             label={category.label}
+            count={category.count}
             checked={filters.categories.includes(category.value)}
-            onChange={() => toggleCategory(category.value)}
+            onChange={() => toggleValue('categories', category.value)}
           />
         ))}
       </FilterSection>
 
       {/* Skin Type Filter */}
-      <FilterSection title="Skin Type" className="text-[#9E3B3B]">
-        {skinTypes.map(skinType => (
+      <FilterSection title="Skin Type">
+        {facets.skinTypes.map(skinType => (
           <CheckboxItem
             key={skinType.value}
             label={skinType.label}
+            count={skinType.count}
             checked={filters.skinTypes.includes(skinType.value)}
-            onChange={() => toggleSkinType(skinType.value)}
+            onChange={() => toggleValue('skinTypes', skinType.value)}
+          />
+        ))}
+      </FilterSection>
+
+      {/* Concern Filter - from the products' concerns */}
+      {facets.concerns.length > 0 && (
+        <FilterSection title="Concern">
+          {facets.concerns.map(concern => (
+            <CheckboxItem
+              key={concern.value}
+              label={<span className="capitalize">{concern.label}</span>}
+              count={concern.count}
+              checked={filters.concerns.includes(concern.value)}
+              onChange={() => toggleValue('concerns', concern.value)}
+            />
+          ))}
+        </FilterSection>
+      )}
+
+      {/* Free-from presets */}
+      <FilterSection title="Free from">
+        {facets.freeFrom.map(option => (
+          <CheckboxItem
+            key={option.value}
+            label={option.label}
+            count={option.count}
+            checked={filters.exclude.includes(option.value)}
+            onChange={() => toggleValue('exclude', option.value)}
           />
         ))}
-      </FilterSection>  
+      </FilterSection>
+
+      {/* Ingredient Filter - most common ingredients of the products */}
+      {facets.ingredients.length > 0 && (
+        <FilterSection title="Ingredients">
+          <p className="text-[11px] text-gray-400 mb-1">Click once to require, twice to exclude</p>
+          {facets.ingredients.map(option => (
+            <IngredientItem
+              key={option.value}
+              option={option}
+              state={ingredientState(option.value)}
+              onClick={() => cycleIngredient(option.value)}
+            />
+          ))}
+        </FilterSection>
+      )}
     </div>
   );
 }
@@ -161,6 +291,7 @@ export function MobileFilterDrawer({
   isOpen,
   onClose,
   filters,
+  facets,
   setFilters,
   onClearFilters,
   resultCount
@@ -191,6 +322,7 @@ export function MobileFilterDrawer({
         <div className="p-4 overflow-y-auto h-[calc(100%-140px)]">
           <FiltersSidebar
             filters={filters}
+            facets={facets}
             setFilters={setFilters}
             onClearFilters={onClearFilters}
           />
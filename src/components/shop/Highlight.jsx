@@ -0,0 +1,11 @@
+import { highlightParts } from '../../features/products/productSearch';
+
+/**
+ * Text with the words matching the search query highlighted (accents and small typos included).
+ */
+export default function Highlight({ text, query }) {
+  if (!query) return text;
+  return highlightParts(text, query).map((part, i) =>
+    part.match ? <mark key={i} className="bg-[#9E3B3B]/15 text-inherit rounded-sm px-0.5">{part.text}</mark> : part.text
+  );
+}
@@ -1,31 +1,40 @@
 import { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
-import { ShoppingBag, Check, Sparkles } from 'lucide-react';
+import { ShoppingBag, Check, Sparkles, AlertTriangle } from 'lucide-react';
 import { addToCart, openCart } from '../../features/cart/cartSlice';
 import { selectIsInCart } from '../../features/cart/cartSelectors';
+import { getDefaultVariant, getPriceRange, toCartPayload } from '../../features/products/productVariants';
+import { getProductImages, getImageAlt } from '../../features/products/productImages';
 import { useToast } from '../Toast';
+import StarRating from '../reviews/StarRating';
+import WishlistButton from './WishlistButton';
+import Highlight from './Highlight';
+import { findHiddenMatch } from '../../features/products/productSearch';
+import { selectAvoidList } from '../../features/user/userSlice';
+import { getAvoidedIngredients } from '../../features/user/avoidList';
 
-export default function ProductCard({ product }) {
+// highlight: the catalogue search query, whose matches are highlighted on the card
+export default function ProductCard({ product, highlight = '' }) {
   const dispatch = useDispatch();
   const { showToast } = useToast();
   const [isHovered, setIsHovered] = useState(false);
   
+  // Quick add uses the first variant in stock (products with sizes / shades)
+  const variantSku = getDefaultVariant(product)?.sku || null;
+  const priceRange = product ? getPriceRange(product) : { min: 0, max: 0 };
+
   // Check if product is already in cart
-  const isInCart = useSelector(state => selectIsInCart(state, product?.id));
+  const isInCart = useSelector(state => selectIsInCart(state, product?.id, variantSku));
+  const isOutOfStock = (product?.stock ?? 0) <= 0;
+  const avoidList = useSelector(selectAvoidList);
 
   // Handle add to cart
   const handleAddToCart = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    if (product) {
-      dispatch(addToCart({
-        id: product.id,
-        name: product.name,
-        price: product.price || 0,
-        imageUrl: product.imageUrl || '',
-        category: product.subcategory || ''
-      }));
+    if (product && !isOutOfStock) {
+      dispatch(addToCart(toCartPayload(product, variantSku)));
       showToast(`${product.name} added to cart!`, 'success');
       dispatch(openCart());
     }
@@ -39,6 +48,9 @@ export default function ProductCard({ product }) {
 
   if (!product) return null;
 
+  const hiddenMatch = highlight ? findHiddenMatch(product, highlight) : null;
+  const avoided = getAvoidedIngredients(product, avoidList);
+
   return (
     <div
       className="group relative h-full w-full bg-white rounded-xl overflow-hidden border-2 border-gray-200 
@@ -53,7 +65,7 @@ export default function ProductCard({ product }) {
         {product.imageUrl ? (
           <img
             src={product.imageUrl}
-            alt={product.name}
+            alt={getImageAlt(getProductImages(product)[0], product)}
             className={`w-full h-full object-cover transition-transform duration-500 ${
               isHovered ? 'scale-105' : 'scale-100'
             }`}
@@ -72,6 +84,22 @@ export default function ProductCard({ product }) {
             </span>
           </div>
         )}
+
+        {/* Avoid list warning - Bottom Left */}
+        {avoided.length > 0 && (
+          <div className="absolute bottom-3 left-3 right-3 z-10">
+            <span
+              title={`Contains ${avoided.join(', ')}`}
+              className="inline-flex items-center gap-1 max-w-full px-2.5 py-1 bg-amber-100/95 text-amber-800 text-xs font-medium rounded-full shadow-sm"
+            >
+              <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+              <span className="truncate">Contains {avoided.join(', ')}</span>
+            </span>
+          </div>
+        )}
+
+        {/* Wishlist - Top Right */}
+        <WishlistButton product={product} size={16} className="absolute top-3 right-3 z-10 w-8 h-8" />
       </Link>
 
       {/* Content - Less padding */}
@@ -80,18 +108,32 @@ export default function ProductCard({ product }) {
         <Link to={`/products/${product.id}`}>
           <h3 className="font-semibold text-gray-900 text-base mb-1 group-hover:text-[#9E3B3B] transition-colors duration-300 line-clamp-1" 
               style={{ fontFamily: 'Playfair Display, serif' }}>
-            {product.name}
+            <Highlight text={product.name} query={highlight} />
           </h3>
         </Link>
 
-        {/* Short Description - 1 line max */}
-        <p className="text-gray-500 text-xs mb-3 line-clamp-1">
-          {product.description || 'Premium skincare for your needs'}
-        </p>
+        {/* Short Description - 1 line max, or why the product matched the search (ingredient, concern...) */}
+        {hiddenMatch ? (
+          <p className="text-gray-500 text-xs mb-3 line-clamp-1">
+            {hiddenMatch.label}: <Highlight text={hiddenMatch.text} query={highlight} />
+          </p>
+        ) : (
+          <p className="text-gray-500 text-xs mb-3 line-clamp-1">
+            <Highlight text={product.description || 'Premium skincare for your needs'} query={highlight} />
+          </p>
+        )}
+
+        {/* Rating (stored on the product when reviews are moderated) */}
+        {product.reviewCount > 0 && (
+          <div className="flex items-center gap-1.5 mb-2">
+            <StarRating value={product.rating} size={12} />
+            <span className="text-[11px] text-gray-500">({product.reviewCount})</span>
+          </div>
+        )}
 
         {/* Price */}
         <p className="text-lg font-bold text-[#9E3B3B] mb-3">
-          ${product.price?.toFixed(2) || '0.00'}
+          {priceRange.max > priceRange.min && 'From '}${priceRange.min.toFixed(2)}
         </p>
 
         {/* Action Buttons */}
@@ -99,14 +141,18 @@ export default function ProductCard({ product }) {
           {/* Add to Cart Button */}
           <button
             onClick={handleAddToCart}
-            disabled={isInCart}
+            disabled={isInCart || isOutOfStock}
             className={`flex-1 flex items-center justify-center gap-1.5 px-3 py-2.5 rounded-lg text-xs font-semibold transition-all duration-300 ${
               isInCart
                 ? 'bg-gray-200 text-emerald-600 cursor-default'
-                : 'bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white hover:shadow-md hover:shadow-[#9E3B3B]/25 active:scale-95'
+                : isOutOfStock
+                  ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                  : 'bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white hover:shadow-md hover:shadow-[#9E3B3B]/25 active:scale-95'
             }`}
           >
-            {isInCart ? (
+            {isOutOfStock && !isInCart ? (
+              'Out of Stock'
+            ) : isInCart ? (
               <>
                 <Check className="w-3.5 h-3.5" />
                 Added
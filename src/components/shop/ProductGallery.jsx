@@ -0,0 +1,74 @@
+/**
+ * ProductGallery.jsx
+ * Product page images: the selected image (zoomed under the mouse on hover, or by tapping it on touch screens)
+ * and a row of thumbnails when the product has several images. Badges are passed as children.
+ */
+
+import { useState } from 'react';
+import { Sparkles, ZoomIn } from 'lucide-react';
+import { getProductImages, getImageAlt } from '../../features/products/productImages';
+
+const ZOOM_SCALE = 2.2;
+
+export default function ProductGallery({ product, children }) {
+  const images = getProductImages(product);
+  const [selected, setSelected] = useState(0);
+  // Zoom origin in % of the image while zoomed, null otherwise
+  const [zoom, setZoom] = useState(null);
+  const index = Math.min(selected, images.length - 1);
+  const image = images[index];
+
+  const originAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: ((e.clientX - rect.left) / rect.width) * 100, y: ((e.clientY - rect.top) / rect.height) * 100 };
+  };
+
+  return (
+    <div>
+      <div
+        className={`relative aspect-square rounded-3xl overflow-hidden bg-gradient-to-br from-[#fffaf5] to-[#fff5ee] border border-gray-100 shadow-2xl shadow-gray-200/50 ${image ? (zoom ? 'cursor-zoom-out' : 'cursor-zoom-in') : ''}`}
+        onPointerMove={(e) => image && e.pointerType === 'mouse' && setZoom(originAt(e))}
+        onPointerLeave={(e) => e.pointerType === 'mouse' && setZoom(null)}
+        onPointerUp={(e) => image && e.pointerType !== 'mouse' && setZoom((z) => (z ? null : originAt(e)))}
+      >
+        {image ? (
+          <img
+            src={image.url}
+            alt={getImageAlt(image, product)}
+            className="w-full h-full object-cover transition-transform duration-200"
+            style={zoom ? { transform: `scale(${ZOOM_SCALE})`, transformOrigin: `${zoom.x}% ${zoom.y}%` } : undefined}
+          />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center">
+            <Sparkles className="w-24 h-24 text-[#9E3B3B]/20" />
+          </div>
+        )}
+        {image && !zoom && (
+          <span className="absolute bottom-4 right-4 p-2 rounded-full bg-white/80 text-gray-600 shadow">
+            <ZoomIn className="w-4 h-4" />
+          </span>
+        )}
+        {children}
+      </div>
+
+      {images.length > 1 && (
+        <div className="flex gap-3 mt-4 overflow-x-auto pb-1">
+          {images.map((img, i) => (
+            <button
+              key={img.url}
+              type="button"
+              onClick={() => { setSelected(i); setZoom(null); }}
+              aria-label={`Show image ${i + 1}`}
+              aria-current={i === index}
+              className={`flex-shrink-0 w-20 h-20 rounded-xl overflow-hidden border-2 transition-all ${
+                i === index ? 'border-[#9E3B3B] shadow-md' : 'border-transparent opacity-70 hover:opacity-100'
+              }`}
+            >
+              <img src={img.url} alt={getImageAlt(img, product)} className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
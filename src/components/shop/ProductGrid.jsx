@@ -61,7 +61,7 @@ function EmptyState({ onClearFilters }) {
 }
 
 /* ============ Main ProductGrid Component ============ */
-export default function ProductGrid({ products, loading, onClearFilters }) {
+export default function ProductGrid({ products, loading, onClearFilters, highlight = '' }) {
   // Loading state - show skeletons
   if (loading) {
     return (
@@ -82,7 +82,7 @@ export default function ProductGrid({ products, loading, onClearFilters }) {
   return (
     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5">
       {products.map(product => (
-        <ProductCard key={product.id} product={product} />
+        <ProductCard key={product.id} product={product} highlight={highlight} />
       ))}
     </div>
   );
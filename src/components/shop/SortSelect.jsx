@@ -2,20 +2,15 @@
  * SortSelect.jsx
  * 
  * A clean dropdown for sorting products.
- * Options:
- * - Price: Low to High
- * - Price: High to Low
+ * Options come from productSort (Featured, best selling, newest, top rated, best match for my skin,
+ * A to Z, price). "Best match for my skin" is only offered with a saved quiz result (hasQuizResult).
  */
 
 import { ChevronDown, ArrowUpDown } from 'lucide-react';
+import { SORT_OPTIONS } from '../../features/products/productSort';
 
-export default function SortSelect({ value, onChange }) {
-  // Sort options as requested
-  const sortOptions = [
-    { value: 'default', label: 'Featured' },
-    { value: 'price-low', label: 'Price: Low to High' },
-    { value: 'price-high', label: 'Price: High to Low' }
-  ];
+export default function SortSelect({ value, onChange, hasQuizResult = false }) {
+  const sortOptions = SORT_OPTIONS.filter(option => !option.needsQuiz || hasQuizResult);
 
   return (
     <div className="relative">
@@ -0,0 +1,34 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { Heart } from 'lucide-react';
+import { toggleWishlist } from '../../features/wishlist/wishlistThunks';
+import { selectIsInWishlist } from '../../features/wishlist/wishlistSelectors';
+import { useToast } from '../Toast';
+
+/**
+ * Heart toggle that saves a product to the wishlist (or removes it).
+ * Safe inside a product Link: the click does not open the product.
+ */
+export default function WishlistButton({ product, size = 18, className = '' }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const isSaved = useSelector((state) => selectIsInWishlist(state, product.id));
+
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dispatch(toggleWishlist(product.id));
+    showToast(isSaved ? `${product.name} removed from your wishlist` : `${product.name} saved to your wishlist`, 'success');
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={isSaved}
+      aria-label={isSaved ? 'Remove from wishlist' : 'Save to wishlist'}
+      className={`flex items-center justify-center rounded-full bg-white/90 backdrop-blur-sm shadow-sm transition-all hover:scale-110 ${className}`}
+    >
+      <Heart size={size} className={isSaved ? 'text-[#9E3B3B] fill-current' : 'text-gray-500'} />
+    </button>
+  );
+}
@@ -0,0 +1,28 @@
+/*MockAPI calls for the admin audit log: list entries, record one. The acting admin comes from the admin session.*/
+
+import axios from 'axios';
+import { buildAuditEntry } from './auditUtils';
+import { getAdminSession } from '../../utils/adminAuth';
+
+const AUDIT_BASE =
+  import.meta.env.VITE_MOCKAPI_AUDIT_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/auditLogs';
+
+/*All audit entries, newest first.*/
+export async function getAuditLogs() {
+  const { data } = await axios.get(AUDIT_BASE);
+  return (Array.isArray(data) ? data : []).sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+/*Record a change (see buildAuditEntry for the params). A failed write is logged, not thrown:
+  the change itself already happened and must not look failed to the admin.*/
+export async function recordAudit(params) {
+  const entry = buildAuditEntry({ actor: getAdminSession()?.admin.username || 'unknown', ...params });
+  try {
+    const { data } = await axios.post(AUDIT_BASE, entry);
+    return data;
+  } catch (err) {
+    console.error('Audit log entry could not be saved', entry, err);
+    return null;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * auditUtils.js
+ * Audit log entries: who changed what, when, with a field-by-field before/after diff.
+ * Entry shape: { entity, entityId, label, action, actor, at, changes: [{ field, from, to }] }
+ */
+
+export const AUDIT_ENTITIES = {
+  product: { label: 'Products' },
+  order: { label: 'Orders' },
+  review: { label: 'Reviews' },
+  session: { label: 'Logins' },
+};
+
+// Fields that change on every save and say nothing about the edit
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two versions of a record. Missing side (create / delete) = undefined.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field) && !sameValue(before?.[field], after?.[field]))
+    .map((field) => ({ field, from: before?.[field], to: after?.[field] }));
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.entity - key of AUDIT_ENTITIES
+ * @param {string} params.action - e.g. 'create', 'update', 'archive', 'restore', 'status', 'login'
+ * @param {string} params.actor - admin username
+ * @param {string} [params.entityId]
+ * @param {string} [params.label] - readable name (product name, order number)
+ * @param {Object|null} [params.before]
+ * @param {Object|null} [params.after]
+ * @param {Date} [params.now]
+ */
+export function buildAuditEntry({ entity, action, actor, entityId = null, label = '', before = null, after = null, now = new Date() }) {
+  return {
+    entity,
+    entityId: entityId != null ? String(entityId) : null,
+    label,
+    action,
+    actor,
+    at: now.toISOString(),
+    changes: diffChanges(before, after),
+  };
+}
+
+// Short text for a diff value in the Activity page
+export function formatAuditValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
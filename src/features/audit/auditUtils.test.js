@@ -0,0 +1,32 @@
+/**
+ * Tests for audit log entries: the before/after diff of a change.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { diffChanges, buildAuditEntry } from './auditUtils';
+
+describe('diffChanges', () => {
+  test('lists only the fields that changed, ignoring ids and timestamps', () => {
+    const before = { id: '1', name: 'Serum', price: 20, tags: ['dry'], updatedAt: 'a' };
+    const after = { id: '1', name: 'Serum', price: 25, tags: ['dry'], updatedAt: 'b' };
+    expect(diffChanges(before, after)).toEqual([{ field: 'price', from: 20, to: 25 }]);
+  });
+
+  test('a create or delete shows every field against nothing', () => {
+    expect(diffChanges(null, { id: '2', name: 'Mask' })).toEqual([{ field: 'name', from: undefined, to: 'Mask' }]);
+    expect(diffChanges({ name: 'Mask' }, null)).toEqual([{ field: 'name', from: 'Mask', to: undefined }]);
+  });
+});
+
+describe('buildAuditEntry', () => {
+  test('records the actor, time and diff', () => {
+    const entry = buildAuditEntry({
+      entity: 'order', action: 'status', actor: 'sara', entityId: 12,
+      before: { status: 'pending' }, after: { status: 'confirmed' }, now: new Date('2026-05-01T10:00:00Z'),
+    });
+    expect(entry).toEqual({
+      entity: 'order', entityId: '12', label: '', action: 'status', actor: 'sara', at: '2026-05-01T10:00:00.000Z',
+      changes: [{ field: 'status', from: 'pending', to: 'confirmed' }],
+    });
+  });
+});
@@ -9,33 +9,41 @@
  * - Quantity increase/decrease buttons
  * - Smooth hover effects
  * - Remove item functionality
+ * - Stock warnings (quantity capped at stock, flag when stock changed)
+ * - Variant label (e.g. 50ml) for products sold in several sizes / shades
  */
 
 import { useDispatch } from 'react-redux';
 import { Minus, Plus, Trash2 } from 'lucide-react';
 import { increaseQuantity, decreaseQuantity, removeFromCart } from './cartSlice';
+import { getLineKey } from '../products/productVariants';
 
 export default function CartItem({ item }) {
   const dispatch = useDispatch();
   
   // Destructure item data
-  const { id, name, price, imageUrl, quantity } = item;
+  const { id, variantSku, variantLabel, name, price, imageUrl, quantity, stock, stockChanged } = item;
+  const key = getLineKey(id, variantSku);
   
   // Calculate item total (price × quantity)
   const itemTotal = price * quantity;
+
+  // Stock state: null stock = not synced yet, so no limit shown
+  const isOverStock = stock != null && quantity > stock;
+  const isAtStockLimit = stock != null && quantity >= stock;
   
   // ===== EVENT HANDLERS =====
   
   const handleIncrease = () => {
-    dispatch(increaseQuantity(id));
+    dispatch(increaseQuantity(key));
   };
   
   const handleDecrease = () => {
-    dispatch(decreaseQuantity(id));
+    dispatch(decreaseQuantity(key));
   };
   
   const handleRemove = () => {
-    dispatch(removeFromCart(id));
+    dispatch(removeFromCart(key));
   };
   
   return (
@@ -66,9 +74,12 @@ export default function CartItem({ item }) {
         
         {/* Name & Remove Button Row */}
         <div className="flex items-start justify-between gap-2">
-          <h4 className="font-medium text-gray-800 text-sm leading-tight line-clamp-2 font-serif">
-            {name}
-          </h4>
+          <div>
+            <h4 className="font-medium text-gray-800 text-sm leading-tight line-clamp-2 font-serif">
+              {name}
+            </h4>
+            {variantLabel && <p className="text-xs text-gray-500 mt-0.5">{variantLabel}</p>}
+          </div>
           
           {/* Remove Button */}
           <button
@@ -116,7 +127,15 @@ export default function CartItem({ item }) {
             {/* Increase Button */}
             <button
               onClick={handleIncrease}
-              className="w-7 h-7 rounded-lg flex items-center justify-center bg-[#fff0eb] text-[#9E3B3B] hover:bg-[#9E3B3B] hover:text-white transition-all duration-200 active:scale-95"
+              disabled={isAtStockLimit}
+              className={`
+                w-7 h-7 rounded-lg flex items-center justify-center
+                transition-all duration-200
+                ${isAtStockLimit
+                  ? 'bg-gray-100 text-gray-300 cursor-not-allowed'
+                  : 'bg-[#fff0eb] text-[#9E3B3B] hover:bg-[#9E3B3B] hover:text-white active:scale-95'
+                }
+              `}
               aria-label="Increase quantity"
             >
               <Plus size={14} />
@@ -128,6 +147,17 @@ export default function CartItem({ item }) {
         <p className="text-sm font-semibold text-[#9E3B3B] mt-1">
           ${`${itemTotal.toFixed(2)}`}
         </p>
+
+        {/* Stock Warning */}
+        {isOverStock ? (
+          <p className="text-xs font-medium text-red-600 mt-1">
+            {stock === 0 ? 'Out of stock - please remove this item' : `Only ${stock} left - please reduce the quantity`}
+          </p>
+        ) : stockChanged && (
+          <p className="text-xs font-medium text-amber-600 mt-1">
+            Stock updated: {stock} left
+          </p>
+        )}
       </div>
     </div>
   );
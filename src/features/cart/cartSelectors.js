@@ -1,3 +1,6 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { validateCoupon, computeDiscount } from '../coupons/couponUtils';
+import { getLineKey } from '../products/productVariants';
 
 export const selectCartItems = (state) => state.cart.items;
 
@@ -5,15 +8,37 @@ export const selectCartQuantity = (state) => state.cart.totalQuantity;
 
 export const selectCartTotal = (state) => state.cart.totalPrice;
 
+export const selectCartCoupon = (state) => state.cart.coupon;
+
+// Coupon check against the current cart (it may stop being valid, e.g. below the minimum spend)
+export const selectCouponValidation = createSelector(
+  [selectCartCoupon, selectCartItems],
+  (coupon, items) => (coupon ? validateCoupon(coupon, items) : null)
+);
+
+export const selectCartDiscount = createSelector(
+  [selectCartCoupon, selectCartItems, selectCouponValidation],
+  (coupon, items, validation) => (validation?.valid ? computeDiscount(coupon, items) : 0)
+);
+
+export const selectCartTotalAfterDiscount = (state) =>
+  Math.max(0, selectCartTotal(state) - selectCartDiscount(state));
+
 export const selectCartIsOpen = (state) => state.cart.isOpen;
 
 export const selectCartIsEmpty = (state) => state.cart.items.length === 0;
 
-export const selectIsInCart = (state, productId) => 
-  state.cart.items.some(item => item.id === productId);
+// variantSku: which variant of the product (omit for products without variants)
+export const selectIsInCart = (state, productId, variantSku = null) => 
+  state.cart.items.some(item => getLineKey(item.id, item.variantSku) === getLineKey(productId, variantSku));
 
-export const selectItemQuantity = (state, productId) => {
-  const item = state.cart.items.find(item => item.id === productId);
+export const selectItemQuantity = (state, productId, variantSku = null) => {
+  const item = state.cart.items.find(item => getLineKey(item.id, item.variantSku) === getLineKey(productId, variantSku));
   return item ? item.quantity : 0;
 };
 
+// Lines asking for more units than the product has left (checkout must be blocked)
+export const selectCartStockIssues = createSelector(
+  [selectCartItems],
+  (items) => items.filter(item => item.stock != null && item.quantity > item.stock)
+);
@@ -5,6 +5,9 @@
 
 import { createSlice } from '@reduxjs/toolkit';
 import { loadCartFromStorage, saveCartToStorage, clearCartStorage } from './cartUtils';
+import { fetchProducts } from '../products/productsThunks';
+import { getLineKey, getPurchaseOption } from '../products/productVariants';
+import { isPublished } from '../products/productUtils';
 
 // ===== HELPER FUNCTION =====
 
@@ -22,6 +25,16 @@ const calculateTotals = (items) => {
   );
 };
 
+/**
+ * Can one more unit of this item be added?
+ * Items saved before stock tracking have no stock value: don't block them until the next product sync.
+ */
+const hasStockFor = (item, quantity) => item.stock == null || quantity <= item.stock;
+
+// A line is a product + variant (lines saved before variants have no variantSku)
+const lineKey = (item) => getLineKey(item.id, item.variantSku);
+const findLine = (state, key) => state.items.find((item) => lineKey(item) === key);
+
 // ===== INITIAL STATE =====
 
 // Try to load existing cart from localStorage, or use empty cart
@@ -30,6 +43,7 @@ const initialState = storedCart || {
   items: [],
   totalQuantity: 0,
   totalPrice: 0,
+  coupon: null,  // Applied promo code (see features/coupons)
   isOpen: false  // Sidebar closed by default
 };
 
@@ -38,20 +52,33 @@ const cartSlice = createSlice({
   initialState,
   
   reducers: {  
+    // Payload from toCartPayload (features/products/productVariants)
     addToCart: (state, action) => {
-      const { id, name, price, imageUrl, category } = action.payload;     
-      const existingItem = state.items.find(item => item.id === id);
+      // quantity defaults to 1 (reorder adds a whole order line at once)
+      const { id, name, price, imageUrl, category, stock, variantSku = null, variantLabel = '', quantity = 1 } = action.payload;
+      const existingItem = findLine(state, getLineKey(id, variantSku));
       
       if (existingItem) {
-        existingItem.quantity += 1;
+        if (stock != null) existingItem.stock = stock;
+        // Quantity is capped at the available stock
+        if (!hasStockFor(existingItem, existingItem.quantity + 1)) return;
+        existingItem.quantity = existingItem.stock == null
+          ? existingItem.quantity + quantity
+          : Math.min(existingItem.quantity + quantity, existingItem.stock);
+        existingItem.stockChanged = false;
       } else {
+        // Out-of-stock products can't be added
+        if (stock != null && stock <= 0) return;
         state.items.push({
           id,
+          variantSku,
+          variantLabel,
           name,
           price: price || 0,
           imageUrl: imageUrl || '',
           category: category || '',
-          quantity: 1
+          stock: stock ?? null,
+          quantity: stock != null ? Math.min(quantity, stock) : quantity
         });
       }
       
@@ -64,10 +91,11 @@ const cartSlice = createSlice({
       saveCartToStorage(state);
     },
 
+    // Payloads of removeFromCart / increaseQuantity / decreaseQuantity: the line key (getLineKey)
     removeFromCart: (state, action) => {
-      const productId = action.payload;
+      const key = action.payload;
       
-      state.items = state.items.filter(item => item.id !== productId);
+      state.items = state.items.filter(item => lineKey(item) !== key);
       
       const totals = calculateTotals(state.items);
       state.totalQuantity = totals.totalQuantity;
@@ -77,11 +105,11 @@ const cartSlice = createSlice({
     },
 
     increaseQuantity: (state, action) => {
-      const productId = action.payload;
-      const item = state.items.find(item => item.id === productId);
+      const item = findLine(state, action.payload);
       
-      if (item) {
+      if (item && hasStockFor(item, item.quantity + 1)) {
         item.quantity += 1;
+        item.stockChanged = false;
         
         const totals = calculateTotals(state.items);
         state.totalQuantity = totals.totalQuantity;
@@ -92,11 +120,11 @@ const cartSlice = createSlice({
     },
 
     decreaseQuantity: (state, action) => {
-      const productId = action.payload;
-      const item = state.items.find(item => item.id === productId);
+      const item = findLine(state, action.payload);
       
       if (item && item.quantity > 1) {
         item.quantity -= 1;
+        item.stockChanged = false;
         
         const totals = calculateTotals(state.items);
         state.totalQuantity = totals.totalQuantity;
@@ -111,11 +139,23 @@ const cartSlice = createSlice({
       state.items = [];
       state.totalQuantity = 0;
       state.totalPrice = 0;
+      state.coupon = null;
       
       // Clear from localStorage
       clearCartStorage();
     },
 
+    // Coupon was already checked with validateCoupon by the caller
+    applyCoupon: (state, action) => {
+      state.coupon = action.payload;
+      saveCartToStorage(state);
+    },
+
+    removeCoupon: (state) => {
+      state.coupon = null;
+      saveCartToStorage(state);
+    },
+
     openCart: (state) => {
       state.isOpen = true;
     },
@@ -127,6 +167,28 @@ const cartSlice = createSlice({
     toggleCart: (state) => {
       state.isOpen = !state.isOpen;
     }
+  },
+
+  extraReducers: (builder) => {
+    // After a fresh product fetch, refresh each line's stock (its variant's stock) and flag the lines whose stock changed.
+    // A product that is no longer published (archived or back to draft) counts as out of stock.
+    builder.addCase(fetchProducts.fulfilled, (state, action) => {
+      const products = action.payload || [];
+      let changed = false;
+
+      state.items.forEach((item) => {
+        const product = products.find((p) => p.id === item.id);
+        const stock = product && isPublished(product) ? getPurchaseOption(product, item.variantSku).stock : 0;
+        if (item.stock !== stock) {
+          // Lines saved before stock tracking only get their stock filled in, without a flag
+          if (item.stock != null) item.stockChanged = true;
+          item.stock = stock;
+          changed = true;
+        }
+      });
+
+      if (changed) saveCartToStorage(state);
+    });
   }
 });
 
@@ -137,6 +199,8 @@ export const {
   increaseQuantity,
   decreaseQuantity,
   clearCart,
+  applyCoupon,
+  removeCoupon,
   openCart,
   closeCart,
   toggleCart
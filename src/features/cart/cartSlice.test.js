@@ -27,7 +27,8 @@ vi.mock('./cartUtils', () => ({
 }));
 
 // Import AFTER mock so the slice uses mocked cartUtils when it runs
-const { default: cartReducer, addToCart, increaseQuantity } = await import('./cartSlice');
+const { default: cartReducer, addToCart, increaseQuantity, removeFromCart } = await import('./cartSlice');
+const { fetchProducts } = await import('../products/productsThunks');
 
 describe('cartSlice', () => {
   // Test initial state: empty cart when no stored data
@@ -37,6 +38,7 @@ describe('cartSlice', () => {
       items: [],
       totalQuantity: 0,
       totalPrice: 0,
+      coupon: null,
       isOpen: false,
     });
   });
@@ -95,4 +97,75 @@ describe('cartSlice', () => {
     expect(newState.totalQuantity).toBe(2);
     expect(newState.totalPrice).toBe(20);
   });
+
+  // Test stock limit: quantity can't go above the product stock
+  test('increaseQuantity does nothing when quantity already equals stock', () => {
+    const initialState = {
+      items: [{ id: 'p1', name: 'Serum', price: 10, imageUrl: '', category: '', stock: 2, quantity: 2 }],
+      totalQuantity: 2,
+      totalPrice: 20,
+      isOpen: false,
+    };
+    const newState = cartReducer(initialState, increaseQuantity('p1'));
+
+    expect(newState.items[0].quantity).toBe(2);
+    expect(newState.totalPrice).toBe(20);
+  });
+
+  // Test out-of-stock: a product with stock 0 is not added
+  test('addToCart ignores out-of-stock products', () => {
+    const initialState = { items: [], totalQuantity: 0, totalPrice: 0, isOpen: false };
+    const newState = cartReducer(initialState, addToCart({ id: 'p1', name: 'Serum', price: 25, stock: 0 }));
+
+    expect(newState.items).toHaveLength(0);
+    expect(newState.totalQuantity).toBe(0);
+  });
+
+  // Test reorder: a whole line is added at once, capped at stock
+  test('addToCart adds the given quantity without going above stock', () => {
+    const initialState = {
+      items: [{ id: 'p1', name: 'Serum', price: 10, imageUrl: '', category: '', stock: 5, quantity: 2 }],
+      totalQuantity: 2,
+      totalPrice: 20,
+      isOpen: false,
+    };
+    let newState = cartReducer(initialState, addToCart({ id: 'p1', name: 'Serum', price: 10, stock: 5, quantity: 10 }));
+    newState = cartReducer(newState, addToCart({ id: 'p2', name: 'Cream', price: 20, stock: 3, quantity: 2 }));
+
+    expect(newState.items[0].quantity).toBe(5);
+    expect(newState.items[1].quantity).toBe(2);
+    expect(newState.totalPrice).toBe(90);
+  });
+
+  // Test stock sync: a fresh fetchProducts updates stock and flags changed lines
+  test('fetchProducts.fulfilled refreshes stock and flags lines whose stock changed', () => {
+    const initialState = {
+      items: [
+        { id: 'p1', name: 'Serum', price: 10, imageUrl: '', category: '', stock: 5, quantity: 3 },
+        { id: 'p2', name: 'Cream', price: 20, imageUrl: '', category: '', stock: 4, quantity: 1 },
+      ],
+      totalQuantity: 4,
+      totalPrice: 50,
+      isOpen: false,
+    };
+    const action = fetchProducts.fulfilled([{ id: 'p1', stock: 1 }, { id: 'p2', stock: 4 }], 'requestId');
+    const newState = cartReducer(initialState, action);
+
+    expect(newState.items[0]).toMatchObject({ stock: 1, stockChanged: true, quantity: 3 });
+    expect(newState.items[1].stockChanged).toBeUndefined();
+  });
+
+  // Test variants: the same product in two sizes gives two lines, each with its own key
+  test('addToCart keeps one line per product variant', () => {
+    const initialState = { items: [], totalQuantity: 0, totalPrice: 0, isOpen: false };
+    let newState = cartReducer(initialState, addToCart({ id: 'p1', name: 'Serum', price: 25, stock: 3, variantSku: 'SER-30', variantLabel: '30ml' }));
+    newState = cartReducer(newState, addToCart({ id: 'p1', name: 'Serum', price: 38, stock: 2, variantSku: 'SER-50', variantLabel: '50ml' }));
+    newState = cartReducer(newState, increaseQuantity('p1::SER-50'));
+
+    expect(newState.items.map((i) => [i.variantSku, i.quantity])).toEqual([['SER-30', 1], ['SER-50', 2]]);
+    expect(newState.totalPrice).toBe(101);
+
+    newState = cartReducer(newState, removeFromCart('p1::SER-30'));
+    expect(newState.items).toHaveLength(1);
+  });
 });
@@ -40,7 +40,8 @@ export const saveCartToStorage = (cartState) => {
     const dataToSave = {
       items: cartState.items,
       totalQuantity: cartState.totalQuantity,
-      totalPrice: cartState.totalPrice
+      totalPrice: cartState.totalPrice,
+      coupon: cartState.coupon || null
     };
     
     localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(dataToSave));
@@ -0,0 +1,66 @@
+/**
+ * couponUtils.js
+ * Pure helpers for promo codes: normalize a code, check if a coupon can be used on a cart,
+ * and compute the discount amount.
+ *
+ * Coupon shape (MockAPI "coupons" resource):
+ * { id, code, type: 'percentage' | 'fixed', value, minSpend, expiresAt, categories: [], singleUse, used, active }
+ * - categories: empty = whole cart, otherwise only lines whose category matches get the discount
+ * - singleUse: the code is marked `used` after the first order
+ */
+
+export const COUPON_TYPES = ['percentage', 'fixed'];
+
+/**
+ * @param {string} code
+ * @returns {string} code in upper case without spaces
+ */
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Cart lines the coupon applies to (all lines when the coupon has no category restriction)
+function getEligibleItems(coupon, items) {
+  const categories = (coupon.categories || []).map((c) => c.toLowerCase());
+  if (categories.length === 0) return items || [];
+  return (items || []).filter((item) => categories.includes((item.category || '').toLowerCase()));
+}
+
+const sumItems = (items) => items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+
+/**
+ * Check if a coupon can be applied to the cart.
+ * @param {Object|null} coupon
+ * @param {Array} items - cart items { price, quantity, category }
+ * @param {Date} [now]
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateCoupon(coupon, items, now = new Date()) {
+  if (!coupon || coupon.active === false) return { valid: false, error: 'This promo code does not exist.' };
+  if (coupon.singleUse && coupon.used) return { valid: false, error: 'This promo code has already been used.' };
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) return { valid: false, error: 'This promo code has expired.' };
+
+  const subtotal = sumItems(items || []);
+  const minSpend = Number(coupon.minSpend) || 0;
+  if (subtotal < minSpend) {
+    return { valid: false, error: `Spend at least $${minSpend.toFixed(2)} to use this code.` };
+  }
+  if (getEligibleItems(coupon, items).length === 0) {
+    return { valid: false, error: `This code only applies to: ${coupon.categories.join(', ')}.` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Discount amount for the cart (never more than the eligible lines' total).
+ * @param {Object} coupon
+ * @param {Array} items - cart items
+ * @returns {number} amount rounded to cents
+ */
+export function computeDiscount(coupon, items) {
+  if (!coupon) return 0;
+  const eligibleTotal = sumItems(getEligibleItems(coupon, items));
+  const value = Number(coupon.value) || 0;
+  const amount = coupon.type === 'percentage' ? (eligibleTotal * value) / 100 : value;
+  return Math.round(Math.min(Math.max(amount, 0), eligibleTotal) * 100) / 100;
+}
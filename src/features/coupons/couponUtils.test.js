@@ -0,0 +1,36 @@
+/**
+ * Tests for the promo code rules: validation against the cart and the discount amount.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { validateCoupon, computeDiscount } from './couponUtils';
+
+const items = [
+  { id: 'p1', price: 20, quantity: 2, category: 'serum' },
+  { id: 'p2', price: 10, quantity: 1, category: 'cleanser' },
+];
+
+describe('validateCoupon', () => {
+  test('rejects expired, used and below-minimum codes', () => {
+    const now = new Date('2026-06-01');
+    expect(validateCoupon({ code: 'OLD', expiresAt: '2026-01-01' }, items, now).valid).toBe(false);
+    expect(validateCoupon({ code: 'ONCE', singleUse: true, used: true }, items, now).valid).toBe(false);
+    expect(validateCoupon({ code: 'BIG', minSpend: 100 }, items, now).valid).toBe(false);
+    expect(validateCoupon({ code: 'OK', minSpend: 50 }, items, now)).toEqual({ valid: true });
+  });
+
+  test('rejects a category code when no line matches', () => {
+    expect(validateCoupon({ code: 'SUN', categories: ['sunscreen'] }, items).valid).toBe(false);
+  });
+});
+
+describe('computeDiscount', () => {
+  test('applies a percentage only to eligible categories', () => {
+    expect(computeDiscount({ type: 'percentage', value: 10, categories: ['serum'] }, items)).toBe(4);
+  });
+
+  test('caps a fixed discount at the eligible total', () => {
+    expect(computeDiscount({ type: 'fixed', value: 15, categories: ['cleanser'] }, items)).toBe(10);
+    expect(computeDiscount({ type: 'fixed', value: 15 }, items)).toBe(15);
+  });
+});
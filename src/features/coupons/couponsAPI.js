@@ -0,0 +1,45 @@
+/*MockAPI calls for promo codes: list, find by code, create, update, delete, mark as used*/
+
+import axios from 'axios';
+import { normalizeCode } from './couponUtils';
+
+const COUPONS_BASE =
+  import.meta.env.VITE_MOCKAPI_COUPONS_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/coupons';
+
+/*Fetch all coupons from MockAPI.*/
+export async function getCoupons() {
+  const { data } = await axios.get(COUPONS_BASE);
+  return data;
+}
+
+/*Find a coupon by its code (case-insensitive). Returns null when no coupon matches.*/
+export async function findCouponByCode(code) {
+  const wanted = normalizeCode(code);
+  if (!wanted) return null;
+  const coupons = await getCoupons();
+  return (Array.isArray(coupons) ? coupons : []).find((c) => normalizeCode(c.code) === wanted) || null;
+}
+
+/*Create a new coupon in MockAPI.*/
+export async function addCoupon(coupon) {
+  const { data } = await axios.post(COUPONS_BASE, { ...coupon, code: normalizeCode(coupon.code), used: false });
+  return data;
+}
+
+/*Update a coupon in MockAPI.*/
+export async function updateCoupon(coupon) {
+  const { data } = await axios.put(`${COUPONS_BASE}/${coupon.id}`, { ...coupon, code: normalizeCode(coupon.code) });
+  return data;
+}
+
+/*Delete a coupon from MockAPI.*/
+export async function deleteCoupon(couponId) {
+  await axios.delete(`${COUPONS_BASE}/${couponId}`);
+}
+
+/*Mark a single-use coupon as used by an order.*/
+export async function markCouponUsed(coupon, orderId) {
+  const { data } = await axios.put(`${COUPONS_BASE}/${coupon.id}`, { used: true, usedByOrder: orderId });
+  return data;
+}
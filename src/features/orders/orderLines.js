@@ -0,0 +1,41 @@
+/**
+ * orderLines.js
+ * Order lines as createOrder saves them: name, price and category come from the products it just loaded,
+ * not from the client (a line of a product with variants is priced from its variant, see getPurchaseOption).
+ */
+
+import { getPurchaseOption } from '../products/productVariants';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {Array} items - lines sent by the checkout { id, variantSku?, quantity, imageUrl? }
+ * @param {Array} products - fresh products (from assertStockAvailable)
+ * @returns {Array} lines { id, variantSku, variantLabel, name, price, quantity, imageUrl, category }
+ * @throws {Error} for a product that does not exist or a quantity that is not a whole number above 0
+ */
+export function priceOrderLines(items, products) {
+  return (items || []).map((item) => {
+    const product = (products || []).find((p) => p.id === item.id);
+    if (!product) throw new Error(`Unknown product: ${item.name || item.id}`);
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`Invalid quantity for ${product.name}`);
+    const option = getPurchaseOption(product, item.variantSku);
+    return {
+      id: product.id,
+      variantSku: option.sku,
+      variantLabel: option.label,
+      name: product.name,
+      price: option.price,
+      quantity,
+      imageUrl: product.imageUrl || item.imageUrl || '',
+      category: product.subcategory || '',
+    };
+  });
+}
+
+/**
+ * @param {Array} lines - from priceOrderLines
+ * @returns {number} sum of price x quantity, rounded to cents
+ */
+export const sumOrderLines = (lines) => round2(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
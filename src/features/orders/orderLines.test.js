@@ -0,0 +1,34 @@
+/**
+ * Tests for priceOrderLines: order lines are priced from the products, whatever the client sent.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { priceOrderLines, sumOrderLines } from './orderLines';
+
+const products = [
+  { id: 'p1', name: 'Serum', price: 24.5, subcategory: 'serum', stock: 5 },
+  {
+    id: 'p3', name: 'Toner', price: 10, subcategory: 'toner', stock: 4,
+    variants: [{ sku: 'T-100', label: '100ml', price: 10, stock: 1 }, { sku: 'T-200', label: '200ml', price: 16, stock: 3 }],
+  },
+];
+
+describe('priceOrderLines', () => {
+  test('takes the price, name and category from the product or its variant', () => {
+    const lines = priceOrderLines([
+      { id: 'p1', name: 'Cheap serum', price: 0.01, category: 'sunscreen', quantity: 2 },
+      { id: 'p3', variantSku: 'T-200', variantLabel: '100ml', price: 10, quantity: 1 },
+    ], products);
+    expect(lines.map((l) => [l.name, l.price, l.category, l.variantLabel])).toEqual([
+      ['Serum', 24.5, 'serum', ''],
+      ['Toner', 16, 'toner', '200ml'],
+    ]);
+    expect(sumOrderLines(lines)).toBe(65);
+  });
+
+  test('rejects unknown products and quantities below 1', () => {
+    expect(() => priceOrderLines([{ id: 'p9', quantity: 1 }], products)).toThrow('Unknown product');
+    expect(() => priceOrderLines([{ id: 'p1', quantity: -3 }], products)).toThrow('Invalid quantity for Serum');
+    expect(() => priceOrderLines([{ id: 'p1', quantity: 1.5 }], products)).toThrow('Invalid quantity');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * orderStatus.js
+ * Order status lifecycle: pending → confirmed → shipped → delivered,
+ * with cancelled / returned as end states. Used by ordersAPI and the admin Orders page.
+ */
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Allowed next statuses for each status (empty array = final state)
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+};
+
+// Label + badge colors for display
+export const ORDER_STATUS_INFO = {
+  pending: { label: 'Pending', color: 'text-amber-700', bg: 'bg-amber-50' },
+  confirmed: { label: 'Confirmed', color: 'text-blue-700', bg: 'bg-blue-50' },
+  shipped: { label: 'Shipped', color: 'text-purple-700', bg: 'bg-purple-50' },
+  delivered: { label: 'Delivered', color: 'text-green-700', bg: 'bg-green-50' },
+  cancelled: { label: 'Cancelled', color: 'text-red-700', bg: 'bg-red-50' },
+  returned: { label: 'Returned', color: 'text-gray-700', bg: 'bg-gray-100' },
+};
+
+/**
+ * Current status of an order. Orders created before the lifecycle existed have no status: treat them as pending.
+ * @param {Object} order
+ * @returns {string}
+ */
+export function getOrderStatus(order) {
+  return ORDER_STATUSES.includes(order?.status) ? order.status : 'pending';
+}
+
+/**
+ * @param {string} from - current status
+ * @param {string} to - wanted status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Next step in the normal flow (pending → confirmed → shipped → delivered), or null at the end.
+ * @param {string} status
+ * @returns {string|null}
+ */
+export function getNextStatus(status) {
+  return (TRANSITIONS[status] || []).find((s) => s !== 'cancelled' && s !== 'returned') || null;
+}
+
+/**
+ * Status history entries ({ status, at }). Old orders get a single "pending" entry at createdAt.
+ * @param {Object} order
+ * @returns {Array<{ status: string, at: string }>}
+ */
+export function getStatusHistory(order) {
+  if (Array.isArray(order?.statusHistory) && order.statusHistory.length > 0) return order.statusHistory;
+  return [{ status: getOrderStatus(order), at: order?.createdAt || null }];
+}
@@ -0,0 +1,57 @@
+/**
+ * Tests for the order status lifecycle: allowed and forbidden transitions, and the status history of old orders.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { canTransition, getNextStatus, getOrderStatus, getStatusHistory } from './orderStatus';
+
+describe('canTransition', () => {
+  test('allows the normal flow, cancelling before delivery and returning after it', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('confirmed', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('pending', 'cancelled')).toBe(true);
+    expect(canTransition('shipped', 'cancelled')).toBe(true);
+    expect(canTransition('delivered', 'returned')).toBe(true);
+  });
+
+  test('forbids skipping or going back a step, leaving an end state and unknown statuses', () => {
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('shipped', 'confirmed')).toBe(false);
+    expect(canTransition('delivered', 'cancelled')).toBe(false);
+    expect(canTransition('pending', 'returned')).toBe(false);
+    expect(canTransition('cancelled', 'pending')).toBe(false);
+    expect(canTransition('returned', 'delivered')).toBe(false);
+    expect(canTransition('pending', 'lost')).toBe(false);
+    expect(canTransition('lost', 'pending')).toBe(false);
+  });
+});
+
+describe('getNextStatus', () => {
+  test('follows the normal flow and stops at the end states', () => {
+    expect(getNextStatus('pending')).toBe('confirmed');
+    expect(getNextStatus('shipped')).toBe('delivered');
+    expect(getNextStatus('delivered')).toBeNull();
+    expect(getNextStatus('cancelled')).toBeNull();
+  });
+});
+
+describe('getOrderStatus', () => {
+  test('treats orders without a known status as pending', () => {
+    expect(getOrderStatus({ status: 'shipped' })).toBe('shipped');
+    expect(getOrderStatus({})).toBe('pending');
+    expect(getOrderStatus({ status: 'lost' })).toBe('pending');
+  });
+});
+
+describe('getStatusHistory', () => {
+  test('returns the saved history', () => {
+    const statusHistory = [{ status: 'pending', at: '2026-03-01T10:00:00Z' }, { status: 'confirmed', at: '2026-03-02T09:00:00Z' }];
+    expect(getStatusHistory({ status: 'confirmed', statusHistory })).toBe(statusHistory);
+  });
+
+  test('gives an order saved before the lifecycle a single pending entry at createdAt', () => {
+    expect(getStatusHistory({ createdAt: '2026-01-05T12:00:00Z' })).toEqual([{ status: 'pending', at: '2026-01-05T12:00:00Z' }]);
+    expect(getStatusHistory({ statusHistory: [] })).toEqual([{ status: 'pending', at: null }]);
+  });
+});
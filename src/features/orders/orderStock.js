@@ -0,0 +1,94 @@
+/**
+ * orderStock.js
+ * Keeps product stock in sync with orders: check availability before an order is created,
+ * decrement stock / increment quantityVendu once it is saved, and put stock back when it is cancelled.
+ * Lines of a product with variants use their variant's stock (variantSku); the product's total stock follows.
+ * MockAPI has no transactions, so each product is updated with its own PUT.
+ */
+
+import { getProducts, updateProduct } from '../products/productsAPI';
+import { getPurchaseOption, hasVariants, syncVariantTotals } from '../products/productVariants';
+import { isPublished } from '../products/productUtils';
+
+/**
+ * Compare order lines with the current product (or variant) stock. Unpublished products have none to sell.
+ * @param {Array} items - order lines { id, variantSku?, variantLabel?, name, quantity }
+ * @param {Array} products - products from the API
+ * @returns {Array<{ id: string, name: string, requested: number, available: number }>} lines that cannot be fulfilled
+ */
+export function findStockIssues(items, products) {
+  return (items || []).reduce((issues, item) => {
+    const product = (products || []).find((p) => p.id === item.id);
+    const available = product && isPublished(product) ? getPurchaseOption(product, item.variantSku).stock : 0;
+    if (item.quantity > available) {
+      const name = product?.name || item.name;
+      issues.push({ id: item.id, name: item.variantLabel ? `${name} (${item.variantLabel})` : name, requested: item.quantity, available });
+    }
+    return issues;
+  }, []);
+}
+
+/**
+ * Load fresh products and throw if any line asks for more than what is in stock.
+ * The error carries `stockIssues` so the UI can show which lines to fix.
+ * @param {Array} items - order lines
+ * @returns {Promise<Array>} the fresh products list
+ */
+export async function assertStockAvailable(items) {
+  const products = await getProducts();
+  const issues = findStockIssues(items, products);
+  if (issues.length > 0) {
+    const details = issues.map((i) => `${i.name} (${i.available} left)`).join(', ');
+    const error = new Error(`Not enough stock for: ${details}`);
+    error.stockIssues = issues;
+    throw error;
+  }
+  return products;
+}
+
+/**
+ * Product after a stock change for one order line. direction = -1 to reserve, +1 to restore.
+ * @param {Object} product
+ * @param {Object} item - order line
+ * @param {number} direction
+ * @returns {Object}
+ */
+export function applyLineStock(product, item, direction) {
+  const quantity = Number(item.quantity) || 0;
+  const quantityVendu = Math.max(0, (Number(product.quantityVendu) || 0) - direction * quantity);
+  if (!hasVariants(product)) {
+    return { ...product, stock: Math.max(0, (Number(product.stock) || 0) + direction * quantity), quantityVendu };
+  }
+  const variants = product.variants.map((v) => (
+    v.sku === item.variantSku ? { ...v, stock: Math.max(0, (Number(v.stock) || 0) + direction * quantity) } : v
+  ));
+  return syncVariantTotals({ ...product, variants, quantityVendu });
+}
+
+// Apply a stock change to every product of the order (one PUT per product, even with several variant lines).
+async function applyStockChange(items, products, direction) {
+  const changed = new Map();
+  (items || []).forEach((item) => {
+    const product = changed.get(item.id) || products.find((p) => p.id === item.id);
+    if (product) changed.set(item.id, applyLineStock(product, item, direction));
+  });
+  await Promise.all([...changed.values()].map((product) => updateProduct(product)));
+}
+
+/**
+ * Decrement stock and increment quantityVendu for each order line.
+ * @param {Array} items - order lines
+ * @param {Array} products - products returned by assertStockAvailable
+ */
+export async function reserveStock(items, products) {
+  await applyStockChange(items, products, -1);
+}
+
+/**
+ * Put the stock of a cancelled order back (and undo quantityVendu).
+ * @param {Array} items - order lines
+ */
+export async function restoreStock(items) {
+  const products = await getProducts();
+  await applyStockChange(items, products, 1);
+}
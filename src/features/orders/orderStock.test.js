@@ -0,0 +1,64 @@
+/**
+ * Tests for findStockIssues (the pure check used before an order is created) and applyLineStock (per-variant stock).
+ * (assertStockAvailable / reserveStock / restoreStock call the API, so they are not tested here.)
+ */
+
+import { describe, test, expect } from 'vitest';
+import { findStockIssues, applyLineStock } from './orderStock';
+
+const products = [
+  { id: 'p1', name: 'Serum', stock: 5 },
+  { id: 'p2', name: 'Cleanser', stock: 0 },
+  {
+    id: 'p3', name: 'Toner', price: 10, stock: 4,
+    variants: [{ sku: 'T-100', label: '100ml', price: 10, stock: 1 }, { sku: 'T-200', label: '200ml', price: 16, stock: 3 }],
+  },
+];
+
+describe('findStockIssues', () => {
+  test('returns no issues when every line fits in stock', () => {
+    const items = [{ id: 'p1', name: 'Serum', quantity: 5 }];
+    expect(findStockIssues(items, products)).toEqual([]);
+  });
+
+  test('reports lines that ask for more than the available stock', () => {
+    const items = [
+      { id: 'p1', name: 'Serum', quantity: 6 },
+      { id: 'p2', name: 'Cleanser', quantity: 1 },
+    ];
+    expect(findStockIssues(items, products)).toEqual([
+      { id: 'p1', name: 'Serum', requested: 6, available: 5 },
+      { id: 'p2', name: 'Cleanser', requested: 1, available: 0 },
+    ]);
+  });
+
+  test('treats a product that no longer exists as out of stock', () => {
+    const items = [{ id: 'gone', name: 'Old Cream', quantity: 1 }];
+    expect(findStockIssues(items, products)).toEqual([
+      { id: 'gone', name: 'Old Cream', requested: 1, available: 0 },
+    ]);
+  });
+
+  test('treats an archived product as out of stock', () => {
+    const archived = [{ id: 'p1', name: 'Serum', stock: 5, status: 'archived' }];
+    expect(findStockIssues([{ id: 'p1', name: 'Serum', quantity: 1 }], archived)).toEqual([
+      { id: 'p1', name: 'Serum', requested: 1, available: 0 },
+    ]);
+  });
+});
+
+describe('variants', () => {
+  test('checks the stock of the ordered variant', () => {
+    const items = [{ id: 'p3', variantSku: 'T-100', variantLabel: '100ml', name: 'Toner', quantity: 2 }];
+    expect(findStockIssues(items, products)).toEqual([
+      { id: 'p3', name: 'Toner (100ml)', requested: 2, available: 1 },
+    ]);
+  });
+
+  test('applyLineStock moves the variant stock and keeps the product total in sync', () => {
+    const updated = applyLineStock(products[2], { id: 'p3', variantSku: 'T-200', quantity: 2 }, -1);
+    expect(updated.variants.map((v) => v.stock)).toEqual([1, 1]);
+    expect(updated.stock).toBe(2);
+    expect(updated.quantityVendu).toBe(2);
+  });
+});
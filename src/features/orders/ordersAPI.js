@@ -1,6 +1,14 @@
-/*MockAPI calls for orders: create order*/
+/*MockAPI calls for orders: list, customer history, guest lookup, create, update, status changes*/
 
 import axios from 'axios';
+import { canTransition, getOrderStatus, getStatusHistory } from './orderStatus';
+import { assertStockAvailable, reserveStock, restoreStock } from './orderStock';
+import { priceOrderLines, sumOrderLines } from './orderLines';
+import { findCouponByCode, markCouponUsed } from '../coupons/couponsAPI';
+import { validateCoupon, computeDiscount } from '../coupons/couponUtils';
+import { getPricingSettings } from '../pricing/pricingAPI';
+import { computeOrderTotals, withPricingDefaults } from '../pricing/pricingUtils';
+import { recordAudit } from '../audit/auditAPI';
 
 const ORDERS_BASE =
   import.meta.env.VITE_MOCKAPI_ORDERS_URL ||
@@ -12,15 +20,147 @@ export async function getOrders() {
   return data;
 }
 
-/*Create a new order in MockAPI.*/
+/*Fetch one order by id from MockAPI.*/
+export async function getOrder(orderId) {
+  const { data } = await axios.get(`${ORDERS_BASE}/${orderId}`);
+  return data;
+}
+
+/*Orders of a customer account, newest first. Orders placed before the account existed are matched by email.*/
+export async function getCustomerOrders(account) {
+  const orders = await getOrders();
+  const email = (account.email || '').toLowerCase();
+  return (Array.isArray(orders) ? orders : [])
+    .filter((o) => o.userId === account.id || (!o.userId && (o.userEmail || '').toLowerCase() === email))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/*Guest lookup: the order only if its email matches. Returns null for an unknown id or a wrong email.*/
+export async function findGuestOrder(email, orderId) {
+  try {
+    const order = await getOrder(String(orderId).replace('#', '').trim());
+    const wanted = String(email || '').trim().toLowerCase();
+    return wanted && (order.userEmail || '').toLowerCase() === wanted ? order : null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+/*Load the order's coupon again and make sure it still applies to the priced lines (e.g. a single-use code used meanwhile).*/
+async function assertCouponStillValid(order, items) {
+  if (!order.discount?.code) return null;
+  const coupon = await findCouponByCode(order.discount.code);
+  const result = validateCoupon(coupon, items);
+  if (!result.valid) throw new Error(`Promo code ${order.discount.code}: ${result.error}`);
+  return coupon;
+}
+
+/*Saved pricing settings, or the defaults (what the checkout shows) when they can't be loaded: an unreachable
+  pricing resource must not block orders.*/
+async function loadPricingForOrder() {
+  try {
+    return await getPricingSettings();
+  } catch (error) {
+    console.error('Error loading pricing settings, using the defaults:', error);
+    return withPricingDefaults(null);
+  }
+}
+
+/*Create a new order in MockAPI. Every order starts as "pending".
+  Throws (with err.stockIssues) if a line exceeds the available stock; otherwise decrements stock once saved.
+  A single-use coupon is marked as used once the order exists.
+  Once the order is saved it is returned even if a follow-up step fails (the customer must not order twice):
+  a failed stock update is logged and the order flagged stockReserved: false, a failed coupon update is logged.
+  The amounts sent by the client are not trusted: each line is priced from the reloaded product (or variant), the
+  discount from the reloaded coupon, and shipping, COD fee, VAT and total from the saved pricing settings.*/
 export async function createOrder(order) {
+  const products = await assertStockAvailable(order.items);
+  const items = priceOrderLines(order.items, products);
+  const coupon = await assertCouponStillValid(order, items);
+  const discount = coupon
+    ? { couponId: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value, amount: computeDiscount(coupon, items) }
+    : null;
+  const totals = computeOrderTotals(
+    { subtotal: sumOrderLines(items), discount: discount?.amount || 0, city: order.shippingAddress?.city },
+    await loadPricingForOrder()
+  );
   const payload = {
+    userId: order.userId || null,
     userName: order.userName,
     userEmail: order.userEmail,
-    items: order.items,
-    total: order.total,
+    shippingAddress: {
+      street: order.shippingAddress?.street || '',
+      city: order.shippingAddress?.city || '',
+      postalCode: order.shippingAddress?.postalCode || '',
+      phone: order.shippingAddress?.phone || '',
+    },
+    deliveryNote: order.deliveryNote || '',
+    items,
+    subtotal: totals.subtotal,
+    discount,
+    shippingFee: totals.shipping ?? 0,
+    shippingZone: totals.shippingZone,
+    codFee: totals.codFee,
+    vat: totals.vat,
+    vatRate: totals.vatRate,
+    total: totals.total,
     emailSent: false,
+    stockReserved: true,
+    status: 'pending',
+    statusHistory: [{ status: 'pending', at: new Date().toISOString() }],
   };
   const { data } = await axios.post(ORDERS_BASE, payload);
+  let saved = data;
+  try {
+    await reserveStock(items, products);
+  } catch (error) {
+    console.error(`Error reserving stock for order #${data.id}:`, error);
+    try {
+      saved = await updateOrder(data.id, { stockReserved: false });
+    } catch (flagError) {
+      console.error(`Error flagging order #${data.id}:`, flagError);
+      saved = { ...data, stockReserved: false };
+    }
+  }
+  if (coupon?.singleUse) {
+    try {
+      await markCouponUsed(coupon, data.id);
+    } catch (error) {
+      console.error(`Error marking coupon ${coupon.code} as used for order #${data.id}:`, error);
+    }
+  }
+  return saved;
+}
+
+/*Update some fields of an order in MockAPI.*/
+export async function updateOrder(orderId, changes) {
+  const { data } = await axios.put(`${ORDERS_BASE}/${orderId}`, changes);
   return data;
 }
+
+/*Move an order to a new status and record the transition time. Throws if the transition is not allowed.
+  Cancelling an order puts its stock back (only for orders that reserved stock when created).
+  The change is recorded in the audit log.*/
+export async function updateOrderStatus(order, nextStatus) {
+  const currentStatus = getOrderStatus(order);
+  if (!canTransition(currentStatus, nextStatus)) {
+    throw new Error(`Cannot change order from ${currentStatus} to ${nextStatus}`);
+  }
+  const restock = nextStatus === 'cancelled' && order.stockReserved;
+  if (restock) await restoreStock(order.items);
+  const updated = await updateOrder(order.id, {
+    status: nextStatus,
+    statusHistory: [...getStatusHistory(order), { status: nextStatus, at: new Date().toISOString() }],
+    ...(restock && { stockReserved: false }),
+  });
+  await recordAudit({
+    entity: 'order',
+    action: 'status',
+    entityId: order.id,
+    label: `#${order.id}`,
+    before: { status: currentStatus },
+    after: { status: nextStatus },
+  });
+  return updated;
+}
@@ -0,0 +1,31 @@
+/*MockAPI calls for the pricing settings (shipping zones, free-shipping threshold, COD fee, VAT). A single record is used.*/
+
+import axios from 'axios';
+import { withPricingDefaults } from './pricingUtils';
+
+const PRICING_BASE =
+  import.meta.env.VITE_MOCKAPI_PRICING_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/pricing';
+
+/*Fetch the pricing settings. Falls back to the defaults when nothing has been saved yet
+  (MockAPI answers 404 while the resource has no record).*/
+export async function getPricingSettings() {
+  try {
+    const { data } = await axios.get(PRICING_BASE);
+    const saved = Array.isArray(data) ? data[0] : null;
+    return withPricingDefaults(saved);
+  } catch (err) {
+    if (err.response?.status === 404) return withPricingDefaults(null);
+    throw err;
+  }
+}
+
+/*Save the pricing settings: update the existing record, or create it the first time.*/
+export async function savePricingSettings(settings) {
+  if (settings.id) {
+    const { data } = await axios.put(`${PRICING_BASE}/${settings.id}`, settings);
+    return withPricingDefaults(data);
+  }
+  const { data } = await axios.post(PRICING_BASE, settings);
+  return withPricingDefaults(data);
+}
@@ -0,0 +1,56 @@
+/**
+ * pricingSlice.js
+ * Redux slice for the pricing settings used to compute shipping, COD fee and VAT.
+ * Starts with DEFAULT_PRICING so totals work before (or without) the API answer.
+ */
+
+import { createSlice } from "@reduxjs/toolkit";
+import { fetchPricingSettings, savePricingSettings } from "./pricingThunks";
+import { DEFAULT_PRICING } from "./pricingUtils";
+
+const initialState = {
+  settings: DEFAULT_PRICING,
+  loading: false,
+  error: null,
+};
+
+const pricingSlice = createSlice({
+  name: "pricing",
+  initialState,
+  reducers: {},
+
+  extraReducers: (builder) => {
+    builder
+      // Fetch settings
+      .addCase(fetchPricingSettings.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchPricingSettings.fulfilled, (state, action) => {
+        state.loading = false;
+        state.settings = action.payload;
+      })
+      .addCase(fetchPricingSettings.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Save settings
+      .addCase(savePricingSettings.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(savePricingSettings.fulfilled, (state, action) => {
+        state.loading = false;
+        state.settings = action.payload;
+      })
+      .addCase(savePricingSettings.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const selectPricingSettings = (state) => state.pricing.settings;
+
+export default pricingSlice.reducer;
@@ -0,0 +1,29 @@
+/**
+ * pricingThunks.js
+ * Async actions for the pricing settings: load them for the shop, save them from the admin page.
+ */
+
+import { createAsyncThunk } from "@reduxjs/toolkit";
+import { getPricingSettings, savePricingSettings as savePricingSettingsAPI } from "./pricingAPI";
+
+export const fetchPricingSettings = createAsyncThunk(
+  "pricing/fetchPricingSettings",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await getPricingSettings();
+    } catch (err) {
+      return rejectWithValue(err.message || "Failed to load pricing settings");
+    }
+  }
+);
+
+export const savePricingSettings = createAsyncThunk(
+  "pricing/savePricingSettings",
+  async (settings, { rejectWithValue }) => {
+    try {
+      return await savePricingSettingsAPI(settings);
+    } catch (err) {
+      return rejectWithValue(err.message || "Failed to save pricing settings");
+    }
+  }
+);
@@ -0,0 +1,106 @@
+/**
+ * pricingUtils.js
+ * Pure helpers for order totals: shipping by city zone, free-shipping threshold,
+ * cash-on-delivery fee and VAT. Used by CartSidebar, Checkout and createOrder so all three agree.
+ *
+ * Settings shape (MockAPI "pricing" resource, one record):
+ * { id, zones: [{ id, name, cities: [], fee }], defaultShippingFee, freeShippingThreshold, codFee, vatRate, pricesIncludeVat }
+ * - a city not listed in any zone pays defaultShippingFee
+ * - freeShippingThreshold: 0 = never free
+ * - vatRate is a percentage; when pricesIncludeVat is true the VAT is shown but not added to the total
+ */
+
+export const DEFAULT_PRICING = {
+  zones: [
+    { id: 'casablanca', name: 'Casablanca', cities: ['Casablanca', 'Mohammedia'], fee: 20 },
+    { id: 'rabat', name: 'Rabat - Salé', cities: ['Rabat', 'Salé', 'Temara'], fee: 25 },
+    { id: 'north', name: 'Nord', cities: ['Tanger', 'Tetouan', 'Fes', 'Meknes'], fee: 35 },
+    { id: 'south', name: 'Sud', cities: ['Marrakech', 'Agadir', 'Laayoune'], fee: 40 },
+  ],
+  defaultShippingFee: 45,
+  freeShippingThreshold: 500,
+  codFee: 10,
+  vatRate: 20,
+  pricesIncludeVat: true,
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Lower case without accents, so "Salé" and "sale" match
+function normalizeCity(city) {
+  return String(city || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Merge saved settings with the defaults (missing fields fall back to DEFAULT_PRICING).
+ * @param {Object} [settings]
+ * @returns {Object}
+ */
+export function withPricingDefaults(settings) {
+  return { ...DEFAULT_PRICING, ...(settings || {}) };
+}
+
+/**
+ * Zone that covers a city.
+ * @param {Object} settings
+ * @param {string} city
+ * @returns {Object|null} the zone, or null when the city is in no zone
+ */
+export function findZoneForCity(settings, city) {
+  const wanted = normalizeCity(city);
+  if (!wanted) return null;
+  return (settings.zones || []).find((zone) =>
+    (zone.cities || []).some((c) => normalizeCity(c) === wanted)
+  ) || null;
+}
+
+/**
+ * Amount left to spend before shipping becomes free.
+ * @param {number} amount - cart amount after discount
+ * @param {Object} settings
+ * @returns {number} 0 when already free (or when there is no threshold)
+ */
+export function amountUntilFreeShipping(amount, settings) {
+  const threshold = Number(settings.freeShippingThreshold) || 0;
+  if (threshold <= 0) return 0;
+  return round(Math.max(0, threshold - amount));
+}
+
+/**
+ * Compute every line of the order summary.
+ * @param {{ subtotal: number, discount?: number, city?: string }} cart
+ * @param {Object} settings - pricing settings (see withPricingDefaults)
+ * @returns {{ subtotal: number, discount: number, shipping: number|null, shippingZone: string|null,
+ *   freeShipping: boolean, codFee: number, vat: number, vatRate: number, total: number }}
+ *   shipping is null when it depends on a city that is not known yet
+ */
+export function computeOrderTotals({ subtotal, discount = 0, city }, settings) {
+  const merchandise = Math.max(0, (subtotal || 0) - (discount || 0));
+  const threshold = Number(settings.freeShippingThreshold) || 0;
+  const freeShipping = threshold > 0 && merchandise >= threshold;
+  const zone = findZoneForCity(settings, city);
+
+  let shipping = null;
+  if (freeShipping) shipping = 0;
+  else if (zone) shipping = Number(zone.fee) || 0;
+  else if (normalizeCity(city)) shipping = Number(settings.defaultShippingFee) || 0;
+
+  const codFee = Number(settings.codFee) || 0;
+  const vatRate = Number(settings.vatRate) || 0;
+  const vat = settings.pricesIncludeVat
+    ? merchandise - merchandise / (1 + vatRate / 100)
+    : (merchandise * vatRate) / 100;
+  const total = merchandise + (shipping || 0) + codFee + (settings.pricesIncludeVat ? 0 : vat);
+
+  return {
+    subtotal: round(subtotal || 0),
+    discount: round(discount || 0),
+    shipping,
+    shippingZone: zone?.name || null,
+    freeShipping,
+    codFee,
+    vat: round(vat),
+    vatRate,
+    total: round(total),
+  };
+}
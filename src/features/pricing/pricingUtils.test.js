@@ -0,0 +1,44 @@
+/**
+ * Tests for computeOrderTotals: shipping by zone, free-shipping threshold, COD fee and VAT.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { computeOrderTotals, findZoneForCity } from './pricingUtils';
+
+const settings = {
+  zones: [{ id: 'rabat', name: 'Rabat - Salé', cities: ['Rabat', 'Salé'], fee: 25 }],
+  defaultShippingFee: 45,
+  freeShippingThreshold: 500,
+  codFee: 10,
+  vatRate: 20,
+  pricesIncludeVat: true,
+};
+
+describe('computeOrderTotals', () => {
+  test('uses the zone fee for a listed city (accents and case ignored)', () => {
+    expect(findZoneForCity(settings, '  sale ')?.id).toBe('rabat');
+    const totals = computeOrderTotals({ subtotal: 120, city: 'Rabat' }, settings);
+    expect(totals.shipping).toBe(25);
+    expect(totals.shippingZone).toBe('Rabat - Salé');
+    expect(totals.vat).toBe(20);
+    expect(totals.total).toBe(155);
+  });
+
+  test('falls back to the default fee, and leaves shipping unknown without a city', () => {
+    expect(computeOrderTotals({ subtotal: 100, city: 'Oujda' }, settings).shipping).toBe(45);
+    const noCity = computeOrderTotals({ subtotal: 100 }, settings);
+    expect(noCity.shipping).toBeNull();
+    expect(noCity.total).toBe(110);
+  });
+
+  test('ships for free above the threshold, after discount', () => {
+    expect(computeOrderTotals({ subtotal: 520, discount: 10, city: 'Oujda' }, settings).freeShipping).toBe(true);
+    expect(computeOrderTotals({ subtotal: 520, discount: 30, city: 'Oujda' }, settings).shipping).toBe(45);
+  });
+
+  test('adds VAT on top when prices exclude it', () => {
+    const totals = computeOrderTotals({ subtotal: 100, city: 'Rabat' }, { ...settings, pricesIncludeVat: false });
+    expect(totals.vat).toBe(20);
+    expect(totals.total).toBe(155);
+  });
+});
@@ -5,6 +5,8 @@ export default function ProductFilters({
   onSearchChange,
   stockFilter,
   onStockFilterChange,
+  statusFilter,
+  onStatusFilterChange,
 }) {
   return (
     <div className="bg-white rounded-xl shadow-sm border border-[#e5e5d1] p-4 mb-6">
@@ -20,6 +22,17 @@ export default function ProductFilters({
           />
         </div>
         <div className="flex gap-3">
+          <select
+            className="border border-gray-200 rounded-lg px-3 py-2 focus:ring-2 focus:ring-[#9E3B3B] outline-none bg-white cursor-pointer"
+            value={statusFilter}
+            onChange={(e) => onStatusFilterChange(e.target.value)}
+          >
+            <option value="active">Drafts & Published</option>
+            <option value="published">Published</option>
+            <option value="draft">Drafts</option>
+            <option value="archived">Archived</option>
+            <option value="all">All Statuses</option>
+          </select>
           <select
             className="border border-gray-200 rounded-lg px-3 py-2 focus:ring-2 focus:ring-[#9E3B3B] outline-none bg-white cursor-pointer"
             value={stockFilter}
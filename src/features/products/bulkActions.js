@@ -0,0 +1,82 @@
+/**
+ * bulkActions.js
+ * Changes applied to many products at once from ManageProducts (see the bulkUpdateProduct thunk).
+ * - price: { mode: 'absolute' | 'percent', amount } → set the price, or move it by a percentage (-10 = 10% cheaper)
+ * - stock: { amount } → add (or remove, if negative) units; never below 0
+ *   (for a product with variants, price and stock changes apply to each variant)
+ * - tag: { tag } → add a tag such as "best-seller" to product.tags
+ * - publish → status "published" (drafts go live, archived products come back)
+ * - archive → status "archived": the soft delete (hidden from the shop, kept for orders), so it needs products.delete
+ */
+
+import { getProductTags } from './productUtils';
+import { hasVariants, syncVariantTotals } from './productVariants';
+
+export const BULK_ACTIONS = {
+  price: { label: 'Change price', permission: 'products.edit' },
+  stock: { label: 'Adjust stock', permission: 'products.edit' },
+  tag: { label: 'Add tag', permission: 'products.edit' },
+  publish: { label: 'Publish', permission: 'products.edit' },
+  archive: { label: 'Archive', permission: 'products.delete' },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "Best Seller" → "best-seller"
+export const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Check the form value of a bulk action before anything is saved.
+ * @param {string} action - key of BULK_ACTIONS
+ * @param {Object} value
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateBulkValue(action, value = {}) {
+  const amount = Number(value.amount);
+  if (action === 'price') {
+    if (value.amount === '' || !Number.isFinite(amount)) return 'Enter an amount';
+    if (value.mode === 'absolute' && amount < 0) return 'The price cannot be negative';
+    if (value.mode === 'percent' && amount <= -100) return 'A percentage must be above -100';
+  }
+  if (action === 'stock' && (value.amount === '' || !Number.isInteger(amount) || amount === 0)) {
+    return 'Enter a whole number of units (negative to remove)';
+  }
+  if (action === 'tag' && !normalizeTag(value.tag)) return 'Enter a tag';
+  return null;
+}
+
+/**
+ * The product after the change.
+ * @param {Object} product
+ * @param {string} action - price | stock | tag | publish | archive
+ * @param {Object} [value]
+ * @returns {Object}
+ */
+export function applyBulkChange(product, action, value = {}) {
+  const amount = Number(value.amount);
+  const newPrice = (price) => (value.mode === 'percent' ? round2(Math.max(0, Number(price || 0) * (1 + amount / 100))) : round2(amount));
+  const newStock = (stock) => Math.max(0, Number(stock || 0) + amount);
+  switch (action) {
+    case 'price':
+      if (hasVariants(product)) {
+        return syncVariantTotals({ ...product, variants: product.variants.map((v) => ({ ...v, price: newPrice(v.price) })) });
+      }
+      return { ...product, price: newPrice(product.price) };
+    case 'stock':
+      if (hasVariants(product)) {
+        return syncVariantTotals({ ...product, variants: product.variants.map((v) => ({ ...v, stock: newStock(v.stock) })) });
+      }
+      return { ...product, stock: newStock(product.stock) };
+    case 'tag': {
+      const tags = getProductTags(product);
+      const tag = normalizeTag(value.tag);
+      return tags.includes(tag) ? product : { ...product, tags: [...tags, tag] };
+    }
+    case 'publish':
+      return { ...product, status: 'published', archivedAt: null };
+    case 'archive':
+      return { ...product, status: 'archived', archivedAt: new Date().toISOString() };
+    default:
+      throw new Error(`Unknown bulk action: ${action}`);
+  }
+}
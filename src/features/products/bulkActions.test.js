@@ -0,0 +1,37 @@
+/**
+ * Tests for bulk product changes: price (absolute / percent), stock adjustment, tags, publish / archive.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { applyBulkChange, validateBulkValue } from './bulkActions';
+
+const product = { id: '1', name: 'Serum', price: 19.99, stock: 3, tags: ['new'] };
+
+describe('applyBulkChange', () => {
+  test('sets a price or moves it by a percentage', () => {
+    expect(applyBulkChange(product, 'price', { mode: 'absolute', amount: '25' }).price).toBe(25);
+    expect(applyBulkChange(product, 'price', { mode: 'percent', amount: '-10' }).price).toBe(17.99);
+  });
+
+  test('adjusts stock without going below zero', () => {
+    expect(applyBulkChange(product, 'stock', { amount: '5' }).stock).toBe(8);
+    expect(applyBulkChange(product, 'stock', { amount: '-10' }).stock).toBe(0);
+  });
+
+  test('adds a normalized tag once, publishes and archives', () => {
+    expect(applyBulkChange(product, 'tag', { tag: 'Best Seller' }).tags).toEqual(['new', 'best-seller']);
+    expect(applyBulkChange(product, 'tag', { tag: 'new' })).toBe(product);
+    expect(applyBulkChange({ ...product, tags: 'best-seller' }, 'tag', { tag: 'new' }).tags).toEqual(['best-seller', 'new']);
+    expect(applyBulkChange(product, 'archive').status).toBe('archived');
+    expect(applyBulkChange({ ...product, status: 'draft' }, 'publish').status).toBe('published');
+  });
+});
+
+describe('validateBulkValue', () => {
+  test('rejects missing or impossible values', () => {
+    expect(validateBulkValue('price', { mode: 'percent', amount: '-100' })).toBeTruthy();
+    expect(validateBulkValue('stock', { amount: '1.5' })).toBeTruthy();
+    expect(validateBulkValue('tag', { tag: ' ' })).toBeTruthy();
+    expect(validateBulkValue('price', { mode: 'absolute', amount: '12' })).toBeNull();
+  });
+});
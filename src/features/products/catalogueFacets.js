@@ -0,0 +1,156 @@
+/**
+ * catalogueFacets.js
+ * Catalogue filtering and the facets of the sidebar, built from the loaded products
+ * (categories and skin types keep the shop's labels from catalogueQuery for the values it knows).
+ *
+ * Filter groups (see DEFAULT_CATALOGUE_FILTERS):
+ *   categories, skinTypes, concerns   any of the picked values (OR)
+ *   priceMin / priceMax               on the lowest price ("From $x" on the card)
+ *   include                           must contain every listed ingredient
+ *   exclude                           must contain none of them; FREE_FROM keys stand for a family of ingredients
+ *   inStock, bestSellers              on / off
+ *
+ * Each option's count is the number of results the catalogue would show with that option picked,
+ * all the other filters staying as they are.
+ */
+
+import { CATALOGUE_CATEGORIES, CATALOGUE_SKIN_TYPES } from './catalogueQuery';
+import { getProductConcerns, getProductIngredients, hasProductTag } from './productUtils';
+import { getPriceRange } from './productVariants';
+import { foldText } from './productSearch';
+
+// "Free from" presets, matched against the folded ingredient names
+export const FREE_FROM = [
+  { value: 'fragrance', label: 'Fragrance-free', pattern: /fragrance|parfum|perfume/ },
+  { value: 'alcohol', label: 'No alcohol', pattern: /^alcohol\b|alcohol denat|ethanol|isopropyl alcohol|sd alcohol/ },
+  { value: 'parabens', label: 'Paraben-free', pattern: /paraben/ },
+  { value: 'sulfates', label: 'Sulfate-free', pattern: /sulfate|sulphate/ },
+];
+
+const MAX_INGREDIENTS = 10;
+
+const isInStock = (product) => (product.stock ?? 0) > 0;
+
+/**
+ * Whether an ingredient name is the given ingredient, or one of the family of a FREE_FROM key.
+ * @param {string} ingredient - folded (foldText) ingredient name of a product
+ * @param {string} value - ingredient ("niacinamide") or FREE_FROM key ("fragrance")
+ * @returns {boolean}
+ */
+export function matchesIngredient(ingredient, value) {
+  const preset = FREE_FROM.find((f) => f.value === value);
+  return preset ? preset.pattern.test(ingredient) : ingredient.includes(foldText(value));
+}
+
+const containsIngredient = (ingredients, value) => ingredients.some((i) => matchesIngredient(i, value));
+
+const fieldIncludesAny = (field, values) =>
+  values.length === 0 || values.some((v) => foldText(field).includes(foldText(v)));
+
+/**
+ * @param {Object} product
+ * @param {Object} filters - see DEFAULT_CATALOGUE_FILTERS
+ * @returns {boolean}
+ */
+export function matchesFilters(product, filters) {
+  if (!fieldIncludesAny(product.subcategory, filters.categories)) return false;
+  if (!fieldIncludesAny(product.skinType, filters.skinTypes)) return false;
+  if (filters.concerns.length > 0) {
+    const concerns = getProductConcerns(product).map(foldText);
+    if (!filters.concerns.some((c) => concerns.includes(foldText(c)))) return false;
+  }
+  const price = getPriceRange(product).min;
+  if (filters.priceMin != null && price < filters.priceMin) return false;
+  if (filters.priceMax != null && price > filters.priceMax) return false;
+  if (filters.include.length > 0 || filters.exclude.length > 0) {
+    const ingredients = getProductIngredients(product).map(foldText);
+    if (!filters.include.every((v) => containsIngredient(ingredients, v))) return false;
+    if (filters.exclude.some((v) => containsIngredient(ingredients, v))) return false;
+  }
+  if (filters.inStock && !isInStock(product)) return false;
+  if (filters.bestSellers && !hasProductTag(product, 'best-seller')) return false;
+  return true;
+}
+
+export const filterProducts = (products, filters) => products.filter((p) => matchesFilters(p, filters));
+
+/**
+ * Lowest and highest price of the products, rounded outwards to whole units (slider bounds).
+ * @returns {{ min: number, max: number }}
+ */
+export function getPriceBounds(products) {
+  if (products.length === 0) return { min: 0, max: 0 };
+  const prices = products.map((p) => getPriceRange(p).min);
+  return { min: Math.floor(Math.min(...prices)), max: Math.ceil(Math.max(...prices)) };
+}
+
+// Distinct values by folded key, most frequent first (first spelling wins)
+function rankValues(products, getValues) {
+  const byKey = new Map();
+  products.forEach((p) => {
+    new Set(getValues(p).map(foldText)).forEach((key) => {
+      const entry = byKey.get(key);
+      if (entry) entry.frequency += 1;
+      else byKey.set(key, { value: key, label: getValues(p).find((v) => foldText(v) === key), frequency: 1 });
+    });
+  });
+  return [...byKey.values()].sort((a, b) => b.frequency - a.frequency || a.label.localeCompare(b.label));
+}
+
+const without = (list, value) => list.filter((v) => v !== value);
+
+const fieldValues = (field) => (p) => (p[field] ? [String(p[field])] : []);
+
+// Options of a field found on the products: shop labels for the known values (see catalogueQuery),
+// then the picked values no product has, so they can still be unchecked
+function fieldOptions(products, field, known, picked) {
+  const options = rankValues(products, fieldValues(field)).map(({ value, label }) => ({
+    value,
+    label: known.find((o) => o.value === value)?.label || label,
+  }));
+  picked
+    .filter((v) => !options.some((o) => o.value === foldText(v)))
+    .forEach((v) => options.push({ value: v, label: known.find((o) => o.value === v)?.label || v }));
+  return options;
+}
+
+/**
+ * Facets of the sidebar with their live counts.
+ * @param {Object[]} products - products the filters apply to (the search results while searching)
+ * @param {Object} filters
+ * @returns {{ categories: Object[], skinTypes: Object[], concerns: Object[], ingredients: Object[],
+ *   freeFrom: Object[], inStock: number, bestSellers: number, price: { min: number, max: number } }}
+ *   Options are { value, label, count }; ingredients also have excludedCount.
+ */
+export function buildFacets(products, filters) {
+  const count = (changes) => filterProducts(products, { ...filters, ...changes }).length;
+
+  const categories = fieldOptions(products, 'subcategory', CATALOGUE_CATEGORIES, filters.categories);
+  const skinTypes = fieldOptions(products, 'skinType', CATALOGUE_SKIN_TYPES, filters.skinTypes);
+
+  const concerns = rankValues(products, getProductConcerns);
+  filters.concerns
+    .filter((c) => !concerns.some((o) => o.value === foldText(c)))
+    .forEach((c) => concerns.push({ value: c, label: c }));
+
+  const ingredients = rankValues(products, getProductIngredients).slice(0, MAX_INGREDIENTS);
+  [...filters.include, ...filters.exclude]
+    .filter((v) => !FREE_FROM.some((f) => f.value === v) && !ingredients.some((o) => o.value === v))
+    .forEach((v) => ingredients.push({ value: v, label: v }));
+
+  return {
+    categories: categories.map((o) => ({ ...o, count: count({ categories: [o.value] }) })),
+    skinTypes: skinTypes.map((o) => ({ ...o, count: count({ skinTypes: [o.value] }) })),
+    concerns: concerns.map(({ value, label }) => ({ value, label, count: count({ concerns: [value] }) })),
+    ingredients: ingredients.map(({ value, label }) => ({
+      value,
+      label,
+      count: count({ include: [...without(filters.include, value), value], exclude: without(filters.exclude, value) }),
+      excludedCount: count({ include: without(filters.include, value), exclude: [...without(filters.exclude, value), value] }),
+    })),
+    freeFrom: FREE_FROM.map(({ value, label }) => ({ value, label, count: count({ exclude: [...without(filters.exclude, value), value] }) })),
+    inStock: count({ inStock: true }),
+    bestSellers: count({ bestSellers: true }),
+    price: getPriceBounds(products),
+  };
+}
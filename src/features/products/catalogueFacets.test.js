@@ -0,0 +1,64 @@
+/**
+ * Tests for the catalogue facets: filtering, free-from presets and live counts.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { filterProducts, buildFacets, getPriceBounds } from './catalogueFacets';
+import { DEFAULT_CATALOGUE_FILTERS } from './catalogueQuery';
+
+const products = [
+  { id: 1, subcategory: 'serum', skinType: 'oily', price: 24.5, stock: 3, tags: ['best-seller'], concerns: ['Acné', 'pores'], ingredients: 'Niacinamide, Zinc, Parfum' },
+  { id: 2, subcategory: 'serum', skinType: 'dry', price: 40, stock: 0, concerns: 'dryness', ingredients: ['Hyaluronic acid', 'Niacinamide'] },
+  { id: 3, subcategory: 'cleanser', skinType: 'oily', price: 12, stock: 8, concerns: ['acne'], ingredients: ['Salicylic acid', 'Alcohol denat.'] },
+];
+
+const ids = (list) => list.map((p) => p.id);
+const withFilters = (changes) => ({ ...DEFAULT_CATALOGUE_FILTERS, ...changes });
+
+describe('filterProducts', () => {
+  test('combines every filter group', () => {
+    expect(ids(filterProducts(products, withFilters({ concerns: ['acne'] })))).toEqual([1, 3]);
+    expect(ids(filterProducts(products, withFilters({ priceMin: 20, priceMax: 30 })))).toEqual([1]);
+    expect(ids(filterProducts(products, withFilters({ include: ['niacinamide'], inStock: true })))).toEqual([1]);
+    expect(ids(filterProducts(products, withFilters({ bestSellers: true })))).toEqual([1]);
+  });
+
+  test('free-from presets cover every spelling of the ingredient', () => {
+    expect(ids(filterProducts(products, withFilters({ exclude: ['fragrance'] })))).toEqual([2, 3]);
+    expect(ids(filterProducts(products, withFilters({ exclude: ['fragrance', 'alcohol'] })))).toEqual([2]);
+  });
+});
+
+describe('buildFacets', () => {
+  test('counts each option against the other filters', () => {
+    const facets = buildFacets(products, withFilters({ categories: ['serum'] }));
+    // Categories are OR'ed: picking cleanser too would show it, whatever is checked in the group
+    expect(facets.categories.find((o) => o.value === 'cleanser').count).toBe(1);
+    expect(facets.skinTypes.find((o) => o.value === 'oily').count).toBe(1);
+    expect(facets.concerns.map((o) => [o.value, o.count])).toEqual([['acne', 1], ['dryness', 1], ['pores', 1]]);
+    expect(facets.ingredients.find((o) => o.value === 'niacinamide')).toMatchObject({ count: 2, excludedCount: 0 });
+    expect(facets.inStock).toBe(1);
+    expect(facets.price).toEqual({ min: 12, max: 40 });
+  });
+
+  test('lists the categories and skin types of the products, with the shop labels when known', () => {
+    const facets = buildFacets([...products, { id: 4, subcategory: 'Toner', skinType: 'oily', price: 15 }], withFilters());
+    expect(facets.categories.map((o) => [o.value, o.label, o.count])).toEqual([
+      ['serum', 'Serums', 2], ['cleanser', 'Cleansers', 1], ['toner', 'Toner', 1],
+    ]);
+    expect(facets.skinTypes.map((o) => o.value)).toEqual(['oily', 'dry']);
+  });
+
+  test('keeps picked values that are not in the products', () => {
+    const facets = buildFacets(products, withFilters({ include: ['retinol'], categories: ['sunscreen'] }));
+    expect(facets.ingredients.find((o) => o.value === 'retinol').count).toBe(0);
+    expect(facets.categories.find((o) => o.value === 'sunscreen')).toMatchObject({ label: 'Sunscreen', count: 0 });
+  });
+});
+
+describe('getPriceBounds', () => {
+  test('rounds outwards and handles an empty list', () => {
+    expect(getPriceBounds([{ price: 9.99 }, { price: 20.01 }])).toEqual({ min: 9, max: 21 });
+    expect(getPriceBounds([])).toEqual({ min: 0, max: 0 });
+  });
+});
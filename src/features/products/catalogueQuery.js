@@ -0,0 +1,102 @@
+/**
+ * catalogueQuery.js
+ * Catalogue filters, sort and page <-> query string, so a catalogue view can be refreshed, shared,
+ * restored with the back button and linked to from elsewhere (e.g. /catalogue?skinType=oily&category=serum).
+ *
+ *   q=vitamin            search text
+ *   sort=price-low       sort option (see productSort.SORT_OPTIONS); omitted for the default
+ *   category=serum,toner categories, comma separated (the subcategory values)
+ *   skinType=oily,dry    skin types, comma separated
+ *   concern=acne         concerns, comma separated
+ *   price=10-40          price range (either side may be empty: "10-", "-40")
+ *   with=niacinamide     ingredients the product must contain, comma separated
+ *   without=fragrance    ingredients (or FREE_FROM keys, see catalogueFacets) it must not contain
+ *   inStock=1            in stock only
+ *   bestSellers=1        best sellers only
+ *   page=2               page number; omitted for page 1
+ */
+
+// Filter options of the shop (values match the products' subcategory and skinType fields)
+export const CATALOGUE_CATEGORIES = [
+  { value: 'cleanser', label: 'Cleansers' },
+  { value: 'serum', label: 'Serums' },
+  { value: 'moisturizer', label: 'Moisturizers' },
+  { value: 'sunscreen', label: 'Sunscreen' },
+];
+
+export const CATALOGUE_SKIN_TYPES = [
+  { value: 'dry', label: 'Dry' },
+  { value: 'oily', label: 'Oily' },
+  { value: 'combination', label: 'Combination' },
+  { value: 'sensitive', label: 'Sensitive' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'all types', label: 'All Types' },
+];
+
+export const DEFAULT_CATALOGUE_FILTERS = {
+  search: '', sort: 'default', categories: [], skinTypes: [], concerns: [],
+  priceMin: null, priceMax: null, include: [], exclude: [], inStock: false, bestSellers: false, page: 1,
+};
+
+const toList = (value) => (value ? value.split(',').map((v) => v.trim()).filter(Boolean) : []);
+
+const toPrice = (value) => {
+  const price = Number.parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/**
+ * Filters from the query string. Unknown or missing values fall back to the defaults.
+ * @param {URLSearchParams} params
+ * @returns {Object} same shape as DEFAULT_CATALOGUE_FILTERS
+ */
+export function parseCatalogueQuery(params) {
+  const page = Number.parseInt(params.get('page'), 10);
+  const [priceMin = '', priceMax = ''] = (params.get('price') || '').split('-');
+  return {
+    search: params.get('q') || '',
+    sort: params.get('sort') || DEFAULT_CATALOGUE_FILTERS.sort,
+    categories: toList(params.get('category')),
+    skinTypes: toList(params.get('skinType')),
+    concerns: toList(params.get('concern')),
+    priceMin: toPrice(priceMin),
+    priceMax: toPrice(priceMax),
+    include: toList(params.get('with')),
+    exclude: toList(params.get('without')),
+    inStock: params.get('inStock') === '1',
+    bestSellers: params.get('bestSellers') === '1',
+    page: page > 0 ? page : 1,
+  };
+}
+
+/**
+ * Query string for these filters; default values are left out so plain /catalogue stays clean.
+ * @param {Object} filters - any subset of DEFAULT_CATALOGUE_FILTERS
+ * @returns {URLSearchParams}
+ */
+export function toCatalogueQuery(filters) {
+  const f = { ...DEFAULT_CATALOGUE_FILTERS, ...filters };
+  const params = new URLSearchParams();
+  if (f.search.trim()) params.set('q', f.search);
+  if (f.sort !== DEFAULT_CATALOGUE_FILTERS.sort) params.set('sort', f.sort);
+  if (f.categories.length > 0) params.set('category', f.categories.join(','));
+  if (f.skinTypes.length > 0) params.set('skinType', f.skinTypes.join(','));
+  if (f.concerns.length > 0) params.set('concern', f.concerns.join(','));
+  if (f.priceMin != null || f.priceMax != null) params.set('price', `${f.priceMin ?? ''}-${f.priceMax ?? ''}`);
+  if (f.include.length > 0) params.set('with', f.include.join(','));
+  if (f.exclude.length > 0) params.set('without', f.exclude.join(','));
+  if (f.inStock) params.set('inStock', '1');
+  if (f.bestSellers) params.set('bestSellers', '1');
+  if (f.page > 1) params.set('page', String(f.page));
+  return params;
+}
+
+/**
+ * Link to a pre-filtered catalogue, e.g. catalogueLink({ skinTypes: ['oily'] }) → "/catalogue?skinType=oily".
+ * @param {Object} [filters]
+ * @returns {string}
+ */
+export function catalogueLink(filters = {}) {
+  const query = toCatalogueQuery(filters).toString();
+  return query ? `/catalogue?${query}` : '/catalogue';
+}
@@ -0,0 +1,32 @@
+/**
+ * Tests for the catalogue query string: parsing, writing and deep links.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { parseCatalogueQuery, toCatalogueQuery, catalogueLink, DEFAULT_CATALOGUE_FILTERS } from './catalogueQuery';
+
+describe('parseCatalogueQuery', () => {
+  test('reads every filter and falls back to the defaults', () => {
+    const params = new URLSearchParams('q=vitamin%20c&sort=price-low&category=serum,cleanser&skinType=oily&page=3');
+    expect(parseCatalogueQuery(params)).toEqual({
+      ...DEFAULT_CATALOGUE_FILTERS, search: 'vitamin c', sort: 'price-low', categories: ['serum', 'cleanser'], skinTypes: ['oily'], page: 3,
+    });
+    expect(parseCatalogueQuery(new URLSearchParams('page=abc'))).toEqual(DEFAULT_CATALOGUE_FILTERS);
+  });
+});
+
+describe('toCatalogueQuery', () => {
+  test('round-trips and leaves defaults out', () => {
+    const filters = {
+      search: 'mask', sort: 'price-high', categories: ['serum'], skinTypes: ['all types', 'dry'], concerns: ['acne'],
+      priceMin: 10, priceMax: null, include: ['niacinamide'], exclude: ['fragrance', 'alcohol'], inStock: true, bestSellers: false, page: 2,
+    };
+    expect(parseCatalogueQuery(toCatalogueQuery(filters))).toEqual(filters);
+    expect(toCatalogueQuery(DEFAULT_CATALOGUE_FILTERS).toString()).toBe('');
+  });
+});
+
+test('catalogueLink builds deep links', () => {
+  expect(catalogueLink({ skinTypes: ['oily'], categories: ['serum'] })).toBe('/catalogue?category=serum&skinType=oily');
+  expect(catalogueLink()).toBe('/catalogue');
+});
@@ -0,0 +1,59 @@
+/**
+ * productImages.js
+ * Product gallery: product.images is an ordered list of { url, alt }; the first one is the primary image.
+ * product.imageUrl is kept equal to the primary image's url, so cards, the cart and orders keep reading it.
+ */
+
+/**
+ * Gallery of a product. Products saved before galleries existed only have imageUrl (or image).
+ * @param {Object} product
+ * @returns {Array<{ url: string, alt: string }>}
+ */
+export function getProductImages(product) {
+  if (Array.isArray(product?.images) && product.images.length > 0) {
+    return product.images.filter((img) => img?.url).map((img) => ({ url: img.url, alt: img.alt || '' }));
+  }
+  const url = product?.imageUrl || product?.image;
+  return url ? [{ url, alt: '' }] : [];
+}
+
+// Alt text to render: the image's own, else the product name
+export const getImageAlt = (image, product) => image?.alt?.trim() || product?.name || '';
+
+/**
+ * Move one image (drag-to-reorder). Moving to index 0 makes it the primary image.
+ * @param {Array} images
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array} a new list
+ */
+export function moveImage(images, from, to) {
+  if (from === to || from < 0 || from >= images.length) return images;
+  const next = [...images];
+  const [moved] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, moved);
+  return next;
+}
+
+/**
+ * Put this url first (moving it if it is already in the list). Used when an import sets imageUrl.
+ * @param {Array} images
+ * @param {string} url
+ * @returns {Array}
+ */
+export function withPrimaryUrl(images, url) {
+  const existing = images.find((img) => img.url === url);
+  return [existing || { url, alt: '' }, ...images.filter((img) => img.url !== url)];
+}
+
+/**
+ * Product ready to save: trimmed alt texts and imageUrl = primary image.
+ * @param {Object} product - with images from the form
+ * @returns {Object}
+ */
+export function syncPrimaryImage(product) {
+  const images = (product.images || [])
+    .filter((img) => img?.url)
+    .map((img) => ({ url: img.url, alt: String(img.alt || '').trim() }));
+  return { ...product, images, imageUrl: images[0]?.url || '' };
+}
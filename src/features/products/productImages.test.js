@@ -0,0 +1,37 @@
+/**
+ * Tests for the product gallery helpers: legacy imageUrl, reordering, primary image sync.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { getProductImages, moveImage, withPrimaryUrl, syncPrimaryImage } from './productImages';
+
+const a = { url: 'https://img/a.jpg', alt: 'Front' };
+const b = { url: 'https://img/b.jpg', alt: '' };
+const c = { url: 'https://img/c.jpg', alt: 'Texture' };
+
+describe('getProductImages', () => {
+  test('reads the gallery, or the single imageUrl of older products', () => {
+    expect(getProductImages({ images: [a, b] })).toEqual([a, b]);
+    expect(getProductImages({ imageUrl: 'https://img/old.jpg' })).toEqual([{ url: 'https://img/old.jpg', alt: '' }]);
+    expect(getProductImages({})).toEqual([]);
+  });
+});
+
+describe('reordering', () => {
+  test('moveImage drags an image to a new position', () => {
+    expect(moveImage([a, b, c], 2, 0)).toEqual([c, a, b]);
+    expect(moveImage([a, b, c], 0, 2)).toEqual([b, c, a]);
+  });
+
+  test('withPrimaryUrl puts an existing or new url first', () => {
+    expect(withPrimaryUrl([a, b], b.url)).toEqual([b, a]);
+    expect(withPrimaryUrl([a], 'https://img/new.jpg')[0]).toEqual({ url: 'https://img/new.jpg', alt: '' });
+  });
+});
+
+test('syncPrimaryImage keeps imageUrl on the first image and trims alt texts', () => {
+  const saved = syncPrimaryImage({ name: 'Serum', images: [{ ...c, alt: ' Texture ' }, a] });
+  expect(saved.imageUrl).toBe(c.url);
+  expect(saved.images[0].alt).toBe('Texture');
+  expect(syncPrimaryImage({ images: [] }).imageUrl).toBe('');
+});
@@ -0,0 +1,165 @@
+/**
+ * productImport.js
+ * Bulk catalog import/export (CSV or JSON) for ManageProducts.
+ * Rows are validated against the product schema and turned into a plan (create / update / error per row)
+ * that the admin previews before the importProducts thunk applies it.
+ */
+
+import { parseCsv, toCsv } from '../../utils/csv';
+import { syncVariantTotals } from './productVariants';
+import { PRODUCT_STATUSES, getProductStatus } from './productUtils';
+import { getProductImages, withPrimaryUrl, syncPrimaryImage } from './productImages';
+
+// Columns of the import/export files, in order (plus an optional "id" first column to update by id)
+export const PRODUCT_FIELDS = [
+  'name', 'subcategory', 'skinType', 'concerns', 'price', 'size', 'stock', 'minStock', 'ingredients', 'description', 'imageUrl', 'status',
+];
+
+// Allowed values (same lists as the add product form)
+export const PRODUCT_OPTIONS = {
+  subcategory: ['cleanser', 'moisturizer', 'serum', 'sunscreen'],
+  skinType: ['dry', 'normal', 'oily', 'sensitive', 'combination', 'all types'],
+  concerns: ['acne', 'breakouts', 'redness', 'dryness', 'sensitivity', 'reactivity', 'tightness', 'excess oil'],
+  status: Object.keys(PRODUCT_STATUSES),
+};
+
+const REQUIRED_FIELDS = ['name', 'subcategory', 'price', 'stock'];
+const INTEGER_FIELDS = ['stock', 'minStock'];
+const NUMBER_FIELDS = ['price', 'size'];
+
+// Defaults for fields a new product's row leaves empty
+const EMPTY_PRODUCT = {
+  name: '', subcategory: '', skinType: '', concerns: '', price: 0, size: 0, stock: 0, minStock: 0, ingredients: [], description: '', imageUrl: '', status: 'published',
+};
+
+// Full payload for a valid row. The file's imageUrl becomes the primary image of the gallery.
+function buildImportedProduct(existing, product) {
+  if (!existing) {
+    return syncPrimaryImage({ ...EMPTY_PRODUCT, ...product, images: product.imageUrl ? [{ url: product.imageUrl, alt: '' }] : [] });
+  }
+  const images = product.imageUrl ? withPrimaryUrl(getProductImages(existing), product.imageUrl) : getProductImages(existing);
+  return syncPrimaryImage(syncVariantTotals({ ...existing, ...product, id: existing.id, images }));
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Check one raw row (strings from CSV, or values from JSON).
+ * Blank optional cells are left out of `product`, so an update keeps the current value.
+ * @param {Object} raw
+ * @returns {{ product: Object, errors: string[] }}
+ */
+export function validateProductRow(raw) {
+  const product = {};
+  const errors = [];
+
+  PRODUCT_FIELDS.forEach((field) => {
+    const value = raw[field];
+    if (isBlank(value)) {
+      if (REQUIRED_FIELDS.includes(field)) errors.push(`${field} is required`);
+      return;
+    }
+
+    if (PRODUCT_OPTIONS[field]) {
+      const option = String(value).trim().toLowerCase();
+      if (PRODUCT_OPTIONS[field].includes(option)) product[field] = option;
+      else errors.push(`${field} must be one of: ${PRODUCT_OPTIONS[field].join(', ')}`);
+    } else if (NUMBER_FIELDS.includes(field) || INTEGER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) errors.push(`${field} must be a positive number`);
+      else if (INTEGER_FIELDS.includes(field) && !Number.isInteger(number)) errors.push(`${field} must be a whole number`);
+      else product[field] = number;
+    } else if (field === 'ingredients') {
+      product.ingredients = (Array.isArray(value) ? value : String(value).split(','))
+        .map((i) => String(i).trim())
+        .filter(Boolean);
+    } else if (field === 'imageUrl' && !/^https?:\/\//i.test(String(value).trim())) {
+      errors.push('imageUrl must start with http:// or https://');
+    } else {
+      product[field] = String(value).trim();
+    }
+  });
+
+  return { product, errors };
+}
+
+/**
+ * Read an uploaded file into raw rows (objects keyed by column name).
+ * @param {string} fileName - ".json" is read as JSON (an array of products), anything else as CSV with a header row
+ * @param {string} text
+ * @returns {Object[]}
+ * @throws {Error} when the file cannot be read
+ */
+export function parseProductFile(fileName, text) {
+  if (/\.json$/i.test(fileName)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The JSON file is not valid');
+    }
+    if (!Array.isArray(data)) throw new Error('The JSON file must contain an array of products');
+    return data;
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('The CSV file is empty');
+  const columns = header.map((c) => c.trim());
+  if (!columns.includes('name')) throw new Error('The CSV header must have a "name" column');
+  return rows.map((cells) => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+}
+
+/**
+ * Dry run: what importing these rows would do. A row updates a product when its id, or else its name
+ * (case-insensitive), matches the current catalog; otherwise it creates one.
+ * Variants and extra gallery images are not in the file: an updated product keeps them (its variants still decide its price and stock).
+ * @param {Object[]} rawRows - from parseProductFile
+ * @param {Object[]} existingProducts - current catalog
+ * @returns {Array<{ row: number, name: string, action: 'create'|'update'|null, product: Object|null, errors: string[] }>}
+ *   product is the full payload to save (null when the row has errors)
+ */
+export function planProductImport(rawRows, existingProducts) {
+  const byId = new Map(existingProducts.map((p) => [String(p.id), p]));
+  const byName = new Map(existingProducts.map((p) => [String(p.name || '').trim().toLowerCase(), p]));
+  const seenNames = new Set();
+
+  return rawRows.map((raw, index) => {
+    const { product, errors } = validateProductRow(raw);
+    const nameKey = (product.name || '').toLowerCase();
+
+    let existing = null;
+    if (!isBlank(raw.id)) {
+      existing = byId.get(String(raw.id).trim()) || null;
+      if (!existing) errors.push(`no product with id ${raw.id}`);
+    } else if (nameKey) {
+      existing = byName.get(nameKey) || null;
+    }
+    if (nameKey && seenNames.has(nameKey)) errors.push('same name as an earlier row');
+    if (nameKey) seenNames.add(nameKey);
+
+    const valid = errors.length === 0;
+    return {
+      row: index + 1,
+      name: product.name || String(raw.name || ''),
+      action: valid ? (existing ? 'update' : 'create') : null,
+      product: valid ? buildImportedProduct(existing, product) : null,
+      errors,
+    };
+  });
+}
+
+/**
+ * The catalog as a file to download.
+ * @param {Object[]} products
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export function exportProducts(products, format) {
+  const columns = ['id', ...PRODUCT_FIELDS];
+  const rows = products.map((p) => Object.fromEntries(columns.map((column) => [column, column === 'status' ? getProductStatus(p) : p[column] ?? ''])));
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+  return toCsv([
+    columns,
+    ...rows.map((row) => columns.map((column) => (Array.isArray(row[column]) ? row[column].join(', ') : row[column]))),
+  ]);
+}
@@ -0,0 +1,47 @@
+/**
+ * Tests for the catalog import: row validation, the dry-run plan and CSV round trip.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { validateProductRow, parseProductFile, planProductImport, exportProducts } from './productImport';
+
+const row = {
+  name: 'Glow Serum', subcategory: 'Serum', skinType: 'dry', concerns: 'dryness', price: '24.5', size: '30',
+  stock: '40', minStock: '5', ingredients: 'Aqua, Niacinamide', description: 'Daily serum', imageUrl: 'https://img/x.jpg',
+};
+
+describe('validateProductRow', () => {
+  test('converts numbers, options and ingredients', () => {
+    const { product, errors } = validateProductRow(row);
+    expect(errors).toEqual([]);
+    expect(product).toMatchObject({ subcategory: 'serum', price: 24.5, stock: 40, ingredients: ['Aqua', 'Niacinamide'] });
+  });
+
+  test('reports each invalid field', () => {
+    const { errors } = validateProductRow({ ...row, name: '', subcategory: 'toner', stock: '2.5', price: '-1' });
+    expect(errors).toEqual([
+      'name is required',
+      'subcategory must be one of: cleanser, moisturizer, serum, sunscreen',
+      'price must be a positive number',
+      'stock must be a whole number',
+    ]);
+  });
+});
+
+describe('planProductImport', () => {
+  test('updates by id or name, creates the rest and flags bad rows', () => {
+    const existing = [{ id: '7', name: 'Glow Serum', price: 20, category: 'serum' }];
+    const plan = planProductImport([row, { ...row, name: 'New Cream', subcategory: 'moisturizer' }, { ...row, id: '99' }], existing);
+    expect(plan.map((r) => r.action)).toEqual(['update', 'create', null]);
+    expect(plan[0].product).toMatchObject({ id: '7', price: 24.5, category: 'serum' });
+    expect(plan[2].errors).toContain('no product with id 99');
+  });
+});
+
+describe('CSV export / import', () => {
+  test('an exported catalog reads back the same', () => {
+    const products = [{ id: '1', name: 'Cleanser, "Gentle"', subcategory: 'cleanser', price: 12, stock: 3, ingredients: ['Aqua', 'Glycerin'] }];
+    const [parsed] = parseProductFile('products.csv', exportProducts(products, 'csv'));
+    expect(parsed).toMatchObject({ id: '1', name: 'Cleanser, "Gentle"', price: '12', ingredients: 'Aqua, Glycerin' });
+  });
+});
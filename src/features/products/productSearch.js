@@ -0,0 +1,191 @@
+/**
+ * productSearch.js
+ * Client-side catalogue search: an index over name, description, ingredients, concerns, skin type and
+ * subcategory, with accent folding ("Sèche" = "seche"), typo tolerance ("niacinimide"), relevance ranking
+ * and highlighting. Every word of the query must match somewhere in the product (except stop words).
+ */
+
+// Where a match counts most
+const SEARCH_FIELDS = [
+  { field: 'name', label: 'Name', weight: 5 },
+  { field: 'subcategory', label: 'Category', weight: 3 },
+  { field: 'concerns', label: 'Concern', weight: 3 },
+  { field: 'ingredients', label: 'Ingredient', weight: 2 },
+  { field: 'skinType', label: 'Skin type', weight: 2 },
+  { field: 'description', label: 'Description', weight: 1 },
+];
+
+// English and French words that say nothing about the product ("serum for oily skin", "crème pour peau sèche")
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'of', 'the', 'to', 'with', 'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'pour', 'un', 'une']);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase without accents: "Acné Sèche" → "acne seche".
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+const tokenize = (text) => foldText(text).match(WORD) || [];
+
+// Arrays (ingredients, concerns) and comma separated strings both become plain text
+const fieldText = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+
+/**
+ * Edit distance, giving up (returns max + 1) as soon as it is over max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well a (folded) query word matches a (folded) product word: 1 exact, 0.8 prefix, 0.6 inside the word,
+ * 0.5 one typo (two for words of 8+ letters), 0.4 typo in a prefix, 0 no match.
+ * @param {string} queryWord
+ * @param {string} word
+ * @returns {number}
+ */
+export function matchWord(queryWord, word) {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.8;
+  if (queryWord.length >= 3 && word.includes(queryWord)) return 0.6;
+  if (queryWord.length < 4) return 0;
+  const maxTypos = queryWord.length >= 8 ? 2 : 1;
+  if (editDistance(queryWord, word, maxTypos) <= maxTypos) return 0.5;
+  if (word.length > queryWord.length && editDistance(queryWord, word.slice(0, queryWord.length), maxTypos) <= maxTypos) return 0.4;
+  return 0;
+}
+
+/**
+ * Query words to look for (folded, without stop words).
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function parseQuery(query) {
+  const words = tokenize(query);
+  const meaningful = words.filter((w) => !STOP_WORDS.has(w));
+  // A query made only of stop words is still searched as typed
+  return meaningful.length > 0 ? meaningful : words;
+}
+
+/**
+ * Words of each searchable field, built once per product list.
+ * @param {Array} products
+ * @returns {Array<{ product: Object, fields: Array<{ field: string, label: string, weight: number, words: string[] }> }>}
+ */
+export function buildSearchIndex(products) {
+  return (products || []).map((product) => ({
+    product,
+    fields: SEARCH_FIELDS.map(({ field, label, weight }) => ({
+      field, label, weight, words: [...new Set(tokenize(fieldText(product[field])))],
+    })),
+  }));
+}
+
+/**
+ * Products matching every query word, best first.
+ * Score = for each query word, its best (field weight × match quality).
+ * @param {Array} index - from buildSearchIndex
+ * @param {string} query
+ * @returns {Array<{ product: Object, score: number }>}
+ */
+export function searchProducts(index, query) {
+  const queryWords = parseQuery(query);
+  if (queryWords.length === 0) return (index || []).map(({ product }) => ({ product, score: 0 }));
+
+  const results = [];
+  (index || []).forEach(({ product, fields }) => {
+    let score = 0;
+    for (const queryWord of queryWords) {
+      let best = 0;
+      fields.forEach(({ weight, words }) => {
+        words.forEach((word) => {
+          const quality = matchWord(queryWord, word);
+          if (quality > 0) best = Math.max(best, weight * quality);
+        });
+      });
+      if (best === 0) return;
+      score += best;
+    }
+    results.push({ product, score });
+  });
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Does every word of the query match a word of this text? (category / concern suggestions)
+ * @param {string} text
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function textMatchesQuery(text, query) {
+  const queryWords = parseQuery(query);
+  const words = tokenize(text);
+  return queryWords.length > 0 && queryWords.every((queryWord) => words.some((word) => matchWord(queryWord, word) > 0));
+}
+
+/**
+ * Split a text into plain and matched parts, for highlighting (whole words are highlighted).
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function highlightParts(text, query) {
+  const value = String(text ?? '');
+  const queryWords = parseQuery(query);
+  if (!value || queryWords.length === 0) return [{ text: value, match: false }];
+
+  const parts = [];
+  let last = 0;
+  for (const found of value.matchAll(WORD)) {
+    const folded = foldText(found[0]);
+    if (!queryWords.some((queryWord) => matchWord(queryWord, folded) > 0)) continue;
+    if (found.index > last) parts.push({ text: value.slice(last, found.index), match: false });
+    parts.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < value.length) parts.push({ text: value.slice(last), match: false });
+  return parts;
+}
+
+/**
+ * Why a product matched when it's not visible on its card (ingredient, concern, skin type...):
+ * the first matching item of those fields, e.g. { label: 'Ingredient', text: 'Niacinamide' }.
+ * @param {Object} product
+ * @param {string} query
+ * @returns {{ label: string, text: string } | null}
+ */
+export function findHiddenMatch(product, query) {
+  const queryWords = parseQuery(query);
+  if (queryWords.length === 0) return null;
+  const matches = (text) => tokenize(text).some((word) => queryWords.some((queryWord) => matchWord(queryWord, word) > 0));
+  if (matches(product.name) || matches(product.description)) return null;
+
+  for (const { field, label } of SEARCH_FIELDS) {
+    if (field === 'name' || field === 'description') continue;
+    const value = product[field];
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const item = items.map((i) => String(i).trim()).find((i) => i && matches(i));
+    if (item) return { label, text: item };
+  }
+  return null;
+}
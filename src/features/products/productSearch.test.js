@@ -0,0 +1,52 @@
+/**
+ * Tests for the catalogue search: accent folding, typos, ranking, highlighting.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { foldText, buildSearchIndex, searchProducts, highlightParts, findHiddenMatch, textMatchesQuery } from './productSearch';
+
+const products = [
+  { id: '1', name: 'Clear Skin Serum', subcategory: 'serum', concerns: 'Acné, redness', ingredients: ['Niacinamide', 'Zinc'], skinType: 'oily', description: 'Balances oil.' },
+  { id: '2', name: 'Hydra Cream', subcategory: 'moisturizer', concerns: 'dryness', ingredients: 'Hyaluronic acid, Ceramides', skinType: 'Sèche', description: 'Rich cream for acne-free days.' },
+  { id: '3', name: 'Gentle Cleanser', subcategory: 'cleanser', concerns: ['sensitivity'], ingredients: [], skinType: 'sensitive', description: '' },
+];
+const index = buildSearchIndex(products);
+const ids = (query) => searchProducts(index, query).map((r) => r.product.id);
+
+describe('searchProducts', () => {
+  test('searches ingredients and concerns, ignoring accents', () => {
+    expect(ids('niacinamide')).toEqual(['1']);
+    expect(ids('seche')).toEqual(['2']);
+    expect(foldText('Acné Sèche')).toBe('acne seche');
+  });
+
+  test('tolerates typos and partial words', () => {
+    expect(ids('niacinimide')).toEqual(['1']);
+    expect(ids('hyal')).toEqual(['2']);
+    expect(ids('xyzzy')).toEqual([]);
+  });
+
+  test('ranks by where the words match and needs every word', () => {
+    // concern match (product 1) beats a description match (product 2)
+    expect(ids('acne')).toEqual(['1', '2']);
+    expect(ids('serum for oily skin')).toEqual(['1']);
+    expect(ids('')).toEqual(['1', '2', '3']);
+  });
+});
+
+test('highlightParts marks the matching words', () => {
+  expect(highlightParts('Clear Skin Serum', 'serm')).toEqual([
+    { text: 'Clear Skin ', match: false },
+    { text: 'Serum', match: true },
+  ]);
+});
+
+test('findHiddenMatch explains matches that are not on the card', () => {
+  expect(findHiddenMatch(products[0], 'zinc')).toEqual({ label: 'Ingredient', text: 'Zinc' });
+  expect(findHiddenMatch(products[0], 'serum')).toBeNull();
+});
+
+test('textMatchesQuery needs every query word', () => {
+  expect(textMatchesQuery('Excess oil', 'oil exces')).toBe(true);
+  expect(textMatchesQuery('Excess oil', 'oil acne')).toBe(false);
+});
@@ -0,0 +1,56 @@
+/**
+ * productSort.js
+ * Catalogue sort options (the `sort` query parameter, see catalogueQuery) and the sorting itself.
+ * Sorting is stable: ties keep the incoming order (best match first while searching).
+ */
+
+import { hasProductTag } from './productUtils';
+import { scoreProduct } from '../../services/aiRecommendation';
+
+// needsQuiz: only offered once the shopper has a saved quiz result
+export const SORT_OPTIONS = [
+  { value: 'default', label: 'Featured' },
+  { value: 'best-selling', label: 'Best Selling' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'skin-match', label: 'Best Match for My Skin', needsQuiz: true },
+  { value: 'name', label: 'Name: A to Z' },
+  { value: 'price-low', label: 'Price: Low to High' },
+  { value: 'price-high', label: 'Price: High to Low' },
+];
+
+const sold = (p) => Number(p.quantityVendu) || 0;
+
+// Products saved before createdAt existed fall back to their MockAPI id, which grows with each new product
+const addedAt = (p) => (p.createdAt ? new Date(p.createdAt).getTime() : 0) || Number(p.id) || 0;
+
+const COMPARATORS = {
+  'best-selling': (a, b) => sold(b) - sold(a),
+  newest: (a, b) => addedAt(b) - addedAt(a),
+  // Unrated products last; same rating: the most reviewed first
+  rating: (a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0) || (b.reviewCount || 0) - (a.reviewCount || 0),
+  name: (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' }),
+  'price-low': (a, b) => (a.price || 0) - (b.price || 0),
+  'price-high': (a, b) => (b.price || 0) - (a.price || 0),
+};
+
+/**
+ * @param {Object[]} products
+ * @param {string} sort - a SORT_OPTIONS value
+ * @param {Object} [options]
+ * @param {boolean} [options.searching] - products are search results: "Featured" keeps the best match first
+ * @param {Object|null} [options.quizResult] - saved quiz result, for "skin-match" (without one it sorts like "Featured")
+ * @returns {Object[]} a sorted copy
+ */
+export function sortProducts(products, sort, { searching = false, quizResult = null } = {}) {
+  const list = [...products];
+  if (sort === 'skin-match' && quizResult) {
+    // Score once per product rather than once per comparison
+    const scores = new Map(list.map((p) => [p, scoreProduct(p, quizResult)]));
+    return list.sort((a, b) => scores.get(b) - scores.get(a) || sold(b) - sold(a));
+  }
+  if (COMPARATORS[sort]) return list.sort(COMPARATORS[sort]);
+  // Featured: best sellers first, then the shop's own order
+  if (!searching) list.sort((a, b) => Number(hasProductTag(b, 'best-seller')) - Number(hasProductTag(a, 'best-seller')));
+  return list;
+}
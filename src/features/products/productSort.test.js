@@ -0,0 +1,35 @@
+/**
+ * Tests for the catalogue sorts.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { sortProducts } from './productSort';
+
+const products = [
+  { id: '1', name: 'Zinc Serum', price: 30, quantityVendu: 5, rating: 4.2, reviewCount: 3, skinType: 'dry', createdAt: '2026-01-10T00:00:00Z' },
+  { id: '2', name: 'aloe Gel', price: 12, quantityVendu: 40, tags: ['best-seller'], skinType: 'oily', concerns: ['acne'] },
+  { id: '3', name: 'Clay Mask', price: 18, quantityVendu: 12, rating: 4.8, reviewCount: 9, skinType: 'all types', createdAt: '2026-03-02T00:00:00Z' },
+];
+
+const ids = (list) => list.map((p) => p.id);
+
+describe('sortProducts', () => {
+  test('explicit sorts', () => {
+    expect(ids(sortProducts(products, 'best-selling'))).toEqual(['2', '3', '1']);
+    expect(ids(sortProducts(products, 'newest'))).toEqual(['3', '1', '2']);
+    expect(ids(sortProducts(products, 'rating'))).toEqual(['3', '1', '2']);
+    expect(ids(sortProducts(products, 'name'))).toEqual(['2', '3', '1']);
+    expect(ids(sortProducts(products, 'price-high'))).toEqual(['1', '3', '2']);
+  });
+
+  test('Featured puts best sellers first, but keeps the best match first while searching', () => {
+    expect(ids(sortProducts(products, 'default'))).toEqual(['2', '1', '3']);
+    expect(ids(sortProducts(products, 'default', { searching: true }))).toEqual(['1', '2', '3']);
+  });
+
+  test('skin match scores against the quiz result and needs one', () => {
+    const quizResult = { skinType: 'oily', concerns: ['acne'] };
+    expect(ids(sortProducts(products, 'skin-match', { quizResult }))).toEqual(['2', '3', '1']);
+    expect(ids(sortProducts(products, 'skin-match'))).toEqual(['2', '1', '3']);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * productUtils.js
+ * Small helpers on product records shared by the shop and the admin.
+ */
+
+/**
+ * Tags of a product. Older products store a single tag as a string ("best-seller").
+ * @param {Object} product
+ * @returns {string[]}
+ */
+export function getProductTags(product) {
+  const tags = product?.tags;
+  if (Array.isArray(tags)) return tags;
+  return typeof tags === 'string' && tags.trim() ? [tags.trim()] : [];
+}
+
+/**
+ * @param {Object} product
+ * @param {string} tag - e.g. 'best-seller'
+ * @returns {boolean}
+ */
+export function hasProductTag(product, tag) {
+  return getProductTags(product).includes(tag);
+}
+
+// "a, b, c" strings and arrays both become a list of trimmed values
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return typeof value === 'string' ? value.split(',').map((v) => v.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Ingredients of a product (stored as an array or as a "a, b, c" string).
+ * @param {Object} product
+ * @returns {string[]}
+ */
+export function getProductIngredients(product) {
+  return toList(product?.ingredients);
+}
+
+/**
+ * Skin concerns a product targets (stored as an array or as a "acne, redness" string).
+ * @param {Object} product
+ * @returns {string[]}
+ */
+export function getProductConcerns(product) {
+  return toList(product?.concerns);
+}
+
+/*Publishing states. Only published products are in the shop; archived ones replace deletion so past
+  orders, saved recommendations and carts can still find them. Products saved before statuses existed
+  have no status and count as published.*/
+export const PRODUCT_STATUSES = {
+  draft: { label: 'Draft', color: 'text-gray-600', bg: 'bg-gray-100' },
+  published: { label: 'Published', color: 'text-green-700', bg: 'bg-green-50' },
+  archived: { label: 'Archived', color: 'text-amber-700', bg: 'bg-amber-50' },
+};
+
+/**
+ * @param {Object} product
+ * @returns {'draft'|'published'|'archived'}
+ */
+export function getProductStatus(product) {
+  return PRODUCT_STATUSES[product?.status] ? product.status : 'published';
+}
+
+export const isPublished = (product) => getProductStatus(product) === 'published';
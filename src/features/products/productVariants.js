@@ -0,0 +1,134 @@
+/**
+ * productVariants.js
+ * Product variants (sizes / shades), each with its own SKU, size, price and stock.
+ * A product without `variants` is sold as-is with its own price / size / stock.
+ * When a product has variants, its top-level price (lowest) and stock (total) are kept in sync
+ * with them (syncVariantTotals) so lists, filters, sorting and low-stock checks keep working.
+ *
+ * Variant shape: { sku, label, size, price, stock }
+ */
+
+/**
+ * @param {Object} product
+ * @returns {Array<{ sku: string, label: string, size: string|number, price: number, stock: number }>}
+ */
+export function getVariants(product) {
+  return Array.isArray(product?.variants) ? product.variants : [];
+}
+
+export const hasVariants = (product) => getVariants(product).length > 0;
+
+export function findVariant(product, sku) {
+  return getVariants(product).find((v) => v.sku === sku) || null;
+}
+
+// First variant with stock left, else the first one (null for a product without variants)
+export function getDefaultVariant(product) {
+  const variants = getVariants(product);
+  return variants.find((v) => Number(v.stock) > 0) || variants[0] || null;
+}
+
+/**
+ * What the customer buys: the variant's price / size / stock, or the product's own for a product without variants.
+ * A SKU that no longer exists gives stock 0.
+ * @param {Object} product
+ * @param {string|null} [sku]
+ * @returns {{ sku: string|null, label: string, size: *, price: number, stock: number }}
+ */
+export function getPurchaseOption(product, sku = null) {
+  if (!hasVariants(product)) {
+    return { sku: null, label: '', size: product?.size || null, price: Number(product?.price) || 0, stock: Math.max(0, Number(product?.stock) || 0) };
+  }
+  const variant = sku ? findVariant(product, sku) : null;
+  if (!variant) return { sku, label: '', size: null, price: Number(product.price) || 0, stock: 0 };
+  return { sku: variant.sku, label: variant.label, size: variant.size, price: Number(variant.price) || 0, stock: Math.max(0, Number(variant.stock) || 0) };
+}
+
+/**
+ * Lowest and highest price (the same for a product without variants).
+ * @returns {{ min: number, max: number }}
+ */
+export function getPriceRange(product) {
+  const prices = hasVariants(product) ? getVariants(product).map((v) => Number(v.price) || 0) : [Number(product?.price) || 0];
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Copy of the product with price = lowest variant price and stock = total variant stock.
+ * Products without variants are returned unchanged.
+ */
+export function syncVariantTotals(product) {
+  if (!hasVariants(product)) return product;
+  const variants = getVariants(product);
+  return {
+    ...product,
+    price: getPriceRange(product).min,
+    stock: variants.reduce((sum, v) => sum + Math.max(0, Number(v.stock) || 0), 0),
+  };
+}
+
+/**
+ * Check variants before saving (admin forms).
+ * @param {Array} variants
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateVariants(variants) {
+  const skus = new Set();
+  for (const [index, v] of (variants || []).entries()) {
+    const name = `Variant ${index + 1}`;
+    const sku = String(v.sku || '').trim();
+    if (!sku) return `${name}: SKU is required`;
+    if (skus.has(sku)) return `${name}: SKU ${sku} is used twice`;
+    skus.add(sku);
+    if (!String(v.label || '').trim()) return `${name}: label is required (e.g. 30ml)`;
+    if (v.price === '' || !(Number(v.price) >= 0)) return `${name}: price must be a positive number`;
+    if (v.stock === '' || !Number.isInteger(Number(v.stock)) || Number(v.stock) < 0) return `${name}: stock must be a whole number`;
+  }
+  return null;
+}
+
+// Saved variants → form rows (strings)
+export const variantsToForm = (variants) =>
+  getVariants({ variants }).map((v) => ({
+    sku: v.sku || '', label: v.label || '', size: v.size ?? '', price: v.price ?? '', stock: v.stock ?? '',
+  }));
+
+// Form values (strings) → saved variants
+export function normalizeVariants(variants) {
+  return (variants || []).map((v) => ({
+    sku: String(v.sku).trim(),
+    label: String(v.label).trim(),
+    size: v.size === '' || v.size == null ? '' : v.size,
+    price: Number(v.price),
+    stock: Number(v.stock),
+  }));
+}
+
+/**
+ * Cart line identity: the product plus its variant.
+ * @param {string} productId
+ * @param {string|null} [sku]
+ */
+export const getLineKey = (productId, sku = null) => (sku ? `${productId}::${sku}` : String(productId));
+
+/**
+ * addToCart payload for a product (and variant).
+ * @param {Object} product
+ * @param {string|null} [sku]
+ * @param {number} [quantity]
+ */
+export function toCartPayload(product, sku = null, quantity = 1) {
+  const option = getPurchaseOption(product, sku);
+  return {
+    id: product.id,
+    name: product.name,
+    price: option.price,
+    imageUrl: product.imageUrl || '',
+    category: product.subcategory || '',
+    // Without variants, keep the product's raw stock (null = not tracked, see cartSlice)
+    stock: hasVariants(product) ? option.stock : product.stock,
+    variantSku: option.sku,
+    variantLabel: option.label,
+    quantity,
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Tests for product variants: what the customer buys, synced totals, form validation.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { getPurchaseOption, getDefaultVariant, syncVariantTotals, validateVariants, toCartPayload } from './productVariants';
+
+const serum = {
+  id: 'p1', name: 'Serum', price: 0, stock: 0,
+  variants: [
+    { sku: 'SER-30', label: '30ml', size: 30, price: 25, stock: 0 },
+    { sku: 'SER-50', label: '50ml', size: 50, price: 38, stock: 4 },
+  ],
+};
+
+describe('getPurchaseOption', () => {
+  test('uses the variant, or the product itself when it has no variants', () => {
+    expect(getPurchaseOption(serum, 'SER-50')).toEqual({ sku: 'SER-50', label: '50ml', size: 50, price: 38, stock: 4 });
+    expect(getPurchaseOption({ id: 'p2', price: 12, stock: 3 })).toMatchObject({ sku: null, price: 12, stock: 3 });
+    expect(getPurchaseOption(serum, 'GONE').stock).toBe(0);
+  });
+
+  test('the default variant is the first one in stock', () => {
+    expect(getDefaultVariant(serum).sku).toBe('SER-50');
+  });
+});
+
+describe('syncVariantTotals', () => {
+  test('price is the lowest variant price and stock the total', () => {
+    expect(syncVariantTotals(serum)).toMatchObject({ price: 25, stock: 4 });
+  });
+});
+
+describe('validateVariants', () => {
+  test('requires unique SKUs and valid numbers', () => {
+    expect(validateVariants(serum.variants)).toBeNull();
+    expect(validateVariants([...serum.variants, { ...serum.variants[0] }])).toMatch(/used twice/);
+    expect(validateVariants([{ sku: 'A', label: '10ml', price: '5', stock: '1.5' }])).toMatch(/stock/);
+  });
+});
+
+test('toCartPayload carries the variant', () => {
+  expect(toCartPayload(serum, 'SER-50', 2)).toMatchObject({ id: 'p1', price: 38, stock: 4, variantSku: 'SER-50', variantLabel: '50ml', quantity: 2 });
+});
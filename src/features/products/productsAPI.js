@@ -1,6 +1,7 @@
 /**
  * productsAPI.js
- * Calls MockAPI (axios) for products: get list, add, update, delete.
+ * Calls MockAPI (axios) for products: get list / one, add, update, delete (soft: the product is archived).
+ * MockAPI's PUT merges the sent fields into the product, so updateProductFields can send only what changed.
  * Used by productsThunks. On error we throw so the thunk can set error state.
  */
 
@@ -15,8 +16,14 @@ export async function getProducts() {
   return res.data;
 }
 
+export async function getProduct(productId) {
+  const res = await axios.get(`${API_URL}/${productId}`);
+  return res.data;
+}
+
+// createdAt drives the catalogue's "Newest" sort
 export async function addProduct(newProduct) {
-  const res = await axios.post(API_URL, newProduct);
+  const res = await axios.post(API_URL, { ...newProduct, createdAt: new Date().toISOString() });
   return res.data;
 }
 
@@ -25,6 +32,18 @@ export async function updateProduct(productToUpdate) {
   return res.data;
 }
 
-export async function deleteProduct(productId) {
-  await axios.delete(`${API_URL}/${productId}`);
+export async function updateProductFields(productId, changes) {
+  const res = await axios.put(`${API_URL}/${productId}`, changes);
+  return res.data;
+}
+
+// Soft delete: orders and saved recommendations keep pointing to the product, so it is archived instead of removed
+export async function deleteProduct(product) {
+  const res = await axios.put(`${API_URL}/${product.id}`, { ...product, status: "archived", archivedAt: new Date().toISOString() });
+  return res.data;
+}
+
+export async function restoreProduct(product) {
+  const res = await axios.put(`${API_URL}/${product.id}`, { ...product, status: "published", archivedAt: null });
+  return res.data;
 }
@@ -0,0 +1,27 @@
+/**
+ * productsSelectors.js
+ * Memoized views of state.products for the shop.
+ */
+
+import { createSelector } from '@reduxjs/toolkit';
+import { isPublished } from './productUtils';
+import { buildSearchIndex } from './productSearch';
+import { isAvoided } from '../user/avoidList';
+
+export const selectProductsData = (state) => state.products.productsData;
+
+// What customers see: published products only (drafts and archived products stay on the admin side)
+export const selectShopProducts = createSelector(
+  [selectProductsData],
+  (products) => (products || []).filter(isPublished)
+);
+
+// What the storefront lists (Catalogue, Home, search): the shop products minus the ones with an avoided
+// ingredient when the shopper chose to hide them (see user/avoidList). The wishlist and product pages still find them.
+export const selectVisibleShopProducts = createSelector(
+  [selectShopProducts, (state) => state.user.avoidList, (state) => state.user.hideAvoided],
+  (products, avoidList, hideAvoided) => (hideAvoided && avoidList.length > 0 ? products.filter((p) => !isAvoided(p, avoidList)) : products)
+);
+
+// Search index of the visible shop products (see productSearch), rebuilt only when they change
+export const selectShopSearchIndex = createSelector([selectVisibleShopProducts], buildSearchIndex);
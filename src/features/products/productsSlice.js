@@ -1,11 +1,18 @@
 /**
  * productsSlice.js
  * Redux slice for products: list, loading, error, success flags.
- * Async work is done in productsThunks (fetch, create, update, delete).
+ * Async work is done in productsThunks (fetch, create, update, delete, restore, bulk import, bulk actions).
+ * Deleting archives the product, so it stays in productsData with status "archived" (see productUtils).
  */
 
 import { createSlice } from "@reduxjs/toolkit";
-import { fetchProducts, deleteProduct, createProduct, updateProduct } from "./productsThunks";
+import { fetchProducts, deleteProduct, restoreProduct, createProduct, updateProduct, importProducts, bulkUpdateProduct } from "./productsThunks";
+
+// Put the saved version of a product in the list
+const replaceProduct = (state, product) => {
+  const index = state.productsData.findIndex((p) => p.id === product.id);
+  if (index !== -1) state.productsData[index] = product;
+};
 
 const initialState = {
   productsData: [],
@@ -27,6 +34,12 @@ const productsSlice = createSlice({
     clearSuccess: (state) => {
       state.success = false;
     },
+    // Merge fields saved elsewhere (e.g. the rating summary after a review is moderated)
+    patchProduct: (state, action) => {
+      const { id, changes } = action.payload;
+      const product = state.productsData.find((p) => String(p.id) === String(id));
+      if (product) Object.assign(product, changes);
+    },
   },
 
   extraReducers: (builder) => {
@@ -45,14 +58,14 @@ const productsSlice = createSlice({
         state.error = action.payload;
       })
 
-      // Delete product
+      // Delete product (archived, so it is replaced rather than removed)
       .addCase(deleteProduct.pending, (state) => {
         state.loading = true;
         state.error = null;
       })
       .addCase(deleteProduct.fulfilled, (state, action) => {
         state.loading = false;
-        state.productsData = state.productsData.filter((p) => p.id !== action.payload);
+        replaceProduct(state, action.payload);
       })
       .addCase(deleteProduct.rejected, (state, action) => {
         state.loading = false;
@@ -85,21 +98,46 @@ const productsSlice = createSlice({
       .addCase(updateProduct.fulfilled, (state, action) => {
         state.loading = false;
         state.error = null;
-        const index = state.productsData.findIndex((p) => p.id === action.payload.id);
-        if (index !== -1) {
-          state.productsData[index] = action.payload;
-        }
+        replaceProduct(state, action.payload);
         state.success = true;
       })
       .addCase(updateProduct.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
         state.success = false;
+      })
+
+      // Restore an archived product (from the Archived filter of ManageProducts)
+      .addCase(restoreProduct.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(restoreProduct.fulfilled, (state, action) => {
+        state.loading = false;
+        replaceProduct(state, action.payload);
+      })
+      .addCase(restoreProduct.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Bulk import: no loading flag, so the page (and its import preview) stays mounted
+      .addCase(importProducts.fulfilled, (state, action) => {
+        action.payload.filter((r) => r.product).forEach(({ product }) => {
+          const index = state.productsData.findIndex((p) => p.id === product.id);
+          if (index !== -1) state.productsData[index] = product;
+          else state.productsData.push(product);
+        });
+      })
+
+      // Bulk action on one product: same, no loading flag
+      .addCase(bulkUpdateProduct.fulfilled, (state, action) => {
+        replaceProduct(state, action.payload.product);
       });
   },
 });
 
-export const { clearError, clearSuccess } = productsSlice.actions;
+export const { clearError, clearSuccess, patchProduct } = productsSlice.actions;
 export default productsSlice.reducer;
 
 
@@ -1,7 +1,8 @@
 /**
  * productsThunks.js
- * Async actions for products: fetch list, create, update, delete.
+ * Async actions for products: fetch list, create, update, delete (archive), restore, bulk import, bulk actions.
  * Each thunk calls the API then Redux updates state in productsSlice.
+ * Create / update / delete / restore are recorded in the audit log (features/audit) with the before/after values.
  */
 
 import { createAsyncThunk } from "@reduxjs/toolkit";
@@ -10,7 +11,14 @@ import {
   addProduct,
   updateProduct as updateProductAPI,
   deleteProduct as deleteProductAPI,
+  restoreProduct as restoreProductAPI,
 } from "./productsAPI";
+import { recordAudit } from "../audit/auditAPI";
+import { applyBulkChange } from "./bulkActions";
+
+// Product as currently loaded in the store (the "before" of an audit entry)
+const findLoadedProduct = (getState, id) =>
+  getState().products.productsData.find((p) => String(p.id) === String(id)) || null;
 
 export const fetchProducts = createAsyncThunk(
   "products/fetchProducts",
@@ -29,6 +37,7 @@ export const createProduct = createAsyncThunk(
   async (newProduct, { rejectWithValue }) => {
     try {
       const product = await addProduct(newProduct);
+      await recordAudit({ entity: "product", action: "create", entityId: product.id, label: product.name, after: product });
       return product;
     } catch (err) {
       return rejectWithValue(err.message || "Failed to add product");
@@ -36,23 +45,44 @@ export const createProduct = createAsyncThunk(
   }
 );
 
+// Soft delete: the product is archived (hidden from the shop) and can be restored
 export const deleteProduct = createAsyncThunk(
   "products/deleteProduct",
-  async (productId, { rejectWithValue }) => {
+  async (productId, { rejectWithValue, getState }) => {
     try {
-      await deleteProductAPI(productId);
-      return productId;
+      const before = findLoadedProduct(getState, productId);
+      if (!before) throw new Error("Product not loaded");
+      const archived = await deleteProductAPI(before);
+      await recordAudit({ entity: "product", action: "archive", entityId: productId, label: before.name, before, after: archived });
+      return archived;
     } catch (err) {
       return rejectWithValue(err.message || "Failed to delete product");
     }
   }
 );
 
+export const restoreProduct = createAsyncThunk(
+  "products/restoreProduct",
+  async (productId, { rejectWithValue, getState }) => {
+    try {
+      const before = findLoadedProduct(getState, productId);
+      if (!before) throw new Error("Product not loaded");
+      const restored = await restoreProductAPI(before);
+      await recordAudit({ entity: "product", action: "restore", entityId: productId, label: before.name, before, after: restored });
+      return restored;
+    } catch (err) {
+      return rejectWithValue(err.message || "Failed to restore product");
+    }
+  }
+);
+
 export const updateProduct = createAsyncThunk(
   "products/updateProduct",
-  async (productToUpdate, { rejectWithValue }) => {
+  async (productToUpdate, { rejectWithValue, getState }) => {
     try {
+      const before = findLoadedProduct(getState, productToUpdate.id);
       const updated = await updateProductAPI(productToUpdate);
+      await recordAudit({ entity: "product", action: "update", entityId: updated.id, label: updated.name, before, after: updated });
       return updated;
     } catch (err) {
       return rejectWithValue(err.message || "Failed to update product");
@@ -60,3 +90,45 @@ export const updateProduct = createAsyncThunk(
   }
 );
 
+/*Apply an import plan (see productImport.planProductImport) row by row. Rows with errors are skipped.
+  A failing row does not stop the others: each result says what happened.*/
+export const importProducts = createAsyncThunk(
+  "products/importProducts",
+  async (plan, { getState }) => {
+    const results = [];
+    for (const { row, action, product } of plan.filter((r) => r.action)) {
+      try {
+        if (action === "create") {
+          const created = await addProduct(product);
+          await recordAudit({ entity: "product", action: "create", entityId: created.id, label: created.name, after: created });
+          results.push({ row, action, product: created });
+        } else {
+          const before = findLoadedProduct(getState, product.id);
+          const updated = await updateProductAPI(product);
+          await recordAudit({ entity: "product", action: "update", entityId: updated.id, label: updated.name, before, after: updated });
+          results.push({ row, action, product: updated });
+        }
+      } catch (err) {
+        results.push({ row, action, error: err.message || "Failed to save product" });
+      }
+    }
+    return results;
+  }
+);
+
+/*One product of a bulk action (see bulkActions.js). ManageProducts dispatches it per selected product
+  to show progress and report each failure; like importProducts it leaves the loading flag alone.*/
+export const bulkUpdateProduct = createAsyncThunk(
+  "products/bulkUpdateProduct",
+  async ({ id, action, value }, { rejectWithValue, getState }) => {
+    try {
+      const before = findLoadedProduct(getState, id);
+      if (!before) throw new Error("Product not loaded");
+      const updated = await updateProductAPI(applyBulkChange(before, action, value));
+      await recordAudit({ entity: "product", action: action === "archive" ? "archive" : "update", entityId: updated.id, label: updated.name, before, after: updated });
+      return { id, product: updated };
+    } catch (err) {
+      return rejectWithValue(err.message || "Failed to update product");
+    }
+  }
+);
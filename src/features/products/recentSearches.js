@@ -0,0 +1,44 @@
+/**
+ * recentSearches.js
+ * The shopper's last searches (navbar search suggestions), kept in localStorage on this device.
+ */
+
+const RECENT_SEARCHES_KEY = 'beautyMatch_recentSearches';
+export const MAX_RECENT_SEARCHES = 5;
+
+/**
+ * @returns {string[]} newest first
+ */
+export const loadRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(stored) ? stored.filter((q) => typeof q === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Put a search first in the list (once, case-insensitive) and save it.
+ * @param {string} query
+ * @returns {string[]} the new list
+ */
+export const addRecentSearch = (query) => {
+  const value = query.trim();
+  if (!value) return loadRecentSearches();
+  const list = [value, ...loadRecentSearches().filter((q) => q.toLowerCase() !== value.toLowerCase())].slice(0, MAX_RECENT_SEARCHES);
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(list));
+  } catch (error) {
+    console.error('Error saving recent searches:', error);
+  }
+  return list;
+};
+
+export const clearRecentSearches = () => {
+  try {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+  } catch (error) {
+    console.error('Error clearing recent searches:', error);
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * reviewUtils.js
+ * Product reviews: validation, rating summary (average + histogram), skin type filter, verified purchase.
+ * Review shape (MockAPI "reviews" resource):
+ * { id, productId, productName, accountId, author, rating (1-5), text, skinType, verified, status, createdAt, moderatedAt }
+ * New reviews are "pending" until an admin approves or rejects them; only approved ones are public.
+ */
+
+import { getOrderStatus } from '../orders/orderStatus';
+
+export const REVIEW_STATUSES = {
+  pending: { label: 'Pending', color: 'text-amber-700', bg: 'bg-amber-50' },
+  approved: { label: 'Approved', color: 'text-green-700', bg: 'bg-green-50' },
+  rejected: { label: 'Rejected', color: 'text-red-700', bg: 'bg-red-50' },
+};
+
+export const REVIEW_TEXT_MIN = 10;
+export const REVIEW_TEXT_MAX = 1000;
+
+/**
+ * Check the review form.
+ * @param {{ rating: number, text: string }} review
+ * @returns {Object} errors by field (empty when valid)
+ */
+export function validateReview({ rating, text }) {
+  const errors = {};
+  if (!Number.isInteger(Number(rating)) || rating < 1 || rating > 5) errors.rating = 'Choose a rating from 1 to 5 stars';
+  const length = String(text || '').trim().length;
+  if (length < REVIEW_TEXT_MIN) errors.text = `Write at least ${REVIEW_TEXT_MIN} characters`;
+  else if (length > REVIEW_TEXT_MAX) errors.text = `Keep it under ${REVIEW_TEXT_MAX} characters`;
+  return errors;
+}
+
+/**
+ * Average rating (one decimal) and number of reviews per star.
+ * @param {Array} reviews - approved reviews
+ * @returns {{ average: number, count: number, histogram: { 1: number, 2: number, 3: number, 4: number, 5: number } }}
+ */
+export function summarizeRatings(reviews) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  (reviews || []).forEach((r) => {
+    const rating = Math.round(Number(r.rating));
+    if (histogram[rating] === undefined) return;
+    histogram[rating] += 1;
+    total += rating;
+  });
+  const count = Object.values(histogram).reduce((sum, n) => sum + n, 0);
+  return { average: count ? Math.round((total / count) * 10) / 10 : 0, count, histogram };
+}
+
+/**
+ * Public reviews of a product, newest first, optionally only those tagged with a skin type.
+ * @param {Array} reviews
+ * @param {string} productId
+ * @param {string} [skinType] - 'all' or empty for every skin type
+ * @returns {Array}
+ */
+export function getPublishedReviews(reviews, productId, skinType = 'all') {
+  return (reviews || [])
+    .filter((r) => String(r.productId) === String(productId) && r.status === 'approved')
+    .filter((r) => !skinType || skinType === 'all' || r.skinType === skinType)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * A review is a verified purchase when one of the customer's delivered orders contains the product.
+ * @param {Array} orders - the customer's orders
+ * @param {string} productId
+ * @returns {boolean}
+ */
+export function hasPurchased(orders, productId) {
+  return (orders || []).some((o) => getOrderStatus(o) === 'delivered' && (o.items || []).some((item) => String(item.id) === String(productId)));
+}
+
+// "Sara Benali" → "Sara B."
+export function toReviewAuthor(name) {
+  const [first, ...rest] = String(name || '').trim().split(/\s+/);
+  if (!first) return 'Customer';
+  const last = rest.pop();
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+}
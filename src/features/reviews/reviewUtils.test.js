@@ -0,0 +1,54 @@
+/**
+ * Tests for the review rules: validation, rating summary, skin type filter and verified purchase.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { validateReview, summarizeRatings, getPublishedReviews, hasPurchased, toReviewAuthor } from './reviewUtils';
+
+const reviews = [
+  { id: 'r1', productId: 'p1', rating: 5, skinType: 'oily', status: 'approved', createdAt: '2026-05-01' },
+  { id: 'r2', productId: 'p1', rating: 4, skinType: 'dry', status: 'approved', createdAt: '2026-05-03' },
+  { id: 'r3', productId: 'p1', rating: 1, skinType: 'oily', status: 'pending', createdAt: '2026-05-04' },
+  { id: 'r4', productId: 'p2', rating: 2, skinType: 'oily', status: 'approved', createdAt: '2026-05-02' },
+];
+
+describe('validateReview', () => {
+  test('needs a 1-5 rating and some text', () => {
+    expect(validateReview({ rating: 0, text: 'short' })).toEqual({ rating: expect.any(String), text: expect.any(String) });
+    expect(validateReview({ rating: 4, text: 'Lovely texture, no breakouts.' })).toEqual({});
+  });
+});
+
+describe('summarizeRatings', () => {
+  test('averages to one decimal and counts each star', () => {
+    const summary = summarizeRatings([{ rating: 5 }, { rating: 4 }, { rating: 4 }]);
+    expect(summary.average).toBe(4.3);
+    expect(summary.count).toBe(3);
+    expect(summary.histogram).toEqual({ 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 });
+    expect(summarizeRatings([]).average).toBe(0);
+  });
+});
+
+describe('getPublishedReviews', () => {
+  test('keeps approved reviews of the product, newest first, filtered by skin type', () => {
+    expect(getPublishedReviews(reviews, 'p1').map((r) => r.id)).toEqual(['r2', 'r1']);
+    expect(getPublishedReviews(reviews, 'p1', 'oily').map((r) => r.id)).toEqual(['r1']);
+  });
+});
+
+describe('hasPurchased', () => {
+  test('only counts delivered orders', () => {
+    const orders = [
+      { status: 'shipped', items: [{ id: 'p2' }] },
+      { status: 'delivered', items: [{ id: 'p1' }] },
+    ];
+    expect(hasPurchased(orders, 'p1')).toBe(true);
+    expect(hasPurchased(orders, 'p2')).toBe(false);
+  });
+});
+
+test('toReviewAuthor shortens the last name', () => {
+  expect(toReviewAuthor('Sara Benali')).toBe('Sara B.');
+  expect(toReviewAuthor('Sara')).toBe('Sara');
+  expect(toReviewAuthor('')).toBe('Customer');
+});
@@ -0,0 +1,60 @@
+/*MockAPI calls for product reviews: list, submit (customers), moderate (admins).
+  Moderating also stores the product's rating summary (rating, reviewCount) on the product, so shop lists can show and sort by it.*/
+
+import axios from 'axios';
+import { getCustomerOrders } from '../orders/ordersAPI';
+import { updateProductFields } from '../products/productsAPI';
+import { recordAudit } from '../audit/auditAPI';
+import { hasPurchased, summarizeRatings, toReviewAuthor } from './reviewUtils';
+
+const REVIEWS_BASE =
+  import.meta.env.VITE_MOCKAPI_REVIEWS_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/reviews';
+
+/*All reviews (every status), newest first.*/
+export async function getReviews() {
+  const { data } = await axios.get(REVIEWS_BASE);
+  return (Array.isArray(data) ? data : []).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/*Submit a review for moderation. The verified badge is decided here, from the customer's delivered orders.*/
+export async function submitReview({ product, account, rating, text, skinType }) {
+  const orders = await getCustomerOrders(account).catch(() => []);
+  const review = {
+    productId: product.id,
+    productName: product.name,
+    accountId: account.id,
+    author: toReviewAuthor(account.name),
+    rating: Number(rating),
+    text: text.trim(),
+    skinType: skinType || '',
+    verified: hasPurchased(orders, product.id),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  };
+  const { data } = await axios.post(REVIEWS_BASE, review);
+  return data;
+}
+
+/*Save the rating summary of the product's approved reviews on the product (only those two fields are sent).*/
+async function syncProductRating(productId) {
+  const reviews = await getReviews();
+  const { average, count } = summarizeRatings(reviews.filter((r) => String(r.productId) === String(productId) && r.status === 'approved'));
+  const changes = { rating: average, reviewCount: count };
+  await updateProductFields(productId, changes);
+  return changes;
+}
+
+/*Approve or reject a review (admin). Recorded in the audit log.
+  Returns { review, rating }: rating is the product's new { rating, reviewCount }, or null when it could not be saved.*/
+export async function moderateReview(review, status) {
+  const { data } = await axios.put(`${REVIEWS_BASE}/${review.id}`, { ...review, status, moderatedAt: new Date().toISOString() });
+  await recordAudit({ entity: 'review', action: 'status', entityId: review.id, label: `${review.productName} (${review.author})`, before: review, after: data });
+  let rating = null;
+  try {
+    rating = await syncProductRating(review.productId);
+  } catch (err) {
+    console.error('Product rating could not be updated', review.productId, err);
+  }
+  return { review: data, rating };
+}
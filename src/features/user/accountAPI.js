@@ -0,0 +1,61 @@
+/*Customer accounts. Sign-up, login and sessions go through the auth server (server/authServer.js), which keeps the
+  password hashes and checks the session token; profile changes are saved on the MockAPI users resource.*/
+
+import axios from 'axios';
+
+const USERS_BASE =
+  import.meta.env.VITE_MOCKAPI_USERS_URL ||
+  'https://6972993e32c6bacb12c754e5.mockapi.io/api/matchbeauty/users';
+
+const CUSTOMER_AUTH_BASE = import.meta.env.VITE_CUSTOMER_AUTH_API_URL || '/api/customer';
+
+const authHeaders = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Error with the server's message (wrong password, email taken...)
+const authError = (err) => new Error(err.response?.data?.message || 'Auth server unreachable');
+
+/**
+ * Create an account and open a session.
+ * @param {{ email: string, password: string, account: Object }} signUp - account: the other fields of the new account
+ * @returns {Promise<{ token: string, expiresAt: string, accountId: string, account: Object }>}
+ * @throws {Error} with the server message (e.g. email already used)
+ */
+export async function signUpCustomer({ email, password, account }) {
+  try {
+    const { data } = await axios.post(`${CUSTOMER_AUTH_BASE}/signup`, { email, password, account });
+    return data;
+  } catch (err) {
+    throw authError(err);
+  }
+}
+
+/**
+ * Check the credentials and open a session.
+ * @returns {Promise<{ token: string, expiresAt: string, accountId: string, account: Object }>}
+ * @throws {Error} with the server message on wrong credentials
+ */
+export async function loginCustomer(email, password) {
+  try {
+    const { data } = await axios.post(`${CUSTOMER_AUTH_BASE}/login`, { email, password });
+    return data;
+  } catch (err) {
+    throw authError(err);
+  }
+}
+
+/*Account of a stored session token. Throws when the token is unknown or expired.*/
+export async function getCustomerSession(token) {
+  const { data } = await axios.get(`${CUSTOMER_AUTH_BASE}/session`, { headers: authHeaders(token) });
+  return data;
+}
+
+/*End this session on the server (best effort: the device forgets the token anyway).*/
+export async function logoutCustomer(token) {
+  await axios.post(`${CUSTOMER_AUTH_BASE}/logout`, null, { headers: authHeaders(token) }).catch(() => {});
+}
+
+/*Update some fields of an account in MockAPI.*/
+export async function updateAccount(accountId, changes) {
+  const { data } = await axios.put(`${USERS_BASE}/${accountId}`, changes);
+  return data;
+}
@@ -0,0 +1,58 @@
+/**
+ * accountUtils.js
+ * Helpers for customer accounts: public account shape, and merging the local (guest) quiz data
+ * with the account's so the skin profile follows the customer.
+ *
+ * Account shape (MockAPI "users" resource; passwords are hashed and kept by the auth server, see server/customerStore.js):
+ * { id, name, email, phone, addresses: [{ id, label, street, city, postalCode, phone, isDefault }],
+ *   quizResult, recommendations, quizSavedAt, wishlist: [productId], avoidList: [ingredient], hideAvoided, createdAt }
+ */
+
+/**
+ * Account without the password fields (accounts created before the auth server had them), quiz data, wishlist and avoid list (what goes in Redux; those live in
+ * user.quizResult, user.avoidList and wishlist.ids).
+ * @param {Object|null} account
+ * @returns {Object|null}
+ */
+export function toPublicAccount(account) {
+  if (!account) return null;
+  const publicAccount = { ...account, addresses: Array.isArray(account.addresses) ? account.addresses : [] };
+  delete publicAccount.passwordHash;
+  delete publicAccount.salt;
+  delete publicAccount.quizResult;
+  delete publicAccount.recommendations;
+  delete publicAccount.wishlist;
+  delete publicAccount.avoidList;
+  delete publicAccount.hideAvoided;
+  return publicAccount;
+}
+
+/**
+ * The address used to prefill checkout: the default one, else the first.
+ * @param {Object|null} account
+ * @returns {Object|null}
+ */
+export function getDefaultAddress(account) {
+  const addresses = account?.addresses || [];
+  return addresses.find((a) => a.isDefault) || addresses[0] || null;
+}
+
+/**
+ * Decide which quiz data to keep after login: the most recently saved one wins.
+ * @param {Object|null} local - { quizResult, recommendations, quizSavedAt } from localStorage
+ * @param {Object} account - account from the API
+ * @returns {{ quizResult, recommendations, quizSavedAt, source: 'local' | 'account' }}
+ *   source = 'local' means the account must be updated with the local data
+ */
+export function mergeQuizData(local, account) {
+  const localAt = local?.quizSavedAt ? new Date(local.quizSavedAt).getTime() : 0;
+  const accountAt = account?.quizSavedAt ? new Date(account.quizSavedAt).getTime() : 0;
+  const useLocal = !!local?.quizResult && (!account?.quizResult || localAt > accountAt);
+  const from = useLocal ? local : account;
+  return {
+    quizResult: from?.quizResult || null,
+    recommendations: from?.recommendations || null,
+    quizSavedAt: from?.quizSavedAt || null,
+    source: useLocal ? 'local' : 'account',
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Tests for account helpers: public account shape and the quiz merge on login.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { toPublicAccount, mergeQuizData } from './accountUtils';
+
+describe('toPublicAccount', () => {
+  test('drops password, quiz, wishlist and avoid list fields', () => {
+    const account = toPublicAccount({
+      id: '1', name: 'Jane', passwordHash: 'x', salt: 'y', quizResult: {}, wishlist: ['3'], avoidList: ['fragrance'], hideAvoided: true,
+    });
+    expect(account).toEqual({ id: '1', name: 'Jane', addresses: [] });
+  });
+});
+
+describe('mergeQuizData', () => {
+  const local = { quizResult: { skinType: 'oily' }, recommendations: ['a'], quizSavedAt: '2026-03-02T10:00:00Z' };
+
+  test('keeps the local quiz when the account has none or an older one', () => {
+    expect(mergeQuizData(local, { quizResult: null }).source).toBe('local');
+    const older = { quizResult: { skinType: 'dry' }, quizSavedAt: '2026-03-01T10:00:00Z' };
+    expect(mergeQuizData(local, older)).toMatchObject({ source: 'local', quizResult: { skinType: 'oily' } });
+  });
+
+  test('keeps the account quiz when it is newer or nothing is stored locally', () => {
+    const newer = { quizResult: { skinType: 'dry' }, recommendations: ['b'], quizSavedAt: '2026-03-03T10:00:00Z' };
+    expect(mergeQuizData(local, newer)).toMatchObject({ source: 'account', recommendations: ['b'] });
+    expect(mergeQuizData(null, newer).source).toBe('account');
+  });
+});
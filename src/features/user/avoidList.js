@@ -0,0 +1,95 @@
+/**
+ * avoidList.js
+ * Ingredients the shopper reacts to. The list is saved with the quiz data (userAPI, synced to the account)
+ * and applies to the whole storefront: hidden or flagged in the shop, flagged on the product page and
+ * never recommended by the skin quiz.
+ *
+ * Entries are lowercase ingredient names ("retinol") or FREE_FROM keys ("fragrance", "alcohol"...),
+ * which stand for every spelling of that family (parfum, alcohol denat., ...).
+ */
+
+import { FREE_FROM, matchesIngredient } from '../products/catalogueFacets';
+import { getProductIngredients } from '../products/productUtils';
+import { foldText } from '../products/productSearch';
+
+// Quick picks in the editor: the free-from families, then actives that commonly irritate
+export const AVOID_SUGGESTIONS = [
+  ...FREE_FROM.map((f) => f.value),
+  'essential oils',
+  'retinol',
+  'salicylic acid',
+  'glycolic acid',
+  'benzoyl peroxide',
+];
+
+// Quiz concerns that suggest starting with these
+export const SENSITIVE_SKIN_SUGGESTIONS = ['fragrance', 'alcohol'];
+
+/**
+ * Clean up an entry typed by the shopper ("  Parfum " -> "parfum"); empty string when there is nothing left.
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeAvoidItem = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Add entries that are not in the list yet (same accents-insensitive name counts once).
+ * @param {string[]} list
+ * @param {string[]} added
+ * @returns {string[]}
+ */
+export function addAvoidItems(list, added) {
+  const result = [...(list || [])];
+  (added || []).map(normalizeAvoidItem).forEach((item) => {
+    if (item && !result.some((v) => foldText(v) === foldText(item))) result.push(item);
+  });
+  return result;
+}
+
+/**
+ * Avoid list after login: the account's entries, then the ones added on this device as a guest.
+ * @param {string[]|null} local
+ * @param {string[]} [accountList]
+ * @returns {string[]}
+ */
+export const mergeAvoidLists = (local, accountList) => addAvoidItems(addAvoidItems([], accountList), local);
+
+/**
+ * Ingredients of the product that are on the avoid list, as written on the product.
+ * @param {Object} product
+ * @param {string[]} avoidList
+ * @returns {string[]} empty when the product is safe
+ */
+export function getAvoidedIngredients(product, avoidList) {
+  if (!avoidList?.length) return [];
+  return getProductIngredients(product).filter((ingredient) =>
+    avoidList.some((value) => matchesIngredient(foldText(ingredient), value))
+  );
+}
+
+export const isAvoided = (product, avoidList) => getAvoidedIngredients(product, avoidList).length > 0;
+
+/**
+ * Avoid list and hide setting of a session. The account is the source of truth: on a login from a guest
+ * session (mergeGuest) the entries saved on this device are added, and the guest's hide choice is only kept
+ * when the account has never saved one. Restoring a session takes the account's values as they are, so a
+ * change made on another device is never undone by this device's old copy.
+ * @param {Object|null} local - user data from localStorage (userAPI)
+ * @param {Object} account - account from the API
+ * @param {{ mergeGuest?: boolean }} [options]
+ * @returns {{ avoidList: string[], hideAvoided: boolean, changes: Object }} changes: what to save on the account
+ */
+export function resolveAvoidSettings(local, account, { mergeGuest = false } = {}) {
+  const accountList = account?.avoidList || [];
+  const avoidList = mergeGuest ? mergeAvoidLists(local?.avoidList, accountList) : addAvoidItems([], accountList);
+  const accountHasChoice = typeof account?.hideAvoided === 'boolean';
+  const hideAvoided = accountHasChoice ? account.hideAvoided : mergeGuest && !!local?.hideAvoided;
+  return {
+    avoidList,
+    hideAvoided,
+    changes: {
+      ...(avoidList.length > accountList.length ? { avoidList } : {}),
+      ...(!accountHasChoice && hideAvoided ? { hideAvoided } : {}),
+    },
+  };
+}
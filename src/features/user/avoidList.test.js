@@ -0,0 +1,56 @@
+/**
+ * Tests for the ingredient avoid list: entries, merging after login, product matching and session settings.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { addAvoidItems, mergeAvoidLists, getAvoidedIngredients, isAvoided, resolveAvoidSettings } from './avoidList';
+
+describe('addAvoidItems', () => {
+  test('normalizes entries and skips duplicates and blanks', () => {
+    expect(addAvoidItems(['fragrance'], ['  Retinol ', 'FRAGRANCE', '', 'rétinol'])).toEqual(['fragrance', 'retinol']);
+  });
+});
+
+describe('mergeAvoidLists', () => {
+  test('keeps the account entries first and adds the guest ones', () => {
+    expect(mergeAvoidLists(['alcohol', 'retinol'], ['retinol'])).toEqual(['retinol', 'alcohol']);
+    expect(mergeAvoidLists(null, undefined)).toEqual([]);
+  });
+});
+
+describe('getAvoidedIngredients', () => {
+  const product = { ingredients: 'Aqua, Alcohol Denat., Parfum, Niacinamide' };
+
+  test('matches free-from families and plain ingredient names', () => {
+    expect(getAvoidedIngredients(product, ['fragrance', 'alcohol'])).toEqual(['Alcohol Denat.', 'Parfum']);
+    expect(getAvoidedIngredients(product, ['niacinamide'])).toEqual(['Niacinamide']);
+  });
+
+  test('a product without avoided ingredients is safe', () => {
+    expect(isAvoided(product, ['retinol'])).toBe(false);
+    expect(isAvoided(product, [])).toBe(false);
+  });
+});
+
+describe('resolveAvoidSettings', () => {
+  const account = { avoidList: ['retinol'], hideAvoided: true };
+
+  test("the account's hide choice wins over the one left on the device by a logout", () => {
+    const local = { avoidList: [], hideAvoided: false };
+    expect(resolveAvoidSettings(local, account, { mergeGuest: true })).toEqual({ avoidList: ['retinol'], hideAvoided: true, changes: {} });
+  });
+
+  test('a guest login adds the local entries, and the hide choice only when the account has none', () => {
+    const local = { avoidList: ['fragrance'], hideAvoided: true };
+    expect(resolveAvoidSettings(local, { avoidList: ['retinol'] }, { mergeGuest: true })).toEqual({
+      avoidList: ['retinol', 'fragrance'],
+      hideAvoided: true,
+      changes: { avoidList: ['retinol', 'fragrance'], hideAvoided: true },
+    });
+  });
+
+  test('restoring a session takes the account as it is', () => {
+    const local = { avoidList: ['retinol', 'alcohol'], hideAvoided: false };
+    expect(resolveAvoidSettings(local, { avoidList: ['alcohol'], hideAvoided: true })).toEqual({ avoidList: ['alcohol'], hideAvoided: true, changes: {} });
+  });
+});
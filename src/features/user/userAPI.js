@@ -51,3 +51,19 @@ export function updateUser(updates) {
   }
 }
 
+
+const SESSION_KEY = 'beautymatch_customer_session';
+
+/*Remember the session token of the logged in account (checked by the auth server, see accountAPI)*/
+export function saveAccountSession(token) {
+  localStorage.setItem(SESSION_KEY, token);
+}
+
+/*Session token of the logged in account, or null*/
+export function loadAccountSession() {
+  return localStorage.getItem(SESSION_KEY);
+}
+
+export function clearAccountSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
@@ -1,20 +1,43 @@
-/*Redux slice for quiz results and AI recommendations. Stored in localStorage via userAPI.*/
+/*Redux slice for the customer account, quiz results, AI recommendations and the ingredient avoid list (see avoidList).
+  Quiz data and the avoid list are stored in localStorage via userAPI and copied to the account (accountAPI) when logged in.*/
 
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, isAnyOf } from '@reduxjs/toolkit';
 import {
   loadUserFromStorage,
   saveQuizResultThunk,
   saveRecommendationsThunk,
   clearQuizDataThunk,
+  saveAvoidListThunk,
+  signUpThunk,
+  loginThunk,
+  restoreSessionThunk,
+  logoutThunk,
+  updateAccountThunk,
 } from './userThunks';
 
 const initialState = {
   quizResult: null,
   recommendations: null,
+  avoidList: [],
+  hideAvoided: false,
+  account: null,
+  authLoading: false,
   loading: false,
   error: null
 };
 
+// Login / sign up / restore all return { account, quizResult, recommendations, wishlist, avoidList, hideAvoided }
+// (the wishlist goes to wishlistSlice)
+const setSession = (state, action) => {
+  state.authLoading = false;
+  if (!action.payload) return;
+  state.account = action.payload.account;
+  state.quizResult = action.payload.quizResult;
+  state.recommendations = action.payload.recommendations;
+  state.avoidList = action.payload.avoidList;
+  state.hideAvoided = action.payload.hideAvoided;
+};
+
 // Create the slice
 const userSlice = createSlice({
   name: 'user',
@@ -47,6 +70,8 @@ const userSlice = createSlice({
         if (action.payload) {
           state.quizResult = action.payload.quizResult || null;
           state.recommendations = action.payload.recommendations || null;
+          state.avoidList = action.payload.avoidList || [];
+          state.hideAvoided = !!action.payload.hideAvoided;
         }
       })
       .addCase(loadUserFromStorage.rejected, (state) => {
@@ -67,7 +92,44 @@ const userSlice = createSlice({
       .addCase(clearQuizDataThunk.fulfilled, (state) => {
         state.quizResult = null;
         state.recommendations = null;
-      });
+      })
+
+      /*AVOID LIST (applied right away, saving runs in the background)*/
+      .addCase(saveAvoidListThunk.pending, (state, action) => {
+        const { avoidList, hideAvoided } = action.meta.arg;
+        if (avoidList !== undefined) state.avoidList = avoidList;
+        if (hideAvoided !== undefined) state.hideAvoided = hideAvoided;
+      })
+
+      /*ACCOUNT SESSION*/
+      .addCase(restoreSessionThunk.fulfilled, setSession)
+      .addCase(signUpThunk.fulfilled, setSession)
+      .addCase(loginThunk.fulfilled, setSession)
+      .addCase(logoutThunk.fulfilled, (state) => {
+        state.account = null;
+        state.quizResult = null;
+        state.recommendations = null;
+        state.avoidList = [];
+        state.hideAvoided = false;
+      })
+      .addCase(updateAccountThunk.fulfilled, (state, action) => {
+        state.authLoading = false;
+        state.account = action.payload;
+      })
+      .addMatcher(
+        isAnyOf(signUpThunk.pending, loginThunk.pending, updateAccountThunk.pending),
+        (state) => {
+          state.authLoading = true;
+          state.error = null;
+        }
+      )
+      .addMatcher(
+        isAnyOf(signUpThunk.rejected, loginThunk.rejected, updateAccountThunk.rejected),
+        (state, action) => {
+          state.authLoading = false;
+          state.error = action.payload;
+        }
+      );
   }
 });
 
@@ -79,5 +141,17 @@ export const selectQuizResult = (state) => state.user.quizResult;
 
 export const selectRecommendations = (state) => state.user.recommendations;
 
+export const selectAvoidList = (state) => state.user.avoidList;
+
+export const selectHideAvoided = (state) => state.user.hideAvoided;
+
 export const selectUserLoading = (state) => state.user.loading;
 
+export const selectAccount = (state) => state.user.account;
+
+export const selectIsLoggedIn = (state) => state.user.account !== null;
+
+export const selectAuthLoading = (state) => state.user.authLoading;
+
+export const selectUserError = (state) => state.user.error;
+
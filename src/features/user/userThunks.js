@@ -1,5 +1,52 @@
+
 import { createAsyncThunk } from '@reduxjs/toolkit';
-import { loadUser, updateUser } from './userAPI';
+import { loadUser, updateUser, saveAccountSession, loadAccountSession, clearAccountSession } from './userAPI';
+import { signUpCustomer, loginCustomer, getCustomerSession, logoutCustomer, updateAccount } from './accountAPI';
+import { toPublicAccount, mergeQuizData } from './accountUtils';
+import { loadWishlistFromStorage, mergeWishlists } from '../wishlist/wishlistUtils';
+import { resolveAvoidSettings } from './avoidList';
+
+/*Copy quiz changes to the logged in account (the local copy is already saved, so a failure is only logged)*/
+async function syncAccount(getState, changes) {
+  const account = getState().user.account;
+  if (!account) return;
+  try {
+    await updateAccount(account.id, changes);
+  } catch (error) {
+    console.error('Error syncing account:', error);
+  }
+}
+
+/*Log an account in on this device from a session of the auth server: merge the quiz data (newest wins), keep the token.
+  The wishlist and the avoid list come from the account; only a login from a guest session (mergeGuest) adds the items
+  saved on this device. Restoring a session must not: a stale local copy would undo removals made elsewhere.*/
+async function startSession({ token, account }, { mergeGuest = false } = {}) {
+  const local = loadUser();
+  const merged = mergeQuizData(local, account);
+  const quizData = {
+    quizResult: merged.quizResult,
+    recommendations: merged.recommendations,
+    quizSavedAt: merged.quizSavedAt,
+  };
+  const wishlist = mergeWishlists(mergeGuest ? loadWishlistFromStorage() : [], account.wishlist);
+  const { avoidList, hideAvoided, changes: avoidChanges } = resolveAvoidSettings(local, account, { mergeGuest });
+  const changes = {
+    ...(merged.source === 'local' ? quizData : {}),
+    ...(wishlist.length > (account.wishlist || []).length ? { wishlist } : {}),
+    ...avoidChanges,
+  };
+  const saved = Object.keys(changes).length > 0 ? await updateAccount(account.id, changes) : account;
+  updateUser({ ...quizData, avoidList, hideAvoided });
+  saveAccountSession(token);
+  return {
+    account: toPublicAccount(saved),
+    quizResult: quizData.quizResult,
+    recommendations: quizData.recommendations,
+    wishlist,
+    avoidList,
+    hideAvoided,
+  };
+}
 
 /*Load Quiz Data From Storage*/
 export const loadUserFromStorage = createAsyncThunk(
@@ -13,9 +60,11 @@ export const loadUserFromStorage = createAsyncThunk(
 /*Save Quiz Result*/
 export const saveQuizResultThunk = createAsyncThunk(
   'user/saveQuizResult',
-  async (quizResult) => {
+  async (quizResult, { getState }) => {
     // Update user data with quiz result
-    updateUser({ quizResult });
+    const quizSavedAt = new Date().toISOString();
+    updateUser({ quizResult, quizSavedAt });
+    await syncAccount(getState, { quizResult, quizSavedAt });
     
     return quizResult;
   }
@@ -24,9 +73,10 @@ export const saveQuizResultThunk = createAsyncThunk(
 /*Save AI Recommendations*/
 export const saveRecommendationsThunk = createAsyncThunk(
   'user/saveRecommendations',
-  async (recommendations) => {
+  async (recommendations, { getState }) => {
     // Update user data with recommendations
     updateUser({ recommendations });
+    await syncAccount(getState, { recommendations });
     
     return recommendations;
   }
@@ -35,11 +85,108 @@ export const saveRecommendationsThunk = createAsyncThunk(
 /*Clear Quiz Data*/
 export const clearQuizDataThunk = createAsyncThunk(
   'user/clearQuizData',
-  async () => {
+  async (_, { getState }) => {
     // Clear quiz data from localStorage
-    updateUser({ quizResult: null, recommendations: null });
+    const cleared = { quizResult: null, recommendations: null, quizSavedAt: new Date().toISOString() };
+    updateUser(cleared);
+    await syncAccount(getState, cleared);
     
     return null;
   }
 );
 
+/*Save the avoid list and / or whether matching products are hidden: { avoidList?, hideAvoided? }*/
+export const saveAvoidListThunk = createAsyncThunk(
+  'user/saveAvoidList',
+  async ({ avoidList, hideAvoided }, { getState }) => {
+    const changes = {
+      ...(avoidList !== undefined ? { avoidList } : {}),
+      ...(hideAvoided !== undefined ? { hideAvoided } : {}),
+    };
+    updateUser(changes);
+    await syncAccount(getState, changes);
+    return changes;
+  }
+);
+
+/*Sign Up: the auth server creates the account (and keeps the password hash), then it is logged in*/
+export const signUpThunk = createAsyncThunk(
+  'user/signUp',
+  async ({ name, email, password }, { rejectWithValue }) => {
+    try {
+      const account = {
+        name: name.trim(),
+        phone: '',
+        addresses: [],
+        quizResult: null,
+        recommendations: null,
+        quizSavedAt: null,
+        wishlist: [],
+        avoidList: [],
+        // A new account keeps the hide choice made as a guest (the guest's entries are added by startSession)
+        hideAvoided: !!loadUser()?.hideAvoided,
+        createdAt: new Date().toISOString(),
+      };
+      const session = await signUpCustomer({ email: email.trim().toLowerCase(), password, account });
+      return await startSession(session, { mergeGuest: true });
+    } catch (err) {
+      return rejectWithValue(err.message || 'Failed to create account');
+    }
+  }
+);
+
+/*Login with email + password (checked by the auth server)*/
+export const loginThunk = createAsyncThunk(
+  'user/login',
+  async ({ email, password }, { rejectWithValue }) => {
+    try {
+      const session = await loginCustomer(email, password);
+      return await startSession(session, { mergeGuest: true });
+    } catch (err) {
+      return rejectWithValue(err.message || 'Failed to log in');
+    }
+  }
+);
+
+/*Restore the logged in account on app start from the stored token (returns null if there is no valid session)*/
+export const restoreSessionThunk = createAsyncThunk(
+  'user/restoreSession',
+  async () => {
+    const token = loadAccountSession();
+    if (!token) return null;
+    let session;
+    try {
+      session = await getCustomerSession(token);
+    } catch {
+      // Token expired or rejected, account deleted, or server unreachable: start as a guest
+      clearAccountSession();
+      return null;
+    }
+    return startSession(session);
+  }
+);
+
+/*Logout: forget the session and the account's quiz data on this device*/
+export const logoutThunk = createAsyncThunk(
+  'user/logout',
+  async () => {
+    const token = loadAccountSession();
+    if (token) await logoutCustomer(token);
+    clearAccountSession();
+    updateUser({ quizResult: null, recommendations: null, quizSavedAt: null, avoidList: [], hideAvoided: false });
+    return null;
+  }
+);
+
+/*Update profile fields or saved addresses of the logged in account*/
+export const updateAccountThunk = createAsyncThunk(
+  'user/updateAccount',
+  async (changes, { getState, rejectWithValue }) => {
+    try {
+      const updated = await updateAccount(getState().user.account.id, changes);
+      return toPublicAccount(updated);
+    } catch (err) {
+      return rejectWithValue(err.message || 'Failed to update account');
+    }
+  }
+);
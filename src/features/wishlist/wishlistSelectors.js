@@ -0,0 +1,14 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { selectShopProducts } from '../products/productsSelectors';
+
+export const selectWishlistIds = (state) => state.wishlist.ids;
+
+export const selectWishlistCount = (state) => state.wishlist.ids.length;
+
+export const selectIsInWishlist = (state, productId) => state.wishlist.ids.includes(String(productId));
+
+// Saved products that are still in the shop, in the order they were saved
+export const selectWishlistProducts = createSelector(
+  [selectWishlistIds, selectShopProducts],
+  (ids, products) => ids.map((id) => products.find((p) => String(p.id) === id)).filter(Boolean)
+);
@@ -0,0 +1,46 @@
+/**
+ * Redux slice for the wishlist (products saved for later).
+ * Persisted in localStorage like the cart, and copied to the customer account when logged in (wishlistThunks).
+ * Changes are applied as soon as the thunk starts, so the heart toggles without waiting for the API.
+ */
+
+import { createSlice, isAnyOf } from '@reduxjs/toolkit';
+import { loadWishlistFromStorage, saveWishlistToStorage, addIds } from './wishlistUtils';
+import { toggleWishlist, removeFromWishlist, addToWishlist } from './wishlistThunks';
+import { signUpThunk, loginThunk, restoreSessionThunk, logoutThunk } from '../user/userThunks';
+
+const setIds = (state, ids) => {
+  state.ids = ids;
+  saveWishlistToStorage(ids);
+};
+
+const wishlistSlice = createSlice({
+  name: 'wishlist',
+  initialState: { ids: loadWishlistFromStorage() },
+  reducers: {},
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(toggleWishlist.pending, (state, action) => {
+        const id = String(action.meta.arg);
+        setIds(state, state.ids.includes(id) ? state.ids.filter((i) => i !== id) : [...state.ids, id]);
+      })
+      .addCase(removeFromWishlist.pending, (state, action) => {
+        setIds(state, state.ids.filter((id) => id !== String(action.meta.arg)));
+      })
+      .addCase(addToWishlist.pending, (state, action) => {
+        setIds(state, addIds(state.ids, action.meta.arg));
+      })
+
+      /*ACCOUNT SESSION: the account's list from startSession (userThunks), with the guest items added on login
+        but not on restore; logging out forgets it on this device*/
+      .addCase(logoutThunk.fulfilled, (state) => {
+        setIds(state, []);
+      })
+      .addMatcher(isAnyOf(signUpThunk.fulfilled, loginThunk.fulfilled, restoreSessionThunk.fulfilled), (state, action) => {
+        if (action.payload) setIds(state, action.payload.wishlist);
+      });
+  },
+});
+
+export default wishlistSlice.reducer;
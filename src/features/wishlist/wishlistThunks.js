@@ -0,0 +1,27 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { updateAccount } from '../user/accountAPI';
+
+/*Copy the wishlist to the logged in account. The slice has already applied the change (pending case)
+  and saved it on this device, so a failure is only logged.*/
+async function syncAccount(getState) {
+  const { user, wishlist } = getState();
+  if (!user.account) return;
+  try {
+    await updateAccount(user.account.id, { wishlist: wishlist.ids });
+  } catch (error) {
+    console.error('Error syncing wishlist:', error);
+  }
+}
+
+const syncedThunk = (type) => createAsyncThunk(type, async (_, { getState }) => {
+  await syncAccount(getState);
+});
+
+/*Add or remove one product (arg: productId)*/
+export const toggleWishlist = syncedThunk('wishlist/toggle');
+
+/*Remove one product (arg: productId), e.g. after moving it to the cart*/
+export const removeFromWishlist = syncedThunk('wishlist/remove');
+
+/*Add several products (arg: productIds), e.g. from a shared wishlist*/
+export const addToWishlist = syncedThunk('wishlist/add');
@@ -0,0 +1,77 @@
+/**
+ * wishlistUtils.js
+ * Wishlist (saved for later) helpers: localStorage persistence like the cart (see cart/cartUtils),
+ * merging with the account's list on login, and the shareable /wishlist?items=... link.
+ * The wishlist is a list of product ids; names, prices and stock always come from the products store.
+ */
+
+// Key used to store the wishlist in localStorage
+const WISHLIST_STORAGE_KEY = 'beautyMatch_wishlist';
+
+/**
+ * Saved wishlist, or an empty list when there is none (or it can't be read).
+ * @returns {string[]} product ids
+ */
+export const loadWishlistFromStorage = () => {
+  try {
+    const storedData = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY));
+    return Array.isArray(storedData) ? storedData.map(String) : [];
+  } catch (error) {
+    console.error('Error loading wishlist from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * @param {string[]} ids - product ids
+ */
+export const saveWishlistToStorage = (ids) => {
+  try {
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    console.error('Error saving wishlist to localStorage:', error);
+  }
+};
+
+/**
+ * Add the ids that are not in the list yet (kept in order, no duplicates).
+ * @param {string[]} ids
+ * @param {Array<string|number>} added
+ * @returns {string[]}
+ */
+export function addIds(ids, added) {
+  const result = [...(ids || [])];
+  (added || []).map(String).forEach((id) => {
+    if (id && !result.includes(id)) result.push(id);
+  });
+  return result;
+}
+
+/**
+ * Wishlist after login: the account's items, then the ones saved on this device as a guest.
+ * @param {string[]} local - from localStorage
+ * @param {string[]} [accountWishlist] - account.wishlist
+ * @returns {string[]}
+ */
+export function mergeWishlists(local, accountWishlist) {
+  return addIds(addIds([], accountWishlist), local);
+}
+
+/**
+ * Link that opens the wishlist page with these products (for sharing).
+ * @param {string[]} ids
+ * @param {string} origin - e.g. window.location.origin
+ * @returns {string}
+ */
+export function buildShareLink(ids, origin) {
+  return `${origin}/wishlist?items=${ids.map(encodeURIComponent).join(',')}`;
+}
+
+/**
+ * Product ids of a shared link's "items" parameter.
+ * @param {string|null} value - "12,7,30"
+ * @returns {string[]}
+ */
+export function parseSharedItems(value) {
+  return addIds([], String(value || '').split(',').map((id) => id.trim()));
+}
@@ -0,0 +1,26 @@
+/**
+ * Tests for the wishlist helpers: merging on login and the share link.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { mergeWishlists, buildShareLink, parseSharedItems } from './wishlistUtils';
+
+describe('mergeWishlists', () => {
+  test('keeps the account items and adds the guest ones without duplicates', () => {
+    expect(mergeWishlists(['3', '1'], ['1', '2'])).toEqual(['1', '2', '3']);
+    expect(mergeWishlists([], undefined)).toEqual([]);
+  });
+});
+
+describe('share link', () => {
+  test('round-trips the product ids', () => {
+    const link = buildShareLink(['12', '7'], 'https://shop.test');
+    expect(link).toBe('https://shop.test/wishlist?items=12,7');
+    expect(parseSharedItems(new URL(link).searchParams.get('items'))).toEqual(['12', '7']);
+  });
+
+  test('ignores empty and repeated ids', () => {
+    expect(parseSharedItems(' 4,,4, 9 ')).toEqual(['4', '9']);
+    expect(parseSharedItems(null)).toEqual([]);
+  });
+});
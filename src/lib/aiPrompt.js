@@ -2,7 +2,7 @@
  * This file creates the "instructions" that we send to Gemini.
 
  * The prompt includes:
- * 1. User's skin profile (from quiz analysis)
+ * 1. User's skin profile (from quiz analysis) and the ingredients they avoid
  * 2. List of available products (from our database)
  * 3. Instructions on what to do
  * 4. The exact format we want the answer in (JSON)
@@ -10,6 +10,7 @@
  */
 
 import { mapSkinTypeToFrench, mapConcernsToFrench } from '../utils/analyzeQuizResult';
+import { isAvoided } from '../features/user/avoidList';
 
 /**
  * 
@@ -18,9 +19,10 @@ import { mapSkinTypeToFrench, mapConcernsToFrench } from '../utils/analyzeQuizRe
  * @param {Array} quizResult.concerns - Array of skin concerns
  * @param {string} quizResult.ageRange - User's age range
  * @param {Array} products - Array of available products from the database
+ * @param {Array} [avoidList] - Ingredients the user avoids (see features/user/avoidList), a hard constraint
  * @returns {string} The complete prompt string to send to Gemini
  */
-export function buildRecommendationPrompt(quizResult, products) {
+export function buildRecommendationPrompt(quizResult, products, avoidList = []) {
   const { skinType, concerns, ageRange } = quizResult;
   
   // Convert to French for better product matching
@@ -34,10 +36,22 @@ export function buildRecommendationPrompt(quizResult, products) {
     'sunscreen',
   ];
 
+  // Products with an avoided ingredient are left out of the list; the rule in the prompt also covers
+  // names our matching can't know (other spellings, INCI names)
   const relevantProducts = products.filter(p => {
     const text = `${p.category} ${p.subcategory}`.toLowerCase();
-    return ALLOWED_CATEGORIES.some(cat => text.includes(cat));
+    return ALLOWED_CATEGORIES.some(cat => text.includes(cat)) && !isAvoided(p, avoidList);
   });
+
+  const avoidText = avoidList.length > 0
+    ? `
+=== INGREDIENTS TO AVOID (HARD CONSTRAINT) ===
+The user reacts to: ${avoidList.join(', ')}.
+NEVER recommend a product that contains any of these ingredients, under any name or spelling
+(e.g. "parfum" for fragrance, "alcohol denat." for alcohol). If no safe product exists for a step,
+use null for that step and say so in the summary.
+`
+    : '';
   
 
   // Format products for the prompt
@@ -61,7 +75,7 @@ create a personalized skincare routine.
 - Skin Type: ${skinType} (${skinTypeFr})
 - Main Concerns: ${concerns.join(', ')} (${concernsFr.join(', ')})
 - Age Range: ${ageRange}
-
+${avoidText}
 === AVAILABLE PRODUCTS ===
 ${productsText}
 
@@ -0,0 +1,153 @@
+// Admin activity (owner only): the audit log of product changes, order status changes, review moderation and logins, filterable by entity and admin.
+import { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { History, ArrowRight } from 'lucide-react';
+import { getAuditLogs } from '../../features/audit/auditAPI';
+import { AUDIT_ENTITIES, formatAuditValue } from '../../features/audit/auditUtils';
+import { EmptyState } from '../../components/admin/DashboardComponents';
+
+const PAGE_SIZE = 30;
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  archive: 'archived',
+  restore: 'restored',
+  status: 'changed the status of',
+  login: 'logged in',
+};
+
+// Link to the changed record, when it still has a page
+function entryTarget(entry) {
+  if (entry.entity === 'order' && entry.entityId) return `/orders/${entry.entityId}`;
+  if (entry.entity === 'product' && entry.entityId && entry.action !== 'delete') return `/products/${entry.entityId}`;
+  if (entry.entity === 'review') return '/reviews';
+  return null;
+}
+
+function AuditEntry({ entry }) {
+  const target = entryTarget(entry);
+  const name = entry.label || (entry.entityId ? `#${entry.entityId}` : '');
+
+  return (
+    <li className="bg-white rounded-xl shadow-sm border border-[#e5e5d1] p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-800">
+          <span className="font-semibold">{entry.actor}</span> {ACTION_LABELS[entry.action] || entry.action}{' '}
+          {entry.entity !== 'session' && (
+            <>
+              {entry.entity}{' '}
+              {target ? (
+                <Link to={target} className="font-semibold text-[#9E3B3B] hover:underline">{name}</Link>
+              ) : (
+                <span className="font-semibold">{name}</span>
+              )}
+            </>
+          )}
+        </p>
+        <span className="text-xs text-gray-400">{new Date(entry.at).toLocaleString('en-GB')}</span>
+      </div>
+
+      {entry.changes?.length > 0 && (
+        <table className="mt-3 w-full text-xs">
+          <tbody className="divide-y divide-gray-50">
+            {entry.changes.map((change) => (
+              <tr key={change.field}>
+                <td className="py-1.5 pr-4 font-medium text-gray-500 w-32 align-top">{change.field}</td>
+                <td className="py-1.5 text-gray-700 break-all">
+                  <span className="text-red-700 line-through">{formatAuditValue(change.from)}</span>
+                  <ArrowRight size={12} className="inline mx-2 text-gray-400" />
+                  <span className="text-green-700">{formatAuditValue(change.to)}</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </li>
+  );
+}
+
+export default function Activity() {
+  // null while loading
+  const [entries, setEntries] = useState(null);
+  const [entityFilter, setEntityFilter] = useState('all');
+  const [actorFilter, setActorFilter] = useState('all');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAuditLogs()
+      .then((data) => { if (!cancelled) setEntries(data); })
+      .catch(() => { if (!cancelled) setEntries([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const actors = useMemo(() => [...new Set((entries || []).map((e) => e.actor))].sort(), [entries]);
+
+  const filtered = useMemo(() => (entries || []).filter((e) =>
+    (entityFilter === 'all' || e.entity === entityFilter) && (actorFilter === 'all' || e.actor === actorFilter)
+  ), [entries, entityFilter, actorFilter]);
+
+  // Changing a filter starts again from the newest entries
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  if (entries === null) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#9E3B3B]">Loading ...</div>
+      </div>
+    );
+  }
+
+  const selectClass = 'border border-gray-200 rounded-lg p-2.5 text-sm bg-white focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none';
+
+  return (
+    <div className="min-h-screen p-3 sm:p-4 md:p-6 text-gray-800 bg-[#FDFBF9]">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="flex items-center gap-2 text-xl sm:text-2xl md:text-3xl font-bold text-[#9E3B3B]">
+              <History className="w-7 h-7" /> Activity
+            </h1>
+            <p className="text-gray-600 mt-1 text-sm sm:text-base">Who changed what, and when</p>
+          </div>
+          <div className="flex gap-3">
+            <select value={entityFilter} onChange={changeFilter(setEntityFilter)} className={selectClass}>
+              <option value="all">All activity</option>
+              {Object.entries(AUDIT_ENTITIES).map(([key, info]) => <option key={key} value={key}>{info.label}</option>)}
+            </select>
+            <select value={actorFilter} onChange={changeFilter(setActorFilter)} className={selectClass}>
+              <option value="all">All admins</option>
+              {actors.map((actor) => <option key={actor} value={actor}>{actor}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {filtered.length === 0 ? (
+          <EmptyState message="No activity recorded" />
+        ) : (
+          <>
+            <ul className="space-y-3">
+              {filtered.slice(0, visibleCount).map((entry) => <AuditEntry key={entry.id} entry={entry} />)}
+            </ul>
+            {visibleCount < filtered.length && (
+              <div className="flex justify-center mt-6">
+                <button
+                  onClick={() => setVisibleCount((n) => n + PAGE_SIZE)}
+                  className="px-6 py-2.5 rounded-lg border border-[#9E3B3B] text-[#9E3B3B] font-medium hover:bg-[#9E3B3B]/10 transition-colors text-sm"
+                >
+                  Show more ({filtered.length - visibleCount} left)
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
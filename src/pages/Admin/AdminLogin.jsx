@@ -1,11 +1,12 @@
 /**
- * AdminLogin: Simple client-side auth using localStorage.
+ * AdminLogin: logs in against the auth server (server/authServer.js) and keeps the session token.
  */
 
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Lock, User, Eye, EyeOff, AlertCircle, ArrowLeft } from 'lucide-react';
-import { validateAdminCredentials, setAdminSession } from '../../utils/adminAuth';
+import { loginAdmin } from '../../utils/adminAuth';
+import { recordAudit } from '../../features/audit/auditAPI';
 
 export default function AdminLogin() {
   const navigate = useNavigate();
@@ -16,20 +17,19 @@ export default function AdminLogin() {
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setIsLoading(true);
 
-    setTimeout(() => {
-      if (validateAdminCredentials(username, password)) {
-        setAdminSession();
-        navigate('/Dashboard');
-      } else {
-        setError('Incorrect username or password');
-      }
+    try {
+      await loginAdmin(username, password);
+      await recordAudit({ entity: 'session', action: 'login' });
+      navigate('/Dashboard');
+    } catch (err) {
+      setError(err.message);
       setIsLoading(false);
-    }, 500);
+    }
   };
 
   return (
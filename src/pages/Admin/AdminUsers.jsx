@@ -0,0 +1,188 @@
+// Admin accounts (owner only): list, add, change password/role, remove. Calls the auth server through adminAuth.js.
+import { useEffect, useState } from 'react';
+import { Plus, Edit, Trash2, X, UserCog } from 'lucide-react';
+import { getAdminSession, getAdminUsers, saveAdminUser, removeAdminUser } from '../../utils/adminAuth';
+import { ADMIN_ROLES, ROLE_INFO } from '../../utils/adminRoles';
+import { EmptyState } from '../../components/admin/DashboardComponents';
+import { useToast } from '../../components/Toast';
+
+// Add / edit modal. Editing always sets a new password (the server only keeps hashes).
+function AdminUserModal({ user, onClose, onSave }) {
+  const [formData, setFormData] = useState({ username: user?.username || '', password: '', role: user?.role || 'viewer' });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave({ ...formData, username: formData.username.trim() });
+    setSaving(false);
+  };
+
+  const inputClass = 'w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white w-full max-w-lg rounded-2xl shadow-2xl max-h-[90vh] overflow-hidden">
+        <div className="bg-[#9E3B3B] p-5 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">{user ? `Edit ${user.username}` : 'New Admin'}</h2>
+            <p className="text-white/70 text-sm">Their open sessions end when saved</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full transition-colors">
+            <X size={22} className="text-white" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 overflow-y-auto max-h-[calc(90vh-100px)] space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Username</label>
+            <input name="username" required disabled={!!user} value={formData.username} onChange={handleChange} className={`${inputClass} disabled:bg-gray-50`} />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">{user ? 'New Password' : 'Password'}</label>
+            <input name="password" type="password" required minLength={8} autoComplete="new-password" value={formData.password} onChange={handleChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Role</label>
+            <select name="role" value={formData.role} onChange={handleChange} className={inputClass}>
+              {ADMIN_ROLES.map((role) => <option key={role} value={role}>{ROLE_INFO[role].label}</option>)}
+            </select>
+          </div>
+          <div className="flex gap-3 pt-4 border-t border-gray-100">
+            <button type="button" onClick={onClose} className="flex-1 py-3 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`flex-1 py-3 rounded-xl text-white font-semibold transition-all ${saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-[#9E3B3B] hover:bg-[#7d2f2f]'}`}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default function AdminUsers() {
+  const { showToast } = useToast();
+  const currentUsername = getAdminSession()?.admin.username;
+  // null while loading
+  const [users, setUsers] = useState(null);
+  const [modal, setModal] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAdminUsers()
+      .then((data) => { if (!cancelled) setUsers(Array.isArray(data) ? data : []); })
+      .catch(() => { if (!cancelled) setUsers([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async (user) => {
+    try {
+      const saved = await saveAdminUser(user);
+      setUsers((prev) => [...prev.filter((u) => u.username !== saved.username), saved]);
+      setModal(null);
+      showToast('Admin saved!', 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  };
+
+  const handleRemove = async (user) => {
+    if (!window.confirm(`Remove admin ${user.username}?`)) return;
+    try {
+      await removeAdminUser(user.username);
+      setUsers((prev) => prev.filter((u) => u.username !== user.username));
+      showToast('Admin removed!', 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  };
+
+  if (users === null) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#9E3B3B]">Loading ...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-3 sm:p-4 md:p-6 text-gray-800 bg-[#FDFBF9]">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-[#9E3B3B]">Admins</h1>
+            <p className="text-gray-600 mt-1 text-sm sm:text-base">Who can access the admin panel, and what they can do</p>
+          </div>
+          <button
+            onClick={() => setModal({ user: null })}
+            className="flex items-center justify-center gap-2 px-4 sm:px-6 py-2.5 bg-[#9E3B3B] text-white font-medium rounded-lg hover:bg-[#7d2f2f] transition-all shadow-md text-sm sm:text-base"
+          >
+            <Plus size={18} /> New Admin
+          </button>
+        </div>
+
+        {users.length === 0 ? (
+          <EmptyState message="No admins found" />
+        ) : (
+          <div className="bg-white rounded-xl shadow-md border border-[#e5e5d1] overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="bg-[#9E3B3B]">
+                  <tr className="text-xs font-semibold text-white uppercase tracking-wider">
+                    <th className="px-6 py-4">Username</th>
+                    <th className="px-6 py-4">Role</th>
+                    <th className="px-6 py-4 text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-50">
+                  {users.map((user) => (
+                    <tr key={user.username} className="hover:bg-[#9E3B3B]/10 transition-colors">
+                      <td className="px-6 py-4">
+                        <span className="inline-flex items-center gap-2 font-semibold text-gray-900">
+                          <UserCog size={14} className="text-[#9E3B3B]" />
+                          {user.username}
+                          {user.username === currentUsername && <span className="text-xs font-normal text-gray-400">(you)</span>}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">{ROLE_INFO[user.role]?.label || user.role}</td>
+                      <td className="px-6 py-4">
+                        <div className="flex justify-center gap-2">
+                          <button onClick={() => setModal({ user })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
+                            <Edit size={18} color="gray" />
+                          </button>
+                          {user.username !== currentUsername && (
+                            <button onClick={() => handleRemove(user)} className="p-2 hover:bg-red-50 rounded-lg cursor-pointer transition-colors">
+                              <Trash2 size={18} color="gray" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <AdminUserModal
+          user={modal.user}
+          onClose={() => setModal(null)}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+}
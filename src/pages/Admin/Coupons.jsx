@@ -0,0 +1,301 @@
+// Admin promo codes: list, create, edit, delete. Calls couponsAPI directly (no Redux slice, like Orders).
+import { useEffect, useState } from 'react';
+import { Plus, Edit, Trash2, X, Tag } from 'lucide-react';
+import { getCoupons, addCoupon, updateCoupon, deleteCoupon } from '../../features/coupons/couponsAPI';
+import { COUPON_TYPES } from '../../features/coupons/couponUtils';
+import { EmptyState } from '../../components/admin/DashboardComponents';
+import { useToast } from '../../components/Toast';
+
+const CATEGORIES = ['cleanser', 'moisturizer', 'serum', 'sunscreen'];
+
+const emptyForm = {
+  code: '', type: 'percentage', value: '', minSpend: '', expiresAt: '', categories: [], singleUse: false, active: true,
+};
+
+function couponToForm(c) {
+  if (!c) return emptyForm;
+  return {
+    code: c.code || '',
+    type: c.type || 'percentage',
+    value: c.value ?? '',
+    minSpend: c.minSpend ?? '',
+    expiresAt: c.expiresAt ? c.expiresAt.slice(0, 10) : '',
+    categories: Array.isArray(c.categories) ? c.categories : [],
+    singleUse: !!c.singleUse,
+    active: c.active !== false,
+  };
+}
+
+// Human readable value: "15%" or "$10.00"
+const formatValue = (c) => (c.type === 'percentage' ? `${c.value}%` : `$${Number(c.value || 0).toFixed(2)}`);
+
+// Status shown in the table
+function getCouponState(c) {
+  if (c.active === false) return { text: 'Inactive', color: 'text-gray-600', bg: 'bg-gray-100' };
+  if (c.singleUse && c.used) return { text: 'Used', color: 'text-gray-600', bg: 'bg-gray-100' };
+  if (c.expiresAt && new Date(c.expiresAt) < new Date()) return { text: 'Expired', color: 'text-red-600', bg: 'bg-red-50' };
+  return { text: 'Active', color: 'text-green-600', bg: 'bg-green-50' };
+}
+
+// Create / edit modal
+function CouponModal({ coupon, onClose, onSave }) {
+  const [formData, setFormData] = useState(() => couponToForm(coupon));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleCategory = (category) => {
+    setFormData((prev) => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter((c) => c !== category)
+        : [...prev.categories, category],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave({
+      ...(coupon && { id: coupon.id, used: coupon.used }),
+      ...formData,
+      value: Number(formData.value),
+      minSpend: Number(formData.minSpend) || 0,
+      // End of the chosen day, so the code works the whole day
+      expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : null,
+    });
+    setSaving(false);
+  };
+
+  const inputClass = 'w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white w-full max-w-lg rounded-2xl shadow-2xl max-h-[90vh] overflow-hidden">
+        <div className="bg-[#9E3B3B] p-5 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">{coupon ? 'Edit Promo Code' : 'New Promo Code'}</h2>
+            <p className="text-white/70 text-sm">Discount rules for the cart</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full transition-colors">
+            <X size={22} className="text-white" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 overflow-y-auto max-h-[calc(90vh-100px)] space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Code</label>
+            <input name="code" required value={formData.code} onChange={handleChange} placeholder="LAUNCH15" className={`${inputClass} uppercase`} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Type</label>
+              <select name="type" value={formData.type} onChange={handleChange} className={`${inputClass} capitalize`}>
+                {COUPON_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">
+                {formData.type === 'percentage' ? 'Value (%)' : 'Value ($)'}
+              </label>
+              <input
+                name="value" type="number" required min="0" step="0.01"
+                max={formData.type === 'percentage' ? 100 : undefined}
+                value={formData.value} onChange={handleChange} className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Minimum Spend ($)</label>
+              <input name="minSpend" type="number" min="0" step="0.01" value={formData.minSpend} onChange={handleChange} placeholder="0" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Expires On</label>
+              <input name="expiresAt" type="date" value={formData.expiresAt} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Categories (none = whole cart)</label>
+            <div className="flex flex-wrap gap-2">
+              {CATEGORIES.map((category) => (
+                <button
+                  type="button"
+                  key={category}
+                  onClick={() => toggleCategory(category)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-semibold capitalize transition-colors ${
+                    formData.categories.includes(category) ? 'bg-[#9E3B3B] text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {category}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-6">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" name="singleUse" checked={formData.singleUse} onChange={handleChange} className="accent-[#9E3B3B]" />
+              Single use
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" name="active" checked={formData.active} onChange={handleChange} className="accent-[#9E3B3B]" />
+              Active
+            </label>
+          </div>
+          <div className="flex gap-3 pt-4 border-t border-gray-100">
+            <button type="button" onClick={onClose} className="flex-1 py-3 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`flex-1 py-3 rounded-xl text-white font-semibold transition-all ${saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-[#9E3B3B] hover:bg-[#7d2f2f]'}`}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default function Coupons() {
+  const { showToast } = useToast();
+  // null while loading
+  const [coupons, setCoupons] = useState(null);
+  const [modal, setModal] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCoupons()
+      .then((data) => { if (!cancelled) setCoupons(Array.isArray(data) ? data : []); })
+      .catch(() => { if (!cancelled) setCoupons([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async (coupon) => {
+    try {
+      if (coupon.id) {
+        const updated = await updateCoupon(coupon);
+        setCoupons((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+      } else {
+        const created = await addCoupon(coupon);
+        setCoupons((prev) => [...prev, created]);
+      }
+      setModal(null);
+      showToast('Promo code saved!', 'success');
+    } catch (err) {
+      showToast(err.message || 'Promo code could not be saved.', 'error');
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete promo code ${coupon.code}?`)) return;
+    try {
+      await deleteCoupon(coupon.id);
+      setCoupons((prev) => prev.filter((c) => c.id !== coupon.id));
+      showToast('Promo code deleted!', 'success');
+    } catch (err) {
+      showToast(err.message || 'Promo code could not be deleted.', 'error');
+    }
+  };
+
+  if (coupons === null) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#9E3B3B]">Loading ...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-3 sm:p-4 md:p-6 text-gray-800 bg-[#FDFBF9]">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-[#9E3B3B]">Promo Codes</h1>
+            <p className="text-gray-600 mt-1 text-sm sm:text-base">Discounts for launches and campaigns</p>
+          </div>
+          <button
+            onClick={() => setModal({ coupon: null })}
+            className="flex items-center justify-center gap-2 px-4 sm:px-6 py-2.5 bg-[#9E3B3B] text-white font-medium rounded-lg hover:bg-[#7d2f2f] transition-all shadow-md text-sm sm:text-base"
+          >
+            <Plus size={18} /> New Code
+          </button>
+        </div>
+
+        {coupons.length === 0 ? (
+          <EmptyState message="No promo codes yet" />
+        ) : (
+          <div className="bg-white rounded-xl shadow-md border border-[#e5e5d1] overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="bg-[#9E3B3B]">
+                  <tr className="text-xs font-semibold text-white uppercase tracking-wider">
+                    <th className="px-6 py-4">Code</th>
+                    <th className="px-6 py-4">Discount</th>
+                    <th className="px-6 py-4">Min. Spend</th>
+                    <th className="px-6 py-4">Categories</th>
+                    <th className="px-6 py-4">Expires</th>
+                    <th className="px-6 py-4">Status</th>
+                    <th className="px-6 py-4 text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-50">
+                  {coupons.map((coupon) => {
+                    const state = getCouponState(coupon);
+                    return (
+                      <tr key={coupon.id} className="hover:bg-[#9E3B3B]/10 transition-colors">
+                        <td className="px-6 py-4">
+                          <span className="inline-flex items-center gap-2 font-mono font-semibold text-gray-900">
+                            <Tag size={14} className="text-[#9E3B3B]" />
+                            {coupon.code}
+                          </span>
+                          {coupon.singleUse && <p className="text-xs text-gray-400 mt-1">Single use</p>}
+                        </td>
+                        <td className="px-6 py-4 font-semibold">{formatValue(coupon)}</td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {coupon.minSpend ? `$${Number(coupon.minSpend).toFixed(2)}` : '—'}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600 capitalize">
+                          {coupon.categories?.length ? coupon.categories.join(', ') : 'All'}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString('fr-FR') : '—'}
+                        </td>
+                        <td className="px-6 py-4">
+                          <span className={`px-2.5 py-1 rounded-full text-xs font-bold uppercase ${state.bg} ${state.color}`}>
+                            {state.text}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex justify-center gap-2">
+                            <button onClick={() => setModal({ coupon })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
+                              <Edit size={18} color="gray" />
+                            </button>
+                            <button onClick={() => handleDelete(coupon)} className="p-2 hover:bg-red-50 rounded-lg cursor-pointer transition-colors">
+                              <Trash2 size={18} color="gray" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <CouponModal
+          coupon={modal.coupon}
+          onClose={() => setModal(null)}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+}
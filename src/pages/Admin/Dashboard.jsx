@@ -10,9 +10,14 @@ import {
   EmptyState, 
   LowStockCard 
 } from '../../components/admin/DashboardComponents';
+import { getAdminSession } from '../../utils/adminAuth';
+import { ROLE_INFO } from '../../utils/adminRoles';
+import { getProductStatus } from '../../features/products/productUtils';
 
 export default function Dashboard() {
   const dispatch = useDispatch();
+  const admin = getAdminSession()?.admin;
+  const adminName = admin?.username || 'Admin';
   const { productsData, loading } = useSelector((state) => state.products);
   const [orders, setOrders] = useState([]);
   const [ordersLoading, setOrdersLoading] = useState(true);
@@ -35,13 +40,14 @@ export default function Dashboard() {
   const totalSales = orders.reduce((sum, o) => sum + (Number(o.total) || 0), 0);
   const totalOrders = orders.length;
 
-  // === From products (real data) ===
-  const totalStock = productsData?.reduce((sum, p) => sum + (p.stock || 0), 0) || 0;
-  const lowStockProducts = productsData?.filter(p => (p.stock < p.minStock) ) || [];
-  const outOfStockCount = productsData?.filter(p => (p.stock === 0)).length || 0;
+  // === From products (real data, archived products left out) ===
+  const activeProducts = productsData?.filter(p => getProductStatus(p) !== 'archived') || [];
+  const totalStock = activeProducts.reduce((sum, p) => sum + (p.stock || 0), 0);
+  const lowStockProducts = activeProducts.filter(p => (p.stock < p.minStock) );
+  const outOfStockCount = activeProducts.filter(p => (p.stock === 0)).length;
 
   // Top selling products (from products data)
-  const topSellingProducts = [...(productsData || [])]
+  const topSellingProducts = [...activeProducts]
     .filter(p => (p.quantityVendu || 0) > 80)
     .sort((a, b) => (b.quantityVendu || 0) - (a.quantityVendu || 0))
     .slice(0, 6);
@@ -75,11 +81,11 @@ export default function Dashboard() {
           <div className="mt-1 px-4 py-3 bg-[#9E3B3B]/5 rounded-2xl">
             <div className="flex items-center gap-3">
               <div className="w-8 h-8 rounded-full bg-gradient-to-br from-[#9E3B3B] to-[#ea7b7b] flex items-center justify-center text-white font-bold text-sm">
-                A
+                {adminName.charAt(0).toUpperCase()}
               </div>
               <div>
-                <p className="text-sm font-medium text-black">Admin</p>
-                <p className="text-xs text-black">Administrator</p>
+                <p className="text-sm font-medium text-black">{adminName}</p>
+                <p className="text-xs text-black">{ROLE_INFO[admin?.role]?.label || 'Administrator'}</p>
               </div>
             </div>
           </div>
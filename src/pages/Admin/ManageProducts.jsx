@@ -1,11 +1,18 @@
 import { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
-import { fetchProducts } from '../../features/products/productsThunks';
-import { Eye, Edit, Trash2, ChevronLeft, ChevronRight } from 'lucide-react';
+import { fetchProducts, restoreProduct } from '../../features/products/productsThunks';
+import { Eye, Edit, Trash2, ChevronLeft, ChevronRight, Upload, Download, ArchiveRestore } from 'lucide-react';
 import PopUpDelete from '../../components/admin/popUpDelete';
 import PopUpUpdate from '../../components/admin/PopUpUpdate';
+import ImportProductsModal from '../../components/admin/ImportProductsModal';
+import BulkActionModal from '../../components/admin/BulkActionModal';
 import ProductFilters from '../../features/products/ProductFilters';
+import { exportProducts } from '../../features/products/productImport';
+import { BULK_ACTIONS } from '../../features/products/bulkActions';
+import { PRODUCT_STATUSES, getProductStatus } from '../../features/products/productUtils';
+import { canAdmin } from '../../utils/adminAuth';
+import { useToast } from '../../components/Toast';
 
 const PRODUCTS_PER_PAGE = 8;
 
@@ -50,6 +57,32 @@ function PaginationControls({ currentPage, totalPages, startIndex, endIndex, tot
   );
 }
 
+// Save the catalog as products-YYYY-MM-DD.csv / .json
+function downloadCatalog(products, format) {
+  const type = format === 'json' ? 'application/json' : 'text/csv';
+  const url = URL.createObjectURL(new Blob([exportProducts(products, format)], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Publishing state next to the name (nothing for published products)
+function StatusBadge({ product }) {
+  const status = getProductStatus(product);
+  if (status === 'published') return null;
+  const info = PRODUCT_STATUSES[status];
+  return <span className={`ml-2 px-2 py-0.5 rounded-full text-[10px] font-bold uppercase align-middle ${info.bg} ${info.color}`}>{info.label}</span>;
+}
+
+// Status filter: "active" hides archived products
+const matchesStatus = (product, filter) => {
+  const status = getProductStatus(product);
+  if (filter === 'active') return status !== 'archived';
+  return filter === 'all' || status === filter;
+};
+
 // Stock status for display (Out of Stock / Low Stock / In Stock)
 function getStockStatus(stock,product) {
   if (stock === 0) return { text: 'Out of Stock', color: 'text-red-600', bg: 'bg-red-50' };
@@ -60,12 +93,18 @@ function getStockStatus(stock,product) {
 export default function ManageProducts() {
   // Redux
   const dispatch = useDispatch();
+  const { showToast } = useToast();
+  // Role gates (see utils/adminRoles): catalog managers and owners edit, viewers only look
+  const canEdit = canAdmin('products.edit');
+  const canDelete = canAdmin('products.delete');
   const { productsData, loading } = useSelector((state) => state.products);
 
-  // Local state: modal (delete/update), filters, pagination
+  // Local state: modal (delete/update/import/bulk), selection, filters, pagination
   const [modal, setModal] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [stockFilter, setStockFilter] = useState('highToLow');
+  const [statusFilter, setStatusFilter] = useState('active');
   const [currentPage, setCurrentPage] = useState(1);
 
   // Effects
@@ -75,7 +114,7 @@ export default function ManageProducts() {
 
   // Filter, sort, paginate
   const filteredProducts = productsData?.filter((p) =>
-    p.name?.toLowerCase().includes(searchTerm.toLowerCase())
+    p.name?.toLowerCase().includes(searchTerm.toLowerCase()) && matchesStatus(p, statusFilter)
   ) || [];
   const sortedProducts = [...filteredProducts].sort((a, b) =>
     stockFilter === 'highToLow' ? b.stock - a.stock : a.stock - b.stock
@@ -87,6 +126,45 @@ export default function ManageProducts() {
 
   const goToPageOne = () => setCurrentPage(1);
 
+  // Selection for bulk actions (kept across pages; ids of deleted products drop out)
+  const selectedProducts = productsData.filter((p) => selectedIds.includes(p.id));
+  const pageSelected = currentProducts.length > 0 && currentProducts.every((p) => selectedIds.includes(p.id));
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+  const togglePage = () => {
+    const pageIds = currentProducts.map((p) => p.id);
+    setSelectedIds((prev) => (pageSelected ? prev.filter((id) => !pageIds.includes(id)) : [...new Set([...prev, ...pageIds])]));
+  };
+  const bulkActions = Object.entries(BULK_ACTIONS).filter(([, info]) => canAdmin(info.permission));
+
+  // Archived products come back as published
+  const handleRestore = async (product) => {
+    try {
+      await dispatch(restoreProduct(product.id)).unwrap();
+      showToast(`${product.name} restored!`, 'success');
+    } catch (err) {
+      showToast(err || 'Failed to restore product', 'error');
+    }
+  };
+
+  // Delete (archive) for live products, restore for archived ones; both need products.delete
+  const renderArchiveButton = (product, size) => {
+    if (!canDelete) return null;
+    if (getProductStatus(product) === 'archived') {
+      return (
+        <button onClick={() => handleRestore(product)} title="Restore" className="p-2 hover:bg-green-50 rounded-lg cursor-pointer transition-colors">
+          <ArchiveRestore size={size} color="gray" />
+        </button>
+      );
+    }
+    return (
+      <button onClick={() => setModal({ type: 'delete', id: product.id })} title="Delete" className="p-2 hover:bg-red-50 rounded-lg cursor-pointer transition-colors">
+        <Trash2 size={size} color="gray" />
+      </button>
+    );
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -108,12 +186,36 @@ export default function ManageProducts() {
               Refined Skincare & Cosmetics Catalog
             </p>
           </div>
-          <Link
-            to="/addProduct"
-            className="px-4 sm:px-6 py-2.5 bg-[#9E3B3B] text-white font-medium rounded-lg hover:bg-[#7d2f2f] transition-all shadow-md text-center text-sm sm:text-base"
-          >
-            + Add Product
-          </Link>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => downloadCatalog(productsData, 'csv')}
+              className="flex items-center justify-center gap-2 px-4 py-2.5 border border-[#9E3B3B] text-[#9E3B3B] font-medium rounded-lg hover:bg-[#9E3B3B]/10 transition-all text-sm sm:text-base"
+            >
+              <Download size={16} /> CSV
+            </button>
+            <button
+              onClick={() => downloadCatalog(productsData, 'json')}
+              className="flex items-center justify-center gap-2 px-4 py-2.5 border border-[#9E3B3B] text-[#9E3B3B] font-medium rounded-lg hover:bg-[#9E3B3B]/10 transition-all text-sm sm:text-base"
+            >
+              <Download size={16} /> JSON
+            </button>
+            {canEdit && (
+              <>
+                <button
+                  onClick={() => setModal({ type: 'import' })}
+                  className="flex items-center justify-center gap-2 px-4 py-2.5 border border-[#9E3B3B] text-[#9E3B3B] font-medium rounded-lg hover:bg-[#9E3B3B]/10 transition-all text-sm sm:text-base"
+                >
+                  <Upload size={16} /> Import
+                </button>
+                <Link
+                  to="/addProduct"
+                  className="px-4 sm:px-6 py-2.5 bg-[#9E3B3B] text-white font-medium rounded-lg hover:bg-[#7d2f2f] transition-all shadow-md text-center text-sm sm:text-base"
+                >
+                  + Add Product
+                </Link>
+              </>
+            )}
+          </div>
         </div>
 
         <ProductFilters
@@ -121,14 +223,41 @@ export default function ManageProducts() {
           onSearchChange={(v) => { setSearchTerm(v); goToPageOne(); }}
           stockFilter={stockFilter}
           onStockFilterChange={setStockFilter}
+          statusFilter={statusFilter}
+          onStatusFilterChange={(v) => { setStatusFilter(v); goToPageOne(); }}
         /> 
 
+        {selectedProducts.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-2 bg-white rounded-xl shadow-md border border-[#e5e5d1] px-4 py-3">
+            <span className="text-sm font-semibold text-gray-700 mr-2">{selectedProducts.length} selected</span>
+            {bulkActions.map(([action, info]) => (
+              <button
+                key={action}
+                onClick={() => setModal({ type: 'bulk', action, products: selectedProducts })}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  action === 'archive' ? 'bg-red-50 text-red-600 hover:bg-red-100' : 'bg-[#9E3B3B]/10 text-[#9E3B3B] hover:bg-[#9E3B3B]/20'
+                }`}
+              >
+                {info.label}
+              </button>
+            ))}
+            <button onClick={() => setSelectedIds([])} className="ml-auto text-sm text-gray-500 hover:underline">
+              Clear
+            </button>
+          </div>
+        )}
+
         <div className="hidden md:block bg-white rounded-xl shadow-md border border-[#e5e5d1] overflow-hidden">
           <div className="overflow-x-auto">
             <table className="w-full text-left">
               
               <thead className="bg-[#9E3B3B] border-b border-gray-100">
                 <tr className="text-xs font-semibold text-white uppercase tracking-wider">
+                  {canEdit && (
+                    <th className="pl-6 py-4 w-4">
+                      <input type="checkbox" checked={pageSelected} onChange={togglePage} aria-label="Select page" className="accent-white" />
+                    </th>
+                  )}
                   <th className="px-6 py-4">Product</th>
                   <th className="px-6 py-4">SKU/ID</th>
                   <th className="px-6 py-4">Status</th>
@@ -143,7 +272,12 @@ export default function ManageProducts() {
                   
                   return (
                     <tr key={product.id} className="hover:bg-[#9E3B3B]/10 transition-colors">
-                      
+                      {canEdit && (
+                        <td className="pl-6 py-4">
+                          <input type="checkbox" checked={selectedIds.includes(product.id)} onChange={() => toggleSelected(product.id)} aria-label={`Select ${product.name}`} className="accent-[#9E3B3B]" />
+                        </td>
+                      )}
+
                       <td className="px-6 py-4">
                         <div className="flex items-center gap-4">
                           {(product.imageUrl || product.image) ? (
@@ -158,7 +292,7 @@ export default function ManageProducts() {
                             </div>
                           )}
                           <div>
-                            <div className="font-medium text-gray-900">{product.name}</div>
+                            <div className="font-medium text-gray-900">{product.name}<StatusBadge product={product} /></div>
                             <div className="text-xs text-gray-500 mt-1">{product.category}</div>
                           </div>
                         </div>
@@ -183,12 +317,12 @@ export default function ManageProducts() {
                           <button className="p-2 hover:bg-[#9E3B3B]/10 rounded-lg cursor-pointer transition-colors">
                             <Link to={`/products/${product.id}`}><Eye size={18} color="gray" /></Link>
                           </button>
-                          <button onClick={() => setModal({ type: 'update', product })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
-                            <Edit size={18} color="gray" />
-                          </button>
-                          <button onClick={() => setModal({ type: 'delete', id: product.id })} className="p-2 hover:bg-red-50 rounded-lg cursor-pointer transition-colors">
-                            <Trash2 size={18} color="gray" />
-                          </button>
+                          {canEdit && (
+                            <button onClick={() => setModal({ type: 'update', product })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
+                              <Edit size={18} color="gray" />
+                            </button>
+                          )}
+                          {renderArchiveButton(product, 18)}
                         </div>
                       </td>
 
@@ -221,6 +355,9 @@ export default function ManageProducts() {
                 className="bg-white rounded-xl shadow-md border border-[#e5e5d1] p-4"
               >
                 <div className="flex gap-4">
+                  {canEdit && (
+                    <input type="checkbox" checked={selectedIds.includes(product.id)} onChange={() => toggleSelected(product.id)} aria-label={`Select ${product.name}`} className="accent-[#9E3B3B] self-start mt-1" />
+                  )}
                   {/* Product Image */}
                   {(product.imageUrl || product.image) ? (
                     <img 
@@ -236,7 +373,7 @@ export default function ManageProducts() {
 
                   {/* Product Info */}
                   <div className="flex-1 min-w-0">
-                    <h3 className="font-semibold text-gray-900 truncate">{product.name}</h3>
+                    <h3 className="font-semibold text-gray-900 truncate">{product.name}<StatusBadge product={product} /></h3>
                     <p className="text-xs text-gray-500 mt-1">{product.category}</p>
                     <p className="font-bold text-lg text-[#9E3B3B] mt-2">${product.price?.toFixed(2)}</p>
                     <span className={`inline-block px-2 py-0.5 rounded-full text-[10px] font-bold uppercase mt-2 ${status.bg} ${status.color}`}>
@@ -250,12 +387,12 @@ export default function ManageProducts() {
                   <Link to={`/products/${product.id}`} className="p-2 hover:bg-[#9E3B3B]/10 rounded-lg transition-colors">
                     <Eye size={20} color="gray" />
                   </Link>
-                  <button onClick={() => setModal({ type: 'update', product })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
-                    <Edit size={20} color="gray" />
-                  </button>
-                  <button onClick={() => setModal({ type: 'delete', id: product.id })} className="p-2 hover:bg-red-50 rounded-lg cursor-pointer transition-colors">
-                    <Trash2 size={20} color="gray" />
-                  </button>
+                  {canEdit && (
+                    <button onClick={() => setModal({ type: 'update', product })} className="p-2 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors">
+                      <Edit size={20} color="gray" />
+                    </button>
+                  )}
+                  {renderArchiveButton(product, 20)}
                 </div>
               </div>
             );
@@ -285,6 +422,15 @@ export default function ManageProducts() {
         onClose={() => setModal(null)}
         productToUpdate={modal?.type === 'update' ? modal.product : null}
       />
+      {modal?.type === 'import' && <ImportProductsModal onClose={() => setModal(null)} />}
+      {modal?.type === 'bulk' && (
+        <BulkActionModal
+          action={modal.action}
+          products={modal.products}
+          onClose={() => setModal(null)}
+          onDone={(doneIds) => setSelectedIds((prev) => prev.filter((id) => !doneIds.includes(id)))}
+        />
+      )}
     </div>
   );
 }
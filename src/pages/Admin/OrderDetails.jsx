@@ -0,0 +1,218 @@
+// Admin order detail: line items, customer & shipping info, email status and status history.
+import { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeft, User, MapPin, MessageSquare, Mail, Clock, Package } from 'lucide-react';
+import { getOrder, updateOrderStatus } from '../../features/orders/ordersAPI';
+import { ORDER_STATUS_INFO, getOrderStatus, getStatusHistory } from '../../features/orders/orderStatus';
+import { EmptyState } from '../../components/admin/DashboardComponents';
+import { StatusBadge, StatusActions } from '../../components/admin/OrderComponents';
+import { useToast } from '../../components/Toast';
+import { canAdmin } from '../../utils/adminAuth';
+
+const formatDateTime = (dateStr) => {
+  if (!dateStr) return '—';
+  return new Date(dateStr).toLocaleString('fr-FR', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+};
+
+// White card with a title row, used for each info block
+function InfoCard({ icon, title, children }) {
+  return (
+    <div className="bg-white rounded-3xl border border-gray-100 shadow-sm p-6">
+      <div className="flex items-center gap-2 mb-4">
+        <span className="text-[#9E3B3B]">{icon}</span>
+        <h2 className="text-xs font-bold uppercase tracking-[0.2em] text-gray-900">{title}</h2>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+export default function OrderDetails() {
+  const { id } = useParams();
+  const { showToast } = useToast();
+  // Keep the id we loaded so "loading" is derived instead of set inside the effect
+  const [result, setResult] = useState({ id: null, order: null });
+  const [updating, setUpdating] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getOrder(id)
+      .then((data) => { if (!cancelled) setResult({ id, order: data || null }); })
+      .catch(() => { if (!cancelled) setResult({ id, order: null }); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  const loading = result.id !== id;
+  const order = result.order;
+
+  const handleChangeStatus = async (current, nextStatus) => {
+    if (nextStatus === 'cancelled' && !window.confirm(`Annuler la commande #${current.id} ?`)) return;
+    setUpdating(true);
+    try {
+      const updated = await updateOrderStatus(current, nextStatus);
+      setResult((prev) => ({ ...prev, order: { ...prev.order, ...updated } }));
+      showToast(`Commande #${current.id} : ${ORDER_STATUS_INFO[nextStatus].label}`, 'success');
+    } catch (err) {
+      showToast(err.message || 'Impossible de mettre à jour le statut.', 'error');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  if (loading) return (
+    <div className="flex flex-col items-center justify-center min-h-[60vh] space-y-4">
+      <div className="w-12 h-12 border-2 border-[#9E3B3B]/10 border-t-[#9E3B3B] rounded-full animate-spin" />
+      <p className="text-xs uppercase tracking-[0.2em] text-gray-400 font-medium">Loading order...</p>
+    </div>
+  );
+
+  if (!order) return (
+    <div className="min-h-screen p-4 lg:p-12 bg-[#f8f5f2]">
+      <Link to="/orders" className="inline-flex items-center gap-2 text-sm text-[#9E3B3B] font-medium mb-6 hover:underline">
+        <ArrowLeft className="w-4 h-4" /> Retour aux commandes
+      </Link>
+      <EmptyState message={`Commande #${id} introuvable.`} />
+    </div>
+  );
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  const history = getStatusHistory(order);
+  // Orders placed before the address fields existed may only have a top-level city/message
+  const address = order.shippingAddress || { city: order.city };
+  const deliveryNote = order.deliveryNote || order.message;
+  const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+  // Lines between the items and the total (older orders have none of these fields)
+  const summaryRows = [
+    order.subtotal != null && { label: 'Sous-total', value: money(order.subtotal) },
+    order.discount && { label: `Remise (${order.discount.code})`, value: `-${money(order.discount.amount)}`, className: 'text-emerald-600' },
+    order.shippingFee != null && {
+      label: `Livraison${order.shippingZone ? ` (${order.shippingZone})` : ''}`,
+      value: Number(order.shippingFee) > 0 ? money(order.shippingFee) : 'Gratuite',
+    },
+    Number(order.codFee) > 0 && { label: 'Frais paiement à la livraison', value: money(order.codFee) },
+    Number(order.vat) > 0 && { label: `TVA (${order.vatRate}%)`, value: money(order.vat) },
+  ].filter(Boolean);
+
+  return (
+    <div className="min-h-screen mt-1 p-4 sm:p-4 lg:p-12 bg-[#f8f5f2]">
+      <div className="max-w-7xl mx-auto">
+        <Link to="/orders" className="inline-flex items-center gap-2 text-sm text-[#9E3B3B] font-medium mb-6 hover:underline">
+          <ArrowLeft className="w-4 h-4" /> Retour aux commandes
+        </Link>
+
+        {/* Header Section */}
+        <div className="flex flex-col md:flex-row md:items-end justify-between gap-6 mb-8">
+          <div>
+            <h1 className="text-4xl font-bold text-[#9E3B3B] mb-2" style={{ fontFamily: 'Playfair Display, serif' }}>
+              Commande #{order.id}
+            </h1>
+            <div className="flex items-center gap-3">
+              <StatusBadge status={getOrderStatus(order)} />
+              <span className="text-sm text-gray-400">{formatDateTime(order.createdAt)}</span>
+            </div>
+          </div>
+          {canAdmin('orders.edit') && <StatusActions order={order} disabled={updating} onChangeStatus={handleChangeStatus} />}
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* Line items */}
+          <div className="lg:col-span-2 bg-white rounded-3xl border border-gray-100 shadow-xl shadow-gray-200/20 overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-[#9E3B3B] text-white">
+                <tr>
+                  <th className="px-6 py-4 text-left text-[12px] font-bold uppercase tracking-[0.2em]">Produit</th>
+                  <th className="px-6 py-4 text-right text-[12px] font-bold uppercase tracking-[0.2em]">Prix</th>
+                  <th className="px-6 py-4 text-right text-[12px] font-bold uppercase tracking-[0.2em]">Qté</th>
+                  <th className="px-6 py-4 text-right text-[12px] font-bold uppercase tracking-[0.2em]">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-50">
+                {items.map((item, index) => (
+                  <tr key={`${item.id}-${index}`}>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-3">
+                        {item.imageUrl ? (
+                          <img src={item.imageUrl} alt={item.name} className="w-12 h-12 rounded-xl object-cover border border-gray-100" />
+                        ) : (
+                          <div className="w-12 h-12 rounded-xl bg-[#9E3B3B]/10 flex items-center justify-center">
+                            <Package className="w-5 h-5 text-[#9E3B3B]/40" />
+                          </div>
+                        )}
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">{item.name}</p>
+                          <p className="text-xs text-gray-400">ID: {item.id}{item.variantSku && ` · SKU ${item.variantSku}`}</p>
+                          {item.variantLabel && <p className="text-xs text-gray-500">{item.variantLabel}</p>}
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-right text-sm text-gray-600">${Number(item.price || 0).toFixed(2)}</td>
+                    <td className="px-6 py-4 text-right text-sm text-gray-600">{item.quantity}</td>
+                    <td className="px-6 py-4 text-right text-sm font-bold text-gray-900">
+                      ${(Number(item.price || 0) * Number(item.quantity || 0)).toFixed(2)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                {summaryRows.map((row, index) => (
+                  <tr key={row.label} className={index === 0 ? 'border-t border-gray-100' : ''}>
+                    <td colSpan={3} className="px-6 pt-4 text-right text-xs font-bold uppercase tracking-[0.2em] text-gray-400">
+                      {row.label}
+                    </td>
+                    <td className={`px-6 pt-4 text-right text-sm font-bold ${row.className || 'text-gray-700'}`}>{row.value}</td>
+                  </tr>
+                ))}
+                <tr className="border-t border-gray-100">
+                  <td colSpan={3} className="px-6 py-5 text-right text-xs font-bold uppercase tracking-[0.2em] text-gray-400">Montant</td>
+                  <td className="px-6 py-5 text-right text-lg font-bold text-[#9E3B3B]">${Number(order.total || 0).toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          <div className="space-y-6">
+            <InfoCard icon={<User className="w-4 h-4" />} title="Client">
+              <p className="text-sm font-semibold text-gray-900">{order.userName || 'Anonyme'}</p>
+              <p className="text-xs text-gray-400">{order.userEmail}</p>
+            </InfoCard>
+
+            <InfoCard icon={<MapPin className="w-4 h-4" />} title="Livraison">
+              {address.street && <p className="text-sm text-gray-700">{address.street}</p>}
+              <p className="text-sm text-gray-700">
+                {[address.postalCode, address.city].filter(Boolean).join(' ') || '—'}
+              </p>
+              {address.phone && (
+                <a href={`tel:${address.phone}`} className="text-sm font-semibold text-[#9E3B3B] hover:underline">{address.phone}</a>
+              )}
+            </InfoCard>
+
+            <InfoCard icon={<MessageSquare className="w-4 h-4" />} title="Note de livraison">
+              <p className="text-sm text-gray-700 whitespace-pre-line">{deliveryNote || 'Aucun message.'}</p>
+            </InfoCard>
+
+            <InfoCard icon={<Mail className="w-4 h-4" />} title="Email de confirmation">
+              <span className={`px-2.5 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest ${
+                order.emailSent ? 'bg-green-50 text-green-700' : 'bg-amber-50 text-amber-700'
+              }`}>
+                {order.emailSent ? 'Envoyé' : 'Non envoyé'}
+              </span>
+            </InfoCard>
+
+            <InfoCard icon={<Clock className="w-4 h-4" />} title="Historique">
+              <ol className="space-y-3">
+                {history.map((entry, index) => (
+                  <li key={index} className="flex items-center justify-between gap-3">
+                    <StatusBadge status={ORDER_STATUS_INFO[entry.status] ? entry.status : 'pending'} />
+                    <span className="text-xs text-gray-400">{formatDateTime(entry.at)}</span>
+                  </li>
+                ))}
+              </ol>
+            </InfoCard>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,12 @@
 import { useEffect, useState, useMemo } from 'react';
-import { getOrders } from '../../features/orders/ordersAPI';
+import { getOrders, updateOrderStatus } from '../../features/orders/ordersAPI';
+import { ORDER_STATUSES, ORDER_STATUS_INFO, getOrderStatus } from '../../features/orders/orderStatus';
+import { Link } from 'react-router-dom';
 import { Search, ChevronLeft, ChevronRight, Calendar } from 'lucide-react';
 import { EmptyState } from '../../components/admin/DashboardComponents';
+import { StatusBadge, StatusActions } from '../../components/admin/OrderComponents';
+import { useToast } from '../../components/Toast';
+import { canAdmin } from '../../utils/adminAuth';
 
 const FIXED_PAGE_SIZE = 10; // You can change this value if needed
 
@@ -10,6 +15,11 @@ export default function Orders() {
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
   const [page, setPage] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [updatingId, setUpdatingId] = useState(null);
+  const { showToast } = useToast();
+  // Changing a status needs orders.edit; orders.view alone is read-only
+  const canEdit = canAdmin('orders.edit');
 
   useEffect(() => {
     let cancelled = false;
@@ -23,19 +33,34 @@ export default function Orders() {
 
   const filteredOrders = useMemo(() => {
     const q = (search || '').trim().toLowerCase();
-    if (!q) return orders;
-    return orders.filter(o => 
+    const byStatus = statusFilter === 'all' ? orders : orders.filter(o => getOrderStatus(o) === statusFilter);
+    if (!q) return byStatus;
+    return byStatus.filter(o => 
       String(o.id).toLowerCase().includes(q) || 
       o.userName?.toLowerCase().includes(q) || 
       o.userEmail?.toLowerCase().includes(q)
     );
-  }, [orders, search]);
+  }, [orders, search, statusFilter]);
 
   const totalPages = Math.max(1, Math.ceil(filteredOrders.length / FIXED_PAGE_SIZE));
   const currentPage = Math.min(Math.max(1, page), totalPages);
   const start = (currentPage - 1) * FIXED_PAGE_SIZE;
   const paginatedOrders = useMemo(() => filteredOrders.slice(start, start + FIXED_PAGE_SIZE), [filteredOrders, start]);
 
+  const handleChangeStatus = async (order, nextStatus) => {
+    if (nextStatus === 'cancelled' && !window.confirm(`Annuler la commande #${order.id} ?`)) return;
+    setUpdatingId(order.id);
+    try {
+      const updated = await updateOrderStatus(order, nextStatus);
+      setOrders((prev) => prev.map((o) => (o.id === order.id ? { ...o, ...updated } : o)));
+      showToast(`Commande #${order.id} : ${ORDER_STATUS_INFO[nextStatus].label}`, 'success');
+    } catch (err) {
+      showToast(err.message || 'Impossible de mettre à jour le statut.', 'error');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
   const formatDate = (dateStr) => {
     if (!dateStr) return '—';
     return new Date(dateStr).toLocaleDateString('fr-FR', {
@@ -66,6 +91,21 @@ export default function Orders() {
           </div>
         </div>
 
+        {/* Status Filter */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {['all', ...ORDER_STATUSES].map((status) => (
+            <button
+              key={status}
+              onClick={() => { setStatusFilter(status); setPage(1); }}
+              className={`px-4 py-2 rounded-full text-xs font-semibold uppercase tracking-widest transition-colors ${
+                statusFilter === status ? 'bg-[#9E3B3B] text-white' : 'bg-white border border-gray-100 text-gray-500 hover:text-[#9E3B3B]'
+              }`}
+            >
+              {status === 'all' ? 'Toutes' : ORDER_STATUS_INFO[status].label}
+            </button>
+          ))}
+        </div>
+
         {/* Search Bar */}
         <div className="relative mb-10 group">
           <Search className="absolute left-6 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-300 group-focus-within:text-[#9E3B3B] transition-colors" />
@@ -93,13 +133,15 @@ export default function Orders() {
                     <th className="px-8 py-5 text-left text-[12px] font-bold uppercase tracking-[0.2em]">Client</th>
                     <th className="px-8 py-5 text-left text-[12px] font-bold uppercase tracking-[0.2em]">Date d'achat</th>
                     <th className="px-8 py-5 text-right text-[12px] font-bold uppercase tracking-[0.2em]">Montant</th>
+                    <th className="px-8 py-5 text-left text-[12px] font-bold uppercase tracking-[0.2em]">Statut</th>
+                    {canEdit && <th className="px-8 py-5 text-right text-[12px] font-bold uppercase tracking-[0.2em]">Actions</th>}
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-50">
                   {paginatedOrders.map((order) => (
                     <tr key={order.id} className="hover:bg-[#9E3B3B]/10 transition-colors">
                       <td className="px-8 py-6">
-                        <span className="text-xs font-bold text-[#9E3B3B] bg-gray-100 px-2 py-1 rounded">#{order.id}</span>
+                        <Link to={`/orders/${order.id}`} className="text-xs font-bold text-[#9E3B3B] bg-gray-100 px-2 py-1 rounded hover:bg-[#9E3B3B] hover:text-white transition-colors">#{order.id}</Link>
                       </td>
                       <td className="px-8 py-6">
                         <div className="flex flex-col">
@@ -113,6 +155,14 @@ export default function Orders() {
                       <td className="px-8 py-6 text-right">
                         <span className="text-sm font-bold text-gray-900">${Number(order.total).toFixed(2)}</span>
                       </td>
+                      <td className="px-8 py-6">
+                        <StatusBadge status={getOrderStatus(order)} />
+                      </td>
+                      {canEdit && (
+                        <td className="px-8 py-6">
+                          <StatusActions order={order} disabled={updatingId === order.id} onChangeStatus={handleChangeStatus} />
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -124,9 +174,9 @@ export default function Orders() {
               {paginatedOrders.map((order) => (
                 <div key={order.id} className="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm">
                   <div className="flex justify-between items-start mb-4">
-                    <span className="text-[10px] font-bold text-[#9E3B3B] bg-[#9E3B3B]/5 px-2 py-1 rounded uppercase tracking-widest">
+                    <Link to={`/orders/${order.id}`} className="text-[10px] font-bold text-[#9E3B3B] bg-[#9E3B3B]/5 px-2 py-1 rounded uppercase tracking-widest">
                       ID: {order.id}
-                    </span>
+                    </Link>
                     <span className="font-bold text-gray-900">${Number(order.total).toFixed(2)}</span>
                   </div>
                   <h3 className="font-bold text-gray-900 mb-1">{order.userName}</h3>
@@ -136,7 +186,13 @@ export default function Orders() {
                       <Calendar className="w-3 h-3" />
                       {formatDate(order.createdAt)}
                     </div>
+                    <StatusBadge status={getOrderStatus(order)} />
                   </div>
+                  {canEdit && (
+                    <div className="pt-4">
+                      <StatusActions order={order} disabled={updatingId === order.id} onChangeStatus={handleChangeStatus} />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
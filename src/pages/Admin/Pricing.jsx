@@ -0,0 +1,178 @@
+// Admin pricing settings: shipping zones per city, free-shipping threshold, cash-on-delivery fee and VAT.
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Plus, Trash2, Truck, Percent, Save } from 'lucide-react';
+import { selectPricingSettings } from '../../features/pricing/pricingSlice';
+import { savePricingSettings } from '../../features/pricing/pricingThunks';
+import { useToast } from '../../components/Toast';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all';
+
+// Cities are edited as "Rabat, Salé, Temara"
+function settingsToForm(settings) {
+  return {
+    ...settings,
+    zones: (settings.zones || []).map((zone) => ({ ...zone, citiesText: (zone.cities || []).join(', ') })),
+  };
+}
+
+function formToSettings(form) {
+  return {
+    ...form,
+    zones: form.zones.map(({ citiesText, ...zone }) => ({
+      ...zone,
+      id: zone.id || zone.name.trim().toLowerCase().replace(/\s+/g, '-'),
+      name: zone.name.trim(),
+      cities: citiesText.split(',').map((c) => c.trim()).filter(Boolean),
+      fee: Number(zone.fee) || 0,
+    })),
+    defaultShippingFee: Number(form.defaultShippingFee) || 0,
+    freeShippingThreshold: Number(form.freeShippingThreshold) || 0,
+    codFee: Number(form.codFee) || 0,
+    vatRate: Number(form.vatRate) || 0,
+  };
+}
+
+function NumberField({ label, name, value, onChange, hint }) {
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-1">{label}</label>
+      <input name={name} type="number" min="0" step="0.01" value={value} onChange={onChange} className={inputClass} />
+      {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+// Form is keyed on the settings record, so it starts over when the saved settings arrive
+function PricingForm({ settings }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [formData, setFormData] = useState(() => settingsToForm(settings));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleZoneChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, i) => (i === index ? { ...zone, [field]: value } : zone)),
+    }));
+  };
+
+  const addZone = () => {
+    setFormData((prev) => ({ ...prev, zones: [...prev.zones, { id: '', name: '', citiesText: '', fee: '' }] }));
+  };
+
+  const removeZone = (index) => {
+    setFormData((prev) => ({ ...prev, zones: prev.zones.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await dispatch(savePricingSettings(formToSettings(formData))).unwrap();
+      showToast('Pricing settings saved!', 'success');
+    } catch (err) {
+      showToast(err || 'Pricing settings could not be saved.', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Zones */}
+      <div className="bg-white rounded-xl shadow-md border border-[#e5e5d1] overflow-hidden">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+          <h2 className="flex items-center gap-2 font-bold text-gray-800">
+            <Truck size={18} className="text-[#9E3B3B]" /> Shipping Zones
+          </h2>
+          <button type="button" onClick={addZone} className="flex items-center gap-1 text-sm font-medium text-[#9E3B3B] hover:underline">
+            <Plus size={16} /> Add Zone
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="bg-[#9E3B3B]">
+              <tr className="text-xs font-semibold text-white uppercase tracking-wider">
+                <th className="px-6 py-3">Zone</th>
+                <th className="px-6 py-3">Cities (comma separated)</th>
+                <th className="px-6 py-3 w-32">Fee ($)</th>
+                <th className="px-6 py-3 w-16"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {formData.zones.map((zone, index) => (
+                <tr key={index}>
+                  <td className="px-6 py-3">
+                    <input required value={zone.name} onChange={(e) => handleZoneChange(index, 'name', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="px-6 py-3">
+                    <input value={zone.citiesText} onChange={(e) => handleZoneChange(index, 'citiesText', e.target.value)} placeholder="Rabat, Salé" className={inputClass} />
+                  </td>
+                  <td className="px-6 py-3">
+                    <input type="number" min="0" step="0.01" required value={zone.fee} onChange={(e) => handleZoneChange(index, 'fee', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="px-6 py-3">
+                    <button type="button" onClick={() => removeZone(index)} className="p-2 hover:bg-red-50 rounded-lg transition-colors">
+                      <Trash2 size={18} color="gray" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="grid sm:grid-cols-2 gap-4 p-6 border-t border-gray-100">
+          <NumberField label="Other Cities Fee ($)" name="defaultShippingFee" value={formData.defaultShippingFee} onChange={handleChange} hint="Used when the city is in no zone" />
+          <NumberField label="Free Shipping From ($)" name="freeShippingThreshold" value={formData.freeShippingThreshold} onChange={handleChange} hint="Cart amount after discount. 0 = never free" />
+        </div>
+      </div>
+
+      {/* Fees & VAT */}
+      <div className="bg-white rounded-xl shadow-md border border-[#e5e5d1] p-6">
+        <h2 className="flex items-center gap-2 font-bold text-gray-800 mb-4">
+          <Percent size={18} className="text-[#9E3B3B]" /> Fees & VAT
+        </h2>
+        <div className="grid sm:grid-cols-2 gap-4">
+          <NumberField label="Cash on Delivery Fee ($)" name="codFee" value={formData.codFee} onChange={handleChange} />
+          <NumberField label="VAT Rate (%)" name="vatRate" value={formData.vatRate} onChange={handleChange} />
+        </div>
+        <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+          <input type="checkbox" name="pricesIncludeVat" checked={!!formData.pricesIncludeVat} onChange={handleChange} className="accent-[#9E3B3B]" />
+          Product prices already include VAT
+        </label>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`flex items-center gap-2 px-6 py-3 rounded-lg text-white font-semibold transition-all ${saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-[#9E3B3B] hover:bg-[#7d2f2f]'}`}
+        >
+          <Save size={18} /> {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function Pricing() {
+  const settings = useSelector(selectPricingSettings);
+
+  return (
+    <div className="min-h-screen p-3 sm:p-4 md:p-6 text-gray-800 bg-[#FDFBF9]">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6 sm:mb-8">
+          <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-[#9E3B3B]">Shipping & Tax</h1>
+          <p className="text-gray-600 mt-1 text-sm sm:text-base">Delivery fees per city, cash-on-delivery fee and VAT used in cart and checkout totals</p>
+        </div>
+        <PricingForm key={settings.id || 'default'} settings={settings} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+// Admin reviews: moderation queue. New reviews stay pending (hidden from the shop) until approved or rejected.
+import { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { MessageSquare, Check, X, BadgeCheck } from 'lucide-react';
+import { getReviews, moderateReview } from '../../features/reviews/reviewsAPI';
+import { REVIEW_STATUSES } from '../../features/reviews/reviewUtils';
+import { patchProduct } from '../../features/products/productsSlice';
+import { skinTypeInfo } from '../../data/skinQuizData';
+import { EmptyState } from '../../components/admin/DashboardComponents';
+import StarRating from '../../components/reviews/StarRating';
+import { useToast } from '../../components/Toast';
+
+function ReviewCard({ review, busy, onModerate }) {
+  const status = REVIEW_STATUSES[review.status] || REVIEW_STATUSES.pending;
+
+  return (
+    <li className="bg-white rounded-xl shadow-sm border border-[#e5e5d1] p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+          <Link to={`/products/${review.productId}`} className="font-semibold text-[#9E3B3B] hover:underline">{review.productName}</Link>
+          <StarRating value={review.rating} size={14} />
+          <span className="text-gray-700">{review.author}</span>
+          {review.verified && (
+            <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700"><BadgeCheck size={14} /> Verified purchase</span>
+          )}
+          {skinTypeInfo[review.skinType] && <span className="text-xs text-gray-500">{skinTypeInfo[review.skinType].title}</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.bg} ${status.color}`}>{status.label}</span>
+          <span className="text-xs text-gray-400">{new Date(review.createdAt).toLocaleString('en-GB')}</span>
+        </div>
+      </div>
+      <p className="text-sm text-gray-700 whitespace-pre-line">{review.text}</p>
+      <div className="flex justify-end gap-2 mt-3">
+        {review.status !== 'approved' && (
+          <button
+            onClick={() => onModerate(review, 'approved')}
+            disabled={busy}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-green-600 text-white text-xs font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+          >
+            <Check size={14} /> Approve
+          </button>
+        )}
+        {review.status !== 'rejected' && (
+          <button
+            onClick={() => onModerate(review, 'rejected')}
+            disabled={busy}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-red-300 text-red-700 text-xs font-semibold hover:bg-red-50 transition-colors disabled:opacity-50"
+          >
+            <X size={14} /> Reject
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function Reviews() {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  // null while loading
+  const [reviews, setReviews] = useState(null);
+  const [tab, setTab] = useState('pending');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getReviews()
+      .then((data) => { if (!cancelled) setReviews(data); })
+      .catch(() => { if (!cancelled) setReviews([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleModerate = async (review, status) => {
+    setBusyId(review.id);
+    try {
+      const { review: saved, rating } = await moderateReview(review, status);
+      setReviews((prev) => prev.map((r) => (r.id === saved.id ? saved : r)));
+      // Admin product lists show the new rating without a reload
+      if (rating) dispatch(patchProduct({ id: review.productId, changes: rating }));
+      showToast(`Review ${REVIEW_STATUSES[status].label.toLowerCase()}`, 'success');
+    } catch {
+      showToast('The review could not be updated', 'error');
+    }
+    setBusyId(null);
+  };
+
+  if (reviews === null) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#9E3B3B]">Loading ...</div>
+      </div>
+    );
+  }
+
+  const shown = reviews.filter((r) => (r.status || 'pending') === tab);
+
+  return (
+    <div className="min-h-screen p-3 sm:p-4 md:p-6 text-gray-800 bg-[#FDFBF9]">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6 sm:mb-8">
+          <h1 className="flex items-center gap-2 text-xl sm:text-2xl md:text-3xl font-bold text-[#9E3B3B]">
+            <MessageSquare className="w-7 h-7" /> Reviews
+          </h1>
+          <p className="text-gray-600 mt-1 text-sm sm:text-base">Approve customer reviews before they appear on product pages</p>
+        </div>
+
+        <div className="flex gap-2 mb-6">
+          {Object.entries(REVIEW_STATUSES).map(([key, info]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                tab === key ? 'bg-[#9E3B3B] text-white' : 'bg-white border border-gray-200 text-gray-600 hover:border-[#9E3B3B]'
+              }`}
+            >
+              {info.label} ({reviews.filter((r) => (r.status || 'pending') === key).length})
+            </button>
+          ))}
+        </div>
+
+        {shown.length === 0 ? (
+          <EmptyState message={tab === 'pending' ? 'No reviews waiting for moderation' : `No ${REVIEW_STATUSES[tab].label.toLowerCase()} reviews`} />
+        ) : (
+          <ul className="space-y-3">
+            {shown.map((review) => (
+              <ReviewCard key={review.id} review={review} busy={busyId === review.id} onModerate={handleModerate} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,17 @@
 import { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
 import { createProduct } from '../../features/products/productsThunks';
-import { Upload, Package, DollarSign, ArrowLeft } from 'lucide-react';
+import { PRODUCT_OPTIONS } from '../../features/products/productImport';
+import { Package, DollarSign, ArrowLeft } from 'lucide-react';
 import { useToast } from '../../components/Toast';
+import VariantsEditor from '../../components/admin/VariantsEditor';
+import ImagesEditor from '../../components/admin/ImagesEditor';
+import { normalizeVariants, syncVariantTotals, validateVariants } from '../../features/products/productVariants';
+import { syncPrimaryImage } from '../../features/products/productImages';
 
 const initialProduct = {
-  name: '', subcategory: '', skinType: '', ingredients: '', size: '', price: '', concerns: '', stock: '', minStock: '', description: '', imageUrl: '',
+  name: '', subcategory: '', skinType: '', ingredients: '', size: '', price: '', concerns: '', stock: '', minStock: '', description: '', images: [], variants: [], status: 'published',
 };
 
 export default function AddProduct() {
@@ -25,32 +29,22 @@ export default function AddProduct() {
     setProduct((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   };
 
-  const handleImageUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('upload_preset', 'skinCareProducts');
-    try {
-      const uploadUrl = import.meta.env.VITE_CLOUDINARY_UPLOAD_URL;
-      if (!uploadUrl) throw new Error('VITE_CLOUDINARY_UPLOAD_URL is not set');
-      const res = await axios.post(uploadUrl, formData);
-      setProduct((prev) => ({ ...prev, imageUrl: res.data.secure_url }));
-    } catch (err) {
-      // Image upload failed - user can try again
-    }
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const newProduct = {
+    const variantError = validateVariants(product.variants);
+    if (variantError) {
+      showToast(variantError, 'error');
+      return;
+    }
+    const newProduct = syncPrimaryImage(syncVariantTotals({
       ...product,
       price: Number(product.price),
       size: Number(product.size),
       stock: Number(product.stock),
       minStock: Number(product.minStock),
       ingredients: product.ingredients.split(','),
-    };
+      variants: normalizeVariants(product.variants),
+    }));
     await dispatch(createProduct(newProduct));
     showToast('Product added successfully!', 'success');
     navigate('/manage');
@@ -72,43 +66,25 @@ export default function AddProduct() {
           </div>
 
           <div className="p-8">
-            {/* Image Upload Section */}
+            {/* Images: gallery with a primary image */}
             <div className="mb-8">
-              <label className="block text-sm font-semibold text-gray-700 mb-2 uppercase tracking-wider">Product Image</label>
-              <div className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-xl p-6 bg-gray-50 hover:border-[#9E3B3B] transition-colors group relative">
-                {product.imageUrl ? (
-                  <div className="relative w-full h-48">
-                    <img
-                      src={product.imageUrl}
-                      alt="preview"
-                      className="w-full h-full object-contain rounded-lg"
-                    />
-                    <label className="absolute bottom-2 right-2 bg-white px-3 py-1 rounded-full shadow-md text-xs font-bold text-[#9E3B3B] cursor-pointer hover:bg-gray-100">
-                      Change Image
-                      <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-                    </label>
-                  </div>
-                ) : (
-                  <label className="flex flex-col items-center cursor-pointer w-full">
-                    <Upload className="h-12 w-12 text-gray-400 group-hover:text-[#9E3B3B] mb-2" />
-                    <span className="text-gray-600 font-medium">Click to upload product image</span>
-                    <span className="text-gray-400 text-xs mt-1">PNG, JPG or WebP (Max 5MB)</span>
-                    <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-                  </label>
-                )}
-              </div>
+              <ImagesEditor images={product.images} onChange={(update) => setProduct((prev) => ({ ...prev, images: update(prev.images) }))} />
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-7">
               <Input label="Product Name" name="name" value={product.name} icon={<Package size={16} />} onChange={handleChange} placeholder="e.g. Vitamin C Glow Serum" />
               
-              <Select label="Category" name="subcategory" value={product.subcategory} options={['cleanser', 'moisturizer', 'serum', 'sunscreen']} onChange={handleChange} />
-              <Select label="Skin Type" name="skinType" value={product.skinType} options={['dry', 'normal', 'oily', 'sensitive', 'combination', 'all types']} onChange={handleChange} />
-              <Input label="Price ($)" name="price" type="number" min="0" step="0.01" value={product.price} icon={<DollarSign size={16} />} onChange={handleChange} placeholder="0.00" />
+              <Select label="Category" name="subcategory" value={product.subcategory} options={PRODUCT_OPTIONS.subcategory} onChange={handleChange} />
+              <Select label="Skin Type" name="skinType" value={product.skinType} options={PRODUCT_OPTIONS.skinType} onChange={handleChange} />
+              <Input label="Price ($)" name="price" type="number" min="0" step="0.01" value={product.price} icon={<DollarSign size={16} />} onChange={handleChange} placeholder="0.00" disabled={product.variants.length > 0} />
               <Input label="Size" name="size" type="number" min="0" value={product.size} onChange={handleChange} placeholder="100" />
-              <Select label="Concerns" name="concerns" value={product.concerns} options={['acne', 'breakouts', 'redness', 'dryness', 'sensitivity', 'reactivity', 'tightness', 'excess oil']} onChange={handleChange} />
-              <Input label="Current Stock" name="stock" type="number" min="0" value={product.stock} onChange={handleChange} placeholder="100" />
+              <Select label="Concerns" name="concerns" value={product.concerns} options={PRODUCT_OPTIONS.concerns} onChange={handleChange} />
+              <Input label="Current Stock" name="stock" type="number" min="0" value={product.stock} onChange={handleChange} placeholder="100" disabled={product.variants.length > 0} />
               <Input label="Minimum Stock Warning" name="minStock" type="number" min="0" value={product.minStock} onChange={handleChange} placeholder="10" />
+              <Select label="Status (drafts stay out of the shop)" name="status" value={product.status} options={['draft', 'published']} onChange={handleChange} />
+              <div className="md:col-span-2">
+                <VariantsEditor variants={product.variants} onChange={(variants) => setProduct((prev) => ({ ...prev, variants }))} />
+              </div>
               <div className="md:col-span-2">
                 <Input label="Ingredients (comma separated)" name="ingredients" value={product.ingredients} placeholder="Aqua, Glycerin, Niacinamide..." onChange={handleChange} />
               </div>
@@ -149,7 +125,7 @@ function Input({ label, icon, ...props }) {
         )}
         <input
           required
-          className={`w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all bg-white text-gray-800 ${icon ? 'pl-10' : 'pl-3'}`}
+          className={`w-full border border-gray-200 rounded-lg p-2.5 focus:ring-2 focus:ring-[#9E3B3B] focus:border-[#9E3B3B] outline-none transition-all bg-white text-gray-800 disabled:bg-gray-100 ${icon ? 'pl-10' : 'pl-3'}`}
           {...props}
         />
       </div>
@@ -0,0 +1,279 @@
+/**
+ * Account.jsx
+ * Customer account page at /account.
+ * Logged out: login / sign up forms. Logged in: profile, saved addresses, skin profile, ingredients to avoid, logout.
+ */
+
+import { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { User, MapPin, Sparkles, LogOut, Star, Trash2, Plus, Package, Ban } from 'lucide-react';
+import { selectAccount, selectAuthLoading, selectUserError, selectQuizResult } from '../../features/user/userSlice';
+import { loginThunk, signUpThunk, logoutThunk, updateAccountThunk } from '../../features/user/userThunks';
+import { useToast } from '../../components/Toast';
+import FormField from '../../components/FormField';
+import AvoidListEditor from '../../components/shop/AvoidListEditor';
+
+const emptyAddress = { label: '', street: '', city: '', postalCode: '', phone: '' };
+
+// Login / sign up card
+function AuthForm() {
+  const dispatch = useDispatch();
+  const authLoading = useSelector(selectAuthLoading);
+  const error = useSelector(selectUserError);
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (mode === 'signup' && !formData.name.trim()) newErrors.name = 'Name is required';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) newErrors.email = 'Please enter a valid email';
+    if (formData.password.length < 6) newErrors.password = 'Password must be at least 6 characters';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+    dispatch(mode === 'login' ? loginThunk(formData) : signUpThunk(formData));
+  };
+
+  const tabClass = (tab) => `flex-1 py-3 text-sm font-semibold rounded-xl transition-colors ${
+    mode === tab ? 'bg-[#9E3B3B] text-white' : 'text-gray-500 hover:text-[#9E3B3B]'
+  }`;
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-4xl p-6 sm:p-8 border border-gray-300 shadow-lg">
+      <div className="flex gap-2 p-1 mb-6 bg-gray-100 rounded-2xl">
+        <button type="button" onClick={() => setMode('login')} className={tabClass('login')}>Login</button>
+        <button type="button" onClick={() => setMode('signup')} className={tabClass('signup')}>Create Account</button>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-5">
+        {mode === 'signup' && (
+          <FormField name="name" label="Full Name" value={formData.name} onChange={handleChange} error={errors.name} placeholder="Jane Doe" />
+        )}
+        <FormField name="email" label="Email" type="email" value={formData.email} onChange={handleChange} error={errors.email} placeholder="your.email@example.com" />
+        <FormField name="password" label="Password" type="password" value={formData.password} onChange={handleChange} error={errors.password} placeholder="••••••" />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={authLoading}
+          className="w-full py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-2xl shadow-lg shadow-[#9E3B3B]/25 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {authLoading ? 'Please wait…' : mode === 'login' ? 'Login' : 'Create Account'}
+        </button>
+        <p className="text-xs text-gray-500 text-center">
+          Your skin quiz result on this device is saved to your account.
+        </p>
+      </form>
+    </div>
+  );
+}
+
+function Card({ icon, title, children }) {
+  return (
+    <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-sm">
+      <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900 mb-5" style={{ fontFamily: 'Playfair Display, serif' }}>
+        <span className="text-[#9E3B3B]">{icon}</span>
+        {title}
+      </h2>
+      {children}
+    </div>
+  );
+}
+
+// Name + phone, saved with updateAccountThunk
+function ProfileCard({ account }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [formData, setFormData] = useState({ name: account.name || '', phone: account.phone || '' });
+
+  const handleChange = (e) => setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await dispatch(updateAccountThunk({ name: formData.name.trim(), phone: formData.phone.trim() })).unwrap();
+      showToast('Profile updated!', 'success');
+    } catch (err) {
+      showToast(err || 'Profile could not be updated.', 'error');
+    }
+  };
+
+  return (
+    <Card icon={<User className="w-5 h-5" />} title="Profile">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <FormField name="name" label="Full Name" value={formData.name} onChange={handleChange} />
+        <FormField name="phone" label="Phone" type="tel" value={formData.phone} onChange={handleChange} required={false} placeholder="06 12 34 56 78" />
+        <p className="text-sm text-gray-500">Email: <span className="font-medium text-gray-800">{account.email}</span></p>
+        <button type="submit" className="px-6 py-3 rounded-xl bg-gray-900 text-white text-sm font-medium hover:bg-[#9E3B3B] transition-colors">
+          Save Profile
+        </button>
+      </form>
+    </Card>
+  );
+}
+
+// Saved addresses: list, set default, remove, add
+function AddressesCard({ account }) {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [newAddress, setNewAddress] = useState(null);
+  const addresses = account.addresses;
+
+  const saveAddresses = async (next, message) => {
+    try {
+      await dispatch(updateAccountThunk({ addresses: next })).unwrap();
+      showToast(message, 'success');
+      return true;
+    } catch (err) {
+      showToast(err || 'Addresses could not be saved.', 'error');
+      return false;
+    }
+  };
+
+  const setDefault = (id) => saveAddresses(addresses.map((a) => ({ ...a, isDefault: a.id === id })), 'Default address updated');
+
+  const removeAddress = (id) => {
+    const next = addresses.filter((a) => a.id !== id);
+    // Keep one default address
+    if (next.length > 0 && !next.some((a) => a.isDefault)) next[0] = { ...next[0], isDefault: true };
+    saveAddresses(next, 'Address removed');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newAddress.street.trim() || !newAddress.city.trim()) {
+      showToast('Street and city are required', 'error');
+      return;
+    }
+    const address = { ...newAddress, id: crypto.randomUUID(), isDefault: addresses.length === 0 };
+    if (await saveAddresses([...addresses, address], 'Address saved')) setNewAddress(null);
+  };
+
+  const handleChange = (e) => setNewAddress((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  return (
+    <Card icon={<MapPin className="w-5 h-5" />} title="Saved Addresses">
+      {addresses.length === 0 && !newAddress && (
+        <p className="text-sm text-gray-500 mb-4">No saved address yet. The default one fills in checkout for you.</p>
+      )}
+      <div className="space-y-3 mb-4">
+        {addresses.map((address) => (
+          <div key={address.id} className="flex items-start justify-between gap-3 p-4 rounded-2xl border border-gray-100 bg-[#FDFBF9]">
+            <div className="text-sm text-gray-700">
+              <p className="font-semibold text-gray-900">
+                {address.label || 'Address'}
+                {address.isDefault && <span className="ml-2 text-[10px] uppercase tracking-widest text-[#9E3B3B]">Default</span>}
+              </p>
+              <p>{address.street}</p>
+              <p>{[address.postalCode, address.city].filter(Boolean).join(' ')}</p>
+              {address.phone && <p className="text-gray-500">{address.phone}</p>}
+            </div>
+            <div className="flex gap-1">
+              {!address.isDefault && (
+                <button onClick={() => setDefault(address.id)} className="p-2 rounded-lg text-gray-400 hover:text-amber-500 hover:bg-amber-50 transition-colors" aria-label="Set as default">
+                  <Star size={16} />
+                </button>
+              )}
+              <button onClick={() => removeAddress(address.id)} className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-colors" aria-label="Remove address">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {newAddress ? (
+        <form onSubmit={handleAdd} className="space-y-4">
+          <FormField name="label" label="Label" value={newAddress.label} onChange={handleChange} required={false} placeholder="Home, Work…" />
+          <FormField name="street" label="Street Address" value={newAddress.street} onChange={handleChange} placeholder="Street, building, apartment" />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <FormField name="city" label="City" value={newAddress.city} onChange={handleChange} placeholder="Casablanca" />
+            <FormField name="postalCode" label="Postal Code" value={newAddress.postalCode} onChange={handleChange} required={false} placeholder="20000" />
+          </div>
+          <FormField name="phone" label="Phone" type="tel" value={newAddress.phone} onChange={handleChange} required={false} placeholder="06 12 34 56 78" />
+          <div className="flex gap-3">
+            <button type="button" onClick={() => setNewAddress(null)} className="flex-1 py-3 rounded-xl border border-gray-200 text-gray-700 text-sm font-medium hover:bg-gray-50 transition-colors">
+              Cancel
+            </button>
+            <button type="submit" className="flex-1 py-3 rounded-xl bg-gray-900 text-white text-sm font-medium hover:bg-[#9E3B3B] transition-colors">
+              Save Address
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => setNewAddress(emptyAddress)} className="flex items-center gap-2 text-sm font-medium text-[#9E3B3B] hover:underline">
+          <Plus size={16} /> Add an address
+        </button>
+      )}
+    </Card>
+  );
+}
+
+export default function Account() {
+  const dispatch = useDispatch();
+  const account = useSelector(selectAccount);
+  const quizResult = useSelector(selectQuizResult);
+
+  return (
+    <div className="min-h-screen bg-[#FDFBF9] pb-12">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-12 pt-24">
+        <div className="text-center mb-10">
+          <h1 className="text-4xl md:text-5xl font-light italic text-gray-900" style={{ fontFamily: 'Playfair Display, serif' }}>
+            My <span className="text-[#9E3B3B]">Account</span>
+          </h1>
+          {account && <p className="text-gray-500 mt-3">Welcome back, {account.name}</p>}
+          <Link to="/account/orders" className="inline-flex items-center gap-2 mt-4 text-sm font-medium text-[#9E3B3B] hover:underline">
+            <Package size={16} /> {account ? 'My orders' : 'Find a guest order'}
+          </Link>
+        </div>
+
+        {!account ? (
+          <AuthForm />
+        ) : (
+          <div className="grid lg:grid-cols-2 gap-6">
+            <ProfileCard account={account} />
+            <AddressesCard account={account} />
+
+            <Card icon={<Sparkles className="w-5 h-5" />} title="Skin Profile">
+              {quizResult ? (
+                <div className="text-sm text-gray-700 space-y-2">
+                  <p>Skin type: <span className="font-semibold capitalize">{quizResult.skinType}</span></p>
+                  {quizResult.concerns?.length > 0 && (
+                    <p>Concerns: <span className="font-semibold">{quizResult.concerns.join(', ')}</span></p>
+                  )}
+                  <Link to="/skin-quiz" className="inline-block mt-2 text-[#9E3B3B] font-medium hover:underline">See my routine</Link>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  No skin profile yet. <Link to="/skin-quiz" className="text-[#9E3B3B] font-medium hover:underline">Take the skin quiz</Link>
+                </p>
+              )}
+            </Card>
+
+            <Card icon={<Ban className="w-5 h-5" />} title="Ingredients I Avoid">
+              <AvoidListEditor />
+            </Card>
+
+            <div className="flex items-end justify-end">
+              <button
+                onClick={() => dispatch(logoutThunk())}
+                className="flex items-center gap-2 px-6 py-3 rounded-xl text-gray-600 hover:bg-red-50 hover:text-red-600 transition-colors"
+              >
+                <LogOut size={18} /> Logout
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
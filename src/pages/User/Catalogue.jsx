@@ -1,58 +1,134 @@
-// Catalogue — product listing with search, filters, and sort.
+// Catalogue — product listing with search, filters, sort and pages, all kept in the URL (see catalogueQuery).
+// Products with an ingredient the shopper avoids are hidden or flagged (see user/avoidList), editable from here.
 import { useState, useEffect, useMemo } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
+import { useSearchParams } from 'react-router-dom';
 import { fetchProducts } from '../../features/products/productsThunks';
-import { Sparkles, SlidersHorizontal, Package, Heart, ChevronRight } from 'lucide-react';
+import { selectShopProducts, selectVisibleShopProducts, selectShopSearchIndex } from '../../features/products/productsSelectors';
+import { selectAvoidList, selectQuizResult } from '../../features/user/userSlice';
+import { searchProducts } from '../../features/products/productSearch';
+import { parseCatalogueQuery, toCatalogueQuery } from '../../features/products/catalogueQuery';
+import { buildFacets, filterProducts } from '../../features/products/catalogueFacets';
+import { sortProducts } from '../../features/products/productSort';
+import { Sparkles, SlidersHorizontal, Package, Heart, ChevronRight, ChevronLeft, ChevronDown, Ban } from 'lucide-react';
 import SearchBar from '../../components/shop/SearchBar';
 import SortSelect from '../../components/shop/SortSelect';
 import FiltersSidebar, { MobileFilterDrawer } from '../../components/shop/FiltersSidebar';
 import ProductGrid from '../../components/shop/ProductGrid';
+import AvoidListEditor from '../../components/shop/AvoidListEditor';
 
-function filterAndSortProducts(products, filters) {
-  if (!products?.length) return [];
-  let list = [...products];
-  if (filters.search) {
-    const q = filters.search.toLowerCase();
-    list = list.filter((p) => (p.name || '').toLowerCase().includes(q));
-  }
-  if (filters.categories.length > 0) {
-    list = list.filter((p) =>
-      filters.categories.some((cat) => (p.subcategory || '').toLowerCase().includes(cat.toLowerCase()))
-    );
-  }
-  if (filters.skinTypes.length > 0) {
-    list = list.filter((p) =>
-      filters.skinTypes.some((t) => (p.skinType || '').toLowerCase().includes(t.toLowerCase()))
-    );
-  }
-  if (filters.sort === 'price-low') list.sort((a, b) => (a.price || 0) - (b.price || 0));
-  else if (filters.sort === 'price-high') list.sort((a, b) => (b.price || 0) - (a.price || 0));
-  else list.sort((a, b) => (b.quantityVendu || 0) - (a.quantityVendu || 0));
-  return list;
+// Products the facets and filters apply to: the search results (best match first) or the whole shop
+function searchBase(products, search, searchIndex) {
+  return search.trim() !== '' ? searchProducts(searchIndex, search).map((r) => r.product) : products;
 }
 
-const initialFilters = { search: '', sort: 'default', categories: [], skinTypes: [] };
+const PRODUCTS_PER_PAGE = 12;
+
+// Previous / next + page numbers
+function CataloguePagination({ currentPage, totalPages, onPageChange }) {
+  const buttonClass = 'p-2 rounded-lg border border-gray-200 text-gray-600 hover:border-[#9E3B3B] hover:text-[#9E3B3B] disabled:opacity-30 disabled:cursor-not-allowed transition-colors';
+  return (
+    <nav className="flex items-center justify-center gap-2 mt-10" aria-label="Pages">
+      <button onClick={() => onPageChange(currentPage - 1)} disabled={currentPage === 1} className={buttonClass} aria-label="Previous page">
+        <ChevronLeft className="w-4 h-4" />
+      </button>
+      {[...Array(totalPages)].map((_, index) => (
+        <button
+          key={index}
+          onClick={() => onPageChange(index + 1)}
+          aria-current={currentPage === index + 1 ? 'page' : undefined}
+          className={`w-9 h-9 rounded-lg text-sm font-medium transition-all ${
+            currentPage === index + 1 ? 'bg-[#9E3B3B] text-white shadow-sm' : 'text-gray-600 hover:bg-[#9E3B3B]/5'
+          }`}
+        >
+          {index + 1}
+        </button>
+      ))}
+      <button onClick={() => onPageChange(currentPage + 1)} disabled={currentPage === totalPages} className={buttonClass} aria-label="Next page">
+        <ChevronRight className="w-4 h-4" />
+      </button>
+    </nav>
+  );
+}
+
+// Collapsible "Ingredients I avoid" panel above the grid
+function AvoidListPanel({ avoidList, hiddenCount }) {
+  const [isOpen, setIsOpen] = useState(false);
+  return (
+    <div className="mb-5 rounded-xl border border-gray-200 bg-[#fffaf5]/60">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center gap-2 px-4 py-3 text-left text-sm text-gray-700"
+      >
+        <Ban className="w-4 h-4 text-[#9E3B3B] flex-shrink-0" />
+        <span className="font-medium">Ingredients I avoid</span>
+        <span className="flex-1 min-w-0 truncate text-gray-500">
+          {avoidList.length > 0 ? avoidList.join(', ') : 'none'}
+          {hiddenCount > 0 && ` · ${hiddenCount} product${hiddenCount === 1 ? '' : 's'} hidden`}
+        </span>
+        <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-4">
+          <AvoidListEditor />
+        </div>
+      )}
+    </div>
+  );
+}
 
 export default function Catalogue() {
   // Redux
   const dispatch = useDispatch();
   const { productsData, loading, error } = useSelector((state) => state.products);
+  const allShopProducts = useSelector(selectShopProducts);
+  const shopProducts = useSelector(selectVisibleShopProducts);
+  const avoidList = useSelector(selectAvoidList);
+  // "Best match for my skin" sort
+  const quizResult = useSelector(selectQuizResult);
+  const searchIndex = useSelector(selectShopSearchIndex);
 
-  // Local state: filter drawer (mobile), filter values
+  // Filters live in the query string: refresh, shared links and the back button all restore the view
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseCatalogueQuery(searchParams), [searchParams]);
+
+  // Local state: filter drawer (mobile)
   const [isFilterOpen, setIsFilterOpen] = useState(false);
-  const [filters, setFilters] = useState(initialFilters);
 
   // Effects
   useEffect(() => {
     if (!productsData?.length) dispatch(fetchProducts());
   }, [dispatch, productsData]);
 
-  const clearFilters = () => setFilters(initialFilters);
-  const activeFilterCount = filters.categories.length + filters.skinTypes.length;
+  // Same signature as a useState setter (value or updater). Any filter change goes back to page 1.
+  // Typing in the search box adds one history entry, then replaces it instead of adding one per key.
+  const setFilters = (update, { replace = false } = {}) => {
+    const next = typeof update === 'function' ? update(filters) : update;
+    setSearchParams(toCatalogueQuery({ ...next, page: 1 }), { replace });
+  };
+  const goToPage = (page) => {
+    setSearchParams(toCatalogueQuery({ ...filters, page }));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const clearFilters = () => setSearchParams({});
+  const activeFilterCount = filters.categories.length + filters.skinTypes.length + filters.concerns.length
+    + filters.include.length + filters.exclude.length + (filters.priceMin != null || filters.priceMax != null ? 1 : 0)
+    + (filters.inStock ? 1 : 0) + (filters.bestSellers ? 1 : 0);
+  const baseProducts = useMemo(
+    () => searchBase(shopProducts, filters.search, searchIndex),
+    [shopProducts, filters.search, searchIndex]
+  );
+  const facets = useMemo(() => buildFacets(baseProducts, filters), [baseProducts, filters]);
   const filteredProducts = useMemo(
-    () => filterAndSortProducts(productsData, filters),
-    [productsData, filters]
+    () => sortProducts(filterProducts(baseProducts, filters), filters.sort, { searching: filters.search.trim() !== '', quizResult }),
+    [baseProducts, filters, quizResult]
   );
+  const totalPages = Math.max(1, Math.ceil(filteredProducts.length / PRODUCTS_PER_PAGE));
+  const currentPage = Math.min(filters.page, totalPages);
+  const pageProducts = filteredProducts.slice((currentPage - 1) * PRODUCTS_PER_PAGE, currentPage * PRODUCTS_PER_PAGE);
 
   return (
     <div className="min-h-screen bg-white mt-8">
@@ -80,8 +156,8 @@ export default function Catalogue() {
         <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-4 mb-6 pb-6 border-b border-gray-200">
           <SearchBar
             value={filters.search}
-            onChange={(value) => setFilters((f) => ({ ...f, search: value }))}
-            placeholder="Search products..."
+            onChange={(value) => setFilters((f) => ({ ...f, search: value }), { replace: filters.search !== '' })}
+            placeholder="Search products, ingredients, concerns..."
           />
           
           {/* Right side: Sort + Mobile Filter Button */}
@@ -90,6 +166,7 @@ export default function Catalogue() {
             <SortSelect
               value={filters.sort}
               onChange={(value) => setFilters((f) => ({ ...f, sort: value }))}
+              hasQuizResult={!!quizResult}
             />
             
             {/* Mobile Filter Button */}
@@ -113,6 +190,7 @@ export default function Catalogue() {
             <div className="sticky top-24">
               <FiltersSidebar
                 filters={filters}
+                facets={facets}
                 setFilters={setFilters}
                 onClearFilters={clearFilters}
               />
@@ -120,6 +198,8 @@ export default function Catalogue() {
           </aside>
 
           <main className="flex-1 min-w-0">
+            <AvoidListPanel avoidList={avoidList} hiddenCount={allShopProducts.length - shopProducts.length} />
+
             <div className="flex items-center gap-2 mb-5">
               <Package className="w-4 h-4 text-[#9E3B3B]" />
               <p className="text-sm text-gray-600">
@@ -144,11 +224,17 @@ export default function Catalogue() {
                 </button>
               </div>
             ) : (
-              <ProductGrid
-                products={filteredProducts}
-                loading={loading}
-                onClearFilters={clearFilters}
-              />
+              <>
+                <ProductGrid
+                  products={pageProducts}
+                  loading={loading}
+                  onClearFilters={clearFilters}
+                  highlight={filters.search}
+                />
+                {!loading && totalPages > 1 && (
+                  <CataloguePagination currentPage={currentPage} totalPages={totalPages} onPageChange={goToPage} />
+                )}
+              </>
             )}
 
             {!loading && filteredProducts.length > 0 && (
@@ -183,6 +269,7 @@ export default function Catalogue() {
         isOpen={isFilterOpen}
         onClose={() => setIsFilterOpen(false)}
         filters={filters}
+        facets={facets}
         setFilters={setFilters}
         onClearFilters={clearFilters}
         resultCount={filteredProducts.length}
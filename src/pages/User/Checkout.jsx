@@ -1,35 +1,37 @@
 // Checkout page: shipping form, order summary, order confirmation.
 // Flow: fill form → confirm → create order → send to n8n → clear cart → show success.
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { CheckCircle2,ChevronLeft, Package, Truck, Lock } from 'lucide-react';
-import { selectCartItems, selectCartTotal } from '../../features/cart/cartSelectors';
+import { CheckCircle2,ChevronLeft, Package, Truck, Lock, AlertTriangle } from 'lucide-react';
+import { selectCartItems, selectCartTotal, selectCartStockIssues, selectCartCoupon, selectCartDiscount } from '../../features/cart/cartSelectors';
 import { clearCart } from '../../features/cart/cartSlice';
+import { fetchProducts } from '../../features/products/productsThunks';
+import { getLineKey } from '../../features/products/productVariants';
+import { selectPricingSettings } from '../../features/pricing/pricingSlice';
+import { computeOrderTotals, amountUntilFreeShipping } from '../../features/pricing/pricingUtils';
 import { createOrder } from '../../features/orders/ordersAPI';
 import { sendOrderToN8n } from '../../services/n8nService';
 import { useToast } from '../../components/Toast';
+import CouponInput from '../../components/cart/CouponInput';
+import FormField from '../../components/FormField';
+import { selectAccount } from '../../features/user/userSlice';
+import { getDefaultAddress } from '../../features/user/accountUtils';
 
-// Reusable form field with label and error display
-function FormField({ name, label, type = 'text', error, value, onChange, placeholder, required = true }) {
-  return (
-    <div>
-      <label htmlFor={name} className="block text-[10px] font-bold uppercase tracking-[0.4em] text-gray-900 ml-1">
-        {label} {required && <span className="text-[#9E3B3B] opacity-50">*</span>}
-      </label>
-      <input
-        type={type}
-        id={name}
-        name={name}
-        value={value}
-        onChange={onChange}
-        placeholder={placeholder}
-        className={`w-full py-4 px-5 rounded-2xl bg-white border transition-all duration-500 outline-none text-sm font-light placeholder:text-stone-300
-          ${error ? 'border-red-200 focus:border-[#9E3B3B]' : 'border-stone-300 focus:border-[#9E3B3B] focus:ring-4 focus:ring-[#9E3B3B]/5'}`}
-      />
-      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
-    </div>
-  );
+// Prefill the form from the logged in account and its default address
+function getInitialFormData(account) {
+  const [firstName = '', ...lastName] = (account?.name || '').split(' ');
+  const address = getDefaultAddress(account);
+  return {
+    firstName,
+    lastName: lastName.join(' '),
+    email: account?.email || '',
+    phone: address?.phone || account?.phone || '',
+    street: address?.street || '',
+    city: address?.city || '',
+    postalCode: address?.postalCode || '',
+    message: '',
+  };
 }
 
 export default function Checkout() {
@@ -39,14 +41,29 @@ export default function Checkout() {
   const { showToast } = useToast();
   const cartItems = useSelector(selectCartItems);
   const subtotal = useSelector(selectCartTotal);
-  const total = subtotal;
+  const stockIssues = useSelector(selectCartStockIssues);
+  const coupon = useSelector(selectCartCoupon);
+  const discount = useSelector(selectCartDiscount);
+  const pricingSettings = useSelector(selectPricingSettings);
+  const account = useSelector(selectAccount);
 
   // Local state
-  const [formData, setFormData] = useState({ firstName: '', lastName: '', email: '', city: '', message: '' });
+  const [formData, setFormData] = useState(() => getInitialFormData(account));
+
+  // Shipping depends on the city typed in the form
+  const totals = computeOrderTotals({ subtotal, discount, city: formData.city }, pricingSettings);
+  const total = totals.total;
+  const untilFreeShipping = amountUntilFreeShipping(subtotal - discount, pricingSettings);
   const [errors, setErrors] = useState({});
   const [isConfirmed, setIsConfirmed] = useState(false);
+  const [confirmedOrderId, setConfirmedOrderId] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Fresh stock for every cart line before the customer confirms
+  useEffect(() => {
+    dispatch(fetchProducts());
+  }, [dispatch]);
+
   // Handlers
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -60,6 +77,9 @@ export default function Checkout() {
     if (!formData.lastName.trim()) newErrors.lastName = 'Last name is required';
     if (!formData.email.trim()) newErrors.email = 'Email is required';
     else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) newErrors.email = 'Please enter a valid email';
+    if (!formData.phone.trim()) newErrors.phone = 'Phone number is required';
+    else if (!/^\+?[\d\s.-]{8,}$/.test(formData.phone.trim())) newErrors.phone = 'Please enter a valid phone number';
+    if (!formData.street.trim()) newErrors.street = 'Street address is required';
     if (!formData.city.trim()) newErrors.city = 'City is required';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -79,32 +99,63 @@ export default function Checkout() {
       return;
     }
 
+    if (stockIssues.length > 0) {
+      showToast('Some items no longer have enough stock. Please update your cart.', 'error');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
       const userName = `${formData.firstName} ${formData.lastName}`.trim();
+      const shippingAddress = {
+        street: formData.street.trim(),
+        city: formData.city.trim(),
+        postalCode: formData.postalCode.trim(),
+        phone: formData.phone.trim(),
+      };
       const orderPayload = {
+        userId: account?.id || null,
         userName,
         userEmail: formData.email,
+        shippingAddress,
+        deliveryNote: formData.message.trim(),
         items: cartItems.map((item) => ({
           id: item.id,
+          variantSku: item.variantSku || null,
+          variantLabel: item.variantLabel || '',
           name: item.name,
           price: item.price,
           quantity: item.quantity,
           imageUrl: item.imageUrl,
+          category: item.category,
         })),
+        subtotal,
+        // Only a coupon that still applies to this cart is saved on the order
+        discount: discount > 0
+          ? { couponId: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value, amount: discount }
+          : null,
         total,
       };
 
       const createdOrder = await createOrder(orderPayload);
       const orderId = createdOrder.id;
+      // Stock changed on the server: reload products so the shop shows the new quantities
+      dispatch(fetchProducts());
 
       const n8nResult = await sendOrderToN8n({
         id: orderId,
         userName,
         userEmail: formData.email,
-        items: orderPayload.items,
-        total,
+        shippingAddress,
+        deliveryNote: orderPayload.deliveryNote,
+        // The saved order's lines and discount: createOrder prices them from the products again
+        items: createdOrder.items,
+        discount: createdOrder.discount,
+        shippingFee: createdOrder.shippingFee,
+        codFee: createdOrder.codFee,
+        vat: createdOrder.vat,
+        total: createdOrder.total,
       });
 
       if (!n8nResult.success) {
@@ -113,12 +164,14 @@ export default function Checkout() {
         return;
       }
 
+      setConfirmedOrderId(orderId);
       setIsConfirmed(true);
       setTimeout(() => {
         dispatch(clearCart());
         showToast('Order confirmed successfully!', 'success');
       }, 500);
     } catch (err) {
+      if (err.stockIssues) dispatch(fetchProducts());
       const message = err.response?.data?.message || err.message || 'Order could not be placed.';
       showToast(message, 'error');
     } finally {
@@ -184,6 +237,11 @@ export default function Checkout() {
           <p className="text-gray-500 mb-8 animate-fade-in-delay-2">
             We've sent a confirmation email to <span className="font-medium">{formData.email}</span>
           </p>
+          {confirmedOrderId && (
+            <p className="text-gray-500 mb-8">
+              Your order number is <span className="font-semibold text-gray-900">#{confirmedOrderId}</span>
+            </p>
+          )}
              
           
           {/* Action Buttons */}
@@ -194,6 +252,14 @@ export default function Checkout() {
             >
               Continue Shopping
             </button>
+            {confirmedOrderId && (
+              <button
+                onClick={() => navigate(`/account/orders/${confirmedOrderId}?email=${encodeURIComponent(formData.email)}`)}
+                className="px-8 py-3 bg-white border-2 border-gray-200 text-gray-700 font-semibold rounded-xl hover:border-[#9E3B3B] hover:text-[#9E3B3B] transition-all"
+              >
+                Track My Order
+              </button>
+            )}
             <button
               onClick={() => navigate('/skin-quiz')}
               className="px-8 py-3 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-xl shadow-lg hover:shadow-xl transition-all"
@@ -292,18 +358,23 @@ export default function Checkout() {
                   <FormField name="lastName" label="Last Name" value={formData.lastName} onChange={handleChange} error={errors.lastName} placeholder="Enter your last name" />
                 </div>
                 <FormField name="email" label="Email" type="email" value={formData.email} onChange={handleChange} error={errors.email} placeholder="your.email@example.com" />
-                <FormField name="city" label="City" value={formData.city} onChange={handleChange} error={errors.city} placeholder="Enter your city" />
+                <FormField name="phone" label="Phone" type="tel" value={formData.phone} onChange={handleChange} error={errors.phone} placeholder="06 12 34 56 78" />
+                <FormField name="street" label="Street Address" value={formData.street} onChange={handleChange} error={errors.street} placeholder="Street, building, apartment" />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                  <FormField name="city" label="City" value={formData.city} onChange={handleChange} error={errors.city} placeholder="Enter your city" />
+                  <FormField name="postalCode" label="Postal Code" value={formData.postalCode} onChange={handleChange} error={errors.postalCode} placeholder="20000" required={false} />
+                </div>
                 <div>
-                  <label htmlFor="message" className="block text-[10px] font-bold uppercase tracking-[0.4em] text-gray-900 mb-2">Message (Optional)</label>
+                  <label htmlFor="message" className="block text-[10px] font-bold uppercase tracking-[0.4em] text-gray-900 mb-2">Delivery Note (Optional)</label>
                   <textarea id="message" name="message" value={formData.message} onChange={handleChange} rows="4"
-                   className="w-full py-3 px-4 rounded-xl border border-gray-200 focus:border-[#8A2B2B] focus:ring-2 focus:ring-[#8A2B2B]/15 outline-none transition-all duration-300 resize-none" placeholder="Any special instructions or notes..." />
+                   className="w-full py-3 px-4 rounded-xl border border-gray-200 focus:border-[#8A2B2B] focus:ring-2 focus:ring-[#8A2B2B]/15 outline-none transition-all duration-300 resize-none" placeholder="Floor, landmark, best time to call..." />
                 </div>
               </form>
             </div>
             <button
                 type="button"
                 onClick={handleConfirmOrder}
-                disabled={isSubmitting}
+                disabled={isSubmitting || stockIssues.length > 0}
                 className="w-full flex items-center mt-8 justify-center gap-3 px-8 py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white text-lg font-semibold rounded-2xl shadow-xl shadow-[#9E3B3B]/25 hover:shadow-2xl hover:shadow-[#9E3B3B]/30 hover:-translate-y-0.5 transition-all duration-300 active:scale-[0.98] disabled:opacity-70 disabled:cursor-not-allowed disabled:hover:translate-y-0"
               >
                 {isSubmitting ? (
@@ -336,7 +407,7 @@ export default function Checkout() {
               {/* Cart Items */}
               <div className="space-y-4 mb-6 max-h-[400px] overflow-y-auto">
                 {cartItems.map((item) => (
-                  <div key={item.id} className="flex gap-4 pb-4 border-b border-gray-100 last:border-0">
+                  <div key={getLineKey(item.id, item.variantSku)} className="flex gap-4 pb-4 border-b border-gray-100 last:border-0">
                     {/* Product Image */}
                     <div className="flex-shrink-0 w-20 h-20 rounded-xl overflow-hidden bg-gradient-to-br from-[#fffaf5] to-[#fff5ee] border border-gray-100">
                       {item.imageUrl ? (
@@ -358,29 +429,69 @@ export default function Checkout() {
                         {item.name}
                       </h3>
                       <p className="text-xs text-gray-500 mb-2">
-                        Quantity: {item.quantity}
+                        {item.variantLabel && `${item.variantLabel} · `}Quantity: {item.quantity}
                       </p>
                       <p className="text-sm font-bold text-[#9E3B3B]">
                         ${(item.price * item.quantity).toFixed(2)}
                       </p>
+                      {item.stock != null && item.quantity > item.stock ? (
+                        <p className="flex items-center gap-1 text-xs font-medium text-red-600 mt-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          {item.stock === 0 ? 'Out of stock' : `Only ${item.stock} left`}
+                        </p>
+                      ) : item.stockChanged && (
+                        <p className="text-xs font-medium text-amber-600 mt-1">Stock updated: {item.stock} left</p>
+                      )}
                     </div>
                   </div>
                 ))}
               </div>
               
+              {/* Promo Code */}
+              <CouponInput />
+
               {/* Price Breakdown */}
               <div className="space-y-3 pt-6 border-t border-gray-200 mb-6">
                 <div className="flex justify-between text-gray-600">
                   <span>Subtotal</span>
                   <span className="font-medium">${subtotal.toFixed(2)}</span>
                 </div>
+                {discount > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>Discount ({coupon.code})</span>
+                    <span className="font-medium text-emerald-600">-${discount.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-gray-600">
                   <span className="flex items-center gap-1">
                     <Truck className="w-4 h-4 text-emerald-600" />
-                    Shipping
+                    Shipping{totals.shippingZone && ` (${totals.shippingZone})`}
                   </span>
-                  <span className="font-medium text-emerald-600">Free</span>
+                  {totals.freeShipping ? (
+                    <span className="font-medium text-emerald-600">Free</span>
+                  ) : totals.shipping === null ? (
+                    <span className="text-sm text-gray-400">Enter your city</span>
+                  ) : (
+                    <span className="font-medium">${totals.shipping.toFixed(2)}</span>
+                  )}
                 </div>
+                {untilFreeShipping > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Add ${untilFreeShipping.toFixed(2)} more for free shipping
+                  </p>
+                )}
+                {totals.codFee > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>Cash on delivery fee</span>
+                    <span className="font-medium">${totals.codFee.toFixed(2)}</span>
+                  </div>
+                )}
+                {totals.vatRate > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>VAT ({totals.vatRate}%{pricingSettings.pricesIncludeVat ? ', included' : ''})</span>
+                    <span className="font-medium">${totals.vat.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-lg font-bold text-gray-900 pt-3 border-t border-gray-200">
                   <span>Total</span>
                   <span className="text-[#9E3B3B]">${total.toFixed(2)}</span>
@@ -1,4 +1,4 @@
-// Home: hero, features, best sellers, testimonials, CTA.
+// Home: hero, features, shop by category / skin type, best sellers, testimonials, CTA.
 import { useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
@@ -6,6 +6,9 @@ import { useSelector, useDispatch } from 'react-redux';
 import { ArrowRight, CheckCircle2, Star, Sparkles, Heart, Shield, Package, TrendingUp } from 'lucide-react';
 import HeroImageSlider from '../../components/layout/HeroImageSlider';
 import { fetchProducts } from '../../features/products/productsThunks';
+import { hasProductTag } from '../../features/products/productUtils';
+import { selectVisibleShopProducts } from '../../features/products/productsSelectors';
+import { CATALOGUE_CATEGORIES, CATALOGUE_SKIN_TYPES, catalogueLink } from '../../features/products/catalogueQuery';
 
 const container = { hidden: { opacity: 0 }, visible: { opacity: 1, transition: { staggerChildren: 0.15, delayChildren: 0.2 } } };
 const fadeUp = { hidden: { opacity: 0, y: 20 }, visible: { opacity: 1, y: 0, transition: { duration: 0.7, ease: [0.215, 0.61, 0.355, 1] } } };
@@ -13,12 +16,13 @@ const fadeUp = { hidden: { opacity: 0, y: 20 }, visible: { opacity: 1, y: 0, tra
 export default function Home() {
   const dispatch = useDispatch();
   const { productsData } = useSelector((state) => state.products);
+  const shopProducts = useSelector(selectVisibleShopProducts);
 
   useEffect(() => {
     if (!productsData?.length) dispatch(fetchProducts());
   }, [dispatch, productsData]);
   
-  const featuredProducts = productsData?.filter(p => p.tags === 'best-seller') || [];
+  const featuredProducts = shopProducts.filter(p => hasProductTag(p, 'best-seller'));
 
   return (
     <div className="bg-gradient-to-b from-[#fffaf5] via-white to-[#fffaf5]">
@@ -179,6 +183,40 @@ export default function Home() {
           </div>
         </div>
       </section>
+      <section className="py-12 sm:py-16 px-4 sm:px-6 lg:px-12">
+        <div className="max-w-7xl mx-auto">
+          <h2
+            className="text-3xl sm:text-4xl font-bold text-gray-900 mb-8 text-center"
+            style={{ fontFamily: 'Playfair Display, serif' }}
+          >
+            Shop by Category
+          </h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {CATALOGUE_CATEGORIES.map((category) => (
+              <Link
+                key={category.value}
+                to={catalogueLink({ categories: [category.value] })}
+                className="group flex items-center justify-between px-6 py-5 bg-white rounded-2xl border border-gray-100 shadow-sm hover:border-[#9E3B3B]/30 hover:shadow-lg transition-all"
+              >
+                <span className="font-semibold text-gray-900 group-hover:text-[#9E3B3B] transition-colors">{category.label}</span>
+                <ArrowRight size={18} className="text-[#9E3B3B] group-hover:translate-x-1 transition-transform" />
+              </Link>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center justify-center gap-3 mt-8">
+            <span className="text-sm text-gray-500">Or shop for your skin:</span>
+            {CATALOGUE_SKIN_TYPES.filter((type) => type.value !== 'all types').map((type) => (
+              <Link
+                key={type.value}
+                to={catalogueLink({ skinTypes: [type.value] })}
+                className="px-4 py-2 rounded-full border border-gray-200 bg-white text-sm font-medium text-gray-700 hover:border-[#9E3B3B] hover:text-[#9E3B3B] transition-colors"
+              >
+                {type.label}
+              </Link>
+            ))}
+          </div>
+        </div>
+      </section>
       {featuredProducts.length > 0 && (
         <section className="py-16 sm:py-20 px-4 sm:px-6 lg:px-12 bg-white">
           <div className="max-w-7xl mx-auto">
@@ -0,0 +1,168 @@
+/**
+ * MyOrderDetails.jsx
+ * One order for the customer at /account/orders/:id: items, totals, delivery address, status history, reorder.
+ * Shown to the account that placed it, or to a guest whose ?email= matches the order (see findGuestOrder).
+ */
+
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, MapPin, Clock, Package } from 'lucide-react';
+import { selectAccount } from '../../features/user/userSlice';
+import { getOrder } from '../../features/orders/ordersAPI';
+import { ORDER_STATUS_INFO, getOrderStatus, getStatusHistory } from '../../features/orders/orderStatus';
+import { StatusBadge } from '../../components/admin/OrderComponents';
+import ReorderButton from '../../components/cart/ReorderButton';
+
+const formatDateTime = (dateStr) =>
+  dateStr
+    ? new Date(dateStr).toLocaleString('en-GB', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '—';
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+// Can this visitor see the order?
+function canViewOrder(order, account, email) {
+  const orderEmail = (order.userEmail || '').toLowerCase();
+  if (account && (order.userId === account.id || orderEmail === account.email.toLowerCase())) return true;
+  return !!email && orderEmail === email.trim().toLowerCase();
+}
+
+export default function MyOrderDetails() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const email = searchParams.get('email');
+  const account = useSelector(selectAccount);
+  // Keep the id we loaded so "loading" is derived instead of set inside the effect
+  const [result, setResult] = useState({ id: null, order: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getOrder(id)
+      .then((data) => { if (!cancelled) setResult({ id, order: data || null }); })
+      .catch(() => { if (!cancelled) setResult({ id, order: null }); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  const loading = result.id !== id;
+  const order = result.order && canViewOrder(result.order, account, email) ? result.order : null;
+
+  const backLink = (
+    <Link to="/account/orders" className="inline-flex items-center gap-2 text-sm text-[#9E3B3B] font-medium mb-6 hover:underline">
+      <ArrowLeft className="w-4 h-4" /> My orders
+    </Link>
+  );
+
+  if (loading) return (
+    <div className="flex justify-center items-center min-h-[60vh]">
+      <div className="w-12 h-12 border-2 border-[#9E3B3B]/10 border-t-[#9E3B3B] rounded-full animate-spin" />
+    </div>
+  );
+
+  if (!order) return (
+    <div className="min-h-screen bg-[#FDFBF9] pt-24 px-4">
+      <div className="max-w-4xl mx-auto">
+        {backLink}
+        <p className="text-center text-gray-500 py-16">Order not found.</p>
+      </div>
+    </div>
+  );
+
+  const items = order.items || [];
+  const address = order.shippingAddress || { city: order.city };
+  const summaryRows = [
+    { label: 'Subtotal', value: money(order.subtotal ?? items.reduce((sum, i) => sum + i.price * i.quantity, 0)) },
+    order.discount && { label: `Discount (${order.discount.code})`, value: `-${money(order.discount.amount)}` },
+    order.shippingFee != null && { label: 'Shipping', value: Number(order.shippingFee) > 0 ? money(order.shippingFee) : 'Free' },
+    Number(order.codFee) > 0 && { label: 'Cash on delivery fee', value: money(order.codFee) },
+    Number(order.vat) > 0 && { label: `VAT (${order.vatRate}%)`, value: money(order.vat) },
+  ].filter(Boolean);
+
+  return (
+    <div className="min-h-screen bg-[#FDFBF9] pb-12">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-12 pt-24">
+        {backLink}
+
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900" style={{ fontFamily: 'Playfair Display, serif' }}>
+              Order #{order.id}
+            </h1>
+            <p className="text-sm text-gray-400">{formatDateTime(order.createdAt)}</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <StatusBadge status={getOrderStatus(order)} />
+            <ReorderButton order={order} />
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* Items + totals */}
+          <div className="lg:col-span-2 bg-white rounded-3xl border border-gray-200 shadow-sm p-6">
+            <div className="space-y-4 mb-6">
+              {items.map((item) => (
+                <div key={`${item.id}-${item.variantSku || ''}`} className="flex gap-4 pb-4 border-b border-gray-100 last:border-0">
+                  <div className="flex-shrink-0 w-16 h-16 rounded-xl overflow-hidden bg-gradient-to-br from-[#fffaf5] to-[#fff5ee] border border-gray-100">
+                    {item.imageUrl ? (
+                      <img src={item.imageUrl} alt={item.name} className="w-full h-full object-cover" />
+                    ) : (
+                      <div className="w-full h-full flex items-center justify-center">
+                        <Package className="w-6 h-6 text-[#9E3B3B]/20" />
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <Link to={`/products/${item.id}`} className="font-semibold text-gray-900 text-sm hover:text-[#9E3B3B]">{item.name}</Link>
+                    <p className="text-xs text-gray-500">{item.variantLabel && `${item.variantLabel} · `}Quantity: {item.quantity}</p>
+                  </div>
+                  <p className="text-sm font-bold text-gray-900">{money(item.price * item.quantity)}</p>
+                </div>
+              ))}
+            </div>
+            <div className="space-y-2 pt-4 border-t border-gray-200 text-sm text-gray-600">
+              {summaryRows.map((row) => (
+                <div key={row.label} className="flex justify-between">
+                  <span>{row.label}</span>
+                  <span className="font-medium">{row.value}</span>
+                </div>
+              ))}
+              <div className="flex justify-between text-lg font-bold text-gray-900 pt-3 border-t border-gray-200">
+                <span>Total</span>
+                <span className="text-[#9E3B3B]">{money(order.total)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-white rounded-3xl border border-gray-200 shadow-sm p-6">
+              <h2 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-gray-900 mb-4">
+                <MapPin className="w-4 h-4 text-[#9E3B3B]" /> Delivery
+              </h2>
+              <p className="text-sm text-gray-700">{order.userName}</p>
+              {address.street && <p className="text-sm text-gray-700">{address.street}</p>}
+              <p className="text-sm text-gray-700">{[address.postalCode, address.city].filter(Boolean).join(' ') || '—'}</p>
+              {address.phone && <p className="text-sm text-gray-500">{address.phone}</p>}
+            </div>
+
+            <div className="bg-white rounded-3xl border border-gray-200 shadow-sm p-6">
+              <h2 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-gray-900 mb-4">
+                <Clock className="w-4 h-4 text-[#9E3B3B]" /> Tracking
+              </h2>
+              <ol className="space-y-3">
+                {getStatusHistory(order).map((entry, index) => (
+                  <li key={index} className="flex items-start gap-3">
+                    <span className="mt-1.5 w-2 h-2 rounded-full bg-[#9E3B3B]" />
+                    <div>
+                      <p className="text-sm font-semibold text-gray-900">{ORDER_STATUS_INFO[entry.status]?.label || entry.status}</p>
+                      <p className="text-xs text-gray-400">{formatDateTime(entry.at)}</p>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
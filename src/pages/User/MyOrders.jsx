@@ -0,0 +1,161 @@
+/**
+ * MyOrders.jsx
+ * Customer order history at /account/orders.
+ * Logged in: the account's orders (getCustomerOrders). Guest: look an order up by email + order number.
+ */
+
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import { Package, Search, ChevronRight } from 'lucide-react';
+import { selectAccount } from '../../features/user/userSlice';
+import { getCustomerOrders, findGuestOrder } from '../../features/orders/ordersAPI';
+import { getOrderStatus } from '../../features/orders/orderStatus';
+import { StatusBadge } from '../../components/admin/OrderComponents';
+import ReorderButton from '../../components/cart/ReorderButton';
+import FormField from '../../components/FormField';
+
+const formatDate = (dateStr) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: 'numeric' }) : '—';
+
+// Guest lookup: email + order number, then open the order page
+function GuestLookup() {
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ email: '', orderId: '' });
+  const [error, setError] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.email.trim() || !formData.orderId.trim()) {
+      setError('Enter your email and order number');
+      return;
+    }
+    setIsSearching(true);
+    try {
+      const order = await findGuestOrder(formData.email, formData.orderId);
+      if (!order) {
+        setError('No order matches this email and order number.');
+        return;
+      }
+      navigate(`/account/orders/${order.id}?email=${encodeURIComponent(formData.email.trim())}`);
+    } catch {
+      setError('Could not look up your order. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-4xl p-6 sm:p-8 border border-gray-300 shadow-lg">
+      <h2 className="flex items-center gap-2 text-xl font-bold text-gray-900 mb-2" style={{ fontFamily: 'Playfair Display, serif' }}>
+        <Search className="w-5 h-5 text-[#9E3B3B]" /> Find an order
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Checked out without an account? Use the email and order number from your confirmation.
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <FormField name="email" label="Email" type="email" value={formData.email} onChange={handleChange} placeholder="your.email@example.com" />
+        <FormField name="orderId" label="Order Number" value={formData.orderId} onChange={handleChange} placeholder="#12" />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSearching}
+          className="w-full py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-2xl shadow-lg shadow-[#9E3B3B]/25 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {isSearching ? 'Searching…' : 'Find My Order'}
+        </button>
+      </form>
+      <p className="text-sm text-gray-500 text-center mt-6">
+        Have an account? <Link to="/account" className="text-[#9E3B3B] font-medium hover:underline">Log in</Link> to see all your orders.
+      </p>
+    </div>
+  );
+}
+
+// One order in the history list
+function OrderRow({ order }) {
+  const items = order.items || [];
+  return (
+    <div className="bg-white rounded-3xl p-5 sm:p-6 border border-gray-200 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <p className="font-semibold text-gray-900">Order #{order.id}</p>
+          <p className="text-xs text-gray-400">{formatDate(order.createdAt)}</p>
+        </div>
+        <StatusBadge status={getOrderStatus(order)} />
+      </div>
+      <p className="text-sm text-gray-600 line-clamp-2 mb-4">
+        {items.map((item) => `${item.name} × ${item.quantity}`).join(', ')}
+      </p>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <span className="text-lg font-bold text-[#9E3B3B]">${Number(order.total || 0).toFixed(2)}</span>
+        <div className="flex gap-2">
+          <ReorderButton order={order} />
+          <Link
+            to={`/account/orders/${order.id}`}
+            className="inline-flex items-center gap-1 px-4 py-2.5 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:border-[#9E3B3B] hover:text-[#9E3B3B] transition-colors"
+          >
+            Details <ChevronRight size={14} />
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function MyOrders() {
+  const account = useSelector(selectAccount);
+  // Keep the account id we loaded so "loading" is derived instead of set inside the effect
+  const [result, setResult] = useState({ accountId: null, orders: [], error: null });
+
+  useEffect(() => {
+    if (!account) return;
+    let cancelled = false;
+    getCustomerOrders(account)
+      .then((orders) => { if (!cancelled) setResult({ accountId: account.id, orders, error: null }); })
+      .catch(() => { if (!cancelled) setResult({ accountId: account.id, orders: [], error: 'Could not load your orders.' }); });
+    return () => { cancelled = true; };
+  }, [account]);
+
+  const loading = account && result.accountId !== account.id;
+
+  return (
+    <div className="min-h-screen bg-[#FDFBF9] pb-12">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-12 pt-24">
+        <div className="text-center mb-10">
+          <h1 className="text-4xl md:text-5xl font-light italic text-gray-900" style={{ fontFamily: 'Playfair Display, serif' }}>
+            My <span className="text-[#9E3B3B]">Orders</span>
+          </h1>
+        </div>
+
+        {!account ? (
+          <GuestLookup />
+        ) : loading ? (
+          <div className="flex justify-center py-16">
+            <div className="w-12 h-12 border-2 border-[#9E3B3B]/10 border-t-[#9E3B3B] rounded-full animate-spin" />
+          </div>
+        ) : result.error ? (
+          <p className="text-center text-red-600">{result.error}</p>
+        ) : result.orders.length === 0 ? (
+          <div className="text-center py-16">
+            <Package className="w-12 h-12 mx-auto text-[#9E3B3B]/20 mb-4" />
+            <p className="text-gray-500 mb-6">You haven't placed any order yet.</p>
+            <Link to="/catalogue" className="px-8 py-3 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white font-semibold rounded-xl">
+              Start Shopping
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {result.orders.map((order) => <OrderRow key={order.id} order={order} />)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,56 +1,76 @@
 // Product details: shows a single product by URL id, or "not found" if it doesn't exist.
-import { useEffect } from 'react';
+// Products with variants (sizes / shades) get a selector; price, stock and the cart line follow the chosen variant.
+// Archived products still open (past orders link here) but cannot be bought; drafts are only visible to admins (preview).
+// Ingredients on the shopper's avoid list (see user/avoidList) are flagged, even when the shop hides such products.
+import { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
-import { ArrowLeft, ShoppingBag, Star, Sparkles, Droplets, Package, Truck, Shield, Plus, Minus } from 'lucide-react';
+import { ArrowLeft, ShoppingBag, Star, Droplets, Package, Truck, Shield, Plus, Minus, AlertTriangle } from 'lucide-react';
 import { fetchProducts } from '../../features/products/productsThunks';
+import { hasProductTag, getProductStatus, getProductIngredients } from '../../features/products/productUtils';
+import { isAdminLoggedIn } from '../../utils/adminAuth';
+import { getVariants, findVariant, getDefaultVariant, getPurchaseOption, getLineKey, toCartPayload } from '../../features/products/productVariants';
 import { addToCart, increaseQuantity, decreaseQuantity, openCart } from '../../features/cart/cartSlice';
 import { selectIsInCart, selectItemQuantity } from '../../features/cart/cartSelectors';
 import { useToast } from '../../components/Toast';
-
-// Parse ingredients: string "a, b, c" or array → array
-function getIngredients(ingredients) {
-  if (!ingredients) return [];
-  if (typeof ingredients === 'string') return ingredients.split(',').map((i) => i.trim()).filter(Boolean);
-  return Array.isArray(ingredients) ? ingredients : [];
-}
+import ProductGallery from '../../components/shop/ProductGallery';
+import ProductReviews from '../../components/reviews/ProductReviews';
+import StarRating from '../../components/reviews/StarRating';
+import WishlistButton from '../../components/shop/WishlistButton';
+import { selectAvoidList, selectIsLoggedIn } from '../../features/user/userSlice';
+import { getAvoidedIngredients } from '../../features/user/avoidList';
 
 export default function ProductDetails() {
   const dispatch = useDispatch();
   const { id } = useParams();
   const { showToast } = useToast();
   const { productsData, loading } = useSelector((state) => state.products);
-  const product = productsData?.find((p) => p.id === id);
-  const isInCart = useSelector((state) => selectIsInCart(state, id));
-  const quantityInCart = useSelector((state) => selectItemQuantity(state, id)) || 0;
+  const found = productsData?.find((p) => p.id === id);
+  const product = getProductStatus(found) === 'draft' && !isAdminLoggedIn() ? undefined : found;
+  const status = getProductStatus(product);
+  // Variant picked by the customer; falls back to the first one in stock (also when the SKU belongs to another product)
+  const [chosenSku, setChosenSku] = useState(null);
+  const variants = getVariants(product);
+  const selectedSku = (findVariant(product, chosenSku) || getDefaultVariant(product))?.sku || null;
+  const option = getPurchaseOption(product, selectedSku);
+  const isInCart = useSelector((state) => selectIsInCart(state, id, selectedSku));
+  const quantityInCart = useSelector((state) => selectItemQuantity(state, id, selectedSku)) || 0;
+  const avoidList = useSelector(selectAvoidList);
+  const isLoggedIn = useSelector(selectIsLoggedIn);
 
   // Fetch products if we don't have them yet
   useEffect(() => {
     if (!productsData?.length) dispatch(fetchProducts());
   }, [dispatch, productsData]);
 
+  const stock = status === 'published' ? option.stock : 0;
+  const isOutOfStock = stock === 0;
+  const canAddMore = quantityInCart < stock;
+
   const handleAddToCart = () => {
-    if (!product) return;
-    const payload = { id: product.id, name: product.name, price: product.price || 0, imageUrl: product.imageUrl || '', category: product.subcategory || '' };
-    dispatch(addToCart(payload));
-    showToast(`${product.name} added to cart!`, 'success');
+    if (!product || isOutOfStock) return;
+    dispatch(addToCart(toCartPayload(product, selectedSku)));
+    showToast(`${product.name}${option.label ? ` (${option.label})` : ''} added to cart!`, 'success');
     dispatch(openCart());
   };
 
   const handleIncrease = () => {
-    if (!product) return;
+    if (!product || !canAddMore) return;
     if (!isInCart) handleAddToCart();
-    else dispatch(increaseQuantity(product.id));
+    else dispatch(increaseQuantity(getLineKey(product.id, selectedSku)));
   };
 
   const handleDecrease = () => {
-    if (product && quantityInCart > 1) dispatch(decreaseQuantity(product.id));
+    if (product && quantityInCart > 1) dispatch(decreaseQuantity(getLineKey(product.id, selectedSku)));
   };
 
-  const isBestSeller = product.tags === 'best-seller';
-  const ingredients = getIngredients(product.ingredients);
-  const size = product.size || null;
-  const categoryLabel = (product.subcategory || 'Skincare').charAt(0).toUpperCase() + (product.subcategory || 'Skincare').slice(1);
+  const isBestSeller = hasProductTag(product, 'best-seller');
+  const ingredients = getProductIngredients(product);
+  const avoided = getAvoidedIngredients(product, avoidList);
+  // Avoided ingredients are listed first so they are never cut off by the "+ n more"
+  const shownIngredients = [...avoided, ...ingredients.filter((i) => !avoided.includes(i))];
+  const size = option.size || null;
+  const categoryLabel = (product?.subcategory || 'Skincare').charAt(0).toUpperCase() + (product?.subcategory || 'Skincare').slice(1);
 
   if (loading) {
     return (
@@ -117,18 +137,7 @@ export default function ProductDetails() {
         </nav>
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-10 lg:gap-16">
           <div className="lg:sticky lg:top-24 lg:self-start sticky top-20">
-            <div className="relative aspect-square rounded-3xl overflow-hidden bg-gradient-to-br from-[#fffaf5] to-[#fff5ee] border border-gray-100 shadow-2xl shadow-gray-200/50 group">
-              {product.imageUrl ? (
-                <img
-                  src={product.imageUrl}
-                  alt={product.name}
-                  className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
-                />
-              ) : (
-                <div className="w-full h-full flex items-center justify-center">
-                  <Sparkles className="w-24 h-24 text-[#9E3B3B]/20" />
-                </div>
-              )}
+            <ProductGallery key={product.id} product={product}>
               {isBestSeller && (
                 <div className="absolute top-6 left-6">
                   <div className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white text-sm font-semibold rounded-full shadow-lg">
@@ -137,14 +146,15 @@ export default function ProductDetails() {
                   </div>
                 </div>
               )}
-            </div>
+            </ProductGallery>
           </div>
           <div className="flex flex-col">
-            <div className="mb-4">
+            <div className="mb-4 flex items-center justify-between gap-4">
               <span className="inline-flex items-center gap-1.5 px-3 py-1.5 bg-[#9E3B3B]/10 text-[#9E3B3B] text-xs font-semibold rounded-full">
                 <Droplets className="w-3 h-3" />
                 {categoryLabel}
               </span>
+              <WishlistButton product={product} size={20} className="w-11 h-11 border border-gray-200" />
             </div>
             <h1
               className="text-3xl sm:text-4xl lg:text-4xl font-bold text-gray-900 mb-4 leading-tight"
@@ -152,14 +162,52 @@ export default function ProductDetails() {
             >
               {product.name}
             </h1>
+            {product.reviewCount > 0 && (
+              <a href="#reviews" className="flex items-center gap-2 mb-4 text-sm text-gray-600 hover:text-[#9E3B3B]">
+                <StarRating value={product.rating} size={16} />
+                <span>{Number(product.rating).toFixed(1)} ({product.reviewCount} review{product.reviewCount === 1 ? '' : 's'})</span>
+              </a>
+            )}
+            {avoided.length > 0 && (
+              <div className="flex items-start gap-3 mb-6 p-4 rounded-xl bg-amber-50 border border-amber-200 text-sm text-amber-900" role="alert">
+                <AlertTriangle className="w-5 h-5 flex-shrink-0 text-amber-600" />
+                <p>
+                  Contains ingredients you avoid: <span className="font-semibold">{avoided.join(', ')}</span>.
+                  {isLoggedIn && <> <Link to="/account" className="underline">Edit my avoid list</Link></>}
+                </p>
+              </div>
+            )}
             <div className="flex items-baseline gap-3 mb-6">
               <span className="text-4xl font-bold text-[#9E3B3B]">
-                ${product.price?.toFixed(2) || '0.00'}
+                ${option.price.toFixed(2)}
               </span>
               {size && (
                 <span className="text-lg text-gray-500">/ {size}</span>
               )}
             </div>
+            {variants.length > 0 && (
+              <div className="mb-6">
+                <h3 className="text-sm font-semibold text-gray-700 mb-3">Choose a size</h3>
+                <div className="flex flex-wrap gap-2">
+                  {variants.map((variant) => {
+                    const soldOut = !(Number(variant.stock) > 0);
+                    return (
+                      <button
+                        key={variant.sku}
+                        onClick={() => setChosenSku(variant.sku)}
+                        className={`px-4 py-2 rounded-xl border-2 text-sm font-medium transition-all ${
+                          variant.sku === selectedSku
+                            ? 'border-[#9E3B3B] bg-[#9E3B3B]/5 text-[#9E3B3B]'
+                            : 'border-gray-200 text-gray-700 hover:border-[#9E3B3B]/40'
+                        } ${soldOut ? 'opacity-50 line-through' : ''}`}
+                      >
+                        {variant.label} · ${Number(variant.price).toFixed(2)}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
             <p className="text-gray-600 text-lg leading-relaxed mb-6">
               {product.description || 'A premium skincare product formulated with the finest ingredients to reveal your natural radiance.'}
             </p>
@@ -175,10 +223,12 @@ export default function ProductDetails() {
               <div className="mb-6">
                 <h3 className="text-sm font-semibold text-gray-700 mb-3">Key Ingredients</h3>
                 <div className="flex flex-wrap gap-2">
-                  {ingredients.slice(0, 6).map((ingredient, index) => (
+                  {shownIngredients.slice(0, 6).map((ingredient, index) => (
                     <span 
                       key={index}
-                      className="inline-flex items-center px-3 py-1.5 bg-[#fffaf5] text-gray-700 text-xs font-medium rounded-lg border border-gray-200"
+                      className={`inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border ${
+                        avoided.includes(ingredient) ? 'bg-amber-50 text-amber-800 border-amber-300' : 'bg-[#fffaf5] text-gray-700 border-gray-200'
+                      }`}
                     >
                       {ingredient}
                     </span>
@@ -200,6 +250,15 @@ export default function ProductDetails() {
               </div>
             )}
             <div className="border-t border-gray-100 my-6" />
+            {status === 'archived' ? (
+              <p className="text-sm font-semibold text-gray-600 mb-4">This product is no longer available.</p>
+            ) : status === 'draft' ? (
+              <p className="text-sm font-semibold text-amber-600 mb-4">Draft preview: customers cannot see this product yet.</p>
+            ) : isOutOfStock ? (
+              <p className="text-sm font-semibold text-red-600 mb-4">Out of stock</p>
+            ) : stock <= (product.minStock || 5) && (
+              <p className="text-sm font-semibold text-amber-600 mb-4">Only {stock} left in stock</p>
+            )}
             <div className="space-y-4">
               {isInCart && quantityInCart > 0 ? (
                 <div className="flex items-center gap-4">
@@ -219,8 +278,10 @@ export default function ProductDetails() {
                   </div>
                   <button
                     onClick={handleIncrease}
+                    disabled={!canAddMore}
                     className="flex items-center justify-center w-12 h-12 rounded-xl border-2 border-gray-200 
                                text-gray-600 hover:border-[#9E3B3B] hover:text-[#9E3B3B] 
+                               disabled:opacity-50 disabled:cursor-not-allowed
                                transition-all duration-200 active:scale-95"
                   >
                     <Plus className="w-5 h-5" />
@@ -229,10 +290,11 @@ export default function ProductDetails() {
               ) : (
                 <button
                   onClick={handleAddToCart}
-                  className="w-full flex items-center justify-center gap-3 px-8 py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white text-lg font-semibold rounded-2xl shadow-xl shadow-[#9E3B3B]/25 hover:shadow-2xl hover:shadow-[#9E3B3B]/30 hover:-translate-y-0.5 transition-all duration-300 active:scale-[0.98]"
+                  disabled={isOutOfStock}
+                  className="w-full flex items-center justify-center gap-3 px-8 py-4 bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white text-lg font-semibold rounded-2xl shadow-xl shadow-[#9E3B3B]/25 hover:shadow-2xl hover:shadow-[#9E3B3B]/30 hover:-translate-y-0.5 transition-all duration-300 active:scale-[0.98] disabled:from-gray-300 disabled:to-gray-300 disabled:shadow-none disabled:cursor-not-allowed disabled:hover:translate-y-0"
                 >
                   <ShoppingBag className="w-5 h-5" />
-                  Add to Cart
+                  {status === 'archived' ? 'Unavailable' : isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
                 </button>
               )}
             </div>
@@ -252,6 +314,7 @@ export default function ProductDetails() {
             </div>
           </div>
         </div>
+        <ProductReviews key={product.id} product={product} />
       </div>
     </div>
   );
@@ -7,12 +7,14 @@
 import { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { fetchProducts } from '../../features/products/productsThunks';
+import { selectShopProducts, selectProductsData } from '../../features/products/productsSelectors';
+import { isPublished } from '../../features/products/productUtils';
 import {
   saveQuizResultThunk,
   saveRecommendationsThunk,
   clearQuizDataThunk
 } from '../../features/user/userThunks';
-import { selectQuizResult, selectRecommendations } from '../../features/user/userSlice';
+import { selectQuizResult, selectRecommendations, selectAvoidList } from '../../features/user/userSlice';
 import { analyzeAnswers } from '../../utils/analyzeQuizResult';
 import { getRecommendations } from '../../services/aiRecommendation';
 import { quizQuestions } from '../../data/skinQuizData';
@@ -26,9 +28,14 @@ import ErrorScreen from '../../components/quiz/ErrorScreen';
 export default function SkinQuiz() {
   // Redux
   const dispatch = useDispatch();
-  const { productsData } = useSelector((state) => state.products);
+  // Only published products can be recommended; saved results are shown against every product, so a product
+  // archived since then is still found (and shown as no longer available)
+  const shopProducts = useSelector(selectShopProducts);
+  const productsData = useSelector(selectProductsData);
   const savedQuizResult = useSelector(selectQuizResult);
   const savedRecommendations = useSelector(selectRecommendations);
+  // Ingredients the shopper avoids are never recommended
+  const avoidList = useSelector(selectAvoidList);
 
   // Local State
   const [viewMode, setViewMode] = useState('intro');
@@ -89,10 +96,10 @@ export default function SkinQuiz() {
       setQuizResult(result);
       dispatch(saveQuizResultThunk(result));
 
-      let products = productsData;
-      if (!products || products.length === 0) {
+      let products = shopProducts;
+      if (products.length === 0) {
         const fetchResult = await dispatch(fetchProducts());
-        products = fetchResult.payload || [];
+        products = (fetchResult.payload || []).filter(isPublished);
       }
 
       if (!products || products.length === 0) {
@@ -101,7 +108,7 @@ export default function SkinQuiz() {
         return;
       }
 
-      const recs = await getRecommendations(result, products);
+      const recs = await getRecommendations(result, products, avoidList);
       setRecommendations(recs);
       dispatch(saveRecommendationsThunk(recs));
 
@@ -0,0 +1,169 @@
+/**
+ * Wishlist.jsx
+ * Saved products at /wishlist: move to cart, remove, copy a share link.
+ * /wishlist?items=12,7 shows a shared wishlist instead, with "Save all" to copy it into your own.
+ */
+
+import { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Heart, ShoppingBag, Share2, Trash2, Sparkles } from 'lucide-react';
+import { fetchProducts } from '../../features/products/productsThunks';
+import { selectShopProducts } from '../../features/products/productsSelectors';
+import { getDefaultVariant, getPriceRange, toCartPayload } from '../../features/products/productVariants';
+import { getProductImages, getImageAlt } from '../../features/products/productImages';
+import { addToCart, openCart } from '../../features/cart/cartSlice';
+import { removeFromWishlist, addToWishlist } from '../../features/wishlist/wishlistThunks';
+import { selectWishlistIds, selectWishlistProducts } from '../../features/wishlist/wishlistSelectors';
+import { buildShareLink, parseSharedItems } from '../../features/wishlist/wishlistUtils';
+import { useToast } from '../../components/Toast';
+
+function WishlistItem({ product, onMoveToCart, onRemove }) {
+  const priceRange = getPriceRange(product);
+  const isOutOfStock = (product.stock ?? 0) <= 0;
+  const image = getProductImages(product)[0];
+
+  return (
+    <li className="flex gap-4 p-4 bg-white rounded-2xl border border-gray-100 shadow-sm">
+      <Link to={`/products/${product.id}`} className="w-24 h-24 flex-shrink-0 rounded-xl overflow-hidden bg-gradient-to-br from-[#fffaf5] to-[#fff5ee]">
+        {image ? (
+          <img src={image.url} alt={getImageAlt(image, product)} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center"><Sparkles className="w-8 h-8 text-[#9E3B3B]/20" /></div>
+        )}
+      </Link>
+      <div className="flex-1 min-w-0 flex flex-col">
+        <Link to={`/products/${product.id}`} className="font-semibold text-gray-900 hover:text-[#9E3B3B] truncate" style={{ fontFamily: 'Playfair Display, serif' }}>
+          {product.name}
+        </Link>
+        <p className="text-lg font-bold text-[#9E3B3B]">
+          {priceRange.max > priceRange.min && 'From '}${priceRange.min.toFixed(2)}
+        </p>
+        <p className={`text-xs ${isOutOfStock ? 'text-red-600' : 'text-green-700'}`}>{isOutOfStock ? 'Out of stock' : 'In stock'}</p>
+        <div className="flex items-center gap-2 mt-auto pt-2">
+          <button
+            onClick={() => onMoveToCart(product)}
+            disabled={isOutOfStock}
+            className="flex items-center gap-1.5 px-4 py-2 rounded-lg text-xs font-semibold bg-gradient-to-r from-[#9E3B3B] to-[#b54949] text-white hover:shadow-md disabled:from-gray-200 disabled:to-gray-200 disabled:text-gray-400 disabled:shadow-none transition-all"
+          >
+            <ShoppingBag className="w-3.5 h-3.5" />
+            {onRemove ? 'Move to cart' : 'Add to cart'}
+          </button>
+          {onRemove && (
+            <button onClick={() => onRemove(product)} className="p-2 rounded-lg hover:bg-red-50 transition-colors" aria-label="Remove from wishlist">
+              <Trash2 className="w-4 h-4 text-gray-400" />
+            </button>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+export default function Wishlist() {
+  const dispatch = useDispatch();
+  const { showToast } = useToast();
+  const [searchParams] = useSearchParams();
+  const { productsData, loading } = useSelector((state) => state.products);
+  const shopProducts = useSelector(selectShopProducts);
+  const ownIds = useSelector(selectWishlistIds);
+  const ownProducts = useSelector(selectWishlistProducts);
+
+  useEffect(() => {
+    if (!productsData?.length) dispatch(fetchProducts());
+  }, [dispatch, productsData]);
+
+  const sharedIds = searchParams.has('items') ? parseSharedItems(searchParams.get('items')) : null;
+  const isShared = sharedIds !== null;
+  const products = isShared
+    ? sharedIds.map((id) => shopProducts.find((p) => String(p.id) === id)).filter(Boolean)
+    : ownProducts;
+
+  const handleMoveToCart = (product) => {
+    dispatch(addToCart(toCartPayload(product, getDefaultVariant(product)?.sku || null)));
+    if (!isShared) dispatch(removeFromWishlist(product.id));
+    showToast(`${product.name} added to cart!`, 'success');
+    dispatch(openCart());
+  };
+
+  const handleRemove = (product) => {
+    dispatch(removeFromWishlist(product.id));
+    showToast(`${product.name} removed from your wishlist`, 'success');
+  };
+
+  const handleShare = async () => {
+    const link = buildShareLink(ownIds, window.location.origin);
+    try {
+      await navigator.clipboard.writeText(link);
+      showToast('Wishlist link copied!', 'success');
+    } catch {
+      showToast(`Copy this link to share your wishlist: ${link}`, 'error');
+    }
+  };
+
+  const handleSaveAll = () => {
+    dispatch(addToWishlist(products.map((p) => p.id)));
+    showToast('Saved to your wishlist!', 'success');
+  };
+
+  if (loading && !productsData?.length) {
+    return (
+      <div className="flex items-center justify-center h-64 mt-16">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#9E3B3B]" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-[#fefcfb] pt-24 pb-16">
+      <div className="max-w-3xl mx-auto px-6">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+          <div>
+            <h1 className="flex items-center gap-2 text-3xl font-bold text-gray-900" style={{ fontFamily: 'Playfair Display, serif' }}>
+              <Heart className="w-7 h-7 text-[#9E3B3B] fill-current" />
+              {isShared ? 'Shared Wishlist' : 'My Wishlist'}
+            </h1>
+            <p className="text-gray-500 mt-1 text-sm">
+              {products.length} product{products.length === 1 ? '' : 's'}
+              {isShared && <> · <Link to="/wishlist" className="text-[#9E3B3B] hover:underline">See my wishlist</Link></>}
+            </p>
+          </div>
+          {products.length > 0 && (
+            isShared ? (
+              <button onClick={handleSaveAll} className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-[#9E3B3B] text-[#9E3B3B] text-sm font-semibold hover:bg-[#9E3B3B]/5 transition-colors">
+                <Heart className="w-4 h-4" /> Save all to my wishlist
+              </button>
+            ) : (
+              <button onClick={handleShare} className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-[#9E3B3B] text-[#9E3B3B] text-sm font-semibold hover:bg-[#9E3B3B]/5 transition-colors">
+                <Share2 className="w-4 h-4" /> Share
+              </button>
+            )
+          )}
+        </div>
+
+        {products.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-2xl border border-gray-100">
+            <Heart className="w-12 h-12 text-[#9E3B3B]/20 mx-auto mb-4" />
+            <p className="text-gray-600 mb-6">
+              {isShared ? 'None of these products are available anymore.' : 'Tap the heart on a product to save it for later.'}
+            </p>
+            <Link to="/catalogue" className="inline-flex px-6 py-3 rounded-xl bg-[#9E3B3B] text-white font-semibold hover:bg-[#8a3333] transition-colors">
+              Browse the shop
+            </Link>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {products.map((product) => (
+              <WishlistItem
+                key={product.id}
+                product={product}
+                onMoveToCart={handleMoveToCart}
+                onRemove={isShared ? null : handleRemove}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,47 @@
-/**Protected admin routes. Access only if admin has logged in with correct username/password.*/
+/**Protected admin routes. The session token is checked with the auth server before any admin page is shown,
+ * then again on every admin navigation, so a session revoked on the server ("log out everywhere") ends in open tabs too.*/
 
-import { Navigate, Outlet } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
 import AdminSidebar from '../components/layout/AdminSidebar';
-import { isAdminLoggedIn } from '../utils/adminAuth';
+import { getAdminSession, verifyAdminSession } from '../utils/adminAuth';
 
 export default function AdminRoutes() {
-  if (!isAdminLoggedIn()) {
+  // Token we verified, so "checking" is derived instead of set inside the effect
+  const token = getAdminSession()?.token || null;
+  const { pathname } = useLocation();
+  const [checked, setChecked] = useState({ token: null, valid: false });
+
+  // Checked again on each navigation: the current page stays on screen (checked.token is unchanged)
+  // and we only redirect if the server rejects the token
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    verifyAdminSession().then((admin) => {
+      if (!cancelled) setChecked({ token, valid: admin !== null });
+    });
+    return () => { cancelled = true; };
+  }, [token, pathname]);
+
+  // No token, expired token, or rejected by the server
+  if (!token || (checked.token === token && !checked.valid)) {
     return <Navigate to="/admin-login" replace />;
   }
 
+  if (checked.token !== token) {
+    return (
+      <div className="min-h-screen bg-[#f8f5f2] flex items-center justify-center">
+        <div className="w-12 h-12 border-2 border-[#9E3B3B]/10 border-t-[#9E3B3B] rounded-full animate-spin" />
+      </div>
+    );
+  }
+
   // If admin, show the dashboard with sidebar
   return (
     <div className="min-h-screen bg-[#f8f5f2]">
       {/* Admin Sidebar */}
       <AdminSidebar />
-      
+
       {/* Main content area */}
       <main className="lg:ml-64 min-h-screen pt-16 lg:pt-0">
         <Outlet />
@@ -0,0 +1,18 @@
+/**Wraps an admin page: renders it only if the logged in admin's role has the permission (see utils/adminRoles).*/
+
+import { Link } from "react-router-dom";
+import { ShieldOff } from "lucide-react";
+import { canAdmin } from '../utils/adminAuth';
+
+export default function RequirePermission({ permission, children }) {
+  if (canAdmin(permission)) return children;
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-[60vh] text-center px-4">
+      <ShieldOff className="w-12 h-12 text-[#9E3B3B]/30 mb-4" />
+      <h1 className="text-xl font-bold text-gray-800 mb-2">Access restricted</h1>
+      <p className="text-gray-500 mb-6">Your role does not allow this page.</p>
+      <Link to="/Dashboard" className="text-sm font-medium text-[#9E3B3B] hover:underline">Back to dashboard</Link>
+    </div>
+  );
+}
@@ -3,12 +3,15 @@
  */
 
 import { buildRecommendationPrompt, getSystemMessage } from '../lib/aiPrompt';
+import { isAvoided } from '../features/user/avoidList';
+import { getProductConcerns, getProductIngredients } from '../features/products/productUtils';
 
 const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
 const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-flash-latest:generateContent';
 
 
-export async function getRecommendations(quizResult, products) {
+// avoidList: ingredients the shopper avoids (see features/user/avoidList), never recommended
+export async function getRecommendations(quizResult, products, avoidList = []) {
   console.log('🔍 Getting recommendations for:', quizResult);
   console.log('📦 Available products:', products?.length || 0);
 
@@ -16,11 +19,11 @@ export async function getRecommendations(quizResult, products) {
 
   try {
     return GEMINI_API_KEY 
-      ? await callGemini(quizResult, products)
-      : generateSmartRecommendations(quizResult, products);
+      ? await callGemini(quizResult, products, avoidList)
+      : generateSmartRecommendations(quizResult, products, avoidList);
   } catch (error) {
     console.error(' AI failed, falling back:', error.message);
-    return handleFallback(quizResult, products);
+    return handleFallback(quizResult, products, avoidList);
   }
 }
 
@@ -32,13 +35,42 @@ export function getAIProvider() {
   return GEMINI_API_KEY ? 'Google Gemini' : 'Smart Matching';
 }
 
+// How well a product suits a quiz result (skin type, concerns, good ingredients). Higher is better.
+// Also used by the catalogue's "Best match for my skin" sort.
+export function scoreProduct(product, quizResult) {
+  const skinType = quizResult?.skinType || 'normal';
+  const concerns = quizResult?.concerns || [];
+  let score = 0;
+
+  // Skin type match
+  const productSkinType = (product.skinType || '').toLowerCase();
+  if (productSkinType.includes(skinType) || productSkinType.includes('all')) {
+    score += 10;
+  }
+
+  // Concern matches
+  const productConcerns = getProductConcerns(product).join(' ').toLowerCase();
+  concerns.forEach(concern => {
+    if (productConcerns.includes(concern.toLowerCase())) score += 5;
+  });
+
+  // Good ingredients
+  const ingredientsText = getProductIngredients(product).join(' ').toLowerCase();
+  const goodIngredients = ['hyaluronic', 'niacinamide', 'vitamin c', 'aloe', 'ceramide', 'salicylic', 'retinol'];
+  goodIngredients.forEach(ingredient => {
+    if (ingredientsText.includes(ingredient)) score += 2;
+  });
+
+  return score;
+}
+
 // ============================================================
 // GEMINI IMPLEMENTATION
 
-async function callGemini(quizResult, products) {
+async function callGemini(quizResult, products, avoidList) {
   if (!products?.length) throw new Error('No products available');
 
-  const prompt = buildRecommendationPrompt(quizResult, products);
+  const prompt = buildRecommendationPrompt(quizResult, products, avoidList);
   console.log(' Calling Gemini API...');
 
   const response = await fetch(`${GEMINI_URL}?key=${GEMINI_API_KEY}`, {
@@ -66,7 +98,13 @@ async function callGemini(quizResult, products) {
   
   if (!content) throw new Error('Empty response from Gemini');
   
-  return parseAIResponse(content);
+  const result = parseAIResponse(content);
+  // The avoid list is a hard constraint: an answer that breaks it goes to the fallback
+  const picked = Object.values(result.routine || {}).filter(Boolean);
+  if (picked.some((r) => products.some((p) => String(p.id) === String(r.productId) && isAvoided(p, avoidList)))) {
+    throw new Error('Gemini recommended a product with an avoided ingredient');
+  }
+  return result;
 }
 
 function parseAIResponse(content) {
@@ -101,9 +139,9 @@ function parseAIResponse(content) {
 // ============================================================
 // FALLBACK HANDLER
 // ============================================================
-async function handleFallback(quizResult, products) {
+async function handleFallback(quizResult, products, avoidList) {
   try {
-    return generateSmartRecommendations(quizResult, products);
+    return generateSmartRecommendations(quizResult, products, avoidList);
   } catch (error) {
     console.error(' Smart matching failed:', error);
     return {
@@ -113,9 +151,11 @@ async function handleFallback(quizResult, products) {
   }
 }
 
-function generateSmartRecommendations(quizResult, products) {
+function generateSmartRecommendations(quizResult, allProducts, avoidList = []) {
   const skinType = quizResult?.skinType || 'normal';
   const concerns = quizResult?.concerns || [];
+  // Hard constraint: products with an avoided ingredient are never candidates
+  const products = (allProducts || []).filter((p) => !isAvoided(p, avoidList));
     
   if (!products?.length) {
     return {
@@ -124,37 +164,6 @@ function generateSmartRecommendations(quizResult, products) {
     };
   }
   
-  const scoreProduct = (product) => {
-    let score = 0;
-    
-    // Skin type match
-    const productSkinType = (product.skinType || '').toLowerCase();
-    if (productSkinType.includes(skinType) || productSkinType.includes('all')) {
-      score += 10;
-    }
-    
-    // Concern matches
-    const productConcerns = (product.concerns || '').toLowerCase();
-    concerns.forEach(concern => {
-      if (productConcerns.includes(concern.toLowerCase())) score += 5;
-    });
-    
-    // Good ingredients
-    let ingredientsText = '';
-    if (Array.isArray(product.ingredients)) {
-      ingredientsText = product.ingredients.join(' ').toLowerCase();
-    } else if (typeof product.ingredients === 'string') {
-      ingredientsText = product.ingredients.toLowerCase();
-    }
-    
-    const goodIngredients = ['hyaluronic', 'niacinamide', 'vitamin c', 'aloe', 'ceramide', 'salicylic', 'retinol'];
-    goodIngredients.forEach(ingredient => {
-      if (ingredientsText.includes(ingredient)) score += 2;
-    });
-    
-    return score;
-  };
-
   const findBestProduct = (categories) => {
     const matching = products.filter(product => {
       const cat = (product.subcategory).toLowerCase();
@@ -162,7 +171,7 @@ function generateSmartRecommendations(quizResult, products) {
     });
     
     if (matching.length === 0) return null;
-    matching.sort((a, b) => scoreProduct(b) - scoreProduct(a));
+    matching.sort((a, b) => scoreProduct(b, quizResult) - scoreProduct(a, quizResult));
     return matching[0];
   };
 
@@ -204,6 +213,6 @@ function generateSmartRecommendations(quizResult, products) {
         reason: `Daily sun protection is essential. This formula is perfect for ${skinType} skin.`
       } : null
     },
-    summary: `Based on your ${skinType} skin type${concerns.length > 0 ? ` and concerns about ${concerns.join(' and ')}` : ''}, we've selected products that focus on ${skinDescription}. This routine will help address your specific needs while keeping your skin healthy and balanced.`
+    summary: `Based on your ${skinType} skin type${concerns.length > 0 ? ` and concerns about ${concerns.join(' and ')}` : ''}, we've selected products that focus on ${skinDescription}. This routine will help address your specific needs while keeping your skin healthy and balanced.${avoidList.length > 0 ? ` Every product is free from ${avoidList.join(', ')}.` : ''}`
   };
 }
\ No newline at end of file
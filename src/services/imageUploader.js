@@ -0,0 +1,55 @@
+/**Image uploads for the admin product forms.
+ * The uploader is picked with VITE_IMAGE_UPLOADER:
+ *  - "cloudinary" (default): VITE_CLOUDINARY_UPLOAD_URL with the skinCareProducts upload preset
+ *  - "local": the dev stand-in file server (npm run upload-server, see server/uploadServer.js)
+ * Each uploader takes a File and resolves to the public URL of the stored image.
+ */
+
+import axios from 'axios';
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+async function uploadToCloudinary(file) {
+  const uploadUrl = import.meta.env.VITE_CLOUDINARY_UPLOAD_URL;
+  if (!uploadUrl) throw new Error('VITE_CLOUDINARY_UPLOAD_URL is not set');
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('upload_preset', 'skinCareProducts');
+  const res = await axios.post(uploadUrl, formData);
+  return res.data.secure_url;
+}
+
+// The raw file is the request body; the server answers { url: "/uploads/<name>" }
+async function uploadToLocalServer(file) {
+  const uploadUrl = import.meta.env.VITE_LOCAL_UPLOAD_URL || '/api/uploads';
+  const res = await axios.post(uploadUrl, file, {
+    headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) },
+  });
+  return res.data.url;
+}
+
+const UPLOADERS = {
+  cloudinary: uploadToCloudinary,
+  local: uploadToLocalServer,
+};
+
+export function getUploaderName() {
+  const name = import.meta.env.VITE_IMAGE_UPLOADER;
+  return UPLOADERS[name] ? name : 'cloudinary';
+}
+
+/**
+ * Upload one image with the configured uploader.
+ * @param {File} file
+ * @returns {Promise<string>} image URL
+ * @throws {Error} for a non-image or too large file, or when the upload fails
+ */
+export async function uploadImage(file) {
+  if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image`);
+  if (file.size > MAX_IMAGE_SIZE) throw new Error(`${file.name} is larger than 5MB`);
+  try {
+    return await UPLOADERS[getUploaderName()](file);
+  } catch (err) {
+    throw new Error(err.response?.data?.message || err.message || 'Image upload failed');
+  }
+}
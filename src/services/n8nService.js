@@ -5,7 +5,7 @@ import axios from 'axios';
 const WEBHOOK_URL = import.meta.env.VITE_N8N_ORDER_WEBHOOK_URL;
 
 /**
- * @param {Object} orderData - { id, userName, userEmail, items, total }
+ * @param {Object} orderData - { id, userName, userEmail, shippingAddress, deliveryNote, items, discount, shippingFee, codFee, vat, total }
  * @returns {Promise<{ success: boolean, error?: string }>}
  */
 export async function sendOrderToN8n(orderData) {
@@ -20,7 +20,13 @@ export async function sendOrderToN8n(orderData) {
     id: orderData.id,
     userName: orderData.userName,
     userEmail: orderData.userEmail,
+    shippingAddress: orderData.shippingAddress || {},
+    deliveryNote: orderData.deliveryNote || '',
     items: orderData.items || [],
+    discount: orderData.discount || null,
+    shippingFee: orderData.shippingFee ?? 0,
+    codFee: orderData.codFee ?? 0,
+    vat: orderData.vat ?? 0,
     total: orderData.total,
   };
 
@@ -1,31 +1,120 @@
+/*Admin auth: token sessions from the auth server (server/authServer.js). Credentials never reach the bundle.*/
+
+import axios from 'axios';
+import { hasPermission } from './adminRoles';
+
 const ADMIN_SESSION_KEY = 'beautymatch_admin_session';
 
-const ADMIN_USERNAME = import.meta.env.VITE_ADMIN_USERNAME ?? '';
-const ADMIN_PASSWORD = import.meta.env.VITE_ADMIN_PASSWORD ?? '';
+const AUTH_BASE = import.meta.env.VITE_AUTH_API_URL || '/api/admin';
+
+/**
+ * Stored session if it has not expired yet (no server call).
+ * @returns {{ token: string, expiresAt: string, admin: { username: string, role: string } } | null}
+ */
+export function getAdminSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(ADMIN_SESSION_KEY));
+    if (!session?.token || new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+export function clearAdminSession() {
+  localStorage.removeItem(ADMIN_SESSION_KEY);
+}
 
 /**
- * Check if the given username/password match admin credentials.
+ * Quick local check (e.g. to show the Dashboard link). Protected pages use verifyAdminSession.
  * @returns {boolean}
  */
-export function validateAdminCredentials(username, password) {
-  return username === ADMIN_USERNAME && password === ADMIN_PASSWORD;
+export function isAdminLoggedIn() {
+  return getAdminSession() !== null;
+}
+
+// Authorization header for calls that need the admin token
+export function adminAuthHeaders() {
+  const session = getAdminSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
 }
 
 /**
- * Mark admin as logged in (call only after validateAdminCredentials returns true).
+ * Log in with the auth server and keep the session token.
+ * @returns {Promise<Object>} the admin ({ username, role })
+ * @throws {Error} with the server message on wrong credentials
  */
-export function setAdminSession() {
-  localStorage.setItem(ADMIN_SESSION_KEY, 'true');
+export async function loginAdmin(username, password) {
+  try {
+    const { data } = await axios.post(`${AUTH_BASE}/login`, { username, password });
+    localStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify(data));
+    return data.admin;
+  } catch (err) {
+    throw new Error(err.response?.data?.message || 'Auth server unreachable');
+  }
 }
 
-export function clearAdminSession() {
-  localStorage.removeItem(ADMIN_SESSION_KEY);
+/**
+ * Ask the server if the stored token is still valid. Clears it when it is not.
+ * @returns {Promise<Object|null>} the admin, or null
+ */
+export async function verifyAdminSession() {
+  if (!getAdminSession()) return null;
+  try {
+    const { data } = await axios.get(`${AUTH_BASE}/session`, { headers: adminAuthHeaders() });
+    localStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify(data));
+    return data.admin;
+  } catch {
+    clearAdminSession();
+    return null;
+  }
+}
+
+/*End this session (the local token is removed even if the server is down)*/
+export async function logoutAdmin() {
+  await axios.post(`${AUTH_BASE}/logout`, null, { headers: adminAuthHeaders() }).catch(() => {});
+  clearAdminSession();
+}
+
+/*End every session of this admin, on all devices. Throws if the server could not do it (this device is logged out anyway).*/
+export async function logoutAdminEverywhere() {
+  try {
+    await axios.post(`${AUTH_BASE}/logout-all`, null, { headers: adminAuthHeaders() });
+  } finally {
+    clearAdminSession();
+  }
 }
 
 /**
- * Check if admin is currently logged in.
+ * Can the logged in admin do this? (see adminRoles.js)
+ * @param {string} permission
  * @returns {boolean}
  */
-export function isAdminLoggedIn() {
-  return localStorage.getItem(ADMIN_SESSION_KEY) === 'true';
+export function canAdmin(permission) {
+  return hasPermission(getAdminSession()?.admin.role, permission);
+}
+
+/*Owner only: admin accounts [{ username, role }]*/
+export async function getAdminUsers() {
+  const { data } = await axios.get(`${AUTH_BASE}/users`, { headers: adminAuthHeaders() });
+  return data;
+}
+
+/*Owner only: add an admin, or change the password/role of an existing one*/
+export async function saveAdminUser(user) {
+  try {
+    const { data } = await axios.post(`${AUTH_BASE}/users`, user, { headers: adminAuthHeaders() });
+    return data;
+  } catch (err) {
+    throw new Error(err.response?.data?.message || 'Admin could not be saved');
+  }
+}
+
+/*Owner only: remove an admin (their sessions end too)*/
+export async function removeAdminUser(username) {
+  try {
+    await axios.delete(`${AUTH_BASE}/users/${encodeURIComponent(username)}`, { headers: adminAuthHeaders() });
+  } catch (err) {
+    throw new Error(err.response?.data?.message || 'Admin could not be removed');
+  }
 }
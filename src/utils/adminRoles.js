@@ -0,0 +1,33 @@
+/**
+ * adminRoles.js
+ * Admin roles and what each one may do. The role comes from the auth server session (see adminAuth.js).
+ * - owner: everything, including admin accounts, the activity log, coupons and pricing
+ * - catalog: products and review moderation
+ * - fulfilment: orders only
+ * - viewer: read-only dashboard
+ */
+
+export const ADMIN_ROLES = ['owner', 'catalog', 'fulfilment', 'viewer'];
+
+export const ROLE_INFO = {
+  owner: { label: 'Owner' },
+  catalog: { label: 'Catalog Manager' },
+  fulfilment: { label: 'Fulfilment' },
+  viewer: { label: 'Viewer' },
+};
+
+const ROLE_PERMISSIONS = {
+  owner: ['dashboard', 'products.view', 'products.edit', 'products.delete', 'orders.view', 'orders.edit', 'reviews', 'coupons', 'pricing', 'admins', 'activity'],
+  catalog: ['dashboard', 'products.view', 'products.edit', 'products.delete', 'reviews'],
+  fulfilment: ['dashboard', 'orders.view', 'orders.edit'],
+  viewer: ['dashboard'],
+};
+
+/**
+ * @param {string} role
+ * @param {string} permission - e.g. 'products.delete'
+ * @returns {boolean} false for an unknown role
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
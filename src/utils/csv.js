@@ -0,0 +1,62 @@
+/**
+ * csv.js
+ * Minimal CSV reading/writing (RFC 4180: quoted cells, "" escapes, line breaks inside quotes).
+ * Used for the product catalog import/export.
+ */
+
+/**
+ * @param {string} text - CSV content (comma separated, optional BOM, LF or CRLF)
+ * @returns {string[][]} rows of cells; blank lines are skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+// Quote a cell when it contains a comma, quote or line break
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Array<*>>} rows - first row is usually the header
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+}
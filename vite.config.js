@@ -4,6 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Local image uploads (npm run upload-server), then the admin auth server (npm run auth-server).
+    // The first matching prefix wins, so the upload routes come first.
+    proxy: {
+      '/api/uploads': 'http://localhost:4001',
+      '/uploads': 'http://localhost:4001',
+      '/api': 'http://localhost:4000',
+    },
+  },
   test: {
     globals: true,
     environment: 'jsdom',